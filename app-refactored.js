@@ -11,8 +11,23 @@ const {
   initDatabase,
   dbManager,
 } = require("./database/mysql-database-refactored");
-const { initTelegramBot, botManager } = require("./utils/telegram-refactored");
+const {
+  initTelegramBot,
+  sendPurgeNotification,
+  botManager,
+} = require("./utils/telegram-refactored");
 const apiRoutes = require("./routes/api-refactored");
+const adminRoutes = require("./routes/admin-api");
+const { adminService } = require("./utils/admin-service");
+const { deletionService } = require("./utils/deletion-service");
+const { uploadGarbageCollector } = require("./utils/upload-gc");
+const { storage } = require("./utils/storage");
+const { chunkedUploadService } = require("./utils/chunked-upload");
+const { registrationEditService } = require("./utils/registration-edit-service");
+const {
+  requireAdminPage,
+  cleanupExpiredSessions,
+} = require("./middleware/admin-auth");
 
 // Simple middleware functions (inline for performance)
 const sanitizeInput = (req, res, next) => {
@@ -234,10 +249,11 @@ class OSISRecruitmentApp {
       next();
     });
 
-    // Static file serving with optimized caching for high traffic
+    // Static file serving with optimized caching for high traffic.
+    // Uploads come from the storage driver, so every instance serves the same files
     this.app.use(
       "/uploads",
-      express.static(path.join(__dirname, "uploads"), {
+      storage.staticHandler("uploads", {
         maxAge: process.env.STATIC_MAX_AGE || "30d", // Cache uploads for 30 days
         etag: true,
         lastModified: true,
@@ -263,6 +279,7 @@ class OSISRecruitmentApp {
     console.log("🛣️  Setting up routes...");
 
     // API routes
+    this.app.use("/api/admin", adminRoutes);
     this.app.use("/api", apiRoutes);
 
     // Health check endpoint
@@ -325,6 +342,15 @@ class OSISRecruitmentApp {
       });
     });
 
+    // Admin dashboard pages
+    this.app.get("/admin/login", (req, res) => {
+      res.sendFile(path.join(__dirname, "public", "admin", "login.html"));
+    });
+
+    this.app.get("/admin", requireAdminPage, (req, res) => {
+      res.sendFile(path.join(__dirname, "public", "admin", "dashboard.html"));
+    });
+
     console.log("✅ Routes setup completed");
   }
 
@@ -391,6 +417,8 @@ class OSISRecruitmentApp {
       "uploads/certificates",
       "uploads/qr-codes",
       "uploads/others",
+      "staging",
+      "quarantine",
       "backups",
       "logs",
     ];
@@ -409,11 +437,47 @@ class OSISRecruitmentApp {
       // Initialize database first
       console.log("🗄️  Initializing database...");
       await initDatabase();
+      await adminService.ensureBootstrapAdmin();
+      await registrationEditService.upgradeTokenHashes();
 
       // Initialize Telegram bot
       console.log("🤖 Initializing Telegram bot...");
       await initTelegramBot();
 
+      // Periodically remove expired admin dashboard sessions
+      setInterval(() => {
+        cleanupExpiredSessions().catch((error) =>
+          console.error("❌ Admin session cleanup error:", error.message)
+        );
+      }, 60 * 60 * 1000).unref();
+
+      // Permanently remove registrations deleted longer ago than deletion_retention_days
+      const purgeDeletedRegistrations = () =>
+        deletionService
+          .purgeExpired()
+          .then((purged) => purged.length > 0 && sendPurgeNotification(purged))
+          .catch((error) =>
+            console.error("❌ Deleted registration purge error:", error.message)
+          );
+      purgeDeletedRegistrations();
+      setInterval(purgeDeletedRegistrations, 6 * 60 * 60 * 1000).unref();
+
+      // Remove uploads no registration references once upload_gc_grace_hours has passed
+      const collectOrphanedUploads = () =>
+        uploadGarbageCollector
+          .collect()
+          .catch((error) => console.error("❌ Upload GC error:", error.message));
+      collectOrphanedUploads();
+      setInterval(collectOrphanedUploads, 24 * 60 * 60 * 1000).unref();
+
+      // Remove chunked uploads left unfinished or never submitted (chunked_upload_ttl_hours)
+      const purgeAbandonedUploads = () =>
+        chunkedUploadService
+          .purgeAbandoned()
+          .catch((error) => console.error("❌ Chunked upload cleanup error:", error.message));
+      purgeAbandonedUploads();
+      setInterval(purgeAbandonedUploads, 60 * 60 * 1000).unref();
+
       console.log("✅ All services initialized successfully");
     } catch (error) {
       console.error("❌ Service initialization failed:", error);
@@ -449,6 +513,7 @@ class OSISRecruitmentApp {
         console.log("\n📋 Available endpoints:");
         console.log(`   🏠 Registration: ${baseUrl}/register`);
         console.log(`   📊 Check Status: ${baseUrl}/hasil`);
+        console.log(`   🛠️  Admin Dashboard: ${baseUrl}/admin`);
         console.log(`   ⚡ API Health: ${baseUrl}/health`);
         console.log(`   🔌 API Base: ${baseUrl}/api`);
         console.log("=====================================\n");
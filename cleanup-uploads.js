@@ -0,0 +1,78 @@
+const { dbManager } = require("./database/mysql-database-refactored");
+const { uploadGarbageCollector } = require("./utils/upload-gc");
+const { chunkedUploadService } = require("./utils/chunked-upload");
+
+/**
+ * 🧹 Orphaned upload cleaner
+ * Lists files in uploads/photos, uploads/certificates, uploads/others, staging/ and
+ * quarantine/ that no registration references, and removes those older than the grace period.
+ * Chunked uploads untouched for chunked_upload_ttl_hours are removed as well.
+ *
+ * Usage:
+ *   node cleanup-uploads.js                 # remove orphans older than upload_gc_grace_hours
+ *   node cleanup-uploads.js --dry-run       # only report
+ *   node cleanup-uploads.js --grace-hours 2 # override the grace period
+ */
+function parseArgs(args) {
+  const options = { dryRun: args.includes("--dry-run") };
+  const graceIndex = args.indexOf("--grace-hours");
+  if (graceIndex !== -1) {
+    const hours = parseFloat(args[graceIndex + 1]);
+    if (!Number.isFinite(hours) || hours < 0) {
+      throw new Error("--grace-hours needs a number of hours (0 or more)");
+    }
+    options.graceHours = hours;
+  }
+  return options;
+}
+
+async function cleanupUploads() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    await dbManager.initialize();
+
+    const result = await uploadGarbageCollector.collect(options);
+    const format = (bytes) => uploadGarbageCollector.formatSize(bytes);
+
+    console.log(
+      `\n📊 ${result.scanned} file(s) scanned, ${result.referenced} referenced by registrations, grace period ${result.graceHours} hour(s)`
+    );
+
+    if (result.orphans.length === 0) {
+      console.log("✅ No orphaned uploads");
+    } else {
+      console.log(`\n🗂️ Orphaned uploads (${result.orphans.length}):`);
+      result.orphans.forEach((orphan) => {
+        const state = !orphan.expired
+          ? "⏳ within grace period"
+          : result.failed.includes(orphan)
+          ? "❌ could not remove"
+          : result.dryRun
+          ? "🗑️ would remove"
+          : "🗑️ removed";
+        console.log(
+          `  ${orphan.dir}/${orphan.name}  ${format(orphan.size)}  ${orphan.modifiedAt.toISOString()}  ${state}`
+        );
+      });
+      const total = result.orphans.reduce((sum, orphan) => sum + orphan.size, 0);
+      console.log(
+        `\n💾 Orphans: ${format(total)}, ${result.dryRun ? "would free" : "freed"}: ${format(result.freedBytes)}`
+      );
+    }
+
+    const chunked = await chunkedUploadService.purgeAbandoned({ dryRun: result.dryRun });
+    console.log(
+      `📦 Abandoned chunked uploads (older than ${chunked.ttlHours} hour(s)): ${chunked.removed.length} ${
+        result.dryRun ? "would be removed" : "removed"
+      }`
+    );
+
+    await dbManager.close();
+  } catch (error) {
+    console.error("❌ Upload cleanup failed:", error.message);
+    process.exit(1);
+  }
+  process.exit(0);
+}
+
+cleanupUploads();
@@ -136,7 +136,7 @@ class DatabaseManager {
         if (tables.length > 0) {
           await connection.execute(`
             ALTER TABLE users MODIFY COLUMN status 
-            ENUM('PENDING', 'LOLOS', 'DITOLAK', 'PENDING_BOT_APPROVAL', 'PENDING_TERIMA', 'PENDING_TOLAK') 
+            ENUM('PENDING', 'LOLOS', 'DITOLAK', 'PENDING_BOT_APPROVAL', 'PENDING_TERIMA', 'PENDING_TOLAK', 'WAITLIST', 'WITHDRAWN') 
             DEFAULT 'PENDING'
           `);
           console.log("✅ Updated existing users table status enum");
@@ -147,12 +147,26 @@ class DatabaseManager {
         console.log("📝 Could not update existing table:", error.message);
       }
 
+      // Create recruitment periods table - one row per intake (cohort), exactly one active
+      await connection.execute(`
+        CREATE TABLE IF NOT EXISTS recruitment_periods (
+          id INT PRIMARY KEY AUTO_INCREMENT,
+          slug VARCHAR(50) UNIQUE NOT NULL,
+          name VARCHAR(100) NOT NULL,
+          year SMALLINT NOT NULL,
+          is_active BOOLEAN DEFAULT FALSE,
+          activated_at TIMESTAMP NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          INDEX idx_active (is_active)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+
       // Create users table with enhanced structure
       await connection.execute(`
         CREATE TABLE IF NOT EXISTS users (
           id INT PRIMARY KEY AUTO_INCREMENT,
           ticket VARCHAR(50) UNIQUE NOT NULL,
-          status ENUM('PENDING', 'LOLOS', 'DITOLAK', 'PENDING_BOT_APPROVAL', 'PENDING_TERIMA', 'PENDING_TOLAK') DEFAULT 'PENDING',
+          status ENUM('PENDING', 'LOLOS', 'DITOLAK', 'PENDING_BOT_APPROVAL', 'PENDING_TERIMA', 'PENDING_TOLAK', 'WAITLIST', 'WITHDRAWN') DEFAULT 'PENDING',
           
           -- Personal Information
           nama_lengkap VARCHAR(100) NOT NULL,
@@ -163,13 +177,31 @@ class DatabaseManager {
           tanggal_lahir DATE,
           jenis_kelamin ENUM('Laki-laki', 'Perempuan'),
           agama VARCHAR(50),
-          nomor_telepon VARCHAR(20) UNIQUE,
+          nomor_telepon VARCHAR(20),
           email VARCHAR(100),
           alamat TEXT,
           hobi TEXT,
           motto TEXT,
           foto_path VARCHAR(500),
+          foto_mime VARCHAR(100) NULL,
           motivasi TEXT,
+
+          -- Quota placement: the division an accepted (LOLOS) applicant occupies a seat in
+          placed_division VARCHAR(100) NULL,
+          waitlisted_at TIMESTAMP NULL,
+
+          -- Selection pipeline: selection_stages.slug the applicant is currently in
+          current_stage VARCHAR(50) NULL,
+
+          -- Recruitment period (cohort) the applicant registered in
+          period_id INT NULL,
+
+          -- scrypt hash of the applicant's self-service edit token (the token itself is never stored)
+          edit_token_hash VARCHAR(255) NULL,
+
+          -- Soft delete: hidden everywhere, restorable until the retention window ends and it is purged
+          deleted_at TIMESTAMP NULL,
+          deleted_by VARCHAR(100) NULL,
           
           -- Metadata
           created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -182,7 +214,12 @@ class DatabaseManager {
           INDEX idx_status (status),
           INDEX idx_nama (nama_lengkap),
           INDEX idx_created (created_at),
-          INDEX idx_phone (nomor_telepon)
+          INDEX idx_phone (nomor_telepon),
+          INDEX idx_period (period_id),
+          INDEX idx_deleted (deleted_at),
+          -- A phone number registers once per period, so returning students can apply again
+          UNIQUE KEY uniq_period_phone (period_id, nomor_telepon),
+          FOREIGN KEY (period_id) REFERENCES recruitment_periods(id)
         ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
       `);
 
@@ -195,6 +232,7 @@ class DatabaseManager {
           jabatan VARCHAR(50),
           tahun VARCHAR(20),
           sertifikat_path VARCHAR(500),
+          sertifikat_mime VARCHAR(100) NULL,
           created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
           
           FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
@@ -211,6 +249,7 @@ class DatabaseManager {
           tingkat ENUM('Sekolah', 'Kecamatan', 'Kabupaten', 'Provinsi', 'Nasional', 'Internasional'),
           tahun VARCHAR(10),
           sertifikat_path VARCHAR(500),
+          sertifikat_mime VARCHAR(100) NULL,
           created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
           
           FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
@@ -219,12 +258,29 @@ class DatabaseManager {
         ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
       `);
 
-      // Create divisions table
+      // Create divisions master table - the configurable list of OSIS divisions
+      await connection.execute(`
+        CREATE TABLE IF NOT EXISTS divisions (
+          id INT PRIMARY KEY AUTO_INCREMENT,
+          slug VARCHAR(50) UNIQUE NOT NULL,
+          display_name VARCHAR(100) UNIQUE NOT NULL,
+          description TEXT,
+          quota INT NULL,
+          is_active BOOLEAN DEFAULT TRUE,
+          sort_order INT DEFAULT 0,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+          INDEX idx_active (is_active)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+
+      // Create applicant division choices table (nama_divisi holds divisions.display_name)
       await connection.execute(`
         CREATE TABLE IF NOT EXISTS divisi (
           id INT PRIMARY KEY AUTO_INCREMENT,
           user_id INT NOT NULL,
-          nama_divisi ENUM('Keagamaan', 'Kedisiplinan', 'Bakat Minat', 'Jurnalistik', 'Media Jaringan', 'Sekretaris') NOT NULL,
+          nama_divisi VARCHAR(100) NOT NULL,
           alasan TEXT,
           priority INT DEFAULT 1,
           created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -236,13 +292,308 @@ class DatabaseManager {
         ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
       `);
 
+      // Older installs used an ENUM, which rejected any division added later
+      try {
+        await connection.execute(
+          "ALTER TABLE divisi MODIFY COLUMN nama_divisi VARCHAR(100) NOT NULL"
+        );
+      } catch (error) {
+        console.log("📝 Could not update divisi.nama_divisi column:", error.message);
+      }
+
+      // Quota columns for users tables created before per-division quotas
+      await this.addColumnIfMissing(
+        connection,
+        "users",
+        "placed_division",
+        "VARCHAR(100) NULL AFTER motivasi"
+      );
+      await this.addColumnIfMissing(
+        connection,
+        "users",
+        "waitlisted_at",
+        "TIMESTAMP NULL AFTER placed_division"
+      );
+
+      // Applicants accepted before quotas existed occupy a seat in their first choice
+      await connection.execute(`
+        UPDATE users u
+        SET placed_division = (
+          SELECT d.nama_divisi FROM divisi d
+          WHERE d.user_id = u.id
+          ORDER BY d.priority, d.id
+          LIMIT 1
+        )
+        WHERE u.status = 'LOLOS' AND u.placed_division IS NULL
+      `);
+
+      await this.addColumnIfMissing(
+        connection,
+        "users",
+        "current_stage",
+        "VARCHAR(50) NULL AFTER waitlisted_at"
+      );
+
+      await this.addColumnIfMissing(
+        connection,
+        "users",
+        "period_id",
+        "INT NULL AFTER current_stage, ADD INDEX idx_period (period_id), ADD FOREIGN KEY (period_id) REFERENCES recruitment_periods(id)"
+      );
+
+      // Make sure one period is active and every applicant belongs to a period
+      await this.insertDefaultPeriod(connection);
+
+      // Phone numbers used to be unique across all years; now they are unique per period
+      const [phoneIndex] = await connection.execute(
+        `SELECT INDEX_NAME FROM information_schema.STATISTICS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'users' AND INDEX_NAME = 'nomor_telepon'`
+      );
+      if (phoneIndex.length > 0) {
+        await connection.execute(
+          "ALTER TABLE users DROP INDEX nomor_telepon, ADD UNIQUE KEY uniq_period_phone (period_id, nomor_telepon)"
+        );
+        console.log("✅ Phone numbers are now unique per recruitment period");
+      }
+
+      await this.addColumnIfMissing(
+        connection,
+        "users",
+        "edit_token_hash",
+        "VARCHAR(255) NULL AFTER period_id"
+      );
+      // Wider for "scrypt$<salt>$<hash>"; registrationEditService.upgradeTokenHashes re-hashes
+      // the plain SHA-256 digests this column used to hold
+      const [tokenColumn] = await connection.execute(
+        `SELECT DATA_TYPE FROM information_schema.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'users' AND COLUMN_NAME = 'edit_token_hash'`
+      );
+      if (tokenColumn.length > 0 && tokenColumn[0].DATA_TYPE === "char") {
+        await connection.execute("ALTER TABLE users MODIFY COLUMN edit_token_hash VARCHAR(255) NULL");
+        console.log("✅ Widened users.edit_token_hash for scrypt hashes");
+      }
+      await this.addColumnIfMissing(
+        connection,
+        "users",
+        "deleted_at",
+        "TIMESTAMP NULL AFTER edit_token_hash, ADD INDEX idx_deleted (deleted_at)"
+      );
+      await this.addColumnIfMissing(
+        connection,
+        "users",
+        "deleted_by",
+        "VARCHAR(100) NULL AFTER deleted_at"
+      );
+
+      // Content type of uploads as detected from the file itself; NULL for older uploads
+      await this.addColumnIfMissing(
+        connection,
+        "users",
+        "foto_mime",
+        "VARCHAR(100) NULL AFTER foto_path"
+      );
+      for (const table of ["organisasi", "prestasi"]) {
+        await this.addColumnIfMissing(
+          connection,
+          table,
+          "sertifikat_mime",
+          "VARCHAR(100) NULL AFTER sertifikat_path"
+        );
+      }
+
+      // Create selection stages table - ordered recruitment rounds (screening, interview, final)
+      await connection.execute(`
+        CREATE TABLE IF NOT EXISTS selection_stages (
+          id INT PRIMARY KEY AUTO_INCREMENT,
+          slug VARCHAR(50) UNIQUE NOT NULL,
+          name VARCHAR(100) NOT NULL,
+          description TEXT,
+          sort_order INT DEFAULT 0,
+          is_active BOOLEAN DEFAULT TRUE,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+          INDEX idx_order (sort_order)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+
+      // Create per-stage outcome table - one row per applicant per stage reached
+      await connection.execute(`
+        CREATE TABLE IF NOT EXISTS applicant_stage_results (
+          id INT PRIMARY KEY AUTO_INCREMENT,
+          user_id INT NOT NULL,
+          stage_slug VARCHAR(50) NOT NULL,
+          outcome ENUM('PENDING', 'PASSED', 'FAILED') DEFAULT 'PENDING',
+          notes TEXT,
+          decided_by VARCHAR(100),
+          decided_at TIMESTAMP NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+          UNIQUE KEY unique_user_stage (user_id, stage_slug),
+          INDEX idx_stage (stage_slug)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+
+      // Create interview slots table - time, room and interviewer applicants can book
+      await connection.execute(`
+        CREATE TABLE IF NOT EXISTS interview_slots (
+          id INT PRIMARY KEY AUTO_INCREMENT,
+          starts_at DATETIME NOT NULL,
+          duration_minutes INT DEFAULT 30,
+          location VARCHAR(100),
+          interviewer VARCHAR(100),
+          capacity INT NOT NULL DEFAULT 1,
+          notes TEXT,
+          is_active BOOLEAN DEFAULT TRUE,
+          created_by VARCHAR(100),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+          INDEX idx_starts_at (starts_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+
+      // Create interview bookings table - at most one slot per applicant
+      await connection.execute(`
+        CREATE TABLE IF NOT EXISTS interview_bookings (
+          id INT PRIMARY KEY AUTO_INCREMENT,
+          slot_id INT NOT NULL,
+          user_id INT NOT NULL,
+          booked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+          FOREIGN KEY (slot_id) REFERENCES interview_slots(id),
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+          UNIQUE KEY unique_user_booking (user_id),
+          INDEX idx_slot (slot_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+
+      // Create rubric criteria table - weighted interview criteria per division
+      await connection.execute(`
+        CREATE TABLE IF NOT EXISTS rubric_criteria (
+          id INT PRIMARY KEY AUTO_INCREMENT,
+          division_id INT NOT NULL,
+          slug VARCHAR(50) NOT NULL,
+          name VARCHAR(100) NOT NULL,
+          description TEXT,
+          weight DECIMAL(6,2) DEFAULT 1,
+          max_score INT DEFAULT 10,
+          sort_order INT DEFAULT 0,
+          is_active BOOLEAN DEFAULT TRUE,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+          FOREIGN KEY (division_id) REFERENCES divisions(id) ON DELETE CASCADE,
+          UNIQUE KEY unique_division_criterion (division_id, slug)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+
+      // Create applicant scores table - one score per applicant, criterion and interviewer
+      await connection.execute(`
+        CREATE TABLE IF NOT EXISTS applicant_scores (
+          id INT PRIMARY KEY AUTO_INCREMENT,
+          user_id INT NOT NULL,
+          criterion_id INT NOT NULL,
+          score DECIMAL(7,2) NOT NULL,
+          notes TEXT,
+          interviewer_id VARCHAR(100) NOT NULL,
+          interviewer_name VARCHAR(100),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+          FOREIGN KEY (criterion_id) REFERENCES rubric_criteria(id) ON DELETE CASCADE,
+          UNIQUE KEY unique_interviewer_score (user_id, criterion_id, interviewer_id),
+          INDEX idx_criterion (criterion_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+
+      // Create registration revisions table - what applicants changed through self-service edits
+      await connection.execute(`
+        CREATE TABLE IF NOT EXISTS registration_revisions (
+          id INT PRIMARY KEY AUTO_INCREMENT,
+          user_id INT NOT NULL,
+          ticket VARCHAR(50) NOT NULL,
+          changes TEXT NOT NULL,
+          ip_address VARCHAR(45),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+          INDEX idx_user_created (user_id, created_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+
+      // Create ticket redirects table - tickets retired by a merge point at the kept registration
+      await connection.execute(`
+        CREATE TABLE IF NOT EXISTS ticket_redirects (
+          old_ticket VARCHAR(50) PRIMARY KEY,
+          new_ticket VARCHAR(50) NOT NULL,
+          merged_by VARCHAR(100),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+          INDEX idx_new_ticket (new_ticket)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+
+      // Create quarantined files table - certificates the upload scanner flagged or could not
+      // scan; a registration with rows here is marked for review
+      await connection.execute(`
+        CREATE TABLE IF NOT EXISTS quarantined_files (
+          id INT PRIMARY KEY AUTO_INCREMENT,
+          user_id INT NOT NULL,
+          fieldname VARCHAR(100) NOT NULL,
+          filename VARCHAR(255) NOT NULL,
+          original_name VARCHAR(255),
+          reason ENUM('INFECTED', 'SCAN_ERROR') NOT NULL,
+          signature VARCHAR(255) NULL,
+          scanner VARCHAR(20) NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+          INDEX idx_user_id (user_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+
+      // Create upload sessions table - files the registration form uploads in chunks before
+      // submitting; chunks live in storage under chunks/<id>/, received ones are listed in
+      // upload_session_chunks
+      await connection.execute(`
+        CREATE TABLE IF NOT EXISTS upload_sessions (
+          id CHAR(36) PRIMARY KEY,
+          fieldname VARCHAR(100) NOT NULL,
+          original_name VARCHAR(255) NOT NULL,
+          mimetype VARCHAR(100),
+          total_size BIGINT NOT NULL,
+          chunk_size INT NOT NULL,
+          total_chunks INT NOT NULL,
+          status ENUM('UPLOADING', 'COMPLETE') DEFAULT 'UPLOADING',
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+          INDEX idx_updated_at (updated_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+
+      await connection.execute(`
+        CREATE TABLE IF NOT EXISTS upload_session_chunks (
+          session_id CHAR(36) NOT NULL,
+          chunk_index INT NOT NULL,
+          size INT NOT NULL,
+          received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+          PRIMARY KEY (session_id, chunk_index),
+          FOREIGN KEY (session_id) REFERENCES upload_sessions(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+
       // Create admin logs table for audit trail
       await connection.execute(`
         CREATE TABLE IF NOT EXISTS admin_logs (
           id INT PRIMARY KEY AUTO_INCREMENT,
           user_id INT,
           ticket VARCHAR(50),
-          action ENUM('CREATE', 'APPROVE', 'REJECT', 'DELETE', 'UPDATE') NOT NULL,
+          action ENUM('CREATE', 'APPROVE', 'REJECT', 'DELETE', 'UPDATE', 'ACCESS_DENIED', 'STAGE_CHANGE', 'WITHDRAW', 'RESTORE', 'PURGE', 'MERGE') NOT NULL,
           previous_status VARCHAR(50),
           new_status VARCHAR(50),
           reason TEXT,
@@ -257,6 +608,16 @@ class DatabaseManager {
         ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
       `);
 
+      // Keep the action enum of existing admin_logs tables in sync
+      try {
+        await connection.execute(`
+          ALTER TABLE admin_logs MODIFY COLUMN action
+          ENUM('CREATE', 'APPROVE', 'REJECT', 'DELETE', 'UPDATE', 'ACCESS_DENIED', 'STAGE_CHANGE', 'WITHDRAW', 'RESTORE', 'PURGE', 'MERGE') NOT NULL
+        `);
+      } catch (error) {
+        console.log("📝 Could not update admin_logs action enum:", error.message);
+      }
+
       // Create settings table for system configuration
       await connection.execute(`
         CREATE TABLE IF NOT EXISTS system_settings (
@@ -272,9 +633,112 @@ class DatabaseManager {
         ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
       `);
 
+      // Create admin accounts table (dashboard and Telegram identities)
+      await connection.execute(`
+        CREATE TABLE IF NOT EXISTS admins (
+          id INT PRIMARY KEY AUTO_INCREMENT,
+          username VARCHAR(50) UNIQUE NOT NULL,
+          display_name VARCHAR(100),
+          password_hash VARCHAR(255),
+          role ENUM('superadmin', 'division_reviewer', 'viewer') NOT NULL DEFAULT 'viewer',
+          telegram_user_id BIGINT UNIQUE,
+          is_active BOOLEAN DEFAULT TRUE,
+          last_login_at DATETIME NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+          INDEX idx_role (role)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+
+      // Create admin divisions table - divisions a division reviewer may decide on
+      await connection.execute(`
+        CREATE TABLE IF NOT EXISTS admin_divisions (
+          id INT PRIMARY KEY AUTO_INCREMENT,
+          admin_id INT NOT NULL,
+          nama_divisi VARCHAR(100) NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+          FOREIGN KEY (admin_id) REFERENCES admins(id) ON DELETE CASCADE,
+          UNIQUE KEY unique_admin_divisi (admin_id, nama_divisi)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+
+      // Create admin sessions table for the web dashboard
+      await connection.execute(`
+        CREATE TABLE IF NOT EXISTS admin_sessions (
+          id INT PRIMARY KEY AUTO_INCREMENT,
+          token_hash CHAR(64) UNIQUE NOT NULL,
+          admin_id INT NULL,
+          admin_name VARCHAR(100) NOT NULL,
+          ip_address VARCHAR(45),
+          user_agent VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          expires_at DATETIME NOT NULL,
+
+          INDEX idx_expires (expires_at),
+          INDEX idx_admin (admin_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+
+      // Sessions created before admin accounts existed have no admin_id
+      await this.addColumnIfMissing(
+        connection,
+        "admin_sessions",
+        "admin_id",
+        "INT NULL AFTER token_hash"
+      );
+
+      // Create API keys table - only the SHA-256 hash of each key is stored
+      await connection.execute(`
+        CREATE TABLE IF NOT EXISTS api_keys (
+          id INT PRIMARY KEY AUTO_INCREMENT,
+          name VARCHAR(100) NOT NULL,
+          key_prefix VARCHAR(16) NOT NULL,
+          key_hash CHAR(64) UNIQUE NOT NULL,
+          scopes VARCHAR(255) NOT NULL,
+          created_by VARCHAR(100),
+          last_used_at DATETIME NULL,
+          expires_at DATETIME NULL,
+          revoked_at DATETIME NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+          INDEX idx_prefix (key_prefix)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+
+      // Create API access audit table (protected endpoints, per key or admin session)
+      await connection.execute(`
+        CREATE TABLE IF NOT EXISTS api_access_logs (
+          id INT PRIMARY KEY AUTO_INCREMENT,
+          api_key_id INT NULL,
+          admin_id INT NULL,
+          actor_name VARCHAR(100),
+          method VARCHAR(10) NOT NULL,
+          path VARCHAR(500) NOT NULL,
+          scope VARCHAR(50),
+          status_code SMALLINT,
+          outcome ENUM('ALLOWED', 'DENIED') NOT NULL,
+          ip_address VARCHAR(45),
+          user_agent VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+          FOREIGN KEY (api_key_id) REFERENCES api_keys(id) ON DELETE SET NULL,
+          INDEX idx_api_key (api_key_id),
+          INDEX idx_created (created_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+
       // Insert default settings
       await this.insertDefaultSettings(connection);
 
+      // Insert default divisions
+      await this.insertDefaultDivisions(connection);
+
+      // Insert default selection stages
+      await this.insertDefaultStages(connection);
+
       // Create stored procedures for common queries - DISABLED due to MySQL2 compatibility
       // await this.createStoredProcedures(connection);
 
@@ -290,6 +754,90 @@ class DatabaseManager {
     }
   }
 
+  // Add a column to an existing table (CREATE TABLE IF NOT EXISTS never alters old tables)
+  async addColumnIfMissing(connection, table, column, definition) {
+    const [columns] = await connection.execute(
+      `SELECT COLUMN_NAME FROM information_schema.COLUMNS
+       WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+      [table, column]
+    );
+
+    if (columns.length === 0) {
+      await connection.execute(
+        `ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`
+      );
+      console.log(`✅ Added column ${table}.${column}`);
+    }
+  }
+
+  // Seed the divisions offered before they became configurable; existing rows are left untouched
+  async insertDefaultDivisions(connection) {
+    const defaultDivisions = [
+      ["sekretaris", "Sekretaris", "Mengelola administrasi dan surat-menyurat OSIS"],
+      ["bendahara", "Bendahara", "Mengelola keuangan dan anggaran OSIS"],
+      ["keagamaan", "Keagamaan", "Mengorganisir kegiatan keagamaan dan rohani"],
+      ["media_jaringan", "Media Jaringan", "Mengelola media sosial dan komunikasi publik"],
+      ["bakat_minat", "Bakat Minat", "Mengembangkan dan memfasilitasi bakat siswa"],
+      ["jurnalistik", "Jurnalistik", "Menulis artikel dan dokumentasi kegiatan sekolah"],
+      ["kedisiplinan", "Kedisiplinan", "Menegakkan tata tertib dan kedisiplinan sekolah"],
+    ];
+
+    for (const [index, [slug, displayName, description]] of defaultDivisions.entries()) {
+      await connection.execute(
+        `
+        INSERT IGNORE INTO divisions (slug, display_name, description, sort_order)
+        VALUES (?, ?, ?, ?)
+      `,
+        [slug, displayName, description, index + 1]
+      );
+    }
+  }
+
+  // Seed the first recruitment period from the oldest registration (or the current year) and
+  // assign applicants registered before periods existed to the active period
+  async insertDefaultPeriod(connection) {
+    const [periods] = await connection.execute("SELECT id FROM recruitment_periods LIMIT 1");
+    if (periods.length === 0) {
+      const [[oldest]] = await connection.execute(
+        "SELECT YEAR(MIN(created_at)) as year FROM users"
+      );
+      const year = oldest.year || new Date().getFullYear();
+      await connection.execute(
+        `INSERT INTO recruitment_periods (slug, name, year, is_active, activated_at)
+         VALUES (?, ?, ?, TRUE, NOW())`,
+        [String(year), `Rekrutmen OSIS ${year}/${year + 1}`, year]
+      );
+      console.log(`✅ Created recruitment period ${year}`);
+    }
+
+    await connection.execute(`
+      UPDATE users
+      SET period_id = (
+        SELECT id FROM recruitment_periods WHERE is_active = TRUE ORDER BY id DESC LIMIT 1
+      )
+      WHERE period_id IS NULL
+    `);
+  }
+
+  // Seed the default recruitment rounds; existing rows are left untouched
+  async insertDefaultStages(connection) {
+    const defaultStages = [
+      ["screening", "Seleksi Administrasi", "Pemeriksaan berkas dan kelengkapan data pendaftar"],
+      ["interview", "Wawancara", "Wawancara dengan pengurus OSIS"],
+      ["final", "Keputusan Akhir", "Keputusan diterima atau ditolak (/terima, /tolak, /push)"],
+    ];
+
+    for (const [index, [slug, name, description]] of defaultStages.entries()) {
+      await connection.execute(
+        `
+        INSERT IGNORE INTO selection_stages (slug, name, description, sort_order)
+        VALUES (?, ?, ?, ?)
+      `,
+        [slug, name, description, index + 1]
+      );
+    }
+  }
+
   async insertDefaultSettings(connection) {
     const defaultSettings = [
       {
@@ -297,6 +845,21 @@ class DatabaseManager {
         value: "true",
         description: "Whether registration is currently open",
       },
+      {
+        key: "registration_open_at",
+        value: "",
+        description: "Registration opens at (ISO 8601, empty = no lower bound)",
+      },
+      {
+        key: "registration_close_at",
+        value: "",
+        description: "Registration closes at (ISO 8601, empty = no upper bound)",
+      },
+      {
+        key: "registration_override",
+        value: "auto",
+        description: "Manual registration override: auto, open or closed",
+      },
       {
         key: "max_file_size",
         value: "52428800",
@@ -304,8 +867,9 @@ class DatabaseManager {
       },
       {
         key: "allowed_file_types",
-        value: "jpg,jpeg,png,pdf",
-        description: "Allowed file extensions for uploads",
+        value: "foto=jpeg,png,webp;sertifikat=pdf,jpeg,png,webp",
+        description:
+          "Upload types per field, checked against the file content (field=type,type;... - a list without field= applies to every field)",
       },
       {
         key: "telegram_notifications",
@@ -322,6 +886,62 @@ class DatabaseManager {
         value: "30",
         description: "Number of days to keep backup files",
       },
+      {
+        key: "telegram_readonly_user_ids",
+        value: "",
+        description:
+          "Comma-separated Telegram user IDs allowed to use read-only bot commands (admins are always allowed)",
+      },
+      {
+        key: "ticket_prefix",
+        value: "OSIS",
+        description: "Letters in front of the active period's year in new ticket numbers (e.g. OSIS -> OSIS26-...)",
+      },
+      {
+        key: "interview_stage",
+        value: "interview",
+        description: "Selection stage slug whose applicants can book an interview slot",
+      },
+      {
+        key: "interview_digest_time",
+        value: "06:00",
+        description: "Time (HH:MM WIB) the bot posts the day's interview schedule to the group, empty = off",
+      },
+      {
+        key: "deletion_retention_days",
+        value: "30",
+        description: "Days a deleted registration can still be restored before it and its files are purged",
+      },
+      {
+        key: "upload_gc_grace_hours",
+        value: "24",
+        description: "Hours an uploaded file no registration references is kept before the upload GC removes it",
+      },
+      {
+        key: "chunked_upload_ttl_hours",
+        value: "24",
+        description: "Hours a chunked upload can sit unused (unfinished, or finished but never submitted) before its chunks are removed",
+      },
+      {
+        key: "duplicate_rule_phone",
+        value: "block",
+        description: "Same phone number in the period: always block (the phone number is unique per period)",
+      },
+      {
+        key: "duplicate_rule_name_birthdate",
+        value: "block",
+        description: "Same name and birth date in the period: block, flag (register but report) or off",
+      },
+      {
+        key: "duplicate_rule_fuzzy_name",
+        value: "flag",
+        description: "Very similar name in the same class (kelas + jurusan): block, flag or off",
+      },
+      {
+        key: "duplicate_fuzzy_threshold",
+        value: "0.85",
+        description: "Name similarity (0-1) from which duplicate_rule_fuzzy_name matches",
+      },
     ];
 
     for (const setting of defaultSettings) {
@@ -333,6 +953,15 @@ class DatabaseManager {
         [setting.key, setting.value, setting.description]
       );
     }
+
+    // allowed_file_types used to be an unused extension list; the untouched old default
+    // would now forbid WebP, which uploads have always accepted
+    const fileTypes = defaultSettings.find((setting) => setting.key === "allowed_file_types");
+    await connection.execute(
+      `UPDATE system_settings SET setting_value = ?, description = ?
+       WHERE setting_key = 'allowed_file_types' AND setting_value = 'jpg,jpeg,png,pdf'`,
+      [fileTypes.value, fileTypes.description]
+    );
   }
 
   async createStoredProcedures(connection) {
@@ -342,7 +971,7 @@ class DatabaseManager {
     `);
 
     await connection.execute(`
-      CREATE PROCEDURE GetUserStats()
+      CREATE PROCEDURE GetUserStats(IN p_period_id INT)
       BEGIN
         SELECT 
           COUNT(*) as total_users,
@@ -351,7 +980,10 @@ class DatabaseManager {
           COUNT(CASE WHEN status = 'DITOLAK' THEN 1 END) as rejected,
           COUNT(CASE WHEN DATE(created_at) = CURDATE() THEN 1 END) as today_registrations,
           COUNT(CASE WHEN DATE(created_at) >= DATE_SUB(CURDATE(), INTERVAL 7 DAY) THEN 1 END) as week_registrations
-        FROM users;
+        FROM users
+        WHERE (p_period_id IS NULL OR period_id = p_period_id)
+          AND status <> 'WITHDRAWN'
+          AND deleted_at IS NULL;
       END
     `);
 
@@ -361,7 +993,7 @@ class DatabaseManager {
     `);
 
     await connection.execute(`
-      CREATE PROCEDURE GetDivisionStats()
+      CREATE PROCEDURE GetDivisionStats(IN p_period_id INT)
       BEGIN
         SELECT 
           d.nama_divisi,
@@ -372,6 +1004,9 @@ class DatabaseManager {
           ) as approval_rate
         FROM divisi d
         LEFT JOIN users u ON d.user_id = u.id
+        WHERE (p_period_id IS NULL OR u.period_id = p_period_id)
+          AND u.status <> 'WITHDRAWN'
+          AND u.deleted_at IS NULL
         GROUP BY d.nama_divisi
         ORDER BY total_applicants DESC;
       END
@@ -394,6 +1029,7 @@ class DatabaseManager {
       LEFT JOIN organisasi o ON u.id = o.user_id
       LEFT JOIN prestasi p ON u.id = p.user_id
       LEFT JOIN divisi d ON u.id = d.user_id
+      WHERE u.deleted_at IS NULL
       GROUP BY u.id
     `);
 
@@ -407,7 +1043,7 @@ class DatabaseManager {
         COUNT(CASE WHEN status = 'LOLOS' THEN 1 END) as approved,
         COUNT(CASE WHEN status = 'DITOLAK' THEN 1 END) as rejected
       FROM users
-      WHERE created_at >= DATE_SUB(CURDATE(), INTERVAL 30 DAY)
+      WHERE created_at >= DATE_SUB(CURDATE(), INTERVAL 30 DAY) AND status <> 'WITHDRAWN' AND deleted_at IS NULL
       GROUP BY DATE(created_at)
       ORDER BY date DESC
     `);
@@ -441,6 +1077,36 @@ class DatabaseManager {
     }
   }
 
+  // System settings accessors
+  async getSetting(key, defaultValue = null) {
+    const connection = await this.getConnection();
+    try {
+      const [rows] = await connection.execute(
+        "SELECT setting_value FROM system_settings WHERE setting_key = ?",
+        [key]
+      );
+      return rows.length > 0 && rows[0].setting_value !== null
+        ? rows[0].setting_value
+        : defaultValue;
+    } finally {
+      connection.release();
+    }
+  }
+
+  async setSetting(key, value, description = null) {
+    const connection = await this.getConnection();
+    try {
+      await connection.execute(
+        `INSERT INTO system_settings (setting_key, setting_value, description)
+         VALUES (?, ?, ?)
+         ON DUPLICATE KEY UPDATE setting_value = VALUES(setting_value)`,
+        [key, value === null ? null : String(value), description]
+      );
+    } finally {
+      connection.release();
+    }
+  }
+
   // Utility methods for common operations
   async getUserByTicket(ticket) {
     const connection = await this.getConnection();
@@ -455,20 +1121,21 @@ class DatabaseManager {
     }
   }
 
-  async getUserStats() {
+  // Statistics of one recruitment period; null = every period
+  async getUserStats(periodId = null) {
     const connection = await this.getConnection();
     try {
-      const [stats] = await connection.execute("CALL GetUserStats()");
+      const [stats] = await connection.execute("CALL GetUserStats(?)", [periodId]);
       return stats[0][0];
     } finally {
       connection.release();
     }
   }
 
-  async getDivisionStats() {
+  async getDivisionStats(periodId = null) {
     const connection = await this.getConnection();
     try {
-      const [stats] = await connection.execute("CALL GetDivisionStats()");
+      const [stats] = await connection.execute("CALL GetDivisionStats(?)", [periodId]);
       return stats[0];
     } finally {
       connection.release();
@@ -482,7 +1149,7 @@ class DatabaseManager {
 
       // Get current status
       const [users] = await connection.execute(
-        "SELECT id, status FROM users WHERE ticket = ?",
+        "SELECT id, status FROM users WHERE ticket = ? AND deleted_at IS NULL",
         [ticket]
       );
 
@@ -518,14 +1185,14 @@ class DatabaseManager {
     }
   }
 
-  async addDivisionToUser(ticket, divisionName, reason) {
+  async addDivisionToUser(ticket, divisionName, reason, actor = null) {
     const connection = await this.getConnection();
     try {
       await connection.beginTransaction();
 
       // Get user ID from ticket
       const [users] = await connection.execute(
-        "SELECT id FROM users WHERE ticket = ?",
+        "SELECT id FROM users WHERE ticket = ? AND deleted_at IS NULL",
         [ticket]
       );
 
@@ -535,6 +1202,18 @@ class DatabaseManager {
 
       const userId = users[0].id;
 
+      // A division reviewer may only touch applicants already in their division; otherwise
+      // adding their own division would let them accept/reject anyone
+      const { adminService } = require("../utils/admin-service");
+      if (!(await adminService.canReviewUser(connection, actor, userId))) {
+        await connection.rollback();
+        return {
+          success: false,
+          error: "FORBIDDEN",
+          message: "You can only add divisions to applicants of your own division.",
+        };
+      }
+
       // Check if the division already exists for the user
       const [existingDivisions] = await connection.execute(
         "SELECT id FROM divisi WHERE user_id = ? AND nama_divisi = ?",
@@ -547,22 +1226,25 @@ class DatabaseManager {
         );
       }
 
-      // Insert new division
+      // Insert new division after the applicant's existing choices
       await connection.execute(
-        "INSERT INTO divisi (user_id, nama_divisi, alasan) VALUES (?, ?, ?)",
-        [userId, divisionName, reason]
+        `INSERT INTO divisi (user_id, nama_divisi, alasan, priority)
+         SELECT ?, ?, ?, COALESCE(MAX(priority), 0) + 1 FROM divisi WHERE user_id = ?`,
+        [userId, divisionName, reason, userId]
       );
 
       // Log the action
       await connection.execute(
         `
-        INSERT INTO admin_logs (user_id, ticket, action, new_status, reason, admin_name)
-        VALUES (?, ?, 'UPDATE', 'DIVISION_ADDED', ?, 'TELEGRAM_ADMIN')
+        INSERT INTO admin_logs (user_id, ticket, action, new_status, reason, admin_name, admin_id)
+        VALUES (?, ?, 'UPDATE', 'DIVISION_ADDED', ?, ?, ?)
       `,
         [
           userId,
           ticket,
           `Added division: ${divisionName} with reason: ${reason}`,
+          actor ? actor.name : "TELEGRAM_ADMIN",
+          actor ? String(actor.id) : "TELEGRAM_ADMIN",
         ]
       );
 
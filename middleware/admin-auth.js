@@ -0,0 +1,194 @@
+const crypto = require("crypto");
+const { getConnection } = require("../database/mysql-database-refactored");
+const { adminService } = require("../utils/admin-service");
+
+/**
+ * ADMIN SESSION MIDDLEWARE
+ * Cookie-based sessions for the web admin dashboard, stored in admin_sessions
+ * so every app instance behind the load balancer sees the same sessions.
+ */
+
+const SESSION_COOKIE = "osis_admin_session";
+const SESSION_TTL_HOURS = parseInt(process.env.ADMIN_SESSION_TTL_HOURS || "12");
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const parseCookies = (header) => {
+  const cookies = {};
+  if (!header) return cookies;
+
+  header.split(";").forEach((part) => {
+    const index = part.indexOf("=");
+    if (index === -1) return;
+    const key = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    try {
+      cookies[key] = decodeURIComponent(value);
+    } catch (error) {
+      cookies[key] = value;
+    }
+  });
+
+  return cookies;
+};
+
+const buildCookie = (value, maxAgeSeconds) => {
+  const parts = [
+    `${SESSION_COOKIE}=${encodeURIComponent(value)}`,
+    "Path=/",
+    "HttpOnly",
+    "SameSite=Strict",
+    `Max-Age=${maxAgeSeconds}`,
+  ];
+  if (process.env.NODE_ENV === "production") {
+    parts.push("Secure");
+  }
+  return parts.join("; ");
+};
+
+const createSession = async (req, res, admin) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000);
+
+  const connection = await getConnection();
+  try {
+    await connection.execute(
+      `INSERT INTO admin_sessions (token_hash, admin_id, admin_name, ip_address, user_agent, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        hashToken(token),
+        admin.id,
+        admin.name,
+        req.ip || null,
+        (req.get("User-Agent") || "").substring(0, 255),
+        expiresAt,
+      ]
+    );
+  } finally {
+    connection.release();
+  }
+
+  res.setHeader("Set-Cookie", buildCookie(token, SESSION_TTL_HOURS * 60 * 60));
+  return { expiresAt };
+};
+
+const destroySession = async (req, res) => {
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (token) {
+    const connection = await getConnection();
+    try {
+      await connection.execute(
+        "DELETE FROM admin_sessions WHERE token_hash = ?",
+        [hashToken(token)]
+      );
+    } finally {
+      connection.release();
+    }
+  }
+  res.setHeader("Set-Cookie", buildCookie("", 0));
+};
+
+// Resolve the admin for the current request, or null when not logged in.
+// Role and divisions are re-read on every request so changes apply immediately.
+const loadSession = async (req) => {
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (!token) return null;
+
+  let session;
+  const connection = await getConnection();
+  try {
+    const [sessions] = await connection.execute(
+      "SELECT id, admin_id FROM admin_sessions WHERE token_hash = ? AND expires_at > NOW() AND admin_id IS NOT NULL",
+      [hashToken(token)]
+    );
+
+    if (sessions.length === 0) return null;
+    session = sessions[0];
+
+    await connection.execute(
+      "UPDATE admin_sessions SET last_seen_at = NOW() WHERE id = ?",
+      [session.id]
+    );
+  } finally {
+    connection.release();
+  }
+
+  const admin = await adminService.findById(session.admin_id);
+  return admin ? { ...admin, sessionId: session.id } : null;
+};
+
+// Guard for /api/admin endpoints - responds with JSON 401
+const requireAdminSession = async (req, res, next) => {
+  try {
+    const admin = await loadSession(req);
+    if (!admin) {
+      return res.status(401).json({
+        success: false,
+        message: "Sesi admin tidak valid. Silakan login kembali.",
+        error: "UNAUTHORIZED",
+      });
+    }
+    req.admin = admin;
+    next();
+  } catch (error) {
+    console.error("❌ Admin session check error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Terjadi kesalahan server internal",
+      error: "INTERNAL_SERVER_ERROR",
+    });
+  }
+};
+
+// Guard for dashboard HTML pages - redirects to the login page
+const requireAdminPage = async (req, res, next) => {
+  try {
+    const admin = await loadSession(req);
+    if (!admin) {
+      return res.redirect("/admin/login");
+    }
+    req.admin = admin;
+    next();
+  } catch (error) {
+    console.error("❌ Admin page session check error:", error);
+    res.redirect("/admin/login");
+  }
+};
+
+// Role guard for routes mounted after requireAdminSession
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.admin || !roles.includes(req.admin.role)) {
+    return res.status(403).json({
+      success: false,
+      message: "Anda tidak memiliki akses untuk tindakan ini",
+      error: "FORBIDDEN",
+    });
+  }
+  next();
+};
+
+// Remove expired sessions
+const cleanupExpiredSessions = async () => {
+  const connection = await getConnection();
+  try {
+    const [result] = await connection.execute(
+      "DELETE FROM admin_sessions WHERE expires_at <= NOW()"
+    );
+    if (result.affectedRows > 0) {
+      console.log(`🗑️ Removed ${result.affectedRows} expired admin sessions`);
+    }
+  } finally {
+    connection.release();
+  }
+};
+
+module.exports = {
+  createSession,
+  destroySession,
+  loadSession,
+  requireAdminSession,
+  requireAdminPage,
+  requireRole,
+  cleanupExpiredSessions,
+};
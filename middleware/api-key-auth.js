@@ -0,0 +1,114 @@
+const { apiKeyService } = require("../utils/api-key-service");
+const { ADMIN_ROLES } = require("../utils/admin-service");
+const { loadSession } = require("./admin-auth");
+
+/**
+ * PROTECTED API MIDDLEWARE
+ * Accepts either a scoped API key (Authorization: Bearer <key> or X-API-Key)
+ * or a superadmin dashboard session. Every attempt is written to api_access_logs.
+ */
+
+const extractApiKey = (req) => {
+  const header = req.get("Authorization") || "";
+  if (header.startsWith("Bearer ")) return header.slice(7).trim();
+  return (req.get("X-API-Key") || "").trim() || null;
+};
+
+const audit = (req, entry) => {
+  apiKeyService
+    .recordAccess({
+      method: req.method,
+      path: req.originalUrl,
+      ip: req.ip,
+      userAgent: req.get("User-Agent"),
+      ...entry,
+    })
+    .catch((error) =>
+      console.error("❌ Failed to write API access log:", error.message)
+    );
+};
+
+const deny = (req, res, status, body, entry) => {
+  console.warn(
+    `🚫 Protected API denied: ${req.method} ${req.originalUrl} from ${req.ip} - ${body.error}`
+  );
+  audit(req, { ...entry, statusCode: status, outcome: "DENIED" });
+  return res.status(status).json({ success: false, ...body });
+};
+
+// Audit allowed requests once the response status is known
+const auditOnFinish = (req, res, entry) => {
+  res.on("finish", () => {
+    audit(req, { ...entry, statusCode: res.statusCode, outcome: "ALLOWED" });
+  });
+};
+
+const requireApiAccess = (scope) => async (req, res, next) => {
+  try {
+    const rawKey = extractApiKey(req);
+
+    if (rawKey) {
+      const apiKey = await apiKeyService.verifyKey(rawKey);
+      if (!apiKey) {
+        return deny(
+          req,
+          res,
+          401,
+          { message: "API key tidak valid atau sudah dicabut", error: "INVALID_API_KEY" },
+          { scope }
+        );
+      }
+
+      if (!apiKey.scopes.includes(scope)) {
+        return deny(
+          req,
+          res,
+          403,
+          { message: `API key tidak memiliki scope ${scope}`, error: "INSUFFICIENT_SCOPE" },
+          { scope, apiKeyId: apiKey.id, actorName: apiKey.name }
+        );
+      }
+
+      req.apiKey = apiKey;
+      auditOnFinish(req, res, { scope, apiKeyId: apiKey.id, actorName: apiKey.name });
+      return next();
+    }
+
+    const admin = await loadSession(req);
+    if (!admin) {
+      return deny(
+        req,
+        res,
+        401,
+        { message: "Autentikasi diperlukan (API key atau sesi admin)", error: "UNAUTHORIZED" },
+        { scope }
+      );
+    }
+
+    // Backups contain every applicant's personal data
+    if (admin.role !== ADMIN_ROLES.SUPERADMIN) {
+      return deny(
+        req,
+        res,
+        403,
+        { message: "Anda tidak memiliki akses untuk tindakan ini", error: "FORBIDDEN" },
+        { scope, adminId: admin.id, actorName: admin.name }
+      );
+    }
+
+    req.admin = admin;
+    auditOnFinish(req, res, { scope, adminId: admin.id, actorName: admin.name });
+    next();
+  } catch (error) {
+    console.error("❌ Protected API auth error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Terjadi kesalahan server internal",
+      error: "INTERNAL_SERVER_ERROR",
+    });
+  }
+};
+
+module.exports = {
+  requireApiAccess,
+};
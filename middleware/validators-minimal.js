@@ -1,4 +1,5 @@
 const { body, param, validationResult } = require("express-validator");
+const { ticketService, TICKET_ERRORS } = require("../utils/ticket-service");
 
 /**
  * MINIMAL VALIDATION MIDDLEWARE
@@ -16,15 +17,34 @@ const validateRegistration = [
   (req, res, next) => next(), // Just pass through
 ];
 
-// NO VALIDATION - Just pass through
-const validateTicketCheck = [
-  (req, res, next) => next(), // Just pass through
-];
+// Ticket format and check character, so typos are answered without a database lookup.
+// The ticket comes from the :ticket route param or the request body and is normalized in place.
+const validateTicket = async (req, res, next) => {
+  const source = req.params && req.params.ticket !== undefined ? req.params : req.body || {};
 
-// NO VALIDATION - Just pass through  
-const validateQRCheck = [
-  (req, res, next) => next(), // Just pass through
-];
+  try {
+    const result = await ticketService.check(source.ticket);
+    if (result.outcome !== "OK") {
+      return res.status(400).json({
+        success: false,
+        message:
+          result.outcome === "BAD_CHECKSUM"
+            ? "Nomor tiket tidak valid, periksa kembali penulisannya"
+            : "Format nomor tiket tidak valid",
+        error: TICKET_ERRORS[result.outcome],
+      });
+    }
+
+    source.ticket = result.ticket;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const validateTicketCheck = [validateTicket];
+
+const validateQRCheck = [validateTicket];
 
 // Rate limiting - minimal
 const validateRateLimit = (req, res, next) => {
@@ -45,6 +45,7 @@
                     } catch (e) {
                         error = { message: 'Request failed with status ' + xhr.status };
                     }
+                    error.status = xhr.status;
                     reject(error);
                 }
             };
@@ -71,38 +72,285 @@
         });
     }
 
-    // File compression utility
-    function compressImage(file, maxWidth, maxHeight, quality) {
+    // Image compression - camera photos are several MB each; downscaled and re-encoded as
+    // JPEG in the browser they are a fraction of that. Certificates keep more pixels so the
+    // text stays readable; the server makes its own 3x4 photo from what arrives.
+    var IMAGE_LIMITS = {
+        foto: { maxDimension: 1600, quality: 0.85 },
+        sertifikat: { maxDimension: 2400, quality: 0.85 }
+    };
+    var COMPRESSIBLE_TYPES = /^image\/(jpeg|png|webp|bmp)$/;
+    var MIN_COMPRESS_BYTES = 200 * 1024; // Smaller images are sent as they are
+
+    function supportsImageCompression() {
+        var canvas = document.createElement('canvas');
+        return !!(window.URL && URL.createObjectURL && canvas.getContext && canvas.toBlob);
+    }
+
+    function isCompressibleImage(file) {
+        return COMPRESSIBLE_TYPES.test(file.type) && file.size > MIN_COMPRESS_BYTES;
+    }
+
+    function imageLimits(fieldname) {
+        return fieldname === 'foto' ? IMAGE_LIMITS.foto : IMAGE_LIMITS.sertifikat;
+    }
+
+    // File constructor is missing in old Edge; a Blob with a name works for FormData and uploads
+    function namedBlob(blob, name) {
+        try {
+            return new File([blob], name, { type: blob.type, lastModified: Date.now() });
+        } catch (e) {
+            blob.name = name;
+            blob.lastModified = Date.now();
+            return blob;
+        }
+    }
+
+    // File compression utility - resolves with the original file whenever compressing is
+    // not possible (old browser, image the browser cannot decode) or would not help
+    function compressImage(file, maxDimension, quality) {
         return new Promise(function(resolve) {
-            if (!file.type.startsWith('image/')) {
+            if (!isCompressibleImage(file) || !supportsImageCompression()) {
                 resolve(file);
                 return;
             }
 
-            var canvas = document.createElement('canvas');
-            var ctx = canvas.getContext('2d');
+            var url = URL.createObjectURL(file);
             var img = new Image();
 
             img.onload = function() {
-                var ratio = Math.min(maxWidth / img.width, maxHeight / img.height);
-                canvas.width = img.width * ratio;
-                canvas.height = img.height * ratio;
+                URL.revokeObjectURL(url);
+                try {
+                    // Only ever scale down
+                    var ratio = Math.min(1, maxDimension / Math.max(img.width, img.height));
+                    var canvas = document.createElement('canvas');
+                    canvas.width = Math.round(img.width * ratio);
+                    canvas.height = Math.round(img.height * ratio);
 
-                ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+                    var ctx = canvas.getContext('2d');
+                    // JPEG has no transparency; PNG scans get white instead of black
+                    ctx.fillStyle = '#ffffff';
+                    ctx.fillRect(0, 0, canvas.width, canvas.height);
+                    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
 
-                canvas.toBlob(function(blob) {
-                    var compressedFile = new File([blob], file.name, {
-                        type: file.type,
-                        lastModified: Date.now()
-                    });
-                    resolve(compressedFile);
-                }, file.type, quality);
+                    canvas.toBlob(function(blob) {
+                        if (!blob || blob.size >= file.size) {
+                            resolve(file);
+                            return;
+                        }
+                        resolve(namedBlob(blob, file.name.replace(/\.[^.]*$/, '') + '.jpg'));
+                    }, 'image/jpeg', quality);
+                } catch (e) {
+                    resolve(file);
+                }
             };
 
-            img.src = URL.createObjectURL(file);
+            img.onerror = function() {
+                URL.revokeObjectURL(url);
+                resolve(file);
+            };
+
+            img.src = url;
+        });
+    }
+
+    // Chunked uploads - each file goes up on its own in small chunks before the
+    // registration is sent, so a dropped connection only costs the chunk in flight
+    var CHUNK_ATTEMPTS = 5;
+    var UPLOAD_STORE_KEY = 'chunkedUploads';
+
+    function supportsChunkedUpload() {
+        return !!(window.Blob && Blob.prototype.slice && window.JSON &&
+            window.FormData && FormData.prototype.delete);
+    }
+
+    function jsonRequest(method, url, body) {
+        return universalAjax({
+            url: url,
+            method: method,
+            data: body ? JSON.stringify(body) : null,
+            timeout: 30000,
+            headers: body ? { 'Content-Type': 'application/json' } : {}
+        });
+    }
+
+    function wait(ms) {
+        return new Promise(function(resolve) {
+            setTimeout(resolve, ms);
+        });
+    }
+
+    // Network errors, timeouts and 5xx are retried with a growing pause; a 4xx is final
+    function withRetry(task, attempt) {
+        attempt = attempt || 0;
+        return task().catch(function(error) {
+            if (attempt + 1 >= CHUNK_ATTEMPTS || (error.status && error.status < 500)) {
+                throw error;
+            }
+            return wait(Math.min(1000 * Math.pow(2, attempt), 15000)).then(function() {
+                return withRetry(task, attempt + 1);
+            });
+        });
+    }
+
+    // Upload ids survive a failed submit (sessionStorage), so pressing submit again
+    // resumes the uploads instead of starting over
+    function readUploadStore() {
+        try {
+            return JSON.parse(sessionStorage.getItem(UPLOAD_STORE_KEY)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    function writeUploadStore(store) {
+        try {
+            sessionStorage.setItem(UPLOAD_STORE_KEY, JSON.stringify(store));
+        } catch (e) {
+            // Private mode or storage full - uploads just won't resume
+        }
+    }
+
+    function uploadStoreKey(fieldname, file) {
+        return fieldname + '|' + file.name + '|' + file.size;
+    }
+
+    // "organisasi_sertifikat[]" becomes "organisasi_sertifikat[2]" for the third input of
+    // that name, so the server knows which row a certificate belongs to
+    function chunkFieldName(form, input) {
+        if (!/\[\]$/.test(input.name)) {
+            return input.name;
+        }
+        var sameName = form.querySelectorAll('input[type="file"]');
+        var index = Array.prototype.filter.call(sameName, function(other) {
+            return other.name === input.name;
+        }).indexOf(input);
+        return input.name.replace(/\[\]$/, '[' + index + ']');
+    }
+
+    // Look up an upload started by an earlier submit; null when it is gone or expired
+    function resumeUpload(uploadId, fieldname, file) {
+        if (!uploadId) {
+            return Promise.resolve(null);
+        }
+        return jsonRequest('GET', '/api/uploads/' + encodeURIComponent(uploadId)).then(function(result) {
+            var session = result.data;
+            return session && session.fieldname === fieldname && session.size === file.size ? session : null;
+        }).catch(function() {
+            return null;
         });
     }
 
+    // Upload one file; onProgress receives the bytes of this file that have arrived.
+    // Resolves with the upload id once the server has every chunk.
+    function uploadFile(fieldname, file, onProgress) {
+        var storeKey = uploadStoreKey(fieldname, file);
+
+        return resumeUpload(readUploadStore()[storeKey], fieldname, file).then(function(session) {
+            if (session) {
+                return session;
+            }
+            return withRetry(function() {
+                return jsonRequest('POST', '/api/uploads', {
+                    fieldname: fieldname,
+                    filename: file.name,
+                    size: file.size,
+                    mimetype: file.type
+                });
+            }).then(function(result) {
+                var store = readUploadStore();
+                store[storeKey] = result.data.upload_id;
+                writeUploadStore(store);
+                return result.data;
+            });
+        }).then(function(session) {
+            var url = '/api/uploads/' + encodeURIComponent(session.upload_id);
+            var received = {};
+            var sent = 0;
+            var index = 0;
+
+            session.received.forEach(function(chunkIndex) {
+                received[chunkIndex] = true;
+            });
+
+            function complete() {
+                return withRetry(function() {
+                    return jsonRequest('POST', url + '/complete');
+                }).then(function() {
+                    onProgress(file.size);
+                    return session.upload_id;
+                });
+            }
+
+            // Chunks go one after another; missing ones only
+            function next() {
+                if (session.status === 'COMPLETE' || index >= session.total_chunks) {
+                    return complete();
+                }
+                var chunkIndex = index++;
+                var start = chunkIndex * session.chunk_size;
+                var end = Math.min(start + session.chunk_size, file.size);
+
+                if (received[chunkIndex]) {
+                    sent += end - start;
+                    onProgress(sent);
+                    return next();
+                }
+                return withRetry(function() {
+                    return universalAjax({
+                        url: url + '/chunks/' + chunkIndex,
+                        method: 'PUT',
+                        data: file.slice(start, end),
+                        timeout: 60000,
+                        headers: { 'Content-Type': 'application/octet-stream' },
+                        onProgress: function(percent) {
+                            onProgress(sent + (end - start) * percent / 100);
+                        }
+                    });
+                }).then(function() {
+                    sent += end - start;
+                    onProgress(sent);
+                    return next();
+                });
+            }
+
+            return next();
+        });
+    }
+
+    // Upload every file in turn and report overall progress over all bytes
+    function uploadFiles(files, updateProgress, updateFile) {
+        var totalBytes = files.reduce(function(sum, entry) {
+            return sum + entry.file.size;
+        }, 0) || 1;
+        var doneBytes = 0;
+        var uploadIds = [];
+
+        return files.reduce(function(previous, entry) {
+            return previous.then(function() {
+                updateFile(entry, 'uploading', 0);
+                return uploadFile(entry.fieldname, entry.file, function(bytes) {
+                    updateProgress((doneBytes + bytes) / totalBytes * 100);
+                    updateFile(entry, 'uploading', bytes / entry.file.size * 100);
+                }).then(function(uploadId) {
+                    doneBytes += entry.file.size;
+                    uploadIds.push(uploadId);
+                    updateFile(entry, 'done', 100);
+                });
+            });
+        }, Promise.resolve()).then(function() {
+            return uploadIds;
+        });
+    }
+
+    function forgetUploads(files) {
+        var store = readUploadStore();
+        files.forEach(function(entry) {
+            delete store[uploadStoreKey(entry.fieldname, entry.file)];
+        });
+        writeUploadStore(store);
+    }
+
     // Main form handler
     window.UniversalFormHandler = {
         // Submit registration with chunked upload for large files
@@ -120,6 +368,15 @@
                     submitButton.textContent = 'Mengirim...';
                 }
 
+                // Restore button and settle; no Promise.finally, older Safari lacks it
+                function settle(callback, value) {
+                    if (submitButton) {
+                        submitButton.disabled = false;
+                        submitButton.textContent = originalText;
+                    }
+                    callback(value);
+                }
+
                 // Show progress if callback provided
                 function updateProgress(percent) {
                     if (options.onProgress) {
@@ -138,44 +395,113 @@
                     if (input.files.length > 0) {
                         files.push({
                             input: input,
-                            file: input.files[0]
+                            fieldname: chunkFieldName(form, input),
+                            file: input.files[0],
+                            originalSize: input.files[0].size
                         });
                     }
                 });
 
-                // Process and compress files
-                var compressionPromises = files.map(function(fileObj) {
-                    return compressImage(fileObj.file, 1200, 1200, 0.8).then(function(compressedFile) {
-                        formData.set(fileObj.input.name, compressedFile);
-                    });
+                // Per-file progress: stage is waiting, compressing, uploading or done
+                function updateFile(fileObj, stage, percent) {
+                    fileObj.stage = stage;
+                    fileObj.percent = percent;
+                    if (options.onFileProgress) {
+                        options.onFileProgress(files.map(function(entry) {
+                            return {
+                                fieldname: entry.fieldname,
+                                name: entry.file.name,
+                                originalSize: entry.originalSize,
+                                size: entry.file.size,
+                                stage: entry.stage,
+                                percent: Math.round(entry.percent)
+                            };
+                        }));
+                    }
+                }
+
+                files.forEach(function(fileObj) {
+                    updateFile(fileObj, 'waiting', 0);
                 });
 
-                Promise.all(compressionPromises).then(function() {
-                    // Send the form
-                    return universalAjax({
+                if (!supportsChunkedUpload()) {
+                    // Older browsers send the form as it is in one multipart request
+                    universalAjax({
                         url: '/api/register',
                         method: 'POST',
                         data: formData,
                         timeout: 120000, // 2 minutes
-                        onProgress: updateProgress,
+                        onProgress: function(percent) {
+                            updateProgress(percent);
+                            files.forEach(function(fileObj) {
+                                updateFile(fileObj, 'uploading', percent);
+                            });
+                        },
                         headers: {
                             // Don't set Content-Type for FormData
                         }
+                    }).then(function(result) {
+                        files.forEach(function(fileObj) {
+                            updateFile(fileObj, 'done', 100);
+                        });
+                        settle(resolve, result);
+                    }, function(error) {
+                        settle(reject, error);
+                    });
+                    return;
+                }
+
+                // Process and compress files one after another; decoding several camera
+                // photos at once can run a phone out of memory
+                var compression = files.reduce(function(previous, fileObj) {
+                    return previous.then(function() {
+                        if (!isCompressibleImage(fileObj.file)) {
+                            return;
+                        }
+                        updateFile(fileObj, 'compressing', 0);
+                        var limits = imageLimits(fileObj.input.name);
+                        return compressImage(fileObj.file, limits.maxDimension, limits.quality).then(function(compressedFile) {
+                            fileObj.file = compressedFile;
+                            updateFile(fileObj, 'waiting', 0);
+                        });
+                    });
+                }, Promise.resolve());
+
+                compression.then(function() {
+                    // Upload the files first, then send the registration with their ids
+                    return uploadFiles(files, updateProgress, updateFile).then(function(uploadIds) {
+                        files.forEach(function(fileObj) {
+                            formData.delete(fileObj.input.name);
+                        });
+                        uploadIds.forEach(function(uploadId) {
+                            formData.append('upload_ids[]', uploadId);
+                        });
+                        return universalAjax({
+                            url: '/api/register',
+                            method: 'POST',
+                            data: formData,
+                            timeout: 120000, // 2 minutes
+                            headers: {
+                                // Don't set Content-Type for FormData
+                            }
+                        });
+                    }).then(function(result) {
+                        forgetUploads(files);
+                        return result;
                     });
                 }).then(function(result) {
-                    resolve(result);
-                }).catch(function(error) {
-                    reject(error);
-                }).finally(function() {
-                    // Restore button
-                    if (submitButton) {
-                        submitButton.disabled = false;
-                        submitButton.textContent = originalText;
-                    }
+                    settle(resolve, result);
+                }, function(error) {
+                    settle(reject, error);
                 });
             });
         },
 
+        // Whether submitRegistration will downscale this file before sending it
+        canCompress: function(file) {
+            return isCompressibleImage(file) && supportsImageCompression() && supportsChunkedUpload();
+        },
+
         // Check ticket status
         checkTicket: function(ticket) {
             return universalAjax({
@@ -262,7 +588,8 @@
                 if (input.files.length > 0) {
                     var file = input.files[0];
                     var maxSize = 10 * 1024 * 1024; // 10MB
-                    if (file.size > maxSize) {
+                    // Images are compressed well below the limit before they are sent
+                    if (file.size > maxSize && !window.UniversalFormHandler.canCompress(file)) {
                         errors.push('File ' + file.name + ' terlalu besar. Maksimal 10MB.');
                     }
                 }
@@ -288,7 +615,8 @@
     function setupFormHandlers() {
         // Registration form
         var regForm = document.querySelector('#registrationForm') || document.querySelector('form[action*="register"]');
-        if (regForm) {
+        // Pages with their own submit flow call submitRegistration themselves
+        if (regForm && !regForm.hasAttribute('data-manual-submit')) {
             regForm.addEventListener('submit', function(e) {
                 e.preventDefault();
                 
@@ -313,6 +641,10 @@
                         if (ticketSpan) {
                             ticketSpan.textContent = result.ticket;
                         }
+                        var editTokenSpan = document.getElementById('editToken');
+                        if (editTokenSpan) {
+                            editTokenSpan.textContent = result.edit_token || '-';
+                        }
                         modal.classList.remove('hidden');
                     }
                     
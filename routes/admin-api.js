@@ -0,0 +1,1399 @@
+const express = require("express");
+const rateLimit = require("express-rate-limit");
+const { getConnection } = require("../database/mysql-database-refactored");
+const { approvalWorkflow } = require("../utils/approval-workflow");
+const { adminService, ADMIN_ROLES } = require("../utils/admin-service");
+const { apiKeyService } = require("../utils/api-key-service");
+const { divisionService } = require("../utils/division-service");
+const { selectionPipeline } = require("../utils/selection-pipeline");
+const { interviewService } = require("../utils/interview-service");
+const { rubricService } = require("../utils/rubric-service");
+const { periodService } = require("../utils/period-service");
+const { registrationEditService } = require("../utils/registration-edit-service");
+const { deletionService } = require("../utils/deletion-service");
+const { mergeService } = require("../utils/merge-service");
+const { uploadScanner } = require("../utils/upload-scanner");
+const { ticketService, TICKET_ERRORS } = require("../utils/ticket-service");
+const { botManager } = require("../utils/telegram-refactored");
+const {
+  createSession,
+  destroySession,
+  requireAdminSession,
+  requireRole,
+} = require("../middleware/admin-auth");
+
+const router = express.Router();
+
+const APPLICANT_STATUSES = [
+  "PENDING",
+  "PENDING_TERIMA",
+  "PENDING_TOLAK",
+  "LOLOS",
+  "DITOLAK",
+  "WAITLIST",
+  "WITHDRAWN",
+];
+
+// Brute-force protection for the login form
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: {
+    success: false,
+    message: "Terlalu banyak percobaan login. Silakan coba lagi nanti.",
+    error: "TOO_MANY_ATTEMPTS",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const photoUrl = (filename) =>
+  filename ? `/uploads/photos/${encodeURIComponent(filename)}` : null;
+
+const certificateUrl = (filename) =>
+  filename ? `/uploads/certificates/${encodeURIComponent(filename)}` : null;
+
+const sendServerError = (res, error, context) => {
+  console.error(`❌ ${context}:`, error);
+  res.status(500).json({
+    success: false,
+    message: "Terjadi kesalahan server internal",
+    error: "INTERNAL_SERVER_ERROR",
+  });
+};
+
+// ==================== AUTH ====================
+
+router.post("/login", loginLimiter, async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    const admin = await adminService.authenticate(username, password);
+
+    if (!admin) {
+      console.warn(`⚠️ Failed admin login for "${username}" from ${req.ip}`);
+      return res.status(401).json({
+        success: false,
+        message: "Username atau password salah",
+        error: "INVALID_CREDENTIALS",
+      });
+    }
+
+    const session = await createSession(req, res, admin);
+    console.log(`🔐 Admin logged in: ${admin.name}`);
+
+    res.json({
+      success: true,
+      message: "Login berhasil",
+      admin: { name: admin.name, role: admin.role },
+      expires_at: session.expiresAt,
+    });
+  } catch (error) {
+    sendServerError(res, error, "Admin login error");
+  }
+});
+
+router.post("/logout", async (req, res) => {
+  try {
+    await destroySession(req, res);
+    res.json({ success: true, message: "Logout berhasil" });
+  } catch (error) {
+    sendServerError(res, error, "Admin logout error");
+  }
+});
+
+// Everything below requires a valid admin session
+router.use(requireAdminSession);
+
+// Every :ticket is checked with the shared parser and normalized before the handler runs
+router.param("ticket", async (req, res, next, value) => {
+  try {
+    const result = await ticketService.check(value);
+    if (result.outcome !== "OK") {
+      return res.status(400).json({
+        success: false,
+        message:
+          result.outcome === "BAD_CHECKSUM"
+            ? "Nomor tiket tidak valid, periksa kembali penulisannya"
+            : "Format nomor tiket tidak valid",
+        error: TICKET_ERRORS[result.outcome],
+      });
+    }
+
+    req.params.ticket = result.ticket;
+    next();
+  } catch (error) {
+    sendServerError(res, error, "Ticket check error");
+  }
+});
+
+router.get("/me", (req, res) => {
+  res.json({
+    success: true,
+    admin: {
+      id: req.admin.id,
+      name: req.admin.name,
+      username: req.admin.username,
+      role: req.admin.role,
+      divisions: req.admin.divisions,
+    },
+  });
+});
+
+// Division reviewers only see registrants who chose one of their divisions
+const applyDivisionScope = (admin, where, params) => {
+  if (admin.role !== ADMIN_ROLES.DIVISION_REVIEWER) return where;
+  if (admin.divisions.length === 0) return `${where} AND 1=0`;
+
+  params.push(...admin.divisions);
+  return `${where} AND EXISTS (SELECT 1 FROM divisi ds WHERE ds.user_id = u.id
+          AND ds.nama_divisi IN (${admin.divisions.map(() => "?").join(", ")}))`;
+};
+
+// Same scope for lists that are not built from one users query (queue, interview bookings):
+// keeps the rows whose registrant chose one of the reviewer's divisions
+const filterByDivisionScope = async (admin, rows, userIdOf = (row) => row.id) => {
+  if (admin.role !== ADMIN_ROLES.DIVISION_REVIEWER) return rows;
+  if (admin.divisions.length === 0 || rows.length === 0) return [];
+
+  const userIds = [...new Set(rows.map(userIdOf))];
+  const connection = await getConnection();
+  try {
+    const [allowed] = await connection.execute(
+      `SELECT DISTINCT user_id FROM divisi
+       WHERE user_id IN (${userIds.map(() => "?").join(", ")})
+         AND nama_divisi IN (${admin.divisions.map(() => "?").join(", ")})`,
+      [...userIds, ...admin.divisions]
+    );
+    const allowedIds = new Set(allowed.map((row) => row.user_id));
+    return rows.filter((row) => allowedIds.has(userIdOf(row)));
+  } finally {
+    connection.release();
+  }
+};
+
+const sendForbidden = (res) =>
+  res.status(403).json({
+    success: false,
+    message: "Anda tidak memiliki akses ke pendaftar ini",
+    error: "FORBIDDEN",
+  });
+
+const sendPeriodNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: "Periode rekrutmen tidak ditemukan",
+    error: "PERIOD_NOT_FOUND",
+  });
+
+// ?period=<slug|year|id> picks a past recruitment period; the active one by default
+const resolvePeriodQuery = async (req, res) => {
+  const period = await periodService.resolve(req.query.period);
+  if (!period) sendPeriodNotFound(res);
+  return period;
+};
+
+// ==================== APPLICANTS ====================
+
+// Paginated applicant table of one recruitment period with optional status filter and search
+router.get("/applicants", async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const offset = (page - 1) * limit;
+    const { status, search } = req.query;
+
+    const period = await resolvePeriodQuery(req, res);
+    if (!period) return;
+
+    let where = "WHERE u.period_id = ? AND u.deleted_at IS NULL";
+    const params = [period.id];
+
+    if (status) {
+      if (!APPLICANT_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Status tidak valid. Pilihan: ${APPLICANT_STATUSES.join(", ")}`,
+          error: "INVALID_STATUS",
+        });
+      }
+      where += " AND u.status = ?";
+      params.push(status);
+    }
+
+    if (search && search.trim()) {
+      const keyword = `%${search.trim()}%`;
+      where += ` AND (u.nama_lengkap LIKE ? OR u.nama_panggilan LIKE ?
+                 OR u.ticket LIKE ? OR u.kelas LIKE ? OR u.jurusan LIKE ?)`;
+      params.push(keyword, keyword, keyword, keyword, keyword);
+    }
+
+    where = applyDivisionScope(req.admin, where, params);
+
+    const connection = await getConnection();
+    try {
+      const [countRows] = await connection.execute(
+        `SELECT COUNT(*) as total FROM users u ${where}`,
+        params
+      );
+
+      const [rows] = await connection.execute(
+        `SELECT u.id, u.ticket, u.status, u.nama_lengkap, u.nama_panggilan,
+                u.kelas, u.jurusan, u.nomor_telepon, u.created_at, u.updated_at,
+                GROUP_CONCAT(DISTINCT d.nama_divisi ORDER BY d.id SEPARATOR ', ') as divisi_list
+         FROM users u
+         LEFT JOIN divisi d ON u.id = d.user_id
+         ${where}
+         GROUP BY u.id
+         ORDER BY u.created_at DESC
+         LIMIT ${limit} OFFSET ${offset}`,
+        params
+      );
+
+      const total = countRows[0].total;
+
+      res.json({
+        success: true,
+        period: { id: period.id, slug: period.slug, name: period.name },
+        data: rows,
+        pagination: {
+          page,
+          limit,
+          total,
+          total_pages: Math.max(Math.ceil(total / limit), 1),
+        },
+      });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    sendServerError(res, error, "Admin applicant list error");
+  }
+});
+
+// users columns the applicant detail returns; edit_token_hash never leaves the server
+const APPLICANT_COLUMNS = [
+  "id",
+  "ticket",
+  "status",
+  "nama_lengkap",
+  "nama_panggilan",
+  "kelas",
+  "jurusan",
+  "tempat_lahir",
+  "tanggal_lahir",
+  "jenis_kelamin",
+  "agama",
+  "nomor_telepon",
+  "email",
+  "alamat",
+  "hobi",
+  "motto",
+  "foto_path",
+  "foto_mime",
+  "motivasi",
+  "placed_division",
+  "waitlisted_at",
+  "current_stage",
+  "period_id",
+  "created_at",
+  "updated_at",
+  "created_by",
+  "updated_by",
+].join(", ");
+
+// Full applicant detail with photo and certificate links
+router.get("/applicants/:ticket", async (req, res) => {
+  try {
+    const connection = await getConnection();
+    try {
+      const [users] = await connection.execute(
+        `SELECT ${APPLICANT_COLUMNS} FROM users WHERE ticket = ? AND deleted_at IS NULL`,
+        [req.params.ticket]
+      );
+
+      if (users.length === 0) {
+        // A ticket retired by a merge leads to the registration it was merged into
+        const redirect = await ticketService.findRedirect(req.params.ticket);
+        if (redirect) {
+          return res.redirect(301, `${req.baseUrl}/applicants/${encodeURIComponent(redirect)}`);
+        }
+        return res.status(404).json({
+          success: false,
+          message: "Nomor tiket tidak ditemukan",
+          error: "NOT_FOUND",
+        });
+      }
+
+      const user = users[0];
+
+      if (
+        req.admin.role === ADMIN_ROLES.DIVISION_REVIEWER &&
+        !(await adminService.canReviewUser(connection, req.admin, user.id))
+      ) {
+        return sendForbidden(res);
+      }
+
+      const [organisasi] = await connection.execute(
+        "SELECT * FROM organisasi WHERE user_id = ? ORDER BY id",
+        [user.id]
+      );
+      const [prestasi] = await connection.execute(
+        "SELECT * FROM prestasi WHERE user_id = ? ORDER BY id",
+        [user.id]
+      );
+      const [divisi] = await connection.execute(
+        "SELECT * FROM divisi WHERE user_id = ? ORDER BY priority, id",
+        [user.id]
+      );
+      const [logs] = await connection.execute(
+        `SELECT action, previous_status, new_status, reason, admin_name, created_at
+         FROM admin_logs WHERE user_id = ? ORDER BY created_at DESC LIMIT 20`,
+        [user.id]
+      );
+      const stage = await selectionPipeline.getProgress(connection, user);
+      const interview = await interviewService.getBooking(connection, user.id);
+      const scores = await rubricService.getApplicantScores(connection, user.id);
+      const revisions = await registrationEditService.getRevisions(connection, user.id);
+      // Not downloadable here; quarantined files are only handled on the server
+      const quarantined = await uploadScanner.getQuarantined(connection, user.id);
+
+      res.json({
+        success: true,
+        data: {
+          ...user,
+          photo_url: photoUrl(user.foto_path),
+          organisasi: organisasi.map((org) => ({
+            ...org,
+            sertifikat_url: certificateUrl(org.sertifikat_path),
+          })),
+          prestasi: prestasi.map((prest) => ({
+            ...prest,
+            sertifikat_url: certificateUrl(prest.sertifikat_path),
+          })),
+          divisi,
+          stage,
+          interview,
+          scores,
+          history: logs,
+          revisions,
+          quarantined_files: quarantined,
+          needs_review: quarantined.length > 0,
+        },
+      });
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    sendServerError(res, error, "Admin applicant detail error");
+  }
+});
+
+// Shared response for accept/reject outcomes
+const sendQueueResult = (res, result, ticket) => {
+  switch (result.outcome) {
+    case "NOT_FOUND":
+      return res.status(404).json({
+        success: false,
+        message: "Nomor tiket tidak ditemukan",
+        error: "NOT_FOUND",
+      });
+    case "FORBIDDEN":
+      return sendForbidden(res);
+    case "WITHDRAWN":
+      return res.status(409).json({
+        success: false,
+        message: "Pendaftar sudah mengundurkan diri",
+        error: "WITHDRAWN",
+        status: result.user.status,
+      });
+    case "ALREADY_QUEUED":
+      return res.status(409).json({
+        success: false,
+        message: "Pendaftar sudah berada di antrian dengan keputusan yang sama",
+        error: "ALREADY_QUEUED",
+        status: result.user.status,
+      });
+    case "ALREADY_FINAL":
+      return res.status(409).json({
+        success: false,
+        message: "Status pendaftar sudah final dengan keputusan yang sama",
+        error: "ALREADY_FINAL",
+        status: result.user.status,
+      });
+    default:
+      return res.json({
+        success: true,
+        message: result.quotaFull
+          ? "Pendaftar ditambahkan ke antrian, tetapi kuota semua divisi pilihannya sudah penuh. Saat Push pendaftar akan masuk waitlist."
+          : "Pendaftar ditambahkan ke antrian. Gunakan Push untuk memfinalisasi.",
+        ticket,
+        previous_status: result.previousStatus,
+        status: result.newStatus,
+        changed_from_final: result.changedFromFinal,
+        quota_full: Boolean(result.quotaFull),
+      });
+  }
+};
+
+const canDecide = requireRole(
+  ADMIN_ROLES.SUPERADMIN,
+  ADMIN_ROLES.DIVISION_REVIEWER
+);
+
+router.post("/applicants/:ticket/accept", canDecide, async (req, res) => {
+  try {
+    const result = await approvalWorkflow.markForAcceptance(
+      req.params.ticket,
+      req.admin
+    );
+    sendQueueResult(res, result, req.params.ticket);
+  } catch (error) {
+    sendServerError(res, error, "Admin accept error");
+  }
+});
+
+router.post("/applicants/:ticket/reject", canDecide, async (req, res) => {
+  try {
+    const result = await approvalWorkflow.markForRejection(
+      req.params.ticket,
+      req.body && req.body.reason,
+      req.admin
+    );
+    sendQueueResult(res, result, req.params.ticket);
+  } catch (error) {
+    sendServerError(res, error, "Admin reject error");
+  }
+});
+
+// Shared response for stage transitions
+const sendStageResult = (res, result, ticket) => {
+  switch (result.outcome) {
+    case "NOT_FOUND":
+      return res.status(404).json({
+        success: false,
+        message: "Nomor tiket tidak ditemukan",
+        error: "NOT_FOUND",
+      });
+    case "FORBIDDEN":
+      return sendForbidden(res);
+    case "ALREADY_FINAL":
+      return res.status(409).json({
+        success: false,
+        message: "Status pendaftar sudah final, tahap tidak dapat diubah",
+        error: "ALREADY_FINAL",
+        status: result.user.status,
+      });
+    case "LAST_STAGE":
+      return res.status(409).json({
+        success: false,
+        message: "Pendaftar sudah berada di tahap terakhir. Gunakan terima/tolak lalu Push.",
+        error: "LAST_STAGE",
+      });
+    case "UNKNOWN_STAGE":
+      return res.status(400).json({
+        success: false,
+        message: "Tahap tidak ditemukan atau tidak aktif",
+        error: "UNKNOWN_STAGE",
+      });
+    case "SAME_STAGE":
+      return res.status(409).json({
+        success: false,
+        message: "Pendaftar sudah berada di tahap tersebut",
+        error: "SAME_STAGE",
+      });
+    default:
+      return res.json({
+        success: true,
+        message: `Pendaftar dipindahkan ke tahap ${result.to.name}`,
+        ticket,
+        from: result.from ? result.from.slug : null,
+        stage: result.to.slug,
+        is_last_stage: result.isLastStage,
+      });
+  }
+};
+
+router.post("/applicants/:ticket/advance", canDecide, async (req, res) => {
+  try {
+    const result = await selectionPipeline.advance(
+      req.params.ticket,
+      req.body && req.body.notes,
+      req.admin
+    );
+    sendStageResult(res, result, req.params.ticket);
+  } catch (error) {
+    sendServerError(res, error, "Admin advance stage error");
+  }
+});
+
+router.post("/applicants/:ticket/stage", canDecide, async (req, res) => {
+  try {
+    const { stage, notes } = req.body || {};
+    const result = await selectionPipeline.moveTo(
+      req.params.ticket,
+      stage,
+      notes,
+      req.admin
+    );
+    sendStageResult(res, result, req.params.ticket);
+  } catch (error) {
+    sendServerError(res, error, "Admin move stage error");
+  }
+});
+
+// ==================== QUEUE & PUSH ====================
+
+router.get("/queue", async (req, res) => {
+  try {
+    const { pendingAccepts, pendingRejects } = await approvalWorkflow.getQueue();
+    const summarize = (user) => ({
+      ticket: user.ticket,
+      nama_lengkap: user.nama_lengkap,
+      kelas: user.kelas,
+      jurusan: user.jurusan,
+      updated_at: user.updated_at,
+      rejection_reason: user.rejection_reason,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        accept: (await filterByDivisionScope(req.admin, pendingAccepts)).map(summarize),
+        reject: (await filterByDivisionScope(req.admin, pendingRejects)).map(summarize),
+      },
+    });
+  } catch (error) {
+    sendServerError(res, error, "Admin queue error");
+  }
+});
+
+router.post("/push", requireRole(ADMIN_ROLES.SUPERADMIN), async (req, res) => {
+  try {
+    const result = await approvalWorkflow.processPush(req.admin);
+
+    // Keep the Telegram group informed about pushes made from the dashboard
+    if (result.total > 0 && botManager.isInitialized && process.env.TELEGRAM_CHAT_ID) {
+      setImmediate(async () => {
+        try {
+          await botManager.sendPushSummary(process.env.TELEGRAM_CHAT_ID, result);
+        } catch (notifyError) {
+          console.error("❌ Push summary notification failed:", notifyError.message);
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message:
+        result.total > 0
+          ? `Push selesai: ${result.accepted.length} diterima, ${result.rejected.length} ditolak, ` +
+            `${result.waitlisted.length} masuk waitlist (kuota penuh), ${result.promoted.length} naik dari waitlist`
+          : "Tidak ada antrian untuk diproses",
+      accepted: result.accepted.map((user) => user.ticket),
+      rejected: result.rejected.map((user) => user.ticket),
+      waitlisted: result.waitlisted.map((user) => user.ticket),
+      promoted: result.promoted.map((user) => user.ticket),
+      total: result.total,
+    });
+  } catch (error) {
+    sendServerError(res, error, "Admin push error");
+  }
+});
+
+// ==================== DELETION & RESTORE (superadmin) ====================
+
+const sendApplicantNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: "Nomor tiket tidak ditemukan",
+    error: "NOT_FOUND",
+  });
+
+// Deleted registrations that can still be restored, with the date they will be purged
+router.get("/deleted", requireRole(ADMIN_ROLES.SUPERADMIN), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      retention_days: await deletionService.getRetentionDays(),
+      data: await deletionService.getDeleted(),
+    });
+  } catch (error) {
+    sendServerError(res, error, "Deleted applicant list error");
+  }
+});
+
+// Soft delete: hidden everywhere, restorable until the retention window ends
+router.delete("/applicants/:ticket", requireRole(ADMIN_ROLES.SUPERADMIN), async (req, res) => {
+  try {
+    const result = await deletionService.softDelete(req.params.ticket, req.admin);
+
+    if (result.outcome === "NOT_FOUND") return sendApplicantNotFound(res);
+    if (result.outcome === "ALREADY_DELETED") {
+      return res.status(409).json({
+        success: false,
+        message: "Pendaftar sudah dihapus",
+        error: "ALREADY_DELETED",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Pendaftar dihapus. Data dapat dipulihkan sampai ${result.purgeAfter.toLocaleDateString("id-ID")}.`,
+      ticket: req.params.ticket,
+      purge_after: result.purgeAfter,
+    });
+  } catch (error) {
+    sendServerError(res, error, "Admin delete error");
+  }
+});
+
+router.post("/applicants/:ticket/restore", requireRole(ADMIN_ROLES.SUPERADMIN), async (req, res) => {
+  try {
+    const result = await deletionService.restore(req.params.ticket, req.admin);
+
+    if (result.outcome === "NOT_FOUND") return sendApplicantNotFound(res);
+    if (result.outcome === "NOT_DELETED") {
+      return res.status(409).json({
+        success: false,
+        message: "Pendaftar tidak dalam keadaan terhapus",
+        error: "NOT_DELETED",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Pendaftar berhasil dipulihkan",
+      ticket: req.params.ticket,
+      status: result.user.status,
+    });
+  } catch (error) {
+    sendServerError(res, error, "Admin restore error");
+  }
+});
+
+// New self-service edit token (same as /tokenedit); the previous token stops working
+router.post("/applicants/:ticket/edit-token", requireRole(ADMIN_ROLES.SUPERADMIN), async (req, res) => {
+  try {
+    const result = await registrationEditService.reissueToken(req.params.ticket);
+
+    if (result.outcome === "NOT_FOUND") return sendApplicantNotFound(res);
+    if (result.outcome === "FINAL") {
+      return res.status(409).json({
+        success: false,
+        message: `Pendaftaran sudah final (status: ${result.user.status}). Kode edit tidak diperlukan lagi.`,
+        error: "FINAL",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Kode edit baru dibuat. Kirimkan hanya kepada pendaftar yang bersangkutan.",
+      ticket: req.params.ticket,
+      edit_token: result.token,
+    });
+  } catch (error) {
+    sendServerError(res, error, "Admin edit token error");
+  }
+});
+
+// Merge a duplicate registration (drop_ticket) into this one; take_from_drop lists profile
+// fields whose value should come from the dropped registration when both have one.
+// dry_run returns the same result without changing anything.
+router.post("/applicants/:ticket/merge", requireRole(ADMIN_ROLES.SUPERADMIN), async (req, res) => {
+  try {
+    const {
+      drop_ticket: dropTicket,
+      take_from_drop: takeFromDrop = [],
+      dry_run: dryRun = false,
+    } = req.body || {};
+
+    // Both tickets go through the same parser, so SAME_TICKET and the lookups compare
+    // normalized tickets whatever casing or separators were sent
+    const keepCheck = await ticketService.check(req.params.ticket);
+    if (keepCheck.outcome !== "OK") {
+      return res.status(400).json({
+        success: false,
+        message: "Nomor tiket yang dipertahankan tidak valid",
+        error: TICKET_ERRORS[keepCheck.outcome],
+      });
+    }
+    const dropCheck = await ticketService.check(dropTicket);
+    if (dropCheck.outcome !== "OK") {
+      return res.status(400).json({
+        success: false,
+        message: "Nomor tiket yang digabung tidak valid",
+        error: TICKET_ERRORS[dropCheck.outcome],
+      });
+    }
+    if (!Array.isArray(takeFromDrop)) {
+      return res.status(400).json({
+        success: false,
+        message: "take_from_drop harus berupa daftar nama field",
+        error: "VALIDATION_ERROR",
+      });
+    }
+
+    const result = await mergeService.merge(keepCheck.ticket, dropCheck.ticket, req.admin, {
+      takeFromDrop,
+      dryRun: dryRun === true,
+    });
+
+    if (result.outcome === "NOT_FOUND") {
+      return res.status(404).json({
+        success: false,
+        message: `Nomor tiket ${result.ticket} tidak ditemukan`,
+        error: "NOT_FOUND",
+        ticket: result.ticket,
+      });
+    }
+    if (result.outcome === "SAME_TICKET") {
+      return res.status(400).json({
+        success: false,
+        message: "Tiket yang dipertahankan dan yang digabung tidak boleh sama",
+        error: "SAME_TICKET",
+      });
+    }
+    if (result.outcome === "INVALID_FIELDS") {
+      return res.status(400).json({
+        success: false,
+        message: `Field tidak dikenal: ${result.invalid.join(", ")}`,
+        error: "INVALID_FIELDS",
+        invalid: result.invalid,
+      });
+    }
+    if (result.outcome === "DIFFERENT_PERIOD") {
+      return res.status(409).json({
+        success: false,
+        message: "Kedua pendaftar berasal dari periode rekrutmen yang berbeda",
+        error: "DIFFERENT_PERIOD",
+      });
+    }
+
+    res.json({
+      success: true,
+      message:
+        result.outcome === "PREVIEW"
+          ? `Pratinjau: ${result.drop.ticket} akan digabung ke ${result.keep.ticket}`
+          : `${result.drop.ticket} digabung ke ${result.keep.ticket}`,
+      dry_run: result.outcome === "PREVIEW",
+      ticket: result.keep.ticket,
+      retired_ticket: result.drop.ticket,
+      fields: result.fields.map(({ field, conflict, source, value }) => ({
+        field,
+        conflict,
+        source,
+        value,
+      })),
+      moved: result.moved,
+      removed_files: result.removedFiles,
+      promoted: result.promoted.map((user) => user.ticket),
+    });
+  } catch (error) {
+    sendServerError(res, error, "Admin merge error");
+  }
+});
+
+// ==================== ADMIN ACCOUNTS (superadmin) ====================
+
+const sendValidationErrors = (res, errors) =>
+  res.status(400).json({
+    success: false,
+    message: errors.join(". "),
+    error: "VALIDATION_ERROR",
+    errors,
+  });
+
+const sendDuplicateAdmin = (res) =>
+  res.status(409).json({
+    success: false,
+    message: "Username atau Telegram user ID sudah digunakan admin lain",
+    error: "DUPLICATE_ADMIN",
+  });
+
+router.get("/admins", requireRole(ADMIN_ROLES.SUPERADMIN), async (req, res) => {
+  try {
+    res.json({ success: true, data: await adminService.listAdmins() });
+  } catch (error) {
+    sendServerError(res, error, "Admin list error");
+  }
+});
+
+router.post("/admins", requireRole(ADMIN_ROLES.SUPERADMIN), async (req, res) => {
+  try {
+    const input = req.body || {};
+    const errors = await adminService.validateAdminInput(input);
+    if (errors.length > 0) return sendValidationErrors(res, errors);
+
+    const id = await adminService.createAdmin(input);
+    console.log(`👤 Admin account created: ${input.username} (${input.role || ADMIN_ROLES.VIEWER}) by ${req.admin.name}`);
+
+    res.status(201).json({
+      success: true,
+      message: "Akun admin berhasil dibuat",
+      id,
+    });
+  } catch (error) {
+    if (error.code === "ER_DUP_ENTRY") return sendDuplicateAdmin(res);
+    sendServerError(res, error, "Admin create error");
+  }
+});
+
+router.patch("/admins/:id", requireRole(ADMIN_ROLES.SUPERADMIN), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const input = { ...(req.body || {}) };
+    delete input.username; // usernames are immutable
+
+    const errors = await adminService.validateAdminInput(input, true);
+    if (errors.length > 0) return sendValidationErrors(res, errors);
+
+    // Prevent the last line of defence from locking itself out
+    if (
+      id === req.admin.id &&
+      ((input.role && input.role !== ADMIN_ROLES.SUPERADMIN) ||
+        (input.is_active !== undefined && !input.is_active))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Tidak dapat menurunkan role atau menonaktifkan akun sendiri",
+        error: "SELF_LOCKOUT",
+      });
+    }
+
+    const updated = await adminService.updateAdmin(id, input);
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        message: "Akun admin tidak ditemukan",
+        error: "NOT_FOUND",
+      });
+    }
+
+    console.log(`👤 Admin account ${id} updated by ${req.admin.name}`);
+    res.json({ success: true, message: "Akun admin berhasil diperbarui" });
+  } catch (error) {
+    if (error.code === "ER_DUP_ENTRY") return sendDuplicateAdmin(res);
+    sendServerError(res, error, "Admin update error");
+  }
+});
+
+// ==================== DIVISIONS ====================
+
+const sendDuplicateDivision = (res) =>
+  res.status(409).json({
+    success: false,
+    message: "Slug atau nama divisi sudah digunakan",
+    error: "DUPLICATE_DIVISION",
+  });
+
+router.get("/divisions", async (req, res) => {
+  try {
+    const period = await resolvePeriodQuery(req, res);
+    if (!period) return;
+
+    res.json({ success: true, data: await divisionService.getDivisionSummary(period.id) });
+  } catch (error) {
+    sendServerError(res, error, "Division list error");
+  }
+});
+
+router.post("/divisions", requireRole(ADMIN_ROLES.SUPERADMIN), async (req, res) => {
+  try {
+    const input = req.body || {};
+    const errors = divisionService.validateInput(input);
+    if (errors.length > 0) return sendValidationErrors(res, errors);
+
+    const id = await divisionService.createDivision(input);
+    console.log(`🎯 Division created: ${input.display_name} (${input.slug}) by ${req.admin.name}`);
+
+    res.status(201).json({
+      success: true,
+      message: "Divisi berhasil dibuat",
+      id,
+    });
+  } catch (error) {
+    if (error.code === "ER_DUP_ENTRY") return sendDuplicateDivision(res);
+    sendServerError(res, error, "Division create error");
+  }
+});
+
+router.patch("/divisions/:id", requireRole(ADMIN_ROLES.SUPERADMIN), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const input = { ...(req.body || {}) };
+    delete input.slug; // slugs are the form field keys and stay fixed
+
+    const errors = divisionService.validateInput(input, true);
+    if (errors.length > 0) return sendValidationErrors(res, errors);
+
+    const updated = await divisionService.updateDivision(id, input);
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        message: "Divisi tidak ditemukan",
+        error: "NOT_FOUND",
+      });
+    }
+
+    console.log(`🎯 Division ${id} updated by ${req.admin.name}`);
+
+    // A raised or removed quota may open seats for waitlisted applicants
+    const promoted =
+      input.quota !== undefined
+        ? await approvalWorkflow.promoteWaitlisted(req.admin)
+        : [];
+    if (promoted.length > 0) {
+      console.log(`⬆️ ${promoted.length} applicant(s) promoted from waitlist after division ${id} update`);
+    }
+
+    res.json({
+      success: true,
+      message:
+        promoted.length > 0
+          ? `Divisi berhasil diperbarui. ${promoted.length} pendaftar naik dari waitlist.`
+          : "Divisi berhasil diperbarui",
+      promoted: promoted.map((user) => user.ticket),
+    });
+  } catch (error) {
+    if (error.code === "ER_DUP_ENTRY") return sendDuplicateDivision(res);
+    sendServerError(res, error, "Division update error");
+  }
+});
+
+// ==================== RECRUITMENT PERIODS ====================
+
+const sendDuplicatePeriod = (res) =>
+  res.status(409).json({
+    success: false,
+    message: "Slug periode sudah digunakan",
+    error: "DUPLICATE_PERIOD",
+  });
+
+router.get("/periods", async (req, res) => {
+  try {
+    res.json({ success: true, data: await periodService.getPeriods() });
+  } catch (error) {
+    sendServerError(res, error, "Period list error");
+  }
+});
+
+router.post("/periods", requireRole(ADMIN_ROLES.SUPERADMIN), async (req, res) => {
+  try {
+    const input = req.body || {};
+    const errors = periodService.validateInput(input);
+    if (errors.length > 0) return sendValidationErrors(res, errors);
+
+    const id = await periodService.createPeriod(input);
+    console.log(`📆 Recruitment period ${input.year} created by ${req.admin.name}`);
+
+    res.status(201).json({
+      success: true,
+      message: "Periode rekrutmen berhasil dibuat. Aktifkan untuk mulai menerima pendaftar.",
+      id,
+    });
+  } catch (error) {
+    if (error.code === "ER_DUP_ENTRY") return sendDuplicatePeriod(res);
+    sendServerError(res, error, "Period create error");
+  }
+});
+
+// Switch the active period: new registrations, stats, exports and listings follow it
+router.post("/periods/:id/activate", requireRole(ADMIN_ROLES.SUPERADMIN), async (req, res) => {
+  try {
+    const result = await periodService.activate(parseInt(req.params.id));
+
+    if (result.outcome === "NOT_FOUND") return sendPeriodNotFound(res);
+    if (result.outcome === "ALREADY_ACTIVE") {
+      return res.json({ success: true, message: `${result.period.name} sudah aktif` });
+    }
+
+    console.log(`📆 Recruitment period ${result.period.slug} activated by ${req.admin.name}`);
+    res.json({ success: true, message: `${result.period.name} sekarang aktif` });
+  } catch (error) {
+    sendServerError(res, error, "Period activate error");
+  }
+});
+
+// ==================== SELECTION STAGES ====================
+
+const sendDuplicateStage = (res) =>
+  res.status(409).json({
+    success: false,
+    message: "Slug tahap sudah digunakan",
+    error: "DUPLICATE_STAGE",
+  });
+
+router.get("/stages", async (req, res) => {
+  try {
+    res.json({ success: true, data: await selectionPipeline.getStageSummary() });
+  } catch (error) {
+    sendServerError(res, error, "Stage list error");
+  }
+});
+
+router.post("/stages", requireRole(ADMIN_ROLES.SUPERADMIN), async (req, res) => {
+  try {
+    const input = req.body || {};
+    const errors = selectionPipeline.validateInput(input);
+    if (errors.length > 0) return sendValidationErrors(res, errors);
+
+    const id = await selectionPipeline.createStage(input);
+    console.log(`🧭 Stage created: ${input.name} (${input.slug}) by ${req.admin.name}`);
+
+    res.status(201).json({
+      success: true,
+      message: "Tahap berhasil dibuat",
+      id,
+    });
+  } catch (error) {
+    if (error.code === "ER_DUP_ENTRY") return sendDuplicateStage(res);
+    sendServerError(res, error, "Stage create error");
+  }
+});
+
+router.patch("/stages/:id", requireRole(ADMIN_ROLES.SUPERADMIN), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const input = { ...(req.body || {}) };
+    delete input.slug; // applicants reference stages by slug
+
+    const errors = selectionPipeline.validateInput(input, true);
+    if (errors.length > 0) return sendValidationErrors(res, errors);
+
+    const updated = await selectionPipeline.updateStage(id, input);
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        message: "Tahap tidak ditemukan",
+        error: "NOT_FOUND",
+      });
+    }
+
+    console.log(`🧭 Stage ${id} updated by ${req.admin.name}`);
+    res.json({ success: true, message: "Tahap berhasil diperbarui" });
+  } catch (error) {
+    sendServerError(res, error, "Stage update error");
+  }
+});
+
+// ==================== RUBRICS & SCORES ====================
+
+router.get("/rubrics", async (req, res) => {
+  try {
+    res.json({ success: true, data: await rubricService.listRubrics() });
+  } catch (error) {
+    sendServerError(res, error, "Rubric list error");
+  }
+});
+
+const sendDuplicateCriterion = (res) =>
+  res.status(409).json({
+    success: false,
+    message: "Slug kriteria sudah digunakan di divisi ini",
+    error: "DUPLICATE_CRITERION",
+  });
+
+router.post(
+  "/divisions/:id/criteria",
+  requireRole(ADMIN_ROLES.SUPERADMIN),
+  async (req, res) => {
+    try {
+      const input = req.body || {};
+      const errors = rubricService.validateCriterionInput(input);
+      if (errors.length > 0) return sendValidationErrors(res, errors);
+
+      const id = await rubricService.createCriterion(parseInt(req.params.id), input);
+      if (!id) {
+        return res.status(404).json({
+          success: false,
+          message: "Divisi tidak ditemukan",
+          error: "NOT_FOUND",
+        });
+      }
+
+      console.log(`📐 Rubric criterion ${input.slug} added to division ${req.params.id} by ${req.admin.name}`);
+      res.status(201).json({
+        success: true,
+        message: "Kriteria penilaian berhasil dibuat",
+        id,
+      });
+    } catch (error) {
+      if (error.code === "ER_DUP_ENTRY") return sendDuplicateCriterion(res);
+      sendServerError(res, error, "Rubric criterion create error");
+    }
+  }
+);
+
+router.patch("/criteria/:id", requireRole(ADMIN_ROLES.SUPERADMIN), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const input = { ...(req.body || {}) };
+    delete input.slug; // interviewers refer to criteria by slug
+
+    const errors = rubricService.validateCriterionInput(input, true);
+    if (errors.length > 0) return sendValidationErrors(res, errors);
+
+    const updated = await rubricService.updateCriterion(id, input);
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        message: "Kriteria tidak ditemukan",
+        error: "NOT_FOUND",
+      });
+    }
+
+    console.log(`📐 Rubric criterion ${id} updated by ${req.admin.name}`);
+    res.json({ success: true, message: "Kriteria penilaian berhasil diperbarui" });
+  } catch (error) {
+    sendServerError(res, error, "Rubric criterion update error");
+  }
+});
+
+// Submit the logged-in admin's scores: { division, scores: { kriteria: skor }, notes }
+router.post("/applicants/:ticket/scores", canDecide, async (req, res) => {
+  try {
+    const { division, scores, notes } = req.body || {};
+    const result = await rubricService.submitScores(
+      req.params.ticket,
+      division,
+      scores,
+      notes,
+      req.admin
+    );
+
+    switch (result.outcome) {
+      case "NOT_FOUND":
+        return res.status(404).json({
+          success: false,
+          message: "Nomor tiket tidak ditemukan",
+          error: "NOT_FOUND",
+        });
+      case "UNKNOWN_DIVISION":
+        return sendValidationErrors(res, ["Divisi tidak ditemukan"]);
+      case "NOT_CHOSEN":
+        return sendValidationErrors(res, ["Pendaftar tidak memilih divisi ini"]);
+      case "FORBIDDEN":
+        return sendForbidden(res);
+      case "NO_RUBRIC":
+        return res.status(409).json({
+          success: false,
+          message: "Divisi ini belum memiliki kriteria penilaian",
+          error: "NO_RUBRIC",
+        });
+      case "INVALID_SCORES":
+        return sendValidationErrors(res, result.errors);
+    }
+
+    console.log(`🏅 Scores for ${req.params.ticket} (${result.division.display_name}) submitted by ${req.admin.name}`);
+    res.json({
+      success: true,
+      message: `Nilai tersimpan. Skor tertimbang ${result.total.score}/100`,
+      total: result.total,
+    });
+  } catch (error) {
+    sendServerError(res, error, "Score submit error");
+  }
+});
+
+router.get("/rankings/:division", async (req, res) => {
+  try {
+    const period = await resolvePeriodQuery(req, res);
+    if (!period) return;
+
+    const ranking = await rubricService.getRanking(req.params.division, period.id);
+    if (!ranking) {
+      return res.status(404).json({
+        success: false,
+        message: "Divisi tidak ditemukan",
+        error: "NOT_FOUND",
+      });
+    }
+    if (
+      req.admin.role === ADMIN_ROLES.DIVISION_REVIEWER &&
+      !req.admin.divisions.includes(ranking.division.display_name)
+    ) {
+      return sendForbidden(res);
+    }
+
+    res.json({
+      success: true,
+      division: ranking.division.display_name,
+      quota: ranking.division.quota,
+      data: ranking.applicants,
+    });
+  } catch (error) {
+    sendServerError(res, error, "Ranking error");
+  }
+});
+
+// ==================== INTERVIEW SLOTS ====================
+
+const sendSlotNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: "Jadwal wawancara tidak ditemukan",
+    error: "NOT_FOUND",
+  });
+
+// Slots with booked applicants; ?date=YYYY-MM-DD limits the list to one day (WIB)
+router.get("/interview-slots", async (req, res) => {
+  try {
+    let range = {};
+    if (req.query.date) {
+      range = interviewService.getDayRange(req.query.date);
+      if (!range) return sendValidationErrors(res, ["Format tanggal harus YYYY-MM-DD"]);
+    }
+
+    // Slots are shared by every division; reviewers only see who booked from their divisions
+    const slots = await interviewService.listSlots({ ...range, withBookings: true });
+    const visible = new Set(
+      await filterByDivisionScope(
+        req.admin,
+        slots.flatMap((slot) => slot.bookings),
+        (booking) => booking.user_id
+      )
+    );
+
+    res.json({
+      success: true,
+      data: slots.map((slot) => ({
+        ...slot,
+        bookings: slot.bookings.filter((booking) => visible.has(booking)),
+      })),
+    });
+  } catch (error) {
+    sendServerError(res, error, "Interview slot list error");
+  }
+});
+
+router.post("/interview-slots", requireRole(ADMIN_ROLES.SUPERADMIN), async (req, res) => {
+  try {
+    const input = req.body || {};
+    const errors = interviewService.validateInput(input);
+    if (errors.length > 0) return sendValidationErrors(res, errors);
+
+    const id = await interviewService.createSlot(input, req.admin.name);
+    console.log(`📅 Interview slot ${id} created (${input.starts_at}) by ${req.admin.name}`);
+
+    res.status(201).json({
+      success: true,
+      message: "Jadwal wawancara berhasil dibuat",
+      id,
+    });
+  } catch (error) {
+    sendServerError(res, error, "Interview slot create error");
+  }
+});
+
+router.patch("/interview-slots/:id", requireRole(ADMIN_ROLES.SUPERADMIN), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const input = req.body || {};
+    const errors = interviewService.validateInput(input, true);
+    if (errors.length > 0) return sendValidationErrors(res, errors);
+
+    const result = await interviewService.updateSlot(id, input);
+    if (result.outcome === "NOT_FOUND") return sendSlotNotFound(res);
+    if (result.outcome === "CAPACITY_BELOW_BOOKED") {
+      return res.status(409).json({
+        success: false,
+        message: `Kapasitas tidak boleh kurang dari ${result.booked} pendaftar yang sudah memesan`,
+        error: "CAPACITY_BELOW_BOOKED",
+      });
+    }
+
+    console.log(`📅 Interview slot ${id} updated by ${req.admin.name}`);
+    res.json({ success: true, message: "Jadwal wawancara berhasil diperbarui" });
+  } catch (error) {
+    sendServerError(res, error, "Interview slot update error");
+  }
+});
+
+router.delete("/interview-slots/:id", requireRole(ADMIN_ROLES.SUPERADMIN), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const result = await interviewService.deleteSlot(id);
+    if (result.outcome === "NOT_FOUND") return sendSlotNotFound(res);
+    if (result.outcome === "HAS_BOOKINGS") {
+      return res.status(409).json({
+        success: false,
+        message: `Jadwal sudah dipesan ${result.booked} pendaftar. Nonaktifkan jadwal alih-alih menghapusnya.`,
+        error: "HAS_BOOKINGS",
+      });
+    }
+
+    console.log(`📅 Interview slot ${id} deleted by ${req.admin.name}`);
+    res.json({ success: true, message: "Jadwal wawancara berhasil dihapus" });
+  } catch (error) {
+    sendServerError(res, error, "Interview slot delete error");
+  }
+});
+
+// ==================== API KEYS (superadmin) ====================
+
+router.get("/api-keys", requireRole(ADMIN_ROLES.SUPERADMIN), async (req, res) => {
+  try {
+    res.json({ success: true, data: await apiKeyService.listKeys() });
+  } catch (error) {
+    sendServerError(res, error, "API key list error");
+  }
+});
+
+router.post("/api-keys", requireRole(ADMIN_ROLES.SUPERADMIN), async (req, res) => {
+  try {
+    const { name, scopes, expires_in_days } = req.body || {};
+    const errors = apiKeyService.validateScopes(scopes);
+    if (!name || !String(name).trim()) errors.unshift("Nama API key wajib diisi");
+    if (errors.length > 0) return sendValidationErrors(res, errors);
+
+    const key = await apiKeyService.createKey({
+      name: String(name).trim().substring(0, 100),
+      scopes,
+      expiresInDays: expires_in_days,
+      createdBy: req.admin.name,
+    });
+    console.log(`🔑 API key created: ${name} [${scopes.join(", ")}] by ${req.admin.name}`);
+
+    res.status(201).json({
+      success: true,
+      message: "API key berhasil dibuat. Simpan key ini, key tidak akan ditampilkan lagi.",
+      id: key.id,
+      key: key.rawKey,
+      prefix: key.prefix,
+      expires_at: key.expiresAt,
+    });
+  } catch (error) {
+    sendServerError(res, error, "API key create error");
+  }
+});
+
+router.delete("/api-keys/:id", requireRole(ADMIN_ROLES.SUPERADMIN), async (req, res) => {
+  try {
+    const revoked = await apiKeyService.revokeKey(parseInt(req.params.id));
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: "API key tidak ditemukan atau sudah dicabut",
+        error: "NOT_FOUND",
+      });
+    }
+
+    console.log(`🔑 API key ${req.params.id} revoked by ${req.admin.name}`);
+    res.json({ success: true, message: "API key berhasil dicabut" });
+  } catch (error) {
+    sendServerError(res, error, "API key revoke error");
+  }
+});
+
+router.get("/api-keys/:id/logs", requireRole(ADMIN_ROLES.SUPERADMIN), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await apiKeyService.getAccessLogs(parseInt(req.params.id), req.query.limit),
+    });
+  } catch (error) {
+    sendServerError(res, error, "API key log error");
+  }
+});
+
+module.exports = router;
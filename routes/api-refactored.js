@@ -1,11 +1,34 @@
 const express = require("express");
 const multer = require("multer");
+const rateLimit = require("express-rate-limit");
 const path = require("path");
 const fs = require("fs-extra");
 const { validationResult } = require("express-validator");
 const QRCode = require("qrcode");
 const { getConnection } = require("../database/mysql-database-refactored");
-const { sendTelegramNotification } = require("../utils/telegram-refactored");
+const {
+  sendTelegramNotification,
+  sendEditNotification,
+  sendWithdrawalNotification,
+} = require("../utils/telegram-refactored");
+const {
+  registrationWindow,
+  REGISTRATION_STATES,
+} = require("../utils/registration-window");
+const { divisionService } = require("../utils/division-service");
+const { selectionPipeline } = require("../utils/selection-pipeline");
+const { interviewService } = require("../utils/interview-service");
+const { ticketService } = require("../utils/ticket-service");
+const { periodService } = require("../utils/period-service");
+const { registrationEditService } = require("../utils/registration-edit-service");
+const { approvalWorkflow } = require("../utils/approval-workflow");
+const { STAGING_DIR, uploadKey } = require("../utils/upload-gc");
+const { storage } = require("../utils/storage");
+const { duplicateDetector } = require("../utils/duplicate-detector");
+const { photoProcessor } = require("../utils/photo-processor");
+const { fileTypeVerifier } = require("../utils/file-type-verifier");
+const { uploadScanner } = require("../utils/upload-scanner");
+const { chunkedUploadService } = require("../utils/chunked-upload");
 const {
   validateRegistration,
   validateTicketCheck,
@@ -15,90 +38,62 @@ const {
 
 const router = express.Router();
 
-// Define allowed division names to match database ENUM values
-const ALLOWED_DIVISIONS = [
-  "Keagamaan",
-  "Kedisiplinan", 
-  "Bakat Minat",
-  "Jurnalistik",
-  "Media Jaringan",
-  "Sekretaris",
-];
-
-// Mapping from form values to database values
-const DIVISION_MAPPING = {
-  'keagamaan': 'Keagamaan',
-  'kedisiplinan': 'Kedisiplinan',
-  'bakat_minat': 'Bakat Minat',
-  'jurnalistik': 'Jurnalistik',
-  'media_jaringan': 'Media Jaringan',
-  'sekretaris': 'Sekretaris',
-  'bendahara': 'Sekretaris', // Map bendahara to Sekretaris since bendahara is not in DB
-  // Add proper case versions as well for backwards compatibility
-  'Keagamaan': 'Keagamaan',
-  'Kedisiplinan': 'Kedisiplinan',
-  'Bakat Minat': 'Bakat Minat',
-  'Jurnalistik': 'Jurnalistik',
-  'Media Jaringan': 'Media Jaringan',
-  'Sekretaris': 'Sekretaris',
-};
-
 // Enhanced file upload configuration
+// Uploads are written to staging/ and only moved into storage under their category
+// by commitUploads(), inside the database transaction that references them
 class FileUploadManager {
   constructor() {
     this.storage = this.createStorage();
     this.upload = this.createUploadHandler();
   }
 
+  // Determine upload category (storage prefix, see upload-gc) based on fieldname
+  getTargetDir(fieldname) {
+    if (fieldname === "foto" || fieldname === "foto_thumbnail") return "photos";
+    if (fieldname.includes("sertifikat")) return "certificates";
+    return "others";
+  }
+
   createStorage() {
     return multer.diskStorage({
       destination: async (req, file, cb) => {
-        let uploadDir;
-
-        // Determine upload directory based on fieldname
-        if (file.fieldname === "foto") {
-          uploadDir = path.join(__dirname, "..", "uploads", "photos");
-        } else if (file.fieldname.includes("sertifikat")) {
-          uploadDir = path.join(__dirname, "..", "uploads", "certificates");
-        } else {
-          uploadDir = path.join(__dirname, "..", "uploads", "others");
-        }
-
         // Ensure directory exists
         try {
-          await fs.ensureDir(uploadDir);
-          cb(null, uploadDir);
+          await fs.ensureDir(STAGING_DIR);
+          cb(null, STAGING_DIR);
         } catch (error) {
-          console.error(`Error creating directory ${uploadDir}:`, error);
+          console.error(`Error creating directory ${STAGING_DIR}:`, error);
           cb(error);
         }
       },
 
       filename: (req, file, cb) => {
-        // Create descriptive filename with type prefix
-        let prefix = "file";
-        if (file.fieldname === "foto") {
-          prefix = "photo";
-        } else if (file.fieldname.includes("prestasi_sertifikat")) {
-          prefix = "cert-prestasi";
-        } else if (file.fieldname.includes("organisasi_sertifikat")) {
-          prefix = "cert-organisasi";
-        }
-
-        // Generate unique filename with timestamp and random number
-        const timestamp = Date.now();
-        const randomNum = Math.round(Math.random() * 1e9);
-        const extension = path.extname(file.originalname);
-        const uniqueName = `${prefix}-${timestamp}-${randomNum}${extension}`;
-
-        console.log(
-          `📁 Generated filename: ${uniqueName} for field: ${file.fieldname}`
-        );
-        cb(null, uniqueName);
+        cb(null, this.generateFilename(file.fieldname, file.originalname));
       },
     });
   }
 
+  // Create descriptive filename with type prefix; also names files assembled from chunks
+  generateFilename(fieldname, originalname) {
+    let prefix = "file";
+    if (fieldname === "foto") {
+      prefix = "photo";
+    } else if (fieldname.includes("prestasi_sertifikat")) {
+      prefix = "cert-prestasi";
+    } else if (fieldname.includes("organisasi_sertifikat")) {
+      prefix = "cert-organisasi";
+    }
+
+    // Generate unique filename with timestamp and random number
+    const timestamp = Date.now();
+    const randomNum = Math.round(Math.random() * 1e9);
+    const extension = path.extname(originalname);
+    const uniqueName = `${prefix}-${timestamp}-${randomNum}${extension}`;
+
+    console.log(`📁 Generated filename: ${uniqueName} for field: ${fieldname}`);
+    return uniqueName;
+  }
+
   createUploadHandler() {
     return multer({
       storage: this.storage,
@@ -167,6 +162,45 @@ class FileUploadManager {
       },
     });
   }
+
+  // Re-encode staged photos (see photo-processor). The thumbnail is added to files, so
+  // commitUploads() moves it with the photo and discardUploads() removes it with the photo.
+  async normalizePhotos(files) {
+    for (const file of [...(files || [])]) {
+      if (file.fieldname !== "foto") continue;
+      const result = await photoProcessor.normalize(file.path);
+      console.log(
+        `🖼️ Photo normalized: ${file.filename} (${file.size} bytes) -> ${result.filename} (${result.size} bytes)`
+      );
+      Object.assign(file, {
+        filename: result.filename,
+        path: result.path,
+        size: result.size,
+        mimetype: "image/jpeg",
+      });
+      files.push({
+        fieldname: "foto_thumbnail",
+        originalname: result.thumbnail,
+        filename: result.thumbnail,
+        destination: file.destination,
+        path: result.thumbnailPath,
+        size: result.thumbnailSize,
+        mimetype: "image/jpeg",
+      });
+    }
+  }
+
+  // Move staged files into storage. file.storageKey records where a file went, so
+  // discardUploads() still finds it when the transaction fails after the move, and a
+  // retried save (ticket collision) skips files that were already moved.
+  async commitUploads(files) {
+    for (const file of files || []) {
+      if (file.storageKey) continue; // already committed, or quarantined
+      const key = uploadKey(this.getTargetDir(file.fieldname), file.filename);
+      await storage.upload(key, file.path, { move: true, contentType: file.mimetype });
+      file.storageKey = key;
+    }
+  }
 }
 
 // Enhanced registration processor
@@ -175,14 +209,6 @@ class RegistrationProcessor {
     this.fileManager = new FileUploadManager();
   }
 
-  // Generate unique ticket
-  generateTicket() {
-    const year = new Date().getFullYear().toString().substr(-2);
-    const id = Math.floor(Math.random() * 900000) + 100000; // 6 digit number
-    const suffix = String.fromCharCode(65 + Math.floor(Math.random() * 26)); // Random letter
-    return `OSIS${year}-${id.toString().padStart(6, "0")}-${suffix}`;
-  }
-
   // Generate QR code for WhatsApp group
   async generateQRCode(data) {
     try {
@@ -216,6 +242,10 @@ class RegistrationProcessor {
       foto: null,
       organisasi_sertifikat: {},
       prestasi_sertifikat: {},
+      // Verified content type per stored filename
+      mimetypes: {},
+      // Certificates the upload scanner quarantined, kept out of everything above
+      quarantined: [],
     };
 
     if (!files || files.length === 0) {
@@ -225,8 +255,17 @@ class RegistrationProcessor {
 
     for (const file of files) {
       console.log(`📄 Processing file: ${file.fieldname} -> ${file.filename}`);
-
-      if (file.fieldname === "foto") {
+      uploadedFiles.mimetypes[file.filename] = file.mimetype;
+
+      if (file.quarantine) {
+        uploadedFiles.quarantined.push({
+          fieldname: file.fieldname,
+          filename: file.filename,
+          originalname: file.originalname,
+          ...file.quarantine,
+        });
+        console.warn(`🛡️ Quarantined upload left out: ${file.fieldname} -> ${file.filename}`);
+      } else if (file.fieldname === "foto") {
         uploadedFiles.foto = file.filename;
         console.log(`✅ Photo processed: ${file.filename}`);
       } else if (file.fieldname.includes("organisasi_sertifikat")) {
@@ -257,7 +296,7 @@ class RegistrationProcessor {
   }
 
   // Process form data with validation
-  processFormData(body) {
+  async processFormData(body) {
     const processed = { ...body };
 
     // Process array fields
@@ -268,63 +307,41 @@ class RegistrationProcessor {
     processed.prestasi_tingkat = this.ensureArray(body.prestasi_tingkat);
     processed.prestasi_tahun = this.ensureArray(body.prestasi_tahun);
 
-    // Process divisi with validation and mapping
+    // Resolve divisi form values (slugs) against the divisions table
     const rawDivisi = this.ensureArray(body.divisi);
-    
-    // Map form values to database values
-    processed.divisi = rawDivisi.map(div => {
-      const mappedDiv = DIVISION_MAPPING[div];
-      if (!mappedDiv) {
-        console.warn(`⚠️ Unknown division value from form: ${div}`);
-        return div; // Return original if no mapping found
-      }
-      console.log(`✅ Division mapped: ${div} → ${mappedDiv}`);
-      return mappedDiv;
-    });
-    
-    // Debug: Log all reason fields in the form data
-    console.log('🔍 DEBUG: Checking reason fields in form data:');
-    for (const key in body) {
-      if (key.startsWith('alasan_')) {
-        console.log(`  ${key}: ${body[key]}`);
-      }
-    }
-    
-    // Validate mapped division names against allowed values
-    const invalidDivisions = processed.divisi.filter(div => !ALLOWED_DIVISIONS.includes(div));
+    const resolved = await Promise.all(
+      rawDivisi.map((value) => divisionService.resolve(value, { activeOnly: true }))
+    );
+
+    const invalidDivisions = rawDivisi.filter((value, index) => !resolved[index]);
     if (invalidDivisions.length > 0) {
-      console.error(`❌ Invalid divisions after mapping: ${invalidDivisions.join(', ')}`);
-      console.error(`📝 Original form values: ${rawDivisi.join(', ')}`);
-      throw new Error(`Divisi tidak valid: ${invalidDivisions.join(', ')}. Pilihan yang tersedia: ${ALLOWED_DIVISIONS.join(', ')}`);
+      const available = await divisionService.getActiveNames();
+      console.error(`❌ Invalid divisions from form: ${invalidDivisions.join(', ')}`);
+      throw new Error(`Divisi tidak valid: ${invalidDivisions.join(', ')}. Pilihan yang tersedia: ${available.join(', ')}`);
+    }
+
+    // Reasons are submitted as alasan_<slug>; keep them keyed by display name from here on
+    processed.divisi = [];
+    processed.divisi_alasan = {};
+    for (const division of resolved) {
+      if (processed.divisi.includes(division.display_name)) continue;
+      processed.divisi.push(division.display_name);
+      processed.divisi_alasan[division.display_name] = body[`alasan_${division.slug}`] || "";
+      console.log(`✅ Division resolved: ${division.slug} → ${division.display_name}`);
     }
 
     return processed;
   }
 
-  // Original duplicate check logic is commented out as per user's request for more lenient logic.
-  // If a specific duplicate check is needed, please specify the fields.
-  /*
-  async checkDuplicateRegistration(nama_lengkap, tanggal_lahir) {
-    const connection = await getConnection();
-    try {
-      const [existingUsers] = await connection.execute(
-        "SELECT id, nama_lengkap, tanggal_lahir FROM users WHERE LOWER(nama_lengkap) = LOWER(?) AND tanggal_lahir = ?",
-        [nama_lengkap, tanggal_lahir]
-      );
-
-      if (existingUsers.length > 0) {
-        throw new Error(
-          "Nama dan tanggal lahir sudah terdaftar dalam sistem. Harap menghubungi narahubung untuk informasi lebih lanjut."
-        );
-      }
-    } finally {
-      connection.release();
-    }
+  // Duplicate rules (phone, name + birth date, similar name in the class) are configurable
+  // in system_settings, see utils/duplicate-detector.js
+  async checkDuplicateRegistration(userData) {
+    return duplicateDetector.check(userData);
   }
-  */
 
-  // Save user data to database
-  async saveUserData(userData, uploadedFiles, ticket) {
+  // Save user data to database in one transaction; stagedFiles (multer's req.files) are
+  // moved out of staging just before the commit
+  async saveUserData(userData, uploadedFiles, ticket, stagedFiles) {
     const connection = await getConnection();
 
     try {
@@ -332,14 +349,15 @@ class RegistrationProcessor {
 
       // Helper function to convert undefined to null
       const safeValue = (value) => (value === undefined ? null : value);
+      const mimeOf = (filename) => (filename ? uploadedFiles.mimetypes[filename] || null : null);
 
       // Insert main user data
       const [userResult] = await connection.execute(
         `INSERT INTO users (
           ticket, nama_lengkap, nama_panggilan, kelas, jurusan, 
           tempat_lahir, tanggal_lahir, alamat, agama, jenis_kelamin,
-          nomor_telepon, hobi, motto, foto_path, motivasi
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          nomor_telepon, hobi, motto, foto_path, foto_mime, motivasi, period_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           ticket,
           safeValue(userData.nama_lengkap),
@@ -355,13 +373,21 @@ class RegistrationProcessor {
           safeValue(userData.hobi),
           safeValue(userData.motto),
           safeValue(uploadedFiles.foto),
+          mimeOf(uploadedFiles.foto),
           safeValue(userData.motivasi),
+          await periodService.getActivePeriodId(),
         ]
       );
 
       const userId = userResult.insertId;
       console.log(`✅ User created with ID: ${userId}`);
 
+      // Every new applicant starts in the first selection stage
+      await selectionPipeline.enterFirstStage(connection, userId);
+
+      // Secret the applicant needs (together with the ticket) to edit the registration later
+      const editToken = await registrationEditService.issueToken(connection, userId);
+
       // Insert organization data
       if (userData.organisasi_nama && userData.organisasi_nama.length > 0) {
         for (let i = 0; i < userData.organisasi_nama.length; i++) {
@@ -375,13 +401,14 @@ class RegistrationProcessor {
               `DEBUG: Organisasi Sertifikat Path for index ${i}: ${sertifikatPath}`
             );
             await connection.execute(
-              "INSERT INTO organisasi (user_id, nama_organisasi, jabatan, tahun, sertifikat_path) VALUES (?, ?, ?, ?, ?)",
+              "INSERT INTO organisasi (user_id, nama_organisasi, jabatan, tahun, sertifikat_path, sertifikat_mime) VALUES (?, ?, ?, ?, ?, ?)",
               [
                 userId,
                 safeValue(userData.organisasi_nama[i]),
                 safeValue(userData.organisasi_jabatan[i] || ""),
                 safeValue(userData.organisasi_tahun[i] || ""),
                 safeValue(sertifikatPath),
+                mimeOf(sertifikatPath),
               ]
             );
             console.log(
@@ -402,13 +429,14 @@ class RegistrationProcessor {
               `DEBUG: Prestasi Sertifikat Path for index ${i}: ${sertifikatPath}`
             );
             await connection.execute(
-              "INSERT INTO prestasi (user_id, nama_prestasi, tingkat, tahun, sertifikat_path) VALUES (?, ?, ?, ?, ?)",
+              "INSERT INTO prestasi (user_id, nama_prestasi, tingkat, tahun, sertifikat_path, sertifikat_mime) VALUES (?, ?, ?, ?, ?, ?)",
               [
                 userId,
                 safeValue(userData.prestasi_nama[i]),
                 safeValue(userData.prestasi_tingkat[i] || ""),
                 safeValue(userData.prestasi_tahun[i] || ""),
                 safeValue(sertifikatPath),
+                mimeOf(sertifikatPath),
               ]
             );
             console.log(
@@ -420,74 +448,34 @@ class RegistrationProcessor {
         }
       }
 
-      // Insert division data with validation
+      // Certificates the scanner held back; the registration is saved and marked for review
+      await uploadScanner.recordQuarantine(connection, userId, uploadedFiles.quarantined);
+
+      // Insert division data. Any failure (e.g. WARN_DATA_TRUNCATED) aborts the whole
+      // registration instead of saving an applicant with some of their choices missing
       if (userData.divisi && userData.divisi.length > 0) {
-        // Create proper reverse mapping to find original form field names
-        // Only map from database values to the actual form field names (lowercase)
-        const reverseDivisionMapping = {
-          'Keagamaan': 'keagamaan',
-          'Kedisiplinan': 'kedisiplinan',
-          'Bakat Minat': 'bakat_minat',
-          'Jurnalistik': 'jurnalistik',
-          'Media Jaringan': 'media_jaringan',
-          'Sekretaris': 'sekretaris'
-        };
-        
-        for (const div of userData.divisi) {
-          // Double-check division validity before database insert
-          if (!ALLOWED_DIVISIONS.includes(div)) {
-            console.warn(`⚠️ Skipping invalid division: ${div}`);
-            continue;
-          }
-          
-          // Use original form field name for reason field
-          const originalFieldName = reverseDivisionMapping[div] || div.toLowerCase().replace(/\s+/g, '_');
-          const alasanField = `alasan_${originalFieldName}`;
-          const alasan = userData[alasanField];
-          
-          console.log(`🔍 DEBUG: Processing division ${div}`);
-          console.log(`  Original field name: ${originalFieldName}`);
-          console.log(`  Looking for reason field: ${alasanField}`);
-          console.log(`  Reason value: ${alasan || 'NOT FOUND'}`);
-          
-          if (alasan && alasan.trim()) {
-            try {
-              await connection.execute(
-                "INSERT INTO divisi (user_id, nama_divisi, alasan) VALUES (?, ?, ?)",
-                [userId, safeValue(div), safeValue(alasan)]
-              );
-              console.log(`✅ Division ${div} saved with reason: ${alasan.substring(0, 50)}...`);
-            } catch (divError) {
-              console.error(`❌ Error saving division ${div}:`, divError);
-              // Continue with other divisions instead of failing completely
-              if (divError.code === 'WARN_DATA_TRUNCATED') {
-                console.warn(`⚠️ Division ${div} truncated, skipping...`);
-              } else {
-                throw divError; // Re-throw other types of errors
-              }
-            }
-          } else {
+        // Form order is the applicant's preference; quota placement tries priority 1 first
+        for (const [index, div] of userData.divisi.entries()) {
+          const alasan = userData.divisi_alasan[div];
+          if (!alasan || !alasan.trim()) {
             console.warn(`⚠️ No reason found for division ${div}, saving without reason`);
-            try {
-              await connection.execute(
-                "INSERT INTO divisi (user_id, nama_divisi, alasan) VALUES (?, ?, ?)",
-                [userId, safeValue(div), safeValue('')]
-              );
-              console.log(`✅ Division ${div} saved without reason`);
-            } catch (divError) {
-              console.error(`❌ Error saving division ${div} without reason:`, divError);
-              if (divError.code !== 'WARN_DATA_TRUNCATED') {
-                throw divError;
-              }
-            }
           }
+
+          await connection.execute(
+            "INSERT INTO divisi (user_id, nama_divisi, alasan, priority) VALUES (?, ?, ?, ?)",
+            [userId, safeValue(div), safeValue(alasan || ""), index + 1]
+          );
+          console.log(`✅ Division ${div} saved`);
         }
       }
 
+      // Last step before commit: a failed move rolls the registration back as well
+      await this.fileManager.commitUploads(stagedFiles);
+
       await connection.commit();
       console.log("✅ All data committed successfully");
 
-      return userId;
+      return { userId, editToken };
     } catch (error) {
       await connection.rollback();
       console.error("❌ Database error, rolling back:", error);
@@ -545,29 +533,17 @@ class RegistrationProcessor {
       ticket: ticket,
       status: "PENDING",
       created_at: new Date(),
+
+      // Registrations matched by "flag" duplicate rules
+      suspected_duplicates: userData.suspected_duplicates || [],
+
+      // Certificates withheld from the group by the upload scanner
+      quarantined_files: uploadedFiles.quarantined,
     };
 
     // Add division reasons
     if (userData.divisi) {
-      // Create proper reverse mapping to find original form field names
-      // Only map from database values to the actual form field names (lowercase)
-      const reverseDivisionMapping = {
-        'Keagamaan': 'keagamaan',
-        'Kedisiplinan': 'kedisiplinan',
-        'Bakat Minat': 'bakat_minat',
-        'Jurnalistik': 'jurnalistik',
-        'Media Jaringan': 'media_jaringan',
-        'Sekretaris': 'sekretaris'
-      };
-      
-      userData.divisi.forEach((div) => {
-        // Use original form field name for reason field
-        const originalFieldName = reverseDivisionMapping[div] || div.toLowerCase().replace(/\s+/g, '_');
-        const alasanField = `alasan_${originalFieldName}`;
-        if (userData[alasanField]) {
-          telegramData[alasanField] = userData[alasanField];
-        }
-      });
+      telegramData.divisi_alasan = userData.divisi_alasan;
     }
 
     return telegramData;
@@ -587,75 +563,393 @@ router.get("/", (req, res) => {
   });
 });
 
-// Enhanced registration endpoint
-router.post(
-  "/register",
-  processor.fileManager.upload.any(),
+// Reject registrations outside the configured window before any file is uploaded
+const requireRegistrationOpen = async (req, res, next) => {
+  try {
+    const status = await registrationWindow.getStatus();
+    if (status.open) return next();
 
-  // Enhanced multer error handling with Busboy stream errors
-  (err, req, res, next) => {
-    if (err instanceof multer.MulterError) {
-      console.error("❌ Multer error:", err);
-      let message = "Error upload file";
-
-      switch (err.code) {
-        case "LIMIT_FILE_SIZE":
-          message = `File terlalu besar. Maksimal ${
-            process.env.MAX_FILE_SIZE_MB || "50"
-          }MB per file.`;
-          break;
-        case "LIMIT_FILE_COUNT":
-          message = `Terlalu banyak file. Maksimal ${
-            process.env.MAX_FILES_PER_REQUEST || "20"
-          } file.`;
-          break;
-        case "LIMIT_UNEXPECTED_FILE":
-          message = "Format file tidak didukung atau field tidak valid.";
-          break;
-        case "LIMIT_FIELD_COUNT":
-          message = "Terlalu banyak field dalam form.";
-          break;
-        case "LIMIT_FIELD_KEY":
-          message = "Nama field terlalu panjang.";
-          break;
-        case "LIMIT_FIELD_VALUE":
-          message = "Nilai field terlalu panjang.";
-          break;
-        default:
-          message = `Upload error: ${err.code}`;
-      }
+    const notYetOpen = status.state === REGISTRATION_STATES.NOT_YET_OPEN;
+    console.warn(`⛔ Registration rejected: ${status.state}`);
+
+    return res.status(403).json({
+      success: false,
+      message: notYetOpen
+        ? "Pendaftaran belum dibuka. Silakan kembali sesuai jadwal."
+        : "Pendaftaran sudah ditutup.",
+      error: notYetOpen ? "REGISTRATION_NOT_OPEN" : "REGISTRATION_CLOSED",
+      registration: status,
+    });
+  } catch (error) {
+    console.error("❌ Registration window check error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Terjadi kesalahan server internal",
+      error: "INTERNAL_SERVER_ERROR",
+    });
+  }
+};
+
+// Public registration window status (used by register.html for countdown/banner)
+router.get("/registration-status", async (req, res) => {
+  try {
+    res.json({ success: true, data: await registrationWindow.getStatus() });
+  } catch (error) {
+    console.error("❌ Registration status error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Terjadi kesalahan server internal",
+      error: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+// Active divisions for the registration form
+router.get("/divisions", async (req, res) => {
+  try {
+    const divisions = await divisionService.getDivisions({ activeOnly: true });
+    res.json({
+      success: true,
+      data: divisions.map((div) => ({
+        slug: div.slug,
+        display_name: div.display_name,
+        description: div.description,
+        quota: div.quota,
+      })),
+    });
+  } catch (error) {
+    console.error("❌ Divisions list error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Terjadi kesalahan server internal",
+      error: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+// Uploads of a failed request are not referenced anywhere
+const discardUploads = async (files) => {
+  for (const file of files || []) {
+    if (file.storageKey) await storage.remove(file.storageKey).catch(() => {});
+    else await fs.remove(file.path).catch(() => {});
+  }
+};
+
+// Whichever path answered with an error (validation, missing photo, database failure),
+// the request's uploads are removed once the response is sent - staged or already moved
+const discardUploadsOnFailure = (req, res, next) => {
+  res.on("finish", () => {
+    if (res.statusCode >= 400) discardUploads(req.files);
+  });
+  next();
+};
+
+// fileFilter only saw names and claimed mimetypes; the content decides once files are staged
+const verifyUploadTypes = async (req, res, next) => {
+  try {
+    const result = await fileTypeVerifier.verify(req.files);
+    if (result.outcome === "OK") return next();
 
+    const { file } = result;
+    console.warn(
+      `⚠️ Upload rejected (${result.outcome}): ${file.fieldname} ${file.originalname}, content ${result.detected || "unknown"}`
+    );
+    if (result.outcome === "CONTENT_MISMATCH") {
       return res.status(400).json({
         success: false,
-        message: message,
-        error: err.code,
+        message: `Isi file ${file.originalname} tidak sesuai dengan jenis filenya`,
+        error: "FILE_CONTENT_MISMATCH",
       });
     }
-    // Handle Busboy stream errors
-    else if (
-      err &&
-      (err.message?.includes("storageErrors") || err.name === "Error")
-    ) {
-      console.error("❌ Busboy/Stream error:", err);
+    return res.status(400).json({
+      success: false,
+      message: `File ${file.originalname} tidak diizinkan untuk ${result.field}. Jenis yang diizinkan: ${fileTypeVerifier.describeTypes(result.allowed)}`,
+      error: "FILE_TYPE_NOT_ALLOWED",
+    });
+  } catch (error) {
+    console.error("❌ Upload verification error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Terjadi kesalahan server internal",
+      error: "INTERNAL_SERVER_ERROR",
+    });
+  }
+};
+
+// Certificates are scanned before anything references them; flagged ones are quarantined and
+// the request goes on, so an applicant is never refused because of the scanner
+const scanUploads = async (req, res, next) => {
+  try {
+    await uploadScanner.scanFiles(req.files);
+    next();
+  } catch (error) {
+    console.error("❌ Upload scan error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Terjadi kesalahan server internal",
+      error: "INTERNAL_SERVER_ERROR",
+    });
+  }
+};
+
+// Files uploaded in chunks beforehand (upload_ids[]) are assembled into staging and join
+// req.files, so they get the same checks as multipart uploads and are discarded the same way
+// when the request fails. The uploads themselves are only dropped after a successful
+// registration; a failed one can be submitted again without uploading the files again.
+const attachChunkedUploads = async (req, res, next) => {
+  const ids = processor.ensureArray(req.body.upload_ids);
+  if (ids.length === 0) return next();
+
+  const maxFiles = parseInt(process.env.MAX_FILES_PER_REQUEST || "20");
+  if (ids.length + (req.files || []).length > maxFiles) {
+    return res.status(400).json({
+      success: false,
+      message: `Terlalu banyak file. Maksimal ${maxFiles} file.`,
+      error: "LIMIT_FILE_COUNT",
+    });
+  }
+
+  try {
+    const result = await chunkedUploadService.stage(ids, (fieldname, originalname) =>
+      processor.fileManager.generateFilename(fieldname, originalname)
+    );
+    req.files = [...(req.files || []), ...result.files];
+
+    if (result.outcome !== "STAGED") {
+      console.warn(`⚠️ Chunked upload ${result.id} not usable: ${result.outcome}`);
       return res.status(400).json({
         success: false,
         message:
-          "Terjadi kesalahan dalam pemrosesan file. Pastikan file tidak rusak dan format didukung.",
-        error: "STREAM_ERROR",
-      });
-    } else if (err) {
-      console.error("❌ File upload error:", err);
-      return res.status(400).json({
-        success: false,
-        message: err.message || "Terjadi kesalahan saat upload file",
-        error: "UPLOAD_ERROR",
+          result.outcome === "NOT_FOUND"
+            ? "File yang diunggah sudah kedaluwarsa. Silakan kirim ulang formulir."
+            : "Unggahan file belum selesai. Silakan kirim ulang formulir.",
+        error: result.outcome === "NOT_FOUND" ? "UPLOAD_NOT_FOUND" : "UPLOAD_INCOMPLETE",
+        upload_id: result.id,
       });
     }
+
+    res.on("finish", () => {
+      if (res.statusCode < 400) {
+        chunkedUploadService
+          .consume(ids)
+          .catch((error) => console.error("❌ Chunked upload cleanup error:", error.message));
+      }
+    });
     next();
-  },
+  } catch (error) {
+    console.error("❌ Chunked upload staging error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Terjadi kesalahan server internal",
+      error: "INTERNAL_SERVER_ERROR",
+    });
+  }
+};
+
+// A photo that passed the type check but cannot be decoded is rejected like a wrong file type
+const normalizePhotos = async (req, res, next) => {
+  try {
+    await processor.fileManager.normalizePhotos(req.files);
+    next();
+  } catch (error) {
+    console.error("❌ Photo processing error:", error.message);
+    res.status(400).json({
+      success: false,
+      message: "Foto tidak dapat diproses. Pastikan file adalah gambar JPG, PNG atau WEBP yang valid",
+      error: "INVALID_PHOTO",
+    });
+  }
+};
+
+// Enhanced multer error handling with Busboy stream errors
+const handleUploadErrors = (err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    console.error("❌ Multer error:", err);
+    let message = "Error upload file";
+
+    switch (err.code) {
+      case "LIMIT_FILE_SIZE":
+        message = `File terlalu besar. Maksimal ${
+          process.env.MAX_FILE_SIZE_MB || "50"
+        }MB per file.`;
+        break;
+      case "LIMIT_FILE_COUNT":
+        message = `Terlalu banyak file. Maksimal ${
+          process.env.MAX_FILES_PER_REQUEST || "20"
+        } file.`;
+        break;
+      case "LIMIT_UNEXPECTED_FILE":
+        message = "Format file tidak didukung atau field tidak valid.";
+        break;
+      case "LIMIT_FIELD_COUNT":
+        message = "Terlalu banyak field dalam form.";
+        break;
+      case "LIMIT_FIELD_KEY":
+        message = "Nama field terlalu panjang.";
+        break;
+      case "LIMIT_FIELD_VALUE":
+        message = "Nilai field terlalu panjang.";
+        break;
+      default:
+        message = `Upload error: ${err.code}`;
+    }
+
+    return res.status(400).json({
+      success: false,
+      message: message,
+      error: err.code,
+    });
+  }
+  // Handle Busboy stream errors
+  else if (
+    err &&
+    (err.message?.includes("storageErrors") || err.name === "Error")
+  ) {
+    console.error("❌ Busboy/Stream error:", err);
+    return res.status(400).json({
+      success: false,
+      message:
+        "Terjadi kesalahan dalam pemrosesan file. Pastikan file tidak rusak dan format didukung.",
+      error: "STREAM_ERROR",
+    });
+  } else if (err) {
+    console.error("❌ File upload error:", err);
+    return res.status(400).json({
+      success: false,
+      message: err.message || "Terjadi kesalahan saat upload file",
+      error: "UPLOAD_ERROR",
+    });
+  }
+  next();
+};
+
+// ==================== CHUNKED UPLOADS ====================
+// The registration form uploads its files here first, in chunks it can resend after a
+// disconnect, and then posts /register with upload_ids[] instead of the files
+
+const CHUNKED_UPLOAD_FAILURES = {
+  INVALID_FIELD: [400, "Field upload tidak valid"],
+  INVALID_TYPE: [400, "Jenis file tidak didukung untuk field ini"],
+  INVALID_SIZE: [400, "Ukuran file tidak valid atau terlalu besar"],
+  NOT_FOUND: [404, "Unggahan tidak ditemukan atau sudah kedaluwarsa"],
+  COMPLETE: [409, "Unggahan sudah selesai dan tidak dapat diubah"],
+  INVALID_CHUNK: [400, "Potongan file tidak valid"],
+  INCOMPLETE: [409, "Masih ada potongan file yang belum terkirim"],
+};
+
+const sendChunkedUploadFailure = (res, result) => {
+  const [status, message] = CHUNKED_UPLOAD_FAILURES[result.outcome];
+  const details = {};
+  if (result.outcome === "INVALID_SIZE") details.max_size = result.maxSize;
+  if (result.outcome === "INVALID_CHUNK") details.expected_size = result.expectedSize;
+  if (result.outcome === "INCOMPLETE") details.missing = result.missing;
+  return res.status(status).json({ success: false, message, error: result.outcome, ...details });
+};
+
+const handleChunkedUploadError = (res, error) => {
+  console.error("❌ Chunked upload error:", error);
+  res.status(500).json({
+    success: false,
+    message: "Terjadi kesalahan server internal",
+    error: "INTERNAL_SERVER_ERROR",
+  });
+};
+
+// Per-IP limits so nobody can keep chunks/ full; a whole class behind the school's NAT shares
+// an IP, hence the generous defaults
+const chunkedUploadLimit = (max, windowMs = 15 * 60 * 1000) =>
+  rateLimit({
+    windowMs,
+    max,
+    message: {
+      success: false,
+      message: "Terlalu banyak unggahan. Silakan coba lagi nanti.",
+      error: "TOO_MANY_UPLOADS",
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+  });
+
+const uploadSessionLimiter = chunkedUploadLimit(
+  parseInt(process.env.UPLOAD_SESSION_RATE_LIMIT || "200")
+);
+const uploadChunkLimiter = chunkedUploadLimit(
+  parseInt(process.env.UPLOAD_CHUNK_RATE_LIMIT || "2000")
+);
+
+// Start an upload: { fieldname, filename, size, mimetype }
+router.post("/uploads", uploadSessionLimiter, requireRegistrationOpen, async (req, res) => {
+  try {
+    const result = await chunkedUploadService.create(req.body || {});
+    if (result.outcome !== "CREATED") return sendChunkedUploadFailure(res, result);
+    res.status(201).json({ success: true, data: result.session });
+  } catch (error) {
+    handleChunkedUploadError(res, error);
+  }
+});
+
+// Which chunks arrived, for resuming
+router.get("/uploads/:id", requireRegistrationOpen, async (req, res) => {
+  try {
+    const result = await chunkedUploadService.getStatus(req.params.id);
+    if (result.outcome !== "FOUND") return sendChunkedUploadFailure(res, result);
+    res.json({ success: true, data: result.session });
+  } catch (error) {
+    handleChunkedUploadError(res, error);
+  }
+});
+
+// One chunk as the raw request body
+router.put(
+  "/uploads/:id/chunks/:index",
+  uploadChunkLimiter,
+  requireRegistrationOpen,
+  express.raw({
+    type: () => true,
+    limit: chunkedUploadService.getChunkSize() + 1024,
+  }),
+  async (req, res) => {
+    try {
+      const result = await chunkedUploadService.putChunk(
+        req.params.id,
+        req.params.index,
+        req.body
+      );
+      if (result.outcome !== "STORED") return sendChunkedUploadFailure(res, result);
+      res.json({
+        success: true,
+        data: { received: result.received, total_chunks: result.totalChunks },
+      });
+    } catch (error) {
+      handleChunkedUploadError(res, error);
+    }
+  }
+);
+
+router.post("/uploads/:id/complete", requireRegistrationOpen, async (req, res) => {
+  try {
+    const result = await chunkedUploadService.complete(req.params.id);
+    if (result.outcome !== "COMPLETE") return sendChunkedUploadFailure(res, result);
+    res.json({ success: true, data: result.session });
+  } catch (error) {
+    handleChunkedUploadError(res, error);
+  }
+});
+
+// Enhanced registration endpoint
+router.post(
+  "/register",
+  requireRegistrationOpen,
+  processor.fileManager.upload.any(),
+  handleUploadErrors,
+  discardUploadsOnFailure,
+  attachChunkedUploads,
+  verifyUploadTypes,
 
   validateRegistration,
   handleValidationErrors,
+  scanUploads,
+  normalizePhotos,
 
   async (req, res) => {
     console.log("=== ENHANCED REGISTRATION REQUEST ===");
@@ -669,12 +963,22 @@ router.post(
 
     try {
       // Process form data
-      const userData = processor.processFormData(req.body);
+      const userData = await processor.processFormData(req.body);
       console.log("✅ Form data processed");
 
-      // Duplicate check removed as per user's request for more lenient logic.
-      // If a specific duplicate check is needed, please specify the fields.
-      console.log("⚠️ Duplicate registration check skipped.");
+      // Block rules refuse the registration; flag rules only mark it in the group notification
+      const duplicate = await processor.checkDuplicateRegistration(userData);
+      if (duplicate.outcome === "BLOCKED") {
+        console.warn(`⚠️ Duplicate registration blocked (${duplicate.rule})`);
+        return res.status(409).json({
+          success: false,
+          message: `${duplicate.message} (tiket ${duplicate.existingTicket}). Jika itu pendaftaran Anda, cek status dengan tiket tersebut atau hubungi narahubung.`,
+          error: "DUPLICATE_REGISTRATION",
+          rule: duplicate.rule,
+          existing_ticket: duplicate.existingTicket,
+        });
+      }
+      userData.suspected_duplicates = duplicate.flagged;
 
       // Process uploaded files
       const uploadedFiles = processor.processUploadedFiles(req.files);
@@ -702,16 +1006,27 @@ router.post(
         });
       }
 
-      // Generate ticket
-      const ticket = processor.generateTicket();
-      console.log(`🎫 Generated ticket: ${ticket}`);
+      // Generate ticket and save; a ticket taken by a concurrent registration gets a fresh one
+      let ticket;
+      let userId;
+      let editToken;
+      for (let attempt = 1; ; attempt++) {
+        ticket = await ticketService.generate();
+        console.log(`🎫 Generated ticket: ${ticket}`);
 
-      // Save to database
-      const userId = await processor.saveUserData(
-        userData,
-        uploadedFiles,
-        ticket
-      );
+        try {
+          ({ userId, editToken } = await processor.saveUserData(
+            userData,
+            uploadedFiles,
+            ticket,
+            req.files
+          ));
+          break;
+        } catch (saveError) {
+          if (!ticketService.isTicketCollision(saveError) || attempt >= 3) throw saveError;
+          console.warn(`⚠️ Ticket ${ticket} was taken concurrently, retrying`);
+        }
+      }
       console.log(`✅ User saved with ID: ${userId}`);
 
       // Send Telegram notification (non-blocking)
@@ -755,6 +1070,7 @@ router.post(
         success: true,
         message: "Pendaftaran berhasil! Nomor tiket Anda telah dibuat.",
         ticket: ticket,
+        edit_token: editToken,
         user_id: userId,
         files_uploaded: {
           photo: !!uploadedFiles.foto,
@@ -769,12 +1085,13 @@ router.post(
     } catch (error) {
       console.error("❌ Registration error:", error);
 
-      // Handle specific errors
-      if (error.message.includes("sudah terdaftar")) {
-        return res.status(400).json({
+      // Same phone number saved by a concurrent registration, or held by a deleted one
+      if (error.code === "ER_DUP_ENTRY" && /phone/i.test(error.message)) {
+        return res.status(409).json({
           success: false,
-          message: error.message,
-          error: "DUPLICATE_NAME",
+          message: "Nomor telepon ini sudah terdaftar pada periode ini. Hubungi narahubung jika Anda belum pernah mendaftar.",
+          error: "DUPLICATE_REGISTRATION",
+          rule: "phone",
         });
       }
 
@@ -791,7 +1108,7 @@ router.post(
       if (error.code === 'WARN_DATA_TRUNCATED' && error.message.includes('nama_divisi')) {
         return res.status(400).json({
           success: false,
-          message: `Nama divisi tidak valid. Pilihan yang tersedia: ${ALLOWED_DIVISIONS.join(', ')}`,
+          message: `Nama divisi tidak valid. Pilihan yang tersedia: ${(await divisionService.getActiveNames()).join(', ')}`,
           error: "INVALID_DIVISION_ENUM",
         });
       }
@@ -806,9 +1123,23 @@ router.post(
   }
 );
 
+// The ticket page shows the whole profile, so walking ticket numbers has to be slow
+const ticketLookupLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.TICKET_LOOKUP_RATE_LIMIT || "100"),
+  message: {
+    success: false,
+    message: "Terlalu banyak pengecekan tiket. Silakan coba lagi nanti.",
+    error: "TOO_MANY_ATTEMPTS",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Enhanced ticket check endpoint (compatible with hasil.html)
 router.get(
   "/ticket/:ticket",
+  ticketLookupLimiter,
   validateTicketCheck,
   handleValidationErrors,
   async (req, res) => {
@@ -829,13 +1160,18 @@ router.get(
           LEFT JOIN organisasi o ON u.id = o.user_id
           LEFT JOIN prestasi p ON u.id = p.user_id  
           LEFT JOIN divisi d ON u.id = d.user_id
-          WHERE u.ticket = ?
+          WHERE u.ticket = ? AND u.deleted_at IS NULL
           GROUP BY u.id
         `,
           [ticket]
         );
 
         if (users.length === 0) {
+          // A ticket retired by a merge leads to the registration it was merged into
+          const redirect = await ticketService.findRedirect(ticket);
+          if (redirect) {
+            return res.redirect(301, `${req.baseUrl}/ticket/${encodeURIComponent(redirect)}`);
+          }
           return res.status(404).json({
             success: false,
             message: "Nomor tiket tidak ditemukan",
@@ -855,6 +1191,8 @@ router.get(
               ? "approved"
               : user.status === "DITOLAK" || user.status === "PENDING_TOLAK"
               ? "rejected"
+              : user.status === "WITHDRAWN"
+              ? "withdrawn"
               : "pending",
           // Map field names for frontend compatibility
           nama: user.nama_lengkap, // Frontend expects 'nama'
@@ -878,10 +1216,28 @@ router.get(
                 nama_divisi: nama.trim(),
               }))
             : [],
+          placed_division: user.placed_division || null,
+          // Applicants may still fix their data with the edit token
+          editable: user.status === "PENDING",
+          withdrawable: !["DITOLAK", "WITHDRAWN"].includes(user.status),
           created_at: user.created_at,
           updated_at: user.updated_at,
         };
 
+        // Selection stage the applicant is in, plus outcomes of stages already reached
+        const progress = await selectionPipeline.getProgress(connection, user);
+        responseData.stage = progress.current;
+        responseData.stage_history = progress.history;
+        responseData.interview = await interviewService.getBooking(connection, user.id);
+
+        // Small photo for the result card; photos from before the pipeline get theirs here
+        const thumbnail = user.foto_path
+          ? await photoProcessor.ensureThumbnail(uploadKey("photos", user.foto_path))
+          : null;
+        responseData.foto_thumbnail_url = thumbnail
+          ? `/uploads/photos/${encodeURIComponent(path.basename(thumbnail))}`
+          : null;
+
         // Add status-specific data
         if (user.status === "LOLOS") {
           // Generate QR code for WhatsApp group if needed
@@ -919,16 +1275,292 @@ router.get("/check/:ticket", (req, res, next) => {
   next("route");
 });
 
+// ==================== SELF-SERVICE EDIT & WITHDRAWAL ====================
+
+// Guessing edit tokens is the obvious attack, so these routes get a tight limit
+const editLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20,
+  message: {
+    success: false,
+    message: "Terlalu banyak percobaan. Silakan coba lagi nanti.",
+    error: "TOO_MANY_ATTEMPTS",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const EDIT_FAILURES = {
+  NOT_FOUND: [404, "Nomor tiket tidak ditemukan"],
+  INVALID_TOKEN: [403, "Kode edit tidak valid"],
+  NOT_EDITABLE: [409, "Data pendaftaran tidak dapat diubah karena sudah diproses panitia"],
+  DUPLICATE_PHONE: [409, "Nomor telepon sudah terdaftar pada periode ini"],
+  NO_CHANGES: [400, "Tidak ada perubahan data"],
+  ALREADY_WITHDRAWN: [409, "Anda sudah mengundurkan diri"],
+  NOT_WITHDRAWABLE: [409, "Pendaftaran yang sudah ditolak tidak dapat dibatalkan"],
+};
+
+const sendEditFailure = (res, outcome) => {
+  const [status, message] = EDIT_FAILURES[outcome];
+  return res.status(status).json({ success: false, message, error: outcome });
+};
+
+// Check ticket + edit token and return the current data for the edit form (hasil.html)
+router.post(
+  "/registration/:ticket/verify",
+  editLimiter,
+  validateTicketCheck,
+  async (req, res) => {
+    try {
+      const result = await registrationEditService.getEditable(
+        req.params.ticket,
+        req.body && req.body.edit_token
+      );
+      if (result.outcome !== "OK") return sendEditFailure(res, result.outcome);
+
+      res.json({ success: true, data: result.data });
+    } catch (error) {
+      console.error("❌ Edit verification error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Terjadi kesalahan server internal",
+        error: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  }
+);
+
+// Save an edit; same multipart fields as /register plus edit_token and the
+// organisasi_id[] / prestasi_id[] of rows whose certificate should be kept
+router.put(
+  "/registration/:ticket",
+  editLimiter,
+  validateTicketCheck,
+  processor.fileManager.upload.any(),
+  handleUploadErrors,
+  discardUploadsOnFailure,
+  verifyUploadTypes,
+  scanUploads,
+  normalizePhotos,
+  async (req, res) => {
+    try {
+      const errors = registrationEditService.validateInput(req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: errors.join(", "),
+          error: "VALIDATION_ERROR",
+          errors,
+        });
+      }
+
+      const uploadedFiles = processor.processUploadedFiles(req.files);
+      const result = await registrationEditService.applyEdit(
+        req.params.ticket,
+        req.body.edit_token,
+        req.body,
+        uploadedFiles,
+        { ip: req.ip, beforeCommit: () => processor.fileManager.commitUploads(req.files) }
+      );
+
+      if (result.outcome !== "UPDATED") return sendEditFailure(res, result.outcome);
+
+      // Let the reviewers know before they look at stale data (non-blocking)
+      setImmediate(async () => {
+        const notified = await sendEditNotification({
+          ticket: result.user.ticket,
+          nama_lengkap: result.user.nama_lengkap,
+          changes: registrationEditService.describeChanges(result.changes),
+          foto_path: uploadedFiles.foto,
+        });
+        if (!notified.success) {
+          console.error("❌ Edit notification failed:", notified.error);
+        }
+      });
+
+      res.json({
+        success: true,
+        message: "Data pendaftaran berhasil diperbarui",
+        changed: Object.keys(result.changes),
+      });
+    } catch (error) {
+      console.error("❌ Registration edit error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Terjadi kesalahan server internal",
+        error: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  }
+);
+
+// Applicant leaves the selection; verified with the same edit token, the record is kept
+router.post(
+  "/ticket/:ticket/withdraw",
+  editLimiter,
+  validateTicketCheck,
+  async (req, res) => {
+    try {
+      const result = await approvalWorkflow.withdraw(
+        req.params.ticket,
+        req.body && req.body.edit_token,
+        req.body && req.body.reason
+      );
+      if (result.outcome !== "WITHDRAWN") return sendEditFailure(res, result.outcome);
+
+      setImmediate(async () => {
+        const notified = await sendWithdrawalNotification(result);
+        if (!notified.success) {
+          console.error("❌ Withdrawal notification failed:", notified.error);
+        }
+      });
+
+      res.json({
+        success: true,
+        message: "Anda telah mengundurkan diri dari seleksi. Terima kasih atas partisipasi Anda.",
+        previous_status: result.previousStatus,
+        status: "WITHDRAWN",
+      });
+    } catch (error) {
+      console.error("❌ Withdrawal error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Terjadi kesalahan server internal",
+        error: "INTERNAL_SERVER_ERROR",
+      });
+    }
+  }
+);
+
+// ==================== INTERVIEW BOOKING ====================
+
+const sendInterviewTicketNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: "Nomor tiket tidak ditemukan",
+    error: "NOT_FOUND",
+  });
+
+// Booking state and open slots for the applicant (hasil.html)
+router.get("/interview/:ticket", validateTicketCheck, async (req, res) => {
+  try {
+    const view = await interviewService.getApplicantView(req.params.ticket);
+    if (view.outcome === "NOT_FOUND") return sendInterviewTicketNotFound(res);
+
+    res.json({
+      success: true,
+      eligible: view.eligible,
+      booking: view.booking,
+      slots: view.slots,
+    });
+  } catch (error) {
+    console.error("❌ Interview slots error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Terjadi kesalahan server internal",
+      error: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+// Ticket numbers are easy to enumerate, so booking needs the edit token and both routes
+// share the edit limit
+router.post("/interview/:ticket/book", editLimiter, validateTicketCheck, async (req, res) => {
+  try {
+    const slotId = parseInt(req.body && req.body.slot_id);
+    if (!slotId) {
+      return res.status(400).json({
+        success: false,
+        message: "Pilih jadwal wawancara terlebih dahulu",
+        error: "VALIDATION_ERROR",
+      });
+    }
+
+    const result = await interviewService.bookSlot(
+      req.params.ticket,
+      slotId,
+      req.body && req.body.edit_token
+    );
+    const failures = {
+      INVALID_TOKEN: [403, "Kode edit tidak valid"],
+      NOT_ELIGIBLE: [403, "Pendaftar belum atau tidak lagi berada di tahap wawancara"],
+      SLOT_NOT_FOUND: [404, "Jadwal wawancara tidak ditemukan"],
+      SLOT_CLOSED: [409, "Jadwal wawancara sudah ditutup"],
+      SLOT_FULL: [409, "Jadwal wawancara sudah penuh, silakan pilih jadwal lain"],
+      ALREADY_BOOKED: [409, "Anda sudah memesan jadwal ini"],
+    };
+
+    if (result.outcome === "NOT_FOUND") return sendInterviewTicketNotFound(res);
+    if (failures[result.outcome]) {
+      const [status, message] = failures[result.outcome];
+      return res.status(status).json({ success: false, message, error: result.outcome });
+    }
+
+    res.json({
+      success: true,
+      message: result.previousSlotId
+        ? "Jadwal wawancara berhasil dipindahkan"
+        : "Jadwal wawancara berhasil dipesan",
+      slot_id: result.slot.id,
+      starts_at: result.slot.starts_at,
+      location: result.slot.location,
+    });
+  } catch (error) {
+    console.error("❌ Interview booking error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Terjadi kesalahan server internal",
+      error: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
+router.delete("/interview/:ticket/booking", editLimiter, validateTicketCheck, async (req, res) => {
+  try {
+    const result = await interviewService.cancelBooking(
+      req.params.ticket,
+      req.body && req.body.edit_token
+    );
+
+    if (result.outcome === "NOT_FOUND") return sendInterviewTicketNotFound(res);
+    if (result.outcome === "INVALID_TOKEN") return sendEditFailure(res, "INVALID_TOKEN");
+    if (result.outcome === "NO_BOOKING") {
+      return res.status(404).json({
+        success: false,
+        message: "Belum ada jadwal wawancara yang dipesan",
+        error: "NO_BOOKING",
+      });
+    }
+    if (result.outcome === "SLOT_CLOSED") {
+      return res.status(409).json({
+        success: false,
+        message: "Wawancara sudah dimulai, jadwal tidak dapat dibatalkan",
+        error: "SLOT_CLOSED",
+      });
+    }
+
+    res.json({ success: true, message: "Jadwal wawancara dibatalkan" });
+  } catch (error) {
+    console.error("❌ Interview cancel error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Terjadi kesalahan server internal",
+      error: "INTERNAL_SERVER_ERROR",
+    });
+  }
+});
+
 // QR verification endpoint
-router.post("/verify-qr", handleValidationErrors, async (req, res) => {
+router.post("/verify-qr", validateQRCheck, handleValidationErrors, async (req, res) => {
   try {
-    const { ticket } = req.body;
+    // QR codes printed with a ticket that was later merged still verify
+    const ticket = (await ticketService.findRedirect(req.body.ticket)) || req.body.ticket;
     console.log(`🔍 QR verification for ticket: ${ticket}`);
 
     const connection = await getConnection();
     try {
       const [users] = await connection.execute(
-        "SELECT ticket, status, nama_lengkap FROM users WHERE ticket = ?",
+        "SELECT ticket, status, nama_lengkap FROM users WHERE ticket = ? AND deleted_at IS NULL",
         [ticket]
       );
 
@@ -987,40 +1619,41 @@ router.get("/health", (req, res) => {
 });
 
 const { backupManager } = require("../utils/db-backup-fixed"); // Import backupManager
+const { requireApiAccess } = require("../middleware/api-key-auth");
+const { API_KEY_SCOPES } = require("../utils/api-key-service");
 
 // Endpoint to download database backups
 // This endpoint now expects a path like /api/v1/backup/[daily_folder]/[user_backup.zip]
-router.get("/v1/backup/:backupPath", async (req, res) => {
-  const backupPath = req.params.backupPath; // Get the full path after /v1/backup/
-  const backupDir = path.join(__dirname, "..", "backups");
-  const filePath = path.join(backupDir, backupPath);
-
-  // Security check: Ensure the requested path does not escape the backup directory
-  if (!filePath.startsWith(backupDir)) {
-    console.warn(`❌ Attempted directory traversal: ${backupPath}`);
-    return res.status(403).json({
-      success: false,
-      message: "Akses ditolak: Jalur file tidak valid.",
-    });
-  }
+// Requires an API key with backup:read or a superadmin session
+router.get(
+  "/v1/backup/:backupPath",
+  requireApiAccess(API_KEY_SCOPES.BACKUP_READ),
+  async (req, res) => {
+    const backupPath = req.params.backupPath; // Get the full path after /v1/backup/
 
-  try {
-    // Check if file exists
-    const fileExists = await fs.pathExists(filePath);
-    if (!fileExists) {
-      console.warn(`❌ Backup file not found: ${backupPath}`);
-      return res.status(404).json({
+    // Security check: only a file name directly inside backups/ may be requested
+    if (path.basename(backupPath) !== backupPath || backupPath.startsWith(".")) {
+      console.warn(`❌ Attempted directory traversal: ${backupPath}`);
+      return res.status(403).json({
         success: false,
-        message: "File backup tidak ditemukan.",
+        message: "Akses ditolak: Jalur file tidak valid.",
       });
     }
 
-    // Determine the filename for download (the last part of the path)
-    const filename = path.basename(filePath);
+    try {
+      // Backups live in storage, which may be shared by several instances
+      const stream = await storage.createReadStream(`backups/${backupPath}`);
+      if (!stream) {
+        console.warn(`❌ Backup file not found: ${backupPath}`);
+        return res.status(404).json({
+          success: false,
+          message: "File backup tidak ditemukan.",
+        });
+      }
 
-    // Serve the file for download
-    res.download(filePath, filename, (err) => {
-      if (err) {
+      // Serve the file for download
+      res.attachment(backupPath);
+      stream.on("error", (err) => {
         console.error(`❌ Error downloading file ${backupPath}:`, err);
         if (!res.headersSent) {
           res.status(500).json({
@@ -1028,62 +1661,81 @@ router.get("/v1/backup/:backupPath", async (req, res) => {
             message: "Terjadi kesalahan saat mengunduh file.",
             error: err.message,
           });
+        } else {
+          res.destroy(err);
         }
-      } else {
-        console.log(`✅ Backup file downloaded: ${backupPath}`);
-      }
-    });
-  } catch (error) {
-    console.error(
-      `❌ Server error during backup download for ${backupPath}:`,
-      error
-    );
-    res.status(500).json({
-      success: false,
-      message: "Terjadi kesalahan server internal.",
-      error: error.message,
-    });
+      });
+      res.on("finish", () => console.log(`✅ Backup file downloaded: ${backupPath}`));
+      stream.pipe(res);
+    } catch (error) {
+      console.error(
+        `❌ Server error during backup download for ${backupPath}:`,
+        error
+      );
+      res.status(500).json({
+        success: false,
+        message: "Terjadi kesalahan server internal.",
+        error: error.message,
+      });
+    }
   }
-});
+);
 
-// Temporary endpoint to trigger individual user backups
-router.post("/v1/trigger-user-backup", async (req, res) => {
-  try {
-    console.log("🔄 Triggering individual user backup...");
-    const result = await backupManager.createIndividualUserBackups();
-    res.json({
-      success: true,
-      message: "Individual user backup triggered successfully.",
-      details: result,
-    });
-  } catch (error) {
-    console.error("❌ Error triggering individual user backup:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to trigger individual user backup.",
-      error: error.message,
-    });
+// Temporary endpoint to trigger individual user backups (backup:write)
+router.post(
+  "/v1/trigger-user-backup",
+  requireApiAccess(API_KEY_SCOPES.BACKUP_WRITE),
+  async (req, res) => {
+    try {
+      console.log("🔄 Triggering individual user backup...");
+      // Optional ?period=<slug|year|id>; the active period by default
+      const period = await periodService.resolve(req.query.period || req.body?.period);
+      if (!period) {
+        return res.status(404).json({
+          success: false,
+          message: "Periode rekrutmen tidak ditemukan",
+          error: "PERIOD_NOT_FOUND",
+        });
+      }
+      const result = await backupManager.createIndividualUserBackups(period);
+      res.json({
+        success: true,
+        message: "Individual user backup triggered successfully.",
+        details: result,
+      });
+    } catch (error) {
+      console.error("❌ Error triggering individual user backup:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to trigger individual user backup.",
+        error: error.message,
+      });
+    }
   }
-});
+);
 
-// Temporary endpoint to list available backups
-router.get("/v1/list-backups", async (req, res) => {
-  try {
-    console.log("🔍 Listing available backups...");
-    const backups = await backupManager.listBackups();
-    res.json({
-      success: true,
-      message: "Available backups listed.",
-      data: backups,
-    });
-  } catch (error) {
-    console.error("❌ Error listing backups:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to list backups.",
-      error: error.message,
-    });
+// Temporary endpoint to list available backups (backup:read)
+router.get(
+  "/v1/list-backups",
+  requireApiAccess(API_KEY_SCOPES.BACKUP_READ),
+  async (req, res) => {
+    try {
+      console.log("🔍 Listing available backups...");
+      const backups = await backupManager.listBackups();
+      res.json({
+        success: true,
+        message: "Available backups listed.",
+        data: backups,
+      });
+    } catch (error) {
+      console.error("❌ Error listing backups:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to list backups.",
+        error: error.message,
+      });
+    }
   }
-});
+);
 
 module.exports = router;
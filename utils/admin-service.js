@@ -0,0 +1,331 @@
+// Admin accounts - roles, per-division reviewers and identities for admin_logs
+const crypto = require("crypto");
+const { getConnection } = require("../database/mysql-database-refactored");
+const { divisionService } = require("./division-service");
+
+const ADMIN_ROLES = {
+  SUPERADMIN: "superadmin",
+  DIVISION_REVIEWER: "division_reviewer",
+  VIEWER: "viewer",
+};
+
+const SCRYPT_KEY_LENGTH = 64;
+
+class AdminService {
+  // Password hashes are stored as "scrypt$<salt>$<hash>"
+  hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString("hex");
+    const hash = crypto
+      .scryptSync(String(password), salt, SCRYPT_KEY_LENGTH)
+      .toString("hex");
+    return `scrypt$${salt}$${hash}`;
+  }
+
+  verifyPassword(password, storedHash) {
+    if (!password || !storedHash) return false;
+
+    const [scheme, salt, hash] = storedHash.split("$");
+    if (scheme !== "scrypt" || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, "hex");
+    const actual = crypto.scryptSync(String(password), salt, expected.length);
+    return (
+      actual.length === expected.length &&
+      crypto.timingSafeEqual(actual, expected)
+    );
+  }
+
+  async loadDivisions(connection, adminId) {
+    const [rows] = await connection.execute(
+      "SELECT nama_divisi FROM admin_divisions WHERE admin_id = ? ORDER BY nama_divisi",
+      [adminId]
+    );
+    return rows.map((row) => row.nama_divisi);
+  }
+
+  // Shape an admins row into the actor object passed to the approval workflow
+  async toActor(connection, row) {
+    return {
+      id: row.id,
+      name: row.display_name || row.username,
+      username: row.username,
+      role: row.role,
+      telegramUserId: row.telegram_user_id,
+      divisions:
+        row.role === ADMIN_ROLES.DIVISION_REVIEWER
+          ? await this.loadDivisions(connection, row.id)
+          : [],
+    };
+  }
+
+  async findActive(column, value) {
+    const connection = await getConnection();
+    try {
+      const [rows] = await connection.execute(
+        `SELECT * FROM admins WHERE ${column} = ? AND is_active = TRUE`,
+        [value]
+      );
+      return rows.length > 0 ? await this.toActor(connection, rows[0]) : null;
+    } finally {
+      connection.release();
+    }
+  }
+
+  async findById(id) {
+    return this.findActive("id", id);
+  }
+
+  async findByTelegramId(telegramUserId) {
+    return this.findActive("telegram_user_id", telegramUserId);
+  }
+
+  // Verify dashboard credentials, returns the actor or null
+  async authenticate(username, password) {
+    if (!username || !password) return null;
+
+    const connection = await getConnection();
+    try {
+      const [rows] = await connection.execute(
+        "SELECT * FROM admins WHERE username = ? AND is_active = TRUE",
+        [String(username).trim()]
+      );
+
+      // Hash anyway so unknown usernames take as long as wrong passwords
+      const storedHash = rows[0] ? rows[0].password_hash : this.hashPassword("");
+      if (!this.verifyPassword(password, storedHash) || !rows[0]) return null;
+
+      await connection.execute(
+        "UPDATE admins SET last_login_at = NOW() WHERE id = ?",
+        [rows[0].id]
+      );
+
+      return await this.toActor(connection, rows[0]);
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Seed the first superadmin from ADMIN_USERNAME / ADMIN_PASSWORD
+  async ensureBootstrapAdmin() {
+    const username = process.env.ADMIN_USERNAME;
+    const password = process.env.ADMIN_PASSWORD;
+
+    if (!username || !password) {
+      console.warn(
+        "⚠️ ADMIN_USERNAME / ADMIN_PASSWORD not configured, no bootstrap superadmin"
+      );
+      return;
+    }
+
+    const connection = await getConnection();
+    try {
+      const [existing] = await connection.execute(
+        "SELECT id FROM admins WHERE username = ?",
+        [username]
+      );
+      if (existing.length > 0) return;
+
+      await connection.execute(
+        "INSERT INTO admins (username, display_name, password_hash, role) VALUES (?, ?, ?, ?)",
+        [username, username, this.hashPassword(password), ADMIN_ROLES.SUPERADMIN]
+      );
+      console.log(`👑 Bootstrap superadmin created: ${username}`);
+    } finally {
+      connection.release();
+    }
+  }
+
+  async validateAdminInput(input, isUpdate = false) {
+    const errors = [];
+
+    if (!isUpdate || input.username !== undefined) {
+      if (!input.username || !/^[a-zA-Z0-9_.-]{3,50}$/.test(input.username)) {
+        errors.push("Username harus 3-50 karakter (huruf, angka, _ . -)");
+      }
+    }
+    if (!isUpdate || input.password !== undefined) {
+      if (!input.password || String(input.password).length < 8) {
+        errors.push("Password minimal 8 karakter");
+      }
+    }
+    if (
+      input.role !== undefined &&
+      !Object.values(ADMIN_ROLES).includes(input.role)
+    ) {
+      errors.push(
+        `Role tidak valid. Pilihan: ${Object.values(ADMIN_ROLES).join(", ")}`
+      );
+    }
+    if (input.divisions !== undefined) {
+      if (!Array.isArray(input.divisions)) {
+        errors.push("Divisi harus berupa array");
+      } else {
+        const invalid = await divisionService.findUnknown(input.divisions);
+        if (invalid.length > 0) {
+          const available = (await divisionService.getDivisions()).map(
+            (div) => div.display_name
+          );
+          errors.push(
+            `Divisi tidak valid: ${invalid.join(", ")}. Pilihan yang tersedia: ${available.join(", ")}`
+          );
+        }
+      }
+    }
+    if (
+      input.telegram_user_id !== undefined &&
+      input.telegram_user_id !== null &&
+      !/^-?\d{1,20}$/.test(String(input.telegram_user_id))
+    ) {
+      errors.push("Telegram user ID harus berupa angka");
+    }
+
+    return errors;
+  }
+
+  async replaceDivisions(connection, adminId, divisions) {
+    await connection.execute("DELETE FROM admin_divisions WHERE admin_id = ?", [
+      adminId,
+    ]);
+    for (const division of [...new Set(divisions)]) {
+      await connection.execute(
+        "INSERT INTO admin_divisions (admin_id, nama_divisi) VALUES (?, ?)",
+        [adminId, division]
+      );
+    }
+  }
+
+  async listAdmins() {
+    const connection = await getConnection();
+    try {
+      const [rows] = await connection.execute(
+        `SELECT a.id, a.username, a.display_name, a.role, a.telegram_user_id,
+                a.is_active, a.last_login_at, a.created_at,
+                GROUP_CONCAT(ad.nama_divisi ORDER BY ad.nama_divisi SEPARATOR ', ') as divisions
+         FROM admins a
+         LEFT JOIN admin_divisions ad ON a.id = ad.admin_id
+         GROUP BY a.id
+         ORDER BY a.created_at ASC`
+      );
+      return rows.map((row) => ({
+        ...row,
+        divisions: row.divisions ? row.divisions.split(", ") : [],
+      }));
+    } finally {
+      connection.release();
+    }
+  }
+
+  async createAdmin(input) {
+    const connection = await getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [result] = await connection.execute(
+        `INSERT INTO admins (username, display_name, password_hash, role, telegram_user_id)
+         VALUES (?, ?, ?, ?, ?)`,
+        [
+          input.username,
+          input.display_name || input.username,
+          this.hashPassword(input.password),
+          input.role || ADMIN_ROLES.VIEWER,
+          input.telegram_user_id || null,
+        ]
+      );
+
+      if (input.role === ADMIN_ROLES.DIVISION_REVIEWER) {
+        await this.replaceDivisions(connection, result.insertId, input.divisions || []);
+      }
+
+      await connection.commit();
+      return result.insertId;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Partial update - only provided fields change; returns false when the admin does not exist
+  async updateAdmin(id, input) {
+    const connection = await getConnection();
+    try {
+      const [rows] = await connection.execute(
+        "SELECT * FROM admins WHERE id = ?",
+        [id]
+      );
+      if (rows.length === 0) return false;
+
+      const fields = [];
+      const params = [];
+      const assign = (column, value) => {
+        fields.push(`${column} = ?`);
+        params.push(value);
+      };
+
+      if (input.display_name !== undefined) assign("display_name", input.display_name);
+      if (input.password !== undefined) assign("password_hash", this.hashPassword(input.password));
+      if (input.role !== undefined) assign("role", input.role);
+      if (input.telegram_user_id !== undefined) assign("telegram_user_id", input.telegram_user_id || null);
+      if (input.is_active !== undefined) assign("is_active", Boolean(input.is_active));
+
+      await connection.beginTransaction();
+
+      if (fields.length > 0) {
+        await connection.execute(
+          `UPDATE admins SET ${fields.join(", ")} WHERE id = ?`,
+          [...params, id]
+        );
+      }
+
+      const role = input.role || rows[0].role;
+      if (role !== ADMIN_ROLES.DIVISION_REVIEWER) {
+        await this.replaceDivisions(connection, id, []);
+      } else if (input.divisions !== undefined) {
+        await this.replaceDivisions(connection, id, input.divisions);
+      }
+
+      // Deactivated admins lose their dashboard sessions immediately
+      if (input.is_active !== undefined && !input.is_active) {
+        await connection.execute("DELETE FROM admin_sessions WHERE admin_id = ?", [id]);
+      }
+
+      await connection.commit();
+      return true;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Whether the actor may accept/reject the given registrant.
+  // Actors without a role (system/legacy bot actions) are not restricted here.
+  async canReviewUser(connection, actor, userId) {
+    if (!actor || !actor.role) return true;
+    if (actor.role === ADMIN_ROLES.SUPERADMIN) return true;
+    if (actor.role !== ADMIN_ROLES.DIVISION_REVIEWER) return false;
+    if (!actor.divisions || actor.divisions.length === 0) return false;
+
+    const placeholders = actor.divisions.map(() => "?").join(", ");
+    const [rows] = await connection.execute(
+      `SELECT COUNT(*) as total FROM divisi WHERE user_id = ? AND nama_divisi IN (${placeholders})`,
+      [userId, ...actor.divisions]
+    );
+    return rows[0].total > 0;
+  }
+
+  // Push finalizes decisions across every division, so it is superadmin-only
+  canPush(actor) {
+    return !actor || !actor.role || actor.role === ADMIN_ROLES.SUPERADMIN;
+  }
+}
+
+// Create singleton instance
+const adminService = new AdminService();
+
+module.exports = {
+  adminService,
+  ADMIN_ROLES,
+};
@@ -0,0 +1,170 @@
+// Scoped API keys for machine access to protected endpoints (backups)
+const crypto = require("crypto");
+const { getConnection } = require("../database/mysql-database-refactored");
+
+const API_KEY_SCOPES = {
+  BACKUP_READ: "backup:read", // list and download backups
+  BACKUP_WRITE: "backup:write", // trigger backup jobs
+};
+
+const KEY_PREFIX = "osk";
+
+class ApiKeyService {
+  hashKey(rawKey) {
+    return crypto.createHash("sha256").update(rawKey).digest("hex");
+  }
+
+  // Keys look like osk_<8 hex prefix>_<secret>; the prefix identifies the key in lists and logs
+  generateKey() {
+    const prefix = crypto.randomBytes(4).toString("hex");
+    const secret = crypto.randomBytes(24).toString("base64url");
+    return { prefix, rawKey: `${KEY_PREFIX}_${prefix}_${secret}` };
+  }
+
+  parseScopes(scopes) {
+    return (scopes || "")
+      .split(",")
+      .map((scope) => scope.trim())
+      .filter(Boolean);
+  }
+
+  validateScopes(scopes) {
+    const allowed = Object.values(API_KEY_SCOPES);
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return [`Scope wajib diisi. Pilihan: ${allowed.join(", ")}`];
+    }
+    const invalid = scopes.filter((scope) => !allowed.includes(scope));
+    return invalid.length > 0
+      ? [`Scope tidak valid: ${invalid.join(", ")}. Pilihan: ${allowed.join(", ")}`]
+      : [];
+  }
+
+  // Create a key - the raw key is returned once and never stored
+  async createKey({ name, scopes, expiresInDays, createdBy }) {
+    const { prefix, rawKey } = this.generateKey();
+    const expiresAt =
+      parseInt(expiresInDays) > 0
+        ? new Date(Date.now() + parseInt(expiresInDays) * 24 * 60 * 60 * 1000)
+        : null;
+
+    const connection = await getConnection();
+    try {
+      const [result] = await connection.execute(
+        `INSERT INTO api_keys (name, key_prefix, key_hash, scopes, created_by, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          name,
+          prefix,
+          this.hashKey(rawKey),
+          [...new Set(scopes)].join(","),
+          createdBy || null,
+          expiresAt,
+        ]
+      );
+
+      return { id: result.insertId, prefix, rawKey, expiresAt };
+    } finally {
+      connection.release();
+    }
+  }
+
+  async listKeys() {
+    const connection = await getConnection();
+    try {
+      const [rows] = await connection.execute(
+        `SELECT id, name, key_prefix, scopes, created_by, last_used_at,
+                expires_at, revoked_at, created_at
+         FROM api_keys ORDER BY created_at DESC`
+      );
+      return rows.map((row) => ({ ...row, scopes: this.parseScopes(row.scopes) }));
+    } finally {
+      connection.release();
+    }
+  }
+
+  async revokeKey(id) {
+    const connection = await getConnection();
+    try {
+      const [result] = await connection.execute(
+        "UPDATE api_keys SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL",
+        [id]
+      );
+      return result.affectedRows > 0;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Resolve a raw key to an active key record, or null
+  async verifyKey(rawKey) {
+    if (!rawKey || !rawKey.startsWith(`${KEY_PREFIX}_`)) return null;
+
+    const connection = await getConnection();
+    try {
+      const [rows] = await connection.execute(
+        `SELECT * FROM api_keys
+         WHERE key_hash = ? AND revoked_at IS NULL
+           AND (expires_at IS NULL OR expires_at > NOW())`,
+        [this.hashKey(rawKey)]
+      );
+      if (rows.length === 0) return null;
+
+      await connection.execute(
+        "UPDATE api_keys SET last_used_at = NOW() WHERE id = ?",
+        [rows[0].id]
+      );
+
+      return { ...rows[0], scopes: this.parseScopes(rows[0].scopes) };
+    } finally {
+      connection.release();
+    }
+  }
+
+  async recordAccess(entry) {
+    const connection = await getConnection();
+    try {
+      await connection.execute(
+        `INSERT INTO api_access_logs
+           (api_key_id, admin_id, actor_name, method, path, scope, status_code, outcome, ip_address, user_agent)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          entry.apiKeyId || null,
+          entry.adminId || null,
+          entry.actorName || null,
+          entry.method,
+          entry.path.substring(0, 500),
+          entry.scope || null,
+          entry.statusCode || null,
+          entry.outcome,
+          entry.ip || null,
+          (entry.userAgent || "").substring(0, 255),
+        ]
+      );
+    } finally {
+      connection.release();
+    }
+  }
+
+  async getAccessLogs(apiKeyId, limit = 100) {
+    const connection = await getConnection();
+    try {
+      const [rows] = await connection.execute(
+        `SELECT method, path, scope, status_code, outcome, ip_address, user_agent, created_at
+         FROM api_access_logs WHERE api_key_id = ?
+         ORDER BY created_at DESC LIMIT ${Math.min(parseInt(limit) || 100, 500)}`,
+        [apiKeyId]
+      );
+      return rows;
+    } finally {
+      connection.release();
+    }
+  }
+}
+
+// Create singleton instance
+const apiKeyService = new ApiKeyService();
+
+module.exports = {
+  apiKeyService,
+  API_KEY_SCOPES,
+};
@@ -0,0 +1,601 @@
+// Approval workflow - shared status transitions for the Telegram bot and the web admin dashboard
+const { getConnection } = require("../database/mysql-database-refactored");
+const { adminService } = require("./admin-service");
+const { selectionPipeline, STAGE_OUTCOMES } = require("./selection-pipeline");
+const { rubricService } = require("./rubric-service");
+const { periodService } = require("./period-service");
+const { registrationEditService } = require("./registration-edit-service");
+
+const DEFAULT_REJECTION_REASON = "Tidak memenuhi syarat";
+
+// Default actor used when an action is not tied to a specific admin
+const SYSTEM_ACTOR = { name: "TELEGRAM_ADMIN", id: "TELEGRAM_ADMIN" };
+
+// Written to users.updated_by and admin_logs when applicants act on their own registration
+const APPLICANT_ACTOR = { name: "APPLICANT", id: "APPLICANT" };
+
+// Statuses that still occupy a seat in placed_division
+const SEAT_STATUSES = ["LOLOS", "PENDING_TERIMA", "PENDING_TOLAK"];
+
+class ApprovalWorkflow {
+  // Resolve the admin identity written to users.updated_by and admin_logs
+  resolveActor(actor) {
+    if (!actor) return SYSTEM_ACTOR;
+    return {
+      ...actor,
+      name: actor.name || SYSTEM_ACTOR.name,
+      id: String(actor.id || actor.name || SYSTEM_ACTOR.id),
+    };
+  }
+
+  // Deleted registrations (see deletion-service) are invisible to every transition
+  async findUser(connection, ticket) {
+    const [users] = await connection.execute(
+      "SELECT * FROM users WHERE ticket = ? AND deleted_at IS NULL",
+      [ticket]
+    );
+    return users[0] || null;
+  }
+
+  async writeLog(connection, entry) {
+    await connection.execute(
+      "INSERT INTO admin_logs (user_id, ticket, action, previous_status, new_status, reason, admin_name, admin_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+      [
+        entry.userId,
+        entry.ticket,
+        entry.action,
+        entry.previousStatus || null,
+        entry.newStatus || null,
+        entry.reason || null,
+        entry.actor.name,
+        entry.actor.id,
+      ]
+    );
+  }
+
+  // Mark a registrant for acceptance (PENDING_TERIMA, finalized by push)
+  //
+  // Outcomes:
+  //   NOT_FOUND      - ticket does not exist
+  //   FORBIDDEN      - actor's role/divisions do not cover this registrant
+  //   WITHDRAWN      - the applicant withdrew, no decision possible
+  //   ALREADY_QUEUED - already PENDING_TERIMA
+  //   ALREADY_FINAL  - already LOLOS, nothing changed
+  //   QUEUED         - moved to PENDING_TERIMA (changedFromFinal when it was DITOLAK)
+  async markForAcceptance(ticket, actor) {
+    const admin = this.resolveActor(actor);
+    const connection = await getConnection();
+
+    try {
+      const user = await this.findUser(connection, ticket);
+      if (!user) return { outcome: "NOT_FOUND", ticket };
+
+      if (!(await adminService.canReviewUser(connection, admin, user.id))) {
+        return { outcome: "FORBIDDEN", user };
+      }
+
+      if (user.status === "WITHDRAWN") {
+        return { outcome: "WITHDRAWN", user };
+      }
+      if (user.status === "PENDING_TERIMA") {
+        return { outcome: "ALREADY_QUEUED", user };
+      }
+      if (user.status === "LOLOS") {
+        return { outcome: "ALREADY_FINAL", user };
+      }
+
+      await connection.execute(
+        "UPDATE users SET status = ?, updated_by = ?, updated_at = NOW() WHERE ticket = ?",
+        ["PENDING_TERIMA", admin.name, ticket]
+      );
+
+      await this.writeLog(connection, {
+        userId: user.id,
+        ticket,
+        action: "UPDATE",
+        previousStatus: user.status,
+        newStatus: "PENDING_TERIMA",
+        reason: `Marked for acceptance by ${admin.name}. Previous status: ${user.status}`,
+        actor: admin,
+      });
+
+      const seats = await this.getSeatUsage(connection);
+      const choices = await this.getDivisionChoices(connection, user.id);
+
+      return {
+        outcome: "QUEUED",
+        user,
+        previousStatus: user.status,
+        newStatus: "PENDING_TERIMA",
+        changedFromFinal: user.status === "DITOLAK",
+        // Seats can still free up before push, so this is only a warning
+        quotaFull:
+          !user.placed_division &&
+          choices.length > 0 &&
+          !this.findOpenSeat(choices, seats),
+      };
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Mark a registrant for rejection (PENDING_TOLAK, finalized by push); same outcomes as above
+  async markForRejection(ticket, reason, actor) {
+    const admin = this.resolveActor(actor);
+    const rejectionReason = (reason || "").trim() || DEFAULT_REJECTION_REASON;
+    const connection = await getConnection();
+
+    try {
+      const user = await this.findUser(connection, ticket);
+      if (!user) return { outcome: "NOT_FOUND", ticket };
+
+      if (!(await adminService.canReviewUser(connection, admin, user.id))) {
+        return { outcome: "FORBIDDEN", user };
+      }
+
+      if (user.status === "WITHDRAWN") {
+        return { outcome: "WITHDRAWN", user };
+      }
+      if (user.status === "PENDING_TOLAK") {
+        return { outcome: "ALREADY_QUEUED", user };
+      }
+      if (user.status === "DITOLAK") {
+        return { outcome: "ALREADY_FINAL", user };
+      }
+
+      await connection.execute(
+        "UPDATE users SET status = ?, updated_by = ?, updated_at = NOW() WHERE ticket = ?",
+        ["PENDING_TOLAK", admin.name, ticket]
+      );
+
+      await this.writeLog(connection, {
+        userId: user.id,
+        ticket,
+        action: "UPDATE",
+        previousStatus: user.status,
+        newStatus: "PENDING_TOLAK",
+        reason: `Marked for rejection by ${admin.name}. Reason: ${rejectionReason}. Previous status: ${user.status}`,
+        actor: admin,
+      });
+
+      return {
+        outcome: "QUEUED",
+        user,
+        reason: rejectionReason,
+        previousStatus: user.status,
+        newStatus: "PENDING_TOLAK",
+        changedFromFinal: user.status === "LOLOS",
+      };
+    } finally {
+      connection.release();
+    }
+  }
+
+  // ==================== QUOTAS & WAITLIST ====================
+
+  // Seats per division: { [display_name]: { quota, used } }; quota null means unlimited.
+  // An accepted applicant keeps holding the seat while re-queued, until a push rejects them.
+  // Quotas apply per recruitment period, so only the active period's applicants hold seats.
+  // A deleted applicant keeps the seat until purged, so restoring them never overbooks.
+  async getSeatUsage(connection) {
+    const [rows] = await connection.execute(
+      `SELECT dv.display_name, dv.quota, COUNT(u.id) as used
+       FROM divisions dv
+       LEFT JOIN users u ON u.placed_division = dv.display_name
+           AND u.period_id = ?
+           AND u.status IN (${SEAT_STATUSES.map(() => "?").join(", ")})
+       GROUP BY dv.id`,
+      [await periodService.getActivePeriodId(), ...SEAT_STATUSES]
+    );
+
+    const seats = {};
+    rows.forEach((row) => {
+      seats[row.display_name] = { quota: row.quota, used: Number(row.used) };
+    });
+    return seats;
+  }
+
+  // The applicant's divisions in preference order
+  async getDivisionChoices(connection, userId) {
+    const [rows] = await connection.execute(
+      "SELECT nama_divisi FROM divisi WHERE user_id = ? ORDER BY priority, id",
+      [userId]
+    );
+    return rows.map((row) => row.nama_divisi);
+  }
+
+  hasOpenSeat(seats, division) {
+    const seat = seats[division];
+    return !seat || seat.quota === null || seat.used < seat.quota;
+  }
+
+  // First choice that still has a seat, or null when every choice is full
+  findOpenSeat(choices, seats) {
+    return choices.find((division) => this.hasOpenSeat(seats, division)) || null;
+  }
+
+  takeSeat(seats, division) {
+    if (seats[division]) seats[division].used++;
+  }
+
+  releaseSeat(seats, division) {
+    if (division && seats[division]) seats[division].used--;
+  }
+
+  // Sort key for seat contention: higher rubric score first, unscored applicants last
+  byScore(scores, userId, division = null) {
+    const score = division ? scores.get(`${userId}:${division}`) : scores.get(userId);
+    return score === undefined ? -1 : score;
+  }
+
+  // Promote waitlisted applicants into open seats. Candidates are ordered by how much
+  // they wanted the division (divisi.priority), then by their rubric score for it, then by
+  // how long they have been waiting.
+  async fillOpenSeats(connection, seats, actor) {
+    const admin = this.resolveActor(actor);
+    const [candidates] = await connection.execute(
+      `SELECT u.id, u.ticket, u.nama_lengkap, u.current_stage, u.waitlisted_at, d.nama_divisi, d.priority
+       FROM users u
+       JOIN divisi d ON d.user_id = u.id
+       WHERE u.status = 'WAITLIST' AND u.period_id = ? AND u.deleted_at IS NULL`,
+      [await periodService.getActivePeriodId()]
+    );
+
+    // Choice order first, then the rubric score for that division, then time on the waitlist
+    const scores = new Map(
+      (
+        await rubricService.getWeightedScores(
+          connection,
+          [...new Set(candidates.map((candidate) => candidate.id))]
+        )
+      ).map((row) => [`${row.user_id}:${row.division}`, row.score])
+    );
+    candidates.sort(
+      (a, b) =>
+        a.priority - b.priority ||
+        this.byScore(scores, b.id, b.nama_divisi) - this.byScore(scores, a.id, a.nama_divisi) ||
+        new Date(a.waitlisted_at) - new Date(b.waitlisted_at) ||
+        a.id - b.id
+    );
+
+    const promoted = [];
+    const promotedIds = new Set();
+
+    for (const candidate of candidates) {
+      if (promotedIds.has(candidate.id)) continue;
+      if (!this.hasOpenSeat(seats, candidate.nama_divisi)) continue;
+
+      await connection.execute(
+        "UPDATE users SET status = ?, placed_division = ?, waitlisted_at = NULL, updated_by = ?, updated_at = NOW() WHERE id = ?",
+        ["LOLOS", candidate.nama_divisi, admin.name, candidate.id]
+      );
+      await this.writeLog(connection, {
+        userId: candidate.id,
+        ticket: candidate.ticket,
+        action: "APPROVE",
+        previousStatus: "WAITLIST",
+        newStatus: "LOLOS",
+        reason: `Promoted from waitlist into ${candidate.nama_divisi} (seat freed) by ${admin.name}`,
+        actor: admin,
+      });
+
+      await selectionPipeline.recordDecision(
+        connection,
+        candidate,
+        STAGE_OUTCOMES.PASSED,
+        null,
+        admin.name
+      );
+
+      this.takeSeat(seats, candidate.nama_divisi);
+      promotedIds.add(candidate.id);
+      promoted.push({ ...candidate, placed_division: candidate.nama_divisi });
+    }
+
+    return promoted;
+  }
+
+  // Re-check the waitlist outside of a push, e.g. after a quota was raised
+  async promoteWaitlisted(actor) {
+    const connection = await getConnection();
+    try {
+      await connection.beginTransaction();
+      await connection.execute("SELECT id FROM divisions FOR UPDATE");
+      const seats = await this.getSeatUsage(connection);
+      const promoted = await this.fillOpenSeats(connection, seats, actor);
+      await connection.commit();
+      return promoted;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // ==================== WITHDRAWAL ====================
+
+  // The applicant leaves the selection (ticket + edit token). The record is kept for audit;
+  // a held seat is released and handed to the waitlist, a booked interview slot is freed.
+  //
+  // Outcomes:
+  //   NOT_FOUND         - ticket does not exist
+  //   INVALID_TOKEN     - edit token does not match
+  //   ALREADY_WITHDRAWN - nothing changed
+  //   NOT_WITHDRAWABLE  - already finally rejected
+  //   WITHDRAWN         - done, with the previous status and any waitlist promotions
+  async withdraw(ticket, token, reason = "") {
+    const connection = await getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      // Same lock order as push, so a withdrawal and a push cannot hand out the same seat
+      await connection.execute("SELECT id FROM divisions FOR UPDATE");
+      const [users] = await connection.execute(
+        "SELECT * FROM users WHERE ticket = ? AND deleted_at IS NULL FOR UPDATE",
+        [ticket]
+      );
+      const user = users[0];
+      if (!user) {
+        await connection.rollback();
+        return { outcome: "NOT_FOUND", ticket };
+      }
+      if (!registrationEditService.matchesToken(user, token)) {
+        await connection.rollback();
+        return { outcome: "INVALID_TOKEN" };
+      }
+      if (user.status === "WITHDRAWN") {
+        await connection.rollback();
+        return { outcome: "ALREADY_WITHDRAWN", user };
+      }
+      if (user.status === "DITOLAK") {
+        await connection.rollback();
+        return { outcome: "NOT_WITHDRAWABLE", user };
+      }
+
+      const seats = await this.getSeatUsage(connection);
+      const heldSeat =
+        SEAT_STATUSES.includes(user.status) && user.period_id === (await periodService.getActivePeriodId())
+          ? user.placed_division
+          : null;
+
+      await connection.execute(
+        "UPDATE users SET status = ?, placed_division = NULL, waitlisted_at = NULL, updated_by = ?, updated_at = NOW() WHERE id = ?",
+        ["WITHDRAWN", APPLICANT_ACTOR.name, user.id]
+      );
+      await connection.execute("DELETE FROM interview_bookings WHERE user_id = ?", [user.id]);
+
+      const note = String(reason || "").trim().slice(0, 500);
+      await this.writeLog(connection, {
+        userId: user.id,
+        ticket,
+        action: "WITHDRAW",
+        previousStatus: user.status,
+        newStatus: "WITHDRAWN",
+        reason: `Withdrawn by applicant${note ? `. Reason: ${note}` : ""}`,
+        actor: APPLICANT_ACTOR,
+      });
+
+      let promoted = [];
+      if (heldSeat) {
+        this.releaseSeat(seats, heldSeat);
+        promoted = await this.fillOpenSeats(connection, seats, APPLICANT_ACTOR);
+      }
+
+      await connection.commit();
+      console.log(`↩️ ${ticket} withdrew (was ${user.status})`);
+
+      return {
+        outcome: "WITHDRAWN",
+        user,
+        previousStatus: user.status,
+        releasedSeat: heldSeat,
+        reason: note,
+        promoted,
+      };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Strip the "Marked for rejection by X. Reason: " prefix written by markForRejection
+  extractRejectionReason(logReason) {
+    if (!logReason) return DEFAULT_REJECTION_REASON;
+    const match = logReason.match(/Reason: (.*?)\. Previous status:/);
+    return match ? match[1] : logReason;
+  }
+
+  // Current approval queue of the active period, with the latest rejection reason for each
+  // PENDING_TOLAK entry. lock reads the rows FOR UPDATE, for a push that finalizes them.
+  async getPendingQueue(connection, { lock = false } = {}) {
+    const forUpdate = lock ? " FOR UPDATE" : "";
+    const periodId = await periodService.getActivePeriodId();
+    const [pendingAccepts] = await connection.execute(
+      `SELECT * FROM users WHERE status = ? AND period_id = ? AND deleted_at IS NULL
+       ORDER BY updated_at ASC${forUpdate}`,
+      ["PENDING_TERIMA", periodId]
+    );
+
+    const [pendingRejects] = await connection.execute(
+      `SELECT u.*,
+              COALESCE(al.reason, 'Tidak memenuhi syarat') as rejection_reason
+       FROM users u
+       LEFT JOIN admin_logs al ON u.ticket = al.ticket
+           AND al.action = 'UPDATE'
+           AND al.new_status = 'PENDING_TOLAK'
+           AND al.created_at = (
+               SELECT MAX(created_at)
+               FROM admin_logs
+               WHERE ticket = u.ticket AND action = 'UPDATE' AND new_status = 'PENDING_TOLAK'
+           )
+       WHERE u.status = ? AND u.period_id = ? AND u.deleted_at IS NULL
+       ORDER BY u.updated_at ASC${forUpdate}`,
+      ["PENDING_TOLAK", periodId]
+    );
+
+    pendingRejects.forEach((user) => {
+      user.rejection_reason = this.extractRejectionReason(user.rejection_reason);
+    });
+
+    return { pendingAccepts, pendingRejects };
+  }
+
+  async getQueue() {
+    const connection = await getConnection();
+    try {
+      return await this.getPendingQueue(connection);
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Finalize the queue: PENDING_TOLAK -> DITOLAK, then PENDING_TERIMA -> LOLOS while the
+  // applicant's divisions have seats left, otherwise -> WAITLIST. Freed seats promote waitlisters.
+  async processPush(actor) {
+    const admin = this.resolveActor(actor);
+    if (!adminService.canPush(actor)) {
+      return { forbidden: true, accepted: [], rejected: [], waitlisted: [], promoted: [], total: 0 };
+    }
+
+    const connection = await getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      // Serialize pushes so two of them cannot hand out the same seat or finalize the same
+      // queue entries; the queue is read only once this push holds the lock
+      await connection.execute("SELECT id FROM divisions FOR UPDATE");
+      const { pendingAccepts, pendingRejects } = await this.getPendingQueue(connection, {
+        lock: true,
+      });
+
+      if (pendingAccepts.length + pendingRejects.length === 0) {
+        await connection.rollback();
+        return { accepted: [], rejected: [], waitlisted: [], promoted: [], total: 0 };
+      }
+
+      const seats = await this.getSeatUsage(connection);
+      const activePeriodId = await periodService.getActivePeriodId();
+
+      // Rejections first: a rejected LOLOS applicant frees a seat for this push
+      for (const user of pendingRejects) {
+        await connection.execute(
+          "UPDATE users SET status = ?, placed_division = NULL, waitlisted_at = NULL, updated_by = ?, updated_at = NOW() WHERE id = ?",
+          ["DITOLAK", admin.name, user.id]
+        );
+        // Only seats of the active period are counted
+        if (user.period_id === activePeriodId) this.releaseSeat(seats, user.placed_division);
+        await selectionPipeline.recordDecision(
+          connection,
+          user,
+          STAGE_OUTCOMES.FAILED,
+          user.rejection_reason,
+          admin.name
+        );
+        await this.writeLog(connection, {
+          userId: user.id,
+          ticket: user.ticket,
+          action: "REJECT",
+          previousStatus: "PENDING_TOLAK",
+          newStatus: "DITOLAK",
+          reason: `Final rejection via push by ${admin.name}. Reason: ${user.rejection_reason}`,
+          actor: admin,
+        });
+      }
+
+      // Applicants already waiting keep their place ahead of this push's overflow
+      const promoted = await this.fillOpenSeats(connection, seats, admin);
+
+      const accepted = [];
+      const waitlisted = [];
+
+      // Best-scored applicants claim contested seats first; the queue order breaks ties
+      const scores = await rubricService.getBestScores(
+        connection,
+        pendingAccepts.map((user) => user.id)
+      );
+      const ranked = pendingAccepts
+        .map((user, index) => ({ user, index }))
+        .sort(
+          (a, b) =>
+            this.byScore(scores, b.user.id) - this.byScore(scores, a.user.id) ||
+            a.index - b.index
+        )
+        .map(({ user }) => ({ ...user, score: scores.has(user.id) ? scores.get(user.id) : null }));
+
+      for (const user of ranked) {
+        const choices = await this.getDivisionChoices(connection, user.id);
+        // Re-accepting someone who was already placed keeps their seat
+        const placement = user.placed_division || this.findOpenSeat(choices, seats);
+
+        if (placement || choices.length === 0) {
+          await connection.execute(
+            "UPDATE users SET status = ?, placed_division = ?, waitlisted_at = NULL, updated_by = ?, updated_at = NOW() WHERE id = ?",
+            ["LOLOS", placement, admin.name, user.id]
+          );
+          if (!user.placed_division) this.takeSeat(seats, placement);
+          await selectionPipeline.recordDecision(
+            connection,
+            user,
+            STAGE_OUTCOMES.PASSED,
+            null,
+            admin.name
+          );
+          await this.writeLog(connection, {
+            userId: user.id,
+            ticket: user.ticket,
+            action: "APPROVE",
+            previousStatus: "PENDING_TERIMA",
+            newStatus: "LOLOS",
+            reason: `Final acceptance via push by ${admin.name}${placement ? ` into ${placement}` : ""}`,
+            actor: admin,
+          });
+          accepted.push({ ...user, placed_division: placement });
+        } else {
+          await connection.execute(
+            "UPDATE users SET status = ?, placed_division = NULL, waitlisted_at = NOW(), updated_by = ?, updated_at = NOW() WHERE id = ?",
+            ["WAITLIST", admin.name, user.id]
+          );
+          await this.writeLog(connection, {
+            userId: user.id,
+            ticket: user.ticket,
+            action: "UPDATE",
+            previousStatus: "PENDING_TERIMA",
+            newStatus: "WAITLIST",
+            reason: `Waitlisted via push by ${admin.name}: quota full for ${choices.join(", ")}`,
+            actor: admin,
+          });
+          waitlisted.push({ ...user, divisions: choices });
+        }
+      }
+
+      await connection.commit();
+
+      return {
+        accepted,
+        rejected: pendingRejects,
+        waitlisted,
+        promoted,
+        total: pendingAccepts.length + pendingRejects.length,
+      };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+}
+
+// Create singleton instance
+const approvalWorkflow = new ApprovalWorkflow();
+
+module.exports = {
+  approvalWorkflow,
+  DEFAULT_REJECTION_REASON,
+  SEAT_STATUSES,
+};
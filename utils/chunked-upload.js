@@ -0,0 +1,321 @@
+// Resumable chunked uploads - on school Wi-Fi a multipart /register carrying every file at once
+// often breaks off and has to start over. The registration form uploads each file on its own in
+// small chunks first (a chunk that did not arrive is simply sent again), then submits the
+// registration with the upload ids. Chunks are kept in storage under chunks/<id>/, so any app
+// instance can take the next chunk; /register assembles the file into staging, where it goes
+// through the same checks as a multipart upload.
+const crypto = require("crypto");
+const path = require("path");
+const fs = require("fs-extra");
+const { getConnection, dbManager } = require("../database/mysql-database-refactored");
+const { storage } = require("./storage");
+const { STAGING_DIR } = require("./upload-gc");
+const { fileTypeVerifier } = require("./file-type-verifier");
+
+const CHUNK_PREFIX = "chunks";
+const DEFAULT_TTL_HOURS = 24;
+
+// Upload fields of the registration form; certificates carry the row they belong to
+const FIELD_PATTERN = /^(foto|(organisasi|prestasi)_sertifikat(\[\d{0,3}\])?)$/;
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+class ChunkedUploadService {
+  getChunkSize() {
+    return Math.round(parseFloat(process.env.UPLOAD_CHUNK_SIZE_MB || "2") * 1024 * 1024);
+  }
+
+  // Same limit as a multipart upload
+  getMaxFileSize() {
+    return parseInt(process.env.MAX_FILE_SIZE_MB || "50") * 1024 * 1024;
+  }
+
+  async getTtlHours() {
+    const hours = parseFloat(
+      await dbManager.getSetting("chunked_upload_ttl_hours", String(DEFAULT_TTL_HOURS))
+    );
+    return Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_TTL_HOURS;
+  }
+
+  chunkKey(id, index) {
+    return `${CHUNK_PREFIX}/${id}/${index}`;
+  }
+
+  // Size chunk index must have; only the last one is shorter
+  expectedChunkSize(session, index) {
+    return index < session.total_chunks - 1
+      ? session.chunk_size
+      : session.total_size - session.chunk_size * (session.total_chunks - 1);
+  }
+
+  async getSession(connection, id) {
+    if (!ID_PATTERN.test(String(id))) return null;
+    const [rows] = await connection.execute("SELECT * FROM upload_sessions WHERE id = ?", [id]);
+    return rows[0] || null;
+  }
+
+  async getReceivedChunks(connection, id) {
+    const [rows] = await connection.execute(
+      "SELECT chunk_index FROM upload_session_chunks WHERE session_id = ? ORDER BY chunk_index",
+      [id]
+    );
+    return rows.map((row) => row.chunk_index);
+  }
+
+  describe(session, received) {
+    return {
+      upload_id: session.id,
+      fieldname: session.fieldname,
+      filename: session.original_name,
+      size: Number(session.total_size),
+      chunk_size: session.chunk_size,
+      total_chunks: session.total_chunks,
+      received,
+      status: session.status,
+    };
+  }
+
+  // Start an upload.
+  //
+  // Outcomes:
+  //   INVALID_FIELD - not an upload field of the registration form
+  //   INVALID_TYPE  - the file name is no type the field can hold
+  //   INVALID_SIZE  - empty, or larger than MAX_FILE_SIZE_MB
+  //   CREATED       - session to send the chunks to
+  async create({ fieldname, filename, size, mimetype }) {
+    if (!FIELD_PATTERN.test(String(fieldname || ""))) return { outcome: "INVALID_FIELD" };
+    const originalname = path.basename(String(filename || "")).slice(0, 255);
+    if (!fileTypeVerifier.supportsName(fieldname, originalname)) {
+      return { outcome: "INVALID_TYPE", group: fileTypeVerifier.fieldGroup(fieldname) };
+    }
+    const totalSize = parseInt(size);
+    if (!Number.isInteger(totalSize) || totalSize <= 0 || totalSize > this.getMaxFileSize()) {
+      return { outcome: "INVALID_SIZE", maxSize: this.getMaxFileSize() };
+    }
+
+    const chunkSize = this.getChunkSize();
+    const session = {
+      id: crypto.randomUUID(),
+      fieldname,
+      original_name: originalname,
+      mimetype: mimetype ? String(mimetype).slice(0, 100) : null,
+      total_size: totalSize,
+      chunk_size: chunkSize,
+      total_chunks: Math.ceil(totalSize / chunkSize),
+      status: "UPLOADING",
+    };
+
+    const connection = await getConnection();
+    try {
+      await connection.execute(
+        `INSERT INTO upload_sessions
+           (id, fieldname, original_name, mimetype, total_size, chunk_size, total_chunks)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          session.id,
+          session.fieldname,
+          session.original_name,
+          session.mimetype,
+          session.total_size,
+          session.chunk_size,
+          session.total_chunks,
+        ]
+      );
+    } finally {
+      connection.release();
+    }
+
+    console.log(
+      `📦 Chunked upload started: ${fieldname} ${originalname} (${totalSize} bytes, ${session.total_chunks} chunk(s))`
+    );
+    return { outcome: "CREATED", session: this.describe(session, []) };
+  }
+
+  // Where an upload stands; a client resuming after a disconnect sends the missing chunks.
+  // Outcomes: NOT_FOUND, FOUND
+  async getStatus(id) {
+    const connection = await getConnection();
+    try {
+      const session = await this.getSession(connection, id);
+      if (!session) return { outcome: "NOT_FOUND" };
+      const received = await this.getReceivedChunks(connection, id);
+      return { outcome: "FOUND", session: this.describe(session, received) };
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Store one chunk. Sending a chunk again replaces it, so retries are harmless.
+  //
+  // Outcomes:
+  //   NOT_FOUND     - no such upload (or it expired)
+  //   COMPLETE      - the upload was already completed, chunks cannot change any more
+  //   INVALID_CHUNK - index out of range, or the body is not the size this chunk must have
+  //   STORED        - chunk saved, with how many of the upload's chunks have arrived
+  async putChunk(id, index, body) {
+    const connection = await getConnection();
+    try {
+      const session = await this.getSession(connection, id);
+      if (!session) return { outcome: "NOT_FOUND" };
+      if (session.status === "COMPLETE") return { outcome: "COMPLETE" };
+
+      const chunkIndex = Number(index);
+      if (!Number.isInteger(chunkIndex) || chunkIndex < 0 || chunkIndex >= session.total_chunks) {
+        return { outcome: "INVALID_CHUNK", expectedSize: null };
+      }
+      const expectedSize = this.expectedChunkSize(session, chunkIndex);
+      if (!Buffer.isBuffer(body) || body.length !== expectedSize) {
+        return { outcome: "INVALID_CHUNK", expectedSize };
+      }
+
+      await storage.put(this.chunkKey(id, chunkIndex), body, {
+        contentType: "application/octet-stream",
+      });
+      await connection.execute(
+        `INSERT INTO upload_session_chunks (session_id, chunk_index, size) VALUES (?, ?, ?)
+         ON DUPLICATE KEY UPDATE size = VALUES(size), received_at = NOW()`,
+        [id, chunkIndex, body.length]
+      );
+      // Keeps an upload that is still making progress away from the abandoned cleanup
+      await connection.execute("UPDATE upload_sessions SET updated_at = NOW() WHERE id = ?", [id]);
+
+      const received = await this.getReceivedChunks(connection, id);
+      return { outcome: "STORED", received: received.length, totalChunks: session.total_chunks };
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Mark an upload complete once every chunk has arrived; only complete uploads can be
+  // submitted. Completing twice is fine.
+  //
+  // Outcomes:
+  //   NOT_FOUND  - no such upload (or it expired)
+  //   INCOMPLETE - chunks are missing (listed)
+  //   COMPLETE   - ready to be referenced by /register
+  async complete(id) {
+    const connection = await getConnection();
+    try {
+      const session = await this.getSession(connection, id);
+      if (!session) return { outcome: "NOT_FOUND" };
+
+      const received = await this.getReceivedChunks(connection, id);
+      const missing = [];
+      for (let index = 0; index < session.total_chunks; index++) {
+        if (!received.includes(index)) missing.push(index);
+      }
+      if (missing.length > 0) return { outcome: "INCOMPLETE", missing };
+
+      await connection.execute(
+        "UPDATE upload_sessions SET status = 'COMPLETE', updated_at = NOW() WHERE id = ?",
+        [id]
+      );
+      console.log(`📦 Chunked upload complete: ${session.fieldname} ${session.original_name}`);
+      return {
+        outcome: "COMPLETE",
+        session: this.describe({ ...session, status: "COMPLETE" }, received),
+      };
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Join the chunks of complete uploads into staging files shaped like multer's, named by
+  // nameFor(fieldname, originalname). The uploads stay, so a registration that fails can be
+  // submitted again with the same ids; consume() drops them after a successful one.
+  //
+  // Outcomes:
+  //   NOT_FOUND  - an id is unknown or expired (id says which)
+  //   INCOMPLETE - an upload was not completed, or a chunk has gone missing from storage
+  //   STAGED     - the staged files
+  async stage(ids, nameFor) {
+    const connection = await getConnection();
+    const files = [];
+    try {
+      for (const id of [...new Set(ids)]) {
+        const session = await this.getSession(connection, id);
+        if (!session) return { outcome: "NOT_FOUND", id, files };
+        if (session.status !== "COMPLETE") return { outcome: "INCOMPLETE", id, files };
+
+        const filename = nameFor(session.fieldname, session.original_name);
+        const filePath = path.join(STAGING_DIR, filename);
+        await fs.ensureDir(STAGING_DIR);
+        files.push({
+          fieldname: session.fieldname,
+          originalname: session.original_name,
+          mimetype: session.mimetype || "application/octet-stream",
+          destination: STAGING_DIR,
+          filename,
+          path: filePath,
+          size: Number(session.total_size),
+        });
+
+        for (let index = 0; index < session.total_chunks; index++) {
+          const chunk = await storage.get(this.chunkKey(id, index));
+          if (!chunk) return { outcome: "INCOMPLETE", id, files };
+          await fs.appendFile(filePath, chunk);
+        }
+      }
+      return { outcome: "STAGED", files };
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Drop uploads a registration has taken over
+  async consume(ids) {
+    const connection = await getConnection();
+    try {
+      for (const id of [...new Set(ids)]) {
+        if (!ID_PATTERN.test(String(id))) continue;
+        await connection.execute("DELETE FROM upload_sessions WHERE id = ?", [id]);
+        await storage.removeAll(`${CHUNK_PREFIX}/${id}`);
+      }
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Remove uploads untouched for chunked_upload_ttl_hours: given up on halfway, or completed
+  // but never submitted. dryRun only reports them.
+  async purgeAbandoned({ dryRun = false } = {}) {
+    const ttlHours = await this.getTtlHours();
+    const connection = await getConnection();
+    let abandoned;
+    try {
+      [abandoned] = await connection.execute(
+        `SELECT id, fieldname, original_name, total_size, status, updated_at
+         FROM upload_sessions WHERE updated_at < DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+        [Math.round(ttlHours * 60)]
+      );
+    } finally {
+      connection.release();
+    }
+
+    const removed = [];
+    for (const session of abandoned) {
+      if (!dryRun) {
+        try {
+          await this.consume([session.id]);
+        } catch (error) {
+          console.error(`❌ Could not remove chunked upload ${session.id}:`, error.message);
+          continue;
+        }
+      }
+      removed.push(session);
+    }
+
+    if (removed.length > 0) {
+      console.log(
+        `🧹 Chunked uploads${dryRun ? " (dry run)" : ""}: ${removed.length} abandoned upload(s) ${dryRun ? "would be removed" : "removed"}`
+      );
+    }
+    return { ttlHours, dryRun, removed };
+  }
+}
+
+// Create singleton instance
+const chunkedUploadService = new ChunkedUploadService();
+
+module.exports = {
+  chunkedUploadService,
+};
@@ -3,12 +3,18 @@ const path = require("path");
 const fs = require("fs-extra");
 const archiver = require("archiver");
 const { getConnection } = require("../database/mysql-database-refactored");
+const { periodService } = require("./period-service");
+const { uploadKey } = require("./upload-gc");
+const { storage } = require("./storage");
+
+// Finished backups are stored under this prefix; backups/ on disk is only the working
+// directory where a backup is assembled and zipped
+const BACKUP_PREFIX = "backups";
 
 // Database backup utility with enhanced features
 class DatabaseBackup {
   constructor() {
     this.backupDir = path.join(__dirname, "..", "backups");
-    this.uploadsDir = path.join(__dirname, "..", "uploads");
     this.ensureBackupDirectory();
   }
 
@@ -97,62 +103,54 @@ class DatabaseBackup {
     return userData;
   }
 
-  // Helper to copy user-specific uploaded files
+  // Helper to copy user-specific uploaded files out of storage
   async copyUserUploads(userData, userBackupDir) {
     const filesToCopy = [];
 
     if (userData.foto_path) {
       filesToCopy.push({
-        source: path.join(this.uploadsDir, "photos", userData.foto_path),
-        destination: path.join(userBackupDir, userData.foto_path),
+        key: uploadKey("photos", userData.foto_path),
+        destination: path.join(userBackupDir, path.basename(userData.foto_path)),
       });
     }
 
-    userData.organisasi.forEach((org) => {
-      if (org.sertifikat_path) {
-        filesToCopy.push({
-          source: path.join(
-            this.uploadsDir,
-            "certificates",
-            org.sertifikat_path
-          ),
-          destination: path.join(userBackupDir, org.sertifikat_path),
-        });
-      }
-    });
-
-    userData.prestasi.forEach((pres) => {
-      if (pres.sertifikat_path) {
+    [...userData.organisasi, ...userData.prestasi].forEach((entry) => {
+      if (entry.sertifikat_path) {
         filesToCopy.push({
-          source: path.join(
-            this.uploadsDir,
-            "certificates",
-            pres.sertifikat_path
-          ),
-          destination: path.join(userBackupDir, pres.sertifikat_path),
+          key: uploadKey("certificates", entry.sertifikat_path),
+          destination: path.join(userBackupDir, path.basename(entry.sertifikat_path)),
         });
       }
     });
 
     for (const file of filesToCopy) {
       try {
-        await fs.copy(file.source, file.destination);
-        console.log(`   📄 Copied: ${path.basename(file.source)}`);
+        if (await storage.download(file.key, file.destination)) {
+          console.log(`   📄 Copied: ${path.basename(file.key)}`);
+        } else {
+          console.warn(`   ⚠️ Failed to copy ${path.basename(file.key)}: not found`);
+        }
       } catch (error) {
         console.warn(
-          `   ⚠️ Failed to copy ${path.basename(file.source)}: ${error.message}`
+          `   ⚠️ Failed to copy ${path.basename(file.key)}: ${error.message}`
         );
       }
     }
   }
 
-  async createIndividualUserBackups() {
-    console.log("🗄️ Starting individual user backups...");
+  // Backs up the applicants of one recruitment period (default: the active one)
+  async createIndividualUserBackups(period = null) {
+    const scope = period || (await periodService.getActivePeriod());
+    console.log(
+      `🗄️ Starting individual user backups${scope ? ` for period ${scope.slug}` : ""}...`
+    );
     const connection = await getConnection();
 
     try {
       const currentDate = new Date();
-      const dailyFolderName = this.formatDateForFolder(currentDate);
+      const dailyFolderName = `${scope ? `periode-${scope.slug}_` : ""}${this.formatDateForFolder(
+        currentDate
+      )}`;
       const tempDailyBackupPath = path.join(
         this.backupDir,
         `${dailyFolderName}_temp`
@@ -162,9 +160,12 @@ class DatabaseBackup {
         `✅ Temporary daily backup directory created: ${tempDailyBackupPath}`
       );
 
-      const [users] = await connection.execute(
-        "SELECT id, nama_lengkap, ticket FROM users"
-      );
+      const [users] = scope
+        ? await connection.execute(
+            "SELECT id, nama_lengkap, ticket FROM users WHERE period_id = ?",
+            [scope.id]
+          )
+        : await connection.execute("SELECT id, nama_lengkap, ticket FROM users");
 
       if (users.length === 0) {
         console.log("⚠️ No users found for individual backup.");
@@ -228,15 +229,21 @@ class DatabaseBackup {
         archive.finalize();
       });
 
+      // Into storage, so every instance can list, send and delete it
+      const storageKey = `${BACKUP_PREFIX}/${dailyFolderName}.zip`;
+      const { size } = await fs.stat(outputZipPath);
+      await storage.upload(storageKey, outputZipPath, { move: true });
+
       console.log("✅ Daily backup created and temporary files cleaned.");
       return {
         success: true,
         message: `Daily backup ${dailyFolderName}.zip created.`,
-        filePath: outputZipPath,
+        storageKey,
         fileName: `${dailyFolderName}.zip`,
-        size: (await fs.stat(outputZipPath)).size,
+        size,
         timestamp: new Date().toISOString(),
         method: "ZIP_FOLDER",
+        period: scope ? scope.name : null,
       };
     } catch (error) {
       console.error("❌ Individual user backup process error:", error.message);
@@ -246,10 +253,10 @@ class DatabaseBackup {
     }
   }
 
-  async createDatabaseBackup() {
+  async createDatabaseBackup(period = null) {
     // This function will now primarily trigger the individual user backups
     // The full mysqldump and uploads zip can be an alternative or separate process if needed.
-    return await this.createIndividualUserBackups();
+    return await this.createIndividualUserBackups(period);
   }
 
   // Alternative backup method using SQL queries (fallback) - kept for reference
@@ -265,7 +272,7 @@ class DatabaseBackup {
         .replace(/Z/, "");
 
       const backupFileName = `osis_sql_backup_${timestamp}.sql`;
-      const backupFilePath = path.join(this.backupDir, backupFileName);
+      const storageKey = `${BACKUP_PREFIX}/${backupFileName}`;
 
       try {
         let sqlContent = `-- OSIS Recruitment Database Backup\n`;
@@ -293,20 +300,20 @@ class DatabaseBackup {
         sqlContent += this.generateInsertStatements("divisi", divisi);
 
         // Write backup file
-        await fs.writeFile(backupFilePath, sqlContent);
+        const content = Buffer.from(sqlContent);
+        await storage.put(storageKey, content);
 
-        const stats = await fs.stat(backupFilePath);
         console.log(
           `✅ SQL backup created: ${backupFileName} (${this.formatFileSize(
-            stats.size
+            content.length
           )})`
         );
 
         return {
           success: true,
-          filePath: backupFilePath,
+          storageKey,
           fileName: backupFileName,
-          size: stats.size,
+          size: content.length,
           timestamp: new Date().toISOString(),
           method: "SQL",
         };
@@ -351,48 +358,46 @@ class DatabaseBackup {
 
   async listBackups() {
     try {
-      const files = await fs.readdir(this.backupDir);
-      const backupFiles = files
-        .filter((file) => file.endsWith(".zip"))
-        .map(async (file) => {
-          const filePath = path.join(this.backupDir, file);
-          const stats = await fs.stat(filePath);
+      const files = await storage.list(BACKUP_PREFIX);
+      return files
+        .filter((file) => file.name.endsWith(".zip"))
+        .map((file) => {
+          // Storage only knows when an object was last written, which for a backup is
+          // when it was created
+          const created = file.modifiedAt.toLocaleString("id-ID", {
+            timeZone: "Asia/Jakarta",
+          });
           return {
-            name: file,
-            path: filePath,
-            size: stats.size,
-            created: stats.birthtime.toLocaleString("id-ID", {
-              timeZone: "Asia/Jakarta",
-            }),
-            modified: stats.mtime.toLocaleString("id-ID", {
-              timeZone: "Asia/Jakarta",
-            }),
+            name: file.name,
+            key: file.key,
+            size: file.size,
+            created,
+            modified: created,
+            createdAt: file.modifiedAt,
             type: "ZIP",
           };
         });
-
-      return Promise.all(backupFiles);
     } catch (error) {
       console.error("❌ Error listing backups:", error.message);
       return [];
     }
   }
 
-  async deleteBackupFile(filePath) {
+  async deleteBackupFile(key) {
     try {
-      await fs.remove(filePath);
-      console.log(`🗑️ Successfully deleted backup file: ${filePath}`);
+      await storage.remove(key);
+      console.log(`🗑️ Successfully deleted backup file: ${key}`);
       return {
         success: true,
-        message: `File ${path.basename(filePath)} deleted.`,
+        message: `File ${path.basename(key)} deleted.`,
       };
     } catch (error) {
       console.error(
-        `❌ Error deleting backup file ${filePath}:`,
+        `❌ Error deleting backup file ${key}:`,
         error.message
       );
       throw new Error(
-        `Failed to delete file ${path.basename(filePath)}: ${error.message}`
+        `Failed to delete file ${path.basename(key)}: ${error.message}`
       );
     }
   }
@@ -409,11 +414,11 @@ class DatabaseBackup {
       }
 
       // Sort by creation date (newest first) and remove old ones
-      const sortedBackups = backups.sort((a, b) => b.created - a.created);
+      const sortedBackups = backups.sort((a, b) => b.createdAt - a.createdAt);
       const toDelete = sortedBackups.slice(keepCount);
 
       for (const backup of toDelete) {
-        await fs.remove(backup.path);
+        await storage.remove(backup.key);
         console.log(`🗑️ Deleted old backup: ${backup.name}`);
       }
 
@@ -437,10 +442,10 @@ class DatabaseBackup {
 const backupManager = new DatabaseBackup();
 
 // Main backup function
-async function createDatabaseBackup() {
+async function createDatabaseBackup(period = null) {
   try {
     // Now, the primary backup method creates a zip archive
-    return await backupManager.createDatabaseBackup();
+    return await backupManager.createDatabaseBackup(period);
   } catch (error) {
     console.error("❌ Full database backup failed:", error.message);
     throw error;
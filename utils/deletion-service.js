@@ -0,0 +1,309 @@
+// Registration deletion - /hapus and the dashboard only mark a registration as deleted.
+// It stays restorable for deletion_retention_days, then the purge removes the rows and files.
+const { getConnection, dbManager } = require("../database/mysql-database-refactored");
+const { approvalWorkflow, SEAT_STATUSES } = require("./approval-workflow");
+const { periodService } = require("./period-service");
+const { uploadKey } = require("./upload-gc");
+const { storage } = require("./storage");
+const { photoProcessor } = require("./photo-processor");
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+// Written to admin_logs and used for waitlist promotions caused by the scheduled purge
+const PURGE_ACTOR = { name: "SYSTEM_PURGE", id: "SYSTEM_PURGE" };
+
+class DeletionService {
+  async getRetentionDays() {
+    const days = parseInt(
+      await dbManager.getSetting("deletion_retention_days", String(DEFAULT_RETENTION_DAYS))
+    );
+    return Number.isInteger(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+  }
+
+  // When a deleted registration will be purged (approximate, the purge runs periodically)
+  purgeDate(deletedAt, retentionDays) {
+    return new Date(new Date(deletedAt).getTime() + retentionDays * 24 * 60 * 60 * 1000);
+  }
+
+  async findUser(connection, ticket, { deleted, lock = false }) {
+    const [users] = await connection.execute(
+      `SELECT * FROM users WHERE ticket = ?${lock ? " FOR UPDATE" : ""}`,
+      [ticket]
+    );
+    const user = users[0];
+    if (!user) return { outcome: "NOT_FOUND" };
+    if (deleted && !user.deleted_at) return { outcome: "NOT_DELETED", user };
+    if (!deleted && user.deleted_at) return { outcome: "ALREADY_DELETED", user };
+    return { outcome: "OK", user };
+  }
+
+  // Hide a registration everywhere. A held seat stays held so a restore cannot overbook the
+  // division; a booked interview slot is released since slots are time-bound.
+  //
+  // Outcomes:
+  //   NOT_FOUND       - ticket does not exist (or was already purged)
+  //   ALREADY_DELETED - nothing changed
+  //   DELETED         - done, with the date the purge will remove it
+  async softDelete(ticket, actor) {
+    const admin = approvalWorkflow.resolveActor(actor);
+    const connection = await getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const found = await this.findUser(connection, ticket, { deleted: false, lock: true });
+      if (found.outcome !== "OK") {
+        await connection.rollback();
+        return found.outcome === "NOT_FOUND" ? { outcome: "NOT_FOUND", ticket } : found;
+      }
+      const { user } = found;
+
+      await connection.execute(
+        "UPDATE users SET deleted_at = NOW(), deleted_by = ? WHERE id = ?",
+        [admin.name, user.id]
+      );
+      await connection.execute("DELETE FROM interview_bookings WHERE user_id = ?", [user.id]);
+      await approvalWorkflow.writeLog(connection, {
+        userId: user.id,
+        ticket,
+        action: "DELETE",
+        previousStatus: user.status,
+        newStatus: user.status,
+        reason: `Deleted by ${admin.name} (restorable until purge)`,
+        actor: admin,
+      });
+
+      await connection.commit();
+      console.log(`🗑️ ${ticket} deleted by ${admin.name}`);
+
+      const retentionDays = await this.getRetentionDays();
+      return {
+        outcome: "DELETED",
+        user,
+        retentionDays,
+        purgeAfter: this.purgeDate(new Date(), retentionDays),
+      };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Undo a soft delete. The phone number and seat were never released, so nothing can clash.
+  //
+  // Outcomes:
+  //   NOT_FOUND   - ticket does not exist (or was already purged)
+  //   NOT_DELETED - the registration is not deleted, nothing changed
+  //   RESTORED    - visible again with its previous status
+  async restore(ticket, actor) {
+    const admin = approvalWorkflow.resolveActor(actor);
+    const connection = await getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const found = await this.findUser(connection, ticket, { deleted: true, lock: true });
+      if (found.outcome !== "OK") {
+        await connection.rollback();
+        return found.outcome === "NOT_FOUND" ? { outcome: "NOT_FOUND", ticket } : found;
+      }
+      const { user } = found;
+
+      await connection.execute(
+        "UPDATE users SET deleted_at = NULL, deleted_by = NULL, updated_by = ?, updated_at = NOW() WHERE id = ?",
+        [admin.name, user.id]
+      );
+      await approvalWorkflow.writeLog(connection, {
+        userId: user.id,
+        ticket,
+        action: "RESTORE",
+        previousStatus: user.status,
+        newStatus: user.status,
+        reason: `Restored by ${admin.name} (deleted by ${user.deleted_by || "unknown"})`,
+        actor: admin,
+      });
+
+      await connection.commit();
+      console.log(`♻️ ${ticket} restored by ${admin.name}`);
+
+      return { outcome: "RESTORED", user };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Deleted registrations still inside the retention window, newest deletion first
+  async getDeleted() {
+    const retentionDays = await this.getRetentionDays();
+    const connection = await getConnection();
+    try {
+      const [rows] = await connection.execute(
+        `SELECT id, ticket, nama_lengkap, kelas, jurusan, status, period_id, deleted_at, deleted_by
+         FROM users
+         WHERE deleted_at IS NOT NULL
+         ORDER BY deleted_at DESC`
+      );
+      return rows.map((row) => ({
+        ...row,
+        purge_after: this.purgeDate(row.deleted_at, retentionDays),
+      }));
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Storage keys of the photo (with thumbnail), certificate and quarantined files of a
+  // registration, including photos replaced by applicant edits
+  async collectFiles(connection, user) {
+    const files = [];
+    const addFile = (dir, filename) => {
+      if (filename) files.push(uploadKey(dir, filename));
+    };
+    const addPhoto = (filename) => {
+      if (filename) {
+        addFile("photos", filename);
+        addFile("photos", photoProcessor.thumbnailName(filename));
+      }
+    };
+
+    addPhoto(user.foto_path);
+
+    for (const table of ["organisasi", "prestasi"]) {
+      const [rows] = await connection.execute(
+        `SELECT sertifikat_path FROM ${table} WHERE user_id = ? AND sertifikat_path IS NOT NULL`,
+        [user.id]
+      );
+      rows.forEach((row) => addFile("certificates", row.sertifikat_path));
+    }
+
+    const [quarantined] = await connection.execute(
+      "SELECT filename FROM quarantined_files WHERE user_id = ?",
+      [user.id]
+    );
+    quarantined.forEach((row) => addFile("quarantine", row.filename));
+
+    const [revisions] = await connection.execute(
+      "SELECT changes FROM registration_revisions WHERE user_id = ?",
+      [user.id]
+    );
+    revisions.forEach((revision) => {
+      const photo = JSON.parse(revision.changes).foto;
+      if (photo) {
+        addPhoto(photo.from);
+        addPhoto(photo.to);
+      }
+    });
+
+    return [...new Set(files)];
+  }
+
+  // Remove files from storage after a commit; a file that cannot be removed is left for the
+  // upload GC. Returns how many were removed.
+  async removeFiles(keys) {
+    let removed = 0;
+    for (const key of keys) {
+      try {
+        if (await storage.remove(key)) removed++;
+      } catch (error) {
+        console.error(`❌ Could not remove ${key}:`, error.message);
+      }
+    }
+    return removed;
+  }
+
+  // Permanently remove one deleted registration: rows first (ON DELETE CASCADE takes the
+  // related tables), files only after the commit so a failed purge never loses data.
+  // A seat it still held goes to the waitlist.
+  async purgeUser(userId) {
+    const connection = await getConnection();
+    let files = [];
+    let user;
+    let promoted = [];
+
+    try {
+      await connection.beginTransaction();
+
+      // Same lock order as push, so the purge and a push cannot hand out the same seat
+      await connection.execute("SELECT id FROM divisions FOR UPDATE");
+      const [users] = await connection.execute(
+        "SELECT * FROM users WHERE id = ? AND deleted_at IS NOT NULL FOR UPDATE",
+        [userId]
+      );
+      user = users[0];
+      if (!user) {
+        await connection.rollback();
+        return null;
+      }
+
+      files = await this.collectFiles(connection, user);
+
+      // user_id is set to NULL by the foreign key, the ticket keeps the entry traceable
+      await approvalWorkflow.writeLog(connection, {
+        userId: user.id,
+        ticket: user.ticket,
+        action: "PURGE",
+        previousStatus: user.status,
+        reason: `Purged after the retention window (deleted by ${user.deleted_by || "unknown"})`,
+        actor: PURGE_ACTOR,
+      });
+      await connection.execute("DELETE FROM users WHERE id = ?", [user.id]);
+      // Tickets merged into this one have nothing left to point at
+      await connection.execute("DELETE FROM ticket_redirects WHERE new_ticket = ?", [user.ticket]);
+
+      const heldSeat =
+        SEAT_STATUSES.includes(user.status) &&
+        user.placed_division &&
+        user.period_id === (await periodService.getActivePeriodId());
+      if (heldSeat) {
+        const seats = await approvalWorkflow.getSeatUsage(connection);
+        promoted = await approvalWorkflow.fillOpenSeats(connection, seats, PURGE_ACTOR);
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    const removedFiles = await this.removeFiles(files);
+
+    console.log(`🧹 ${user.ticket} purged (${removedFiles} file(s) removed)`);
+    return { ticket: user.ticket, nama_lengkap: user.nama_lengkap, removedFiles, promoted };
+  }
+
+  // Purge every registration deleted longer than the retention window ago
+  async purgeExpired() {
+    const retentionDays = await this.getRetentionDays();
+    const connection = await getConnection();
+    let expired;
+    try {
+      [expired] = await connection.execute(
+        "SELECT id FROM users WHERE deleted_at IS NOT NULL AND deleted_at < DATE_SUB(NOW(), INTERVAL ? DAY)",
+        [retentionDays]
+      );
+    } finally {
+      connection.release();
+    }
+
+    const purged = [];
+    for (const row of expired) {
+      const result = await this.purgeUser(row.id);
+      if (result) purged.push(result);
+    }
+    return purged;
+  }
+}
+
+// Create singleton instance
+const deletionService = new DeletionService();
+
+module.exports = {
+  deletionService,
+};
@@ -0,0 +1,231 @@
+// Divisions - configurable list of OSIS divisions stored in the divisions table
+const { getConnection } = require("../database/mysql-database-refactored");
+const { periodService } = require("./period-service");
+
+const CACHE_TTL_MS = 60 * 1000;
+
+class DivisionService {
+  constructor() {
+    this.cache = null;
+    this.cacheLoadedAt = 0;
+  }
+
+  invalidateCache() {
+    this.cache = null;
+  }
+
+  // All divisions ordered for display; cached briefly since every registration reads them
+  async getDivisions({ activeOnly = false } = {}) {
+    if (!this.cache || Date.now() - this.cacheLoadedAt > CACHE_TTL_MS) {
+      const connection = await getConnection();
+      try {
+        const [rows] = await connection.execute(
+          "SELECT * FROM divisions ORDER BY sort_order, display_name"
+        );
+        this.cache = rows.map((row) => ({ ...row, is_active: Boolean(row.is_active) }));
+        this.cacheLoadedAt = Date.now();
+      } finally {
+        connection.release();
+      }
+    }
+
+    return activeOnly ? this.cache.filter((div) => div.is_active) : this.cache;
+  }
+
+  // Find a division by slug or display name (case-insensitive)
+  async resolve(value, { activeOnly = false } = {}) {
+    if (!value) return null;
+    const needle = String(value).trim().toLowerCase();
+    const divisions = await this.getDivisions({ activeOnly });
+    return (
+      divisions.find(
+        (div) =>
+          div.slug === needle || div.display_name.toLowerCase() === needle
+      ) || null
+    );
+  }
+
+  // Split free text such as "Bakat Minat alasan saya..." into a division and the rest.
+  // Display names may contain spaces, so the longest matching name wins; a slug works too.
+  async resolvePrefix(text) {
+    const input = String(text || "").trim();
+    const lower = input.toLowerCase();
+    const divisions = [...(await this.getDivisions())].sort(
+      (a, b) => b.display_name.length - a.display_name.length
+    );
+
+    for (const division of divisions) {
+      for (const candidate of [division.display_name.toLowerCase(), division.slug]) {
+        if (lower === candidate || lower.startsWith(`${candidate} `)) {
+          return { division, rest: input.slice(candidate.length).trim() };
+        }
+      }
+    }
+    return { division: null, rest: input };
+  }
+
+  // Display names from the given list that are not known divisions
+  async findUnknown(names) {
+    const divisions = await this.getDivisions();
+    const known = divisions.map((div) => div.display_name);
+    return names.filter((name) => !known.includes(name));
+  }
+
+  async getActiveNames() {
+    return (await this.getDivisions({ activeOnly: true })).map(
+      (div) => div.display_name
+    );
+  }
+
+  validateInput(input, isUpdate = false) {
+    const errors = [];
+
+    if (!isUpdate || input.slug !== undefined) {
+      if (!input.slug || !/^[a-z0-9_]{2,50}$/.test(input.slug)) {
+        errors.push("Slug harus 2-50 karakter (huruf kecil, angka, _)");
+      }
+    }
+    if (!isUpdate || input.display_name !== undefined) {
+      if (!input.display_name || !String(input.display_name).trim()) {
+        errors.push("Nama divisi wajib diisi");
+      } else if (String(input.display_name).length > 100) {
+        errors.push("Nama divisi maksimal 100 karakter");
+      }
+    }
+    if (
+      input.quota !== undefined &&
+      input.quota !== null &&
+      input.quota !== "" &&
+      !(Number.isInteger(Number(input.quota)) && Number(input.quota) >= 0)
+    ) {
+      errors.push("Kuota harus berupa angka >= 0 atau kosong (tanpa batas)");
+    }
+
+    return errors;
+  }
+
+  normalizeQuota(quota) {
+    return quota === undefined || quota === null || quota === ""
+      ? null
+      : parseInt(quota);
+  }
+
+  async createDivision(input) {
+    const connection = await getConnection();
+    try {
+      const [result] = await connection.execute(
+        `INSERT INTO divisions (slug, display_name, description, quota, is_active, sort_order)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          input.slug,
+          String(input.display_name).trim(),
+          input.description || null,
+          this.normalizeQuota(input.quota),
+          input.is_active === undefined ? true : Boolean(input.is_active),
+          parseInt(input.sort_order) || 0,
+        ]
+      );
+      return result.insertId;
+    } finally {
+      this.invalidateCache();
+      connection.release();
+    }
+  }
+
+  // Partial update. Renaming also renames existing applicant choices and reviewer assignments,
+  // because both store the display name.
+  async updateDivision(id, input) {
+    const connection = await getConnection();
+    try {
+      const [rows] = await connection.execute(
+        "SELECT * FROM divisions WHERE id = ?",
+        [id]
+      );
+      if (rows.length === 0) return false;
+      const current = rows[0];
+
+      const fields = [];
+      const params = [];
+      const assign = (column, value) => {
+        fields.push(`${column} = ?`);
+        params.push(value);
+      };
+
+      const newName =
+        input.display_name !== undefined ? String(input.display_name).trim() : null;
+
+      if (newName !== null) assign("display_name", newName);
+      if (input.description !== undefined) assign("description", input.description || null);
+      if (input.quota !== undefined) assign("quota", this.normalizeQuota(input.quota));
+      if (input.is_active !== undefined) assign("is_active", Boolean(input.is_active));
+      if (input.sort_order !== undefined) assign("sort_order", parseInt(input.sort_order) || 0);
+
+      if (fields.length === 0) return true;
+
+      await connection.beginTransaction();
+
+      await connection.execute(
+        `UPDATE divisions SET ${fields.join(", ")} WHERE id = ?`,
+        [...params, id]
+      );
+
+      if (newName !== null && newName !== current.display_name) {
+        await connection.execute(
+          "UPDATE divisi SET nama_divisi = ? WHERE nama_divisi = ?",
+          [newName, current.display_name]
+        );
+        await connection.execute(
+          "UPDATE admin_divisions SET nama_divisi = ? WHERE nama_divisi = ?",
+          [newName, current.display_name]
+        );
+      }
+
+      await connection.commit();
+      return true;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      this.invalidateCache();
+      connection.release();
+    }
+  }
+
+  // Per-division applicant counts and seats taken, used by /divisi, the dashboard and the Excel export.
+  // Counts cover one recruitment period (default: the active one).
+  async getDivisionSummary(periodId = null) {
+    const period = periodId || (await periodService.getActivePeriodId());
+    const connection = await getConnection();
+    try {
+      const [rows] = await connection.execute(
+        `SELECT dv.id, dv.slug, dv.display_name, dv.quota, dv.is_active, dv.sort_order,
+                COUNT(u.id) as total,
+                COUNT(CASE WHEN u.status = 'LOLOS' THEN 1 END) as lolos,
+                COUNT(CASE WHEN u.status = 'DITOLAK' THEN 1 END) as ditolak,
+                COUNT(CASE WHEN u.status = 'WAITLIST' THEN 1 END) as waitlist,
+                COUNT(CASE WHEN u.status NOT IN ('LOLOS', 'DITOLAK', 'WAITLIST') THEN 1 END) as pending,
+                (SELECT COUNT(*) FROM users p
+                 WHERE p.placed_division = dv.display_name
+                   AND p.period_id = ?
+                   AND p.status IN ('LOLOS', 'PENDING_TERIMA', 'PENDING_TOLAK')) as seats_used
+         FROM divisions dv
+         LEFT JOIN divisi d ON d.nama_divisi = dv.display_name
+         LEFT JOIN users u ON u.id = d.user_id AND u.period_id = ? AND u.status <> 'WITHDRAWN'
+             AND u.deleted_at IS NULL
+         GROUP BY dv.id
+         ORDER BY dv.sort_order, dv.display_name`,
+        [period, period]
+      );
+      return rows.map((row) => ({ ...row, is_active: Boolean(row.is_active) }));
+    } finally {
+      connection.release();
+    }
+  }
+}
+
+// Create singleton instance
+const divisionService = new DivisionService();
+
+module.exports = {
+  divisionService,
+};
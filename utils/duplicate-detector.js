@@ -0,0 +1,251 @@
+// Duplicate registrations - the rules /register checks before saving and the bot's report of
+// suspected duplicates. Each rule is "block" (the registration is refused), "flag" (saved, but
+// reported to the group and in /duplikat) or "off", set per rule in system_settings. The phone
+// rule can only block: users has a UNIQUE (period_id, nomor_telepon) key that refuses an exact
+// repeat anyway, so "flag" or "off" would only apply to the +62/08 spellings of a number.
+const { getConnection, dbManager } = require("../database/mysql-database-refactored");
+const { periodService } = require("./period-service");
+const { ticketService } = require("./ticket-service");
+
+const RULE_MODES = ["off", "flag", "block"];
+
+const DUPLICATE_RULES = {
+  phone: {
+    setting: "duplicate_rule_phone",
+    defaultMode: "block",
+    modes: ["block"],
+    label: "Nomor telepon sama",
+    message: "Nomor telepon ini sudah terdaftar pada periode ini",
+  },
+  name_birthdate: {
+    setting: "duplicate_rule_name_birthdate",
+    defaultMode: "block",
+    label: "Nama & tanggal lahir sama",
+    message: "Nama dan tanggal lahir ini sudah terdaftar pada periode ini",
+  },
+  fuzzy_name: {
+    setting: "duplicate_rule_fuzzy_name",
+    defaultMode: "flag",
+    label: "Nama mirip di kelas yang sama",
+    message: "Nama yang sangat mirip sudah terdaftar di kelas yang sama",
+  },
+};
+
+const DEFAULT_FUZZY_THRESHOLD = 0.85;
+
+// 08xx, +628xx, 628xx and 8xx are the same number
+function normalizePhone(value) {
+  let digits = String(value || "").replace(/\D/g, "");
+  if (digits.startsWith("62")) digits = "0" + digits.slice(2);
+  else if (digits.startsWith("8")) digits = "0" + digits;
+  return digits;
+}
+
+function normalizeName(value) {
+  return String(value || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// DATE columns come back as Date objects (pool timezone +07:00), form input as YYYY-MM-DD
+function dateKey(value) {
+  if (!value) return "";
+  if (value instanceof Date) {
+    return value.toLocaleDateString("sv-SE", { timeZone: "Asia/Jakarta" });
+  }
+  return String(value).slice(0, 10);
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// 1 = identical; word order does not matter ("Budi Santoso" = "Santoso Budi")
+function nameSimilarity(a, b) {
+  if (!a || !b) return 0;
+  const sorted = (name) => name.split(" ").sort().join(" ");
+  const score = (x, y) => 1 - levenshtein(x, y) / Math.max(x.length, y.length);
+  return Math.max(score(a, b), score(sorted(a), sorted(b)));
+}
+
+class DuplicateDetector {
+  // { phone: "block", name_birthdate: "block", fuzzy_name: "flag" } with invalid values reset
+  async getRules() {
+    const rules = {};
+    for (const [rule, config] of Object.entries(DUPLICATE_RULES)) {
+      const mode = String(await dbManager.getSetting(config.setting, config.defaultMode))
+        .trim()
+        .toLowerCase();
+      rules[rule] = (config.modes || RULE_MODES).includes(mode) ? mode : config.defaultMode;
+    }
+    return rules;
+  }
+
+  async getFuzzyThreshold() {
+    const threshold = parseFloat(
+      await dbManager.getSetting("duplicate_fuzzy_threshold", String(DEFAULT_FUZZY_THRESHOLD))
+    );
+    return threshold > 0 && threshold <= 1 ? threshold : DEFAULT_FUZZY_THRESHOLD;
+  }
+
+  // Only the fields the rules compare, normalized once per registration
+  prepare(registration) {
+    return {
+      ...registration,
+      phoneKey: normalizePhone(registration.nomor_telepon),
+      nameKey: normalizeName(registration.nama_lengkap),
+      birthKey: dateKey(registration.tanggal_lahir),
+      classKey: `${normalizeName(registration.kelas)}|${normalizeName(registration.jurusan)}`,
+    };
+  }
+
+  // Rules (not switched off) under which two prepared registrations are the same person
+  compare(a, b, rules, threshold) {
+    const matches = [];
+    let similarity = null;
+
+    if (rules.phone !== "off" && a.phoneKey && a.phoneKey === b.phoneKey) {
+      matches.push("phone");
+    }
+    if (
+      rules.name_birthdate !== "off" &&
+      a.nameKey &&
+      a.birthKey &&
+      a.nameKey === b.nameKey &&
+      a.birthKey === b.birthKey
+    ) {
+      matches.push("name_birthdate");
+    }
+    if (rules.fuzzy_name !== "off" && a.classKey === b.classKey) {
+      similarity = nameSimilarity(a.nameKey, b.nameKey);
+      if (similarity >= threshold) matches.push("fuzzy_name");
+    }
+
+    return { matches, similarity };
+  }
+
+  async getRegistrations(connection, periodId) {
+    const [rows] = await connection.execute(
+      `SELECT id, ticket, nama_lengkap, kelas, jurusan, tanggal_lahir, nomor_telepon, status, created_at
+       FROM users
+       WHERE period_id = ? AND deleted_at IS NULL
+       ORDER BY created_at, id`,
+      [periodId]
+    );
+    return rows.map((row) => this.prepare(row));
+  }
+
+  // Check a new registration against the active period before it is saved.
+  // Runs outside the save transaction: the phone UNIQUE key still catches a concurrent
+  // registration with the same number, the other rules accept that small window.
+  //
+  // Outcomes:
+  //   BLOCKED - a "block" rule matched; rule, message and the existing ticket masked
+  //   OK      - may be saved; flagged lists registrations matched by "flag" rules
+  async check(userData) {
+    const [rules, threshold, periodId] = await Promise.all([
+      this.getRules(),
+      this.getFuzzyThreshold(),
+      periodService.getActivePeriodId(),
+    ]);
+    if (Object.values(rules).every((mode) => mode === "off")) {
+      return { outcome: "OK", flagged: [] };
+    }
+
+    const connection = await getConnection();
+    let registrations;
+    try {
+      registrations = await this.getRegistrations(connection, periodId);
+    } finally {
+      connection.release();
+    }
+
+    const candidate = this.prepare(userData);
+    const flagged = [];
+    for (const existing of registrations) {
+      const { matches, similarity } = this.compare(candidate, existing, rules, threshold);
+      const blocking = matches.find((rule) => rules[rule] === "block");
+      if (blocking) {
+        return {
+          outcome: "BLOCKED",
+          rule: blocking,
+          message: DUPLICATE_RULES[blocking].message,
+          existingTicket: ticketService.mask(existing.ticket),
+        };
+      }
+      if (matches.length > 0) {
+        flagged.push({
+          ticket: existing.ticket,
+          nama_lengkap: existing.nama_lengkap,
+          rules: matches,
+          similarity,
+        });
+      }
+    }
+
+    return { outcome: "OK", flagged };
+  }
+
+  // Every pair in a period matched by a rule that is not off, older registration first,
+  // so reviewers can decide which ones to merge
+  async findSuspected(periodId) {
+    const [rules, threshold] = await Promise.all([this.getRules(), this.getFuzzyThreshold()]);
+    const connection = await getConnection();
+    let registrations;
+    try {
+      registrations = await this.getRegistrations(connection, periodId);
+    } finally {
+      connection.release();
+    }
+
+    const pairs = [];
+    for (let i = 0; i < registrations.length; i++) {
+      for (let j = i + 1; j < registrations.length; j++) {
+        const { matches, similarity } = this.compare(
+          registrations[i],
+          registrations[j],
+          rules,
+          threshold
+        );
+        if (matches.length > 0) {
+          pairs.push({
+            original: registrations[i],
+            duplicate: registrations[j],
+            rules: matches,
+            similarity,
+          });
+        }
+      }
+    }
+
+    return { rules, threshold, checked: registrations.length, pairs };
+  }
+
+  describeRule(rule) {
+    return DUPLICATE_RULES[rule] ? DUPLICATE_RULES[rule].label : rule;
+  }
+}
+
+// Create singleton instance
+const duplicateDetector = new DuplicateDetector();
+
+module.exports = {
+  duplicateDetector,
+  DUPLICATE_RULES,
+};
@@ -13,8 +13,12 @@
 
 const ExcelJS = require("exceljs");
 const { getConnection } = require("../database/mysql-database-refactored");
-const path = require("path");
-const fs = require("fs");
+const { divisionService } = require("./division-service");
+const { rubricService } = require("./rubric-service");
+const { periodService } = require("./period-service");
+const { photoProcessor } = require("./photo-processor");
+const { uploadKey } = require("./upload-gc");
+const { storage } = require("./storage");
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // 🎨 DESIGN SYSTEM - Color Palette & Typography
@@ -67,6 +71,13 @@ const DESIGN_SYSTEM = {
     HEADER_HEIGHT: 32,
     ROW_HEIGHT: 28,
     EXPANDED_ROW_HEIGHT: 45,
+    PHOTO_ROW_HEIGHT: 52,
+  },
+
+  // 📷 Embedded photo thumbnails (pixels, 3x4)
+  PHOTO: {
+    WIDTH: 45,
+    HEIGHT: 60,
   },
 
   // 🔲 Border Styles
@@ -298,6 +309,7 @@ function addModernInfoSection(worksheet, users, startRow) {
     `Lolos: ${stats.approved}`,
     `Ditolak: ${stats.rejected}`,
     `Pending: ${stats.pending}`,
+    `Mengundurkan Diri: ${stats.withdrawn}`,
   ];
 
   statLabels.forEach((label, index) => {
@@ -315,14 +327,21 @@ function addModernInfoSection(worksheet, users, startRow) {
  */
 function calculateStatistics(users) {
   const stats = {
-    total: users.length,
+    total: 0,
     approved: 0,
     rejected: 0,
     pending: 0,
+    withdrawn: 0,
   };
 
   users.forEach((user) => {
     const status = (user.status || "PENDING").toUpperCase();
+    // Withdrawn applicants stay in the sheet for the record but not in the totals
+    if (status === "WITHDRAWN") {
+      stats.withdrawn++;
+      return;
+    }
+    stats.total++;
     if (["LOLOS", "APPROVED", "DITERIMA"].includes(status)) {
       stats.approved++;
     } else if (["DITOLAK", "REJECTED", "GAGAL"].includes(status)) {
@@ -335,6 +354,122 @@ function calculateStatistics(users) {
   return stats;
 }
 
+/**
+ * 🎯 Add a per-division summary worksheet (quota and applicant counts)
+ * @param {ExcelJS.Workbook} workbook - Target workbook
+ * @param {Array} divisions - Rows from divisionService.getDivisionSummary()
+ */
+function addDivisionSummarySheet(workbook, divisions) {
+  const worksheet = workbook.addWorksheet("🎯 Divisi", {
+    properties: { tabColor: { argb: DESIGN_SYSTEM.COLORS.PRIMARY.MEDIUM } },
+  });
+
+  worksheet.columns = [
+    { header: "No", key: "no", width: 6 },
+    { header: "🏢 Divisi", key: "display_name", width: 24 },
+    { header: "🔖 Slug", key: "slug", width: 18 },
+    { header: "⚙️ Aktif", key: "is_active", width: 10 },
+    { header: "🎟 Kuota", key: "quota", width: 12 },
+    { header: "💺 Kursi Terisi", key: "seats_used", width: 14 },
+    { header: "👥 Total Pendaftar", key: "total", width: 18 },
+    { header: "✅ Lolos", key: "lolos", width: 10 },
+    { header: "❌ Ditolak", key: "ditolak", width: 10 },
+    { header: "⏸ Waitlist", key: "waitlist", width: 10 },
+    { header: "⏳ Pending", key: "pending", width: 10 },
+  ];
+  applyModernHeaderStyle(worksheet.getRow(1));
+
+  divisions.forEach((division, index) => {
+    const row = worksheet.addRow({
+      no: index + 1,
+      display_name: division.display_name,
+      slug: division.slug,
+      is_active: division.is_active ? "Ya" : "Tidak",
+      quota: division.quota === null ? "Tanpa batas" : division.quota,
+      seats_used: Number(division.seats_used),
+      total: Number(division.total),
+      lolos: Number(division.lolos),
+      ditolak: Number(division.ditolak),
+      waitlist: Number(division.waitlist),
+      pending: Number(division.pending),
+    });
+
+    row.eachCell((cell) => {
+      cell.font = { ...DESIGN_SYSTEM.TYPOGRAPHY.BODY, name: "Segoe UI" };
+      cell.border = {
+        top: DESIGN_SYSTEM.BORDERS.THIN,
+        left: DESIGN_SYSTEM.BORDERS.THIN,
+        bottom: DESIGN_SYSTEM.BORDERS.THIN,
+        right: DESIGN_SYSTEM.BORDERS.THIN,
+      };
+      cell.alignment = { vertical: "middle", horizontal: "center" };
+    });
+    row.getCell("display_name").alignment = { vertical: "middle", horizontal: "left" };
+  });
+
+  worksheet.views = [{ state: "frozen", ySplit: 1, activeCell: "A2" }];
+}
+
+/**
+ * 🏅 Add a worksheet ranking each division's applicants by weighted interview score
+ * @param {ExcelJS.Workbook} workbook - Target workbook
+ * @param {Array} rankings - Results of rubricService.getRanking() per division
+ */
+function addRankingSheet(workbook, rankings) {
+  const worksheet = workbook.addWorksheet("🏅 Ranking", {
+    properties: { tabColor: { argb: DESIGN_SYSTEM.COLORS.PRIMARY.MEDIUM } },
+  });
+
+  worksheet.columns = [
+    { header: "🏢 Divisi", key: "division", width: 22 },
+    { header: "🏅 Peringkat", key: "rank", width: 12 },
+    { header: "👤 Nama Lengkap", key: "nama_lengkap", width: 28 },
+    { header: "🎫 Tiket", key: "ticket", width: 20 },
+    { header: "🎓 Kelas", key: "kelas", width: 14 },
+    { header: "🔢 Pilihan Ke-", key: "priority", width: 12 },
+    { header: "📈 Skor (0-100)", key: "score", width: 14 },
+    { header: "📐 Kriteria Dinilai", key: "criteria", width: 16 },
+    { header: "🎙 Pewawancara", key: "interviewers", width: 14 },
+    { header: "📊 Status", key: "status", width: 14 },
+    { header: "🎯 Ditempatkan", key: "placed_division", width: 20 },
+  ];
+  applyModernHeaderStyle(worksheet.getRow(1));
+
+  for (const { division, applicants } of rankings) {
+    for (const applicant of applicants) {
+      const row = worksheet.addRow({
+        division: division.display_name,
+        rank: applicant.rank || "-",
+        nama_lengkap: applicant.nama_lengkap,
+        ticket: applicant.ticket,
+        kelas: `${applicant.kelas} ${applicant.jurusan}`,
+        priority: applicant.priority,
+        score: applicant.score === null ? "Belum dinilai" : applicant.score,
+        criteria: `${applicant.criteria_scored}/${applicant.criteria_total}`,
+        interviewers: applicant.interviewers,
+        status: applicant.status,
+        placed_division: applicant.placed_division || "-",
+      });
+
+      row.eachCell((cell) => {
+        cell.font = { ...DESIGN_SYSTEM.TYPOGRAPHY.BODY, name: "Segoe UI" };
+        cell.border = {
+          top: DESIGN_SYSTEM.BORDERS.THIN,
+          left: DESIGN_SYSTEM.BORDERS.THIN,
+          bottom: DESIGN_SYSTEM.BORDERS.THIN,
+          right: DESIGN_SYSTEM.BORDERS.THIN,
+        };
+        cell.alignment = { vertical: "middle", horizontal: "center" };
+      });
+      row.getCell("division").alignment = { vertical: "middle", horizontal: "left" };
+      row.getCell("nama_lengkap").alignment = { vertical: "middle", horizontal: "left" };
+    }
+  }
+
+  worksheet.views = [{ state: "frozen", ySplit: 1, activeCell: "A2" }];
+  worksheet.autoFilter = "A1:K1";
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // 🗄️ DATABASE OPERATIONS
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -342,9 +477,10 @@ function calculateStatistics(users) {
 /**
  * 🔍 Fetch comprehensive user data from database with optimized query
  * @param {object} connection - Database connection
+ * @param {number} periodId - Recruitment period to export
  * @returns {Promise<Array>} Users data array
  */
-async function fetchComprehensiveUsersData(connection) {
+async function fetchComprehensiveUsersData(connection, periodId) {
   console.log("🔍 Fetching comprehensive user data...");
 
   try {
@@ -390,9 +526,10 @@ async function fetchComprehensiveUsersData(connection) {
       LEFT JOIN divisi d ON u.id = d.user_id
       LEFT JOIN organisasi o ON u.id = o.user_id  
       LEFT JOIN prestasi p ON u.id = p.user_id
+      WHERE u.period_id = ? AND u.deleted_at IS NULL
       GROUP BY u.id
       ORDER BY u.created_at DESC
-    `);
+    `, [periodId]);
 
     console.log(`✅ Retrieved ${users.length} user records`);
     
@@ -425,8 +562,9 @@ async function fetchComprehensiveUsersData(connection) {
           nama_lengkap,
           created_at
         FROM users 
+        WHERE period_id = ? AND deleted_at IS NULL
         ORDER BY created_at DESC
-      `);
+      `, [periodId]);
       
       console.log(`✅ Retrieved ${usersSimple.length} user records (minimal mode)`);
       
@@ -479,18 +617,20 @@ async function fetchComprehensiveUsersData(connection) {
 
 /**
  * 🚀 Generate professionally styled Excel report with modern design
+ * @param {object} [period] - Recruitment period to export (default: the active period)
  * @returns {Promise<object>} Generation result object
  */
-async function generateProfessionalExcelReport() {
+async function generateProfessionalExcelReport(period = null) {
   let connection;
   const startTime = Date.now();
 
   try {
     console.log("🚀 Initiating professional Excel report generation...");
+    const scope = period || (await periodService.getActivePeriod());
     connection = await getConnection();
 
     // Fetch data
-    const users = await fetchComprehensiveUsersData(connection);
+    const users = await fetchComprehensiveUsersData(connection, scope.id);
 
     if (users.length === 0) {
       console.log("⚠️  No users found for Excel export.");
@@ -519,7 +659,7 @@ async function generateProfessionalExcelReport() {
     const titleCell = worksheet.getCell(`A${currentRow}`);
     applyTitleStyle(
       titleCell,
-      "🏫 LAPORAN KOMPREHENSIF PENDAFTARAN ANGGOTA OSIS"
+      `🏫 LAPORAN KOMPREHENSIF PENDAFTARAN ANGGOTA OSIS - ${scope.name.toUpperCase()}`
     );
     worksheet.getRow(currentRow).height = DESIGN_SYSTEM.SPACING.TITLE_HEIGHT;
     currentRow++;
@@ -581,6 +721,7 @@ async function generateProfessionalExcelReport() {
       { header: "🥇 Prestasi", key: "prestasi_list", width: 38 },
       { header: "📊 Status", key: "status", width: 14 },
       { header: "📅 Tanggal Daftar", key: "created_at", width: 18 },
+      { header: "📷 Foto", key: "foto", width: 9 },
     ];
 
     worksheet.columns = modernColumns;
@@ -590,7 +731,8 @@ async function generateProfessionalExcelReport() {
     applyModernHeaderStyle(headerRow);
 
     // ═══ Process and Style Data Rows ═══
-    users.forEach((user, index) => {
+    const photoColumn = modernColumns.length - 1; // 0-based, for image anchors
+    for (const [index, user] of users.entries()) {
       currentRow++;
 
       // Format birth place and date
@@ -615,6 +757,7 @@ async function generateProfessionalExcelReport() {
         prestasi_list: formatListData(user.prestasi_list),
         status: user.status || "PENDING",
         created_at: formatDateTime(user.created_at),
+        foto: "-",
       };
 
       // Only add email if the column exists
@@ -622,9 +765,17 @@ async function generateProfessionalExcelReport() {
         rowData.email = user.email || "-";
       }
 
+      const thumbnail = await getPhotoThumbnail(user.foto_path);
+      if (thumbnail) rowData.foto = "";
+
       const row = worksheet.addRow(rowData);
       applyModernRowStyles(row, rowData, index);
-    });
+
+      if (thumbnail) {
+        addPhotoImage(workbook, worksheet, thumbnail, row.number - 1, photoColumn);
+        row.height = Math.max(row.height, DESIGN_SYSTEM.SPACING.PHOTO_ROW_HEIGHT);
+      }
+    }
 
     // ═══ Advanced Excel Features ═══
     // Freeze panes
@@ -657,26 +808,32 @@ async function generateProfessionalExcelReport() {
       },
     };
 
+    // ═══ Division Summary Sheet ═══
+    addDivisionSummarySheet(workbook, await divisionService.getDivisionSummary(scope.id));
+
+    // ═══ Interview Score Ranking Sheet ═══
+    const divisions = await divisionService.getDivisions();
+    const rankings = [];
+    for (const division of divisions) {
+      rankings.push(await rubricService.getRanking(division.slug, scope.id));
+    }
+    addRankingSheet(workbook, rankings);
+
     // ═══ File Generation ═══
     const timestamp = new Date()
       .toISOString()
       .replace(/[:.]/g, "-")
       .split("T")[0];
-    const fileName = `OSIS_Comprehensive_Report_${timestamp}.xlsx`;
-    const tempDir = path.join(__dirname, "..", "exports");
+    const fileName = `OSIS_Comprehensive_Report_${scope.slug}_${timestamp}.xlsx`;
 
-    // Ensure export directory exists
-    if (!fs.existsSync(tempDir)) {
-      fs.mkdirSync(tempDir, { recursive: true });
-    }
-
-    const filePath = path.join(tempDir, fileName);
-    await workbook.xlsx.writeFile(filePath);
+    // Stored under exports/ so whichever instance handles the download can read it
+    const storageKey = `exports/${fileName}`;
+    const buffer = await workbook.xlsx.writeBuffer();
+    await storage.put(storageKey, buffer);
 
     // Calculate generation metrics
     const generationTime = ((Date.now() - startTime) / 1000).toFixed(2);
-    const fileStats = fs.statSync(filePath);
-    const fileSizeInMB = (fileStats.size / (1024 * 1024)).toFixed(2);
+    const fileSizeInMB = (buffer.length / (1024 * 1024)).toFixed(2);
 
     console.log(`✨ Professional Excel report generated successfully!`);
     console.log(`📁 File: ${fileName}`);
@@ -686,9 +843,10 @@ async function generateProfessionalExcelReport() {
 
     return {
       success: true,
-      filePath,
+      storageKey,
       fileName,
       totalRecords: users.length,
+      period: scope.name,
       fileSize: `${fileSizeInMB} MB`,
       generationTime: `${generationTime}s`,
       timestamp: new Date().toISOString(),
@@ -704,7 +862,7 @@ async function generateProfessionalExcelReport() {
     } else if (error.code === 'ER_NO_SUCH_TABLE') {
       errorMessage = `Database table not found: ${error.message}`;
     } else if (error.message.includes('ENOENT')) {
-      errorMessage = "File system error: Unable to create export directory";
+      errorMessage = "Storage error: Unable to read or write export files";
     } else {
       errorMessage = error.message;
     }
@@ -727,6 +885,37 @@ async function generateProfessionalExcelReport() {
 // 🛠️ UTILITY FUNCTIONS
 // ═══════════════════════════════════════════════════════════════════════════════
 
+/**
+ * 📷 Thumbnail of an applicant photo, created on first use for older photos
+ * @param {string|null} fotoPath - foto_path from the users table
+ * @returns {Promise<Buffer|null>} JPEG thumbnail, null when there is none
+ */
+async function getPhotoThumbnail(fotoPath) {
+  if (!fotoPath) return null;
+  const thumbnail = await photoProcessor.ensureThumbnail(uploadKey("photos", fotoPath));
+  // Without a thumbnail the original may be a format ExcelJS cannot embed (WebP)
+  return thumbnail && thumbnail.endsWith(`/${photoProcessor.thumbnailName(fotoPath)}`)
+    ? storage.get(thumbnail)
+    : null;
+}
+
+/**
+ * 🖼️ Embed a thumbnail centered in its cell
+ * @param {ExcelJS.Workbook} workbook - Workbook object
+ * @param {ExcelJS.Worksheet} worksheet - Worksheet object
+ * @param {Buffer} image - JPEG thumbnail
+ * @param {number} row - 0-based row index
+ * @param {number} col - 0-based column index
+ */
+function addPhotoImage(workbook, worksheet, image, row, col) {
+  const imageId = workbook.addImage({ buffer: image, extension: "jpeg" });
+  worksheet.addImage(imageId, {
+    tl: { col: col + 0.15, row: row + 0.1 },
+    ext: { width: DESIGN_SYSTEM.PHOTO.WIDTH, height: DESIGN_SYSTEM.PHOTO.HEIGHT },
+    editAs: "oneCell",
+  });
+}
+
 /**
  * 📅 Format birth information
  */
@@ -0,0 +1,175 @@
+// Upload type verification - multer's fileFilter only sees the file name and the mimetype the
+// browser claims, so a renamed executable passes as a certificate. Once a photo or certificate
+// has landed in staging its first bytes decide what it is, and that has to match both its
+// extension and the types allowed_file_types permits for the field.
+const path = require("path");
+const fs = require("fs-extra");
+const { dbManager } = require("../database/mysql-database-refactored");
+
+// Types uploads can be; signature() gets the first SNIFF_BYTES of the file
+const FILE_TYPES = {
+  jpeg: {
+    label: "JPG",
+    mime: "image/jpeg",
+    extensions: ["jpg", "jpeg"],
+    signature: (bytes) => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff,
+  },
+  png: {
+    label: "PNG",
+    mime: "image/png",
+    extensions: ["png"],
+    signature: (bytes) =>
+      bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  webp: {
+    label: "WEBP",
+    mime: "image/webp",
+    extensions: ["webp"],
+    signature: (bytes) =>
+      bytes.toString("latin1", 0, 4) === "RIFF" && bytes.toString("latin1", 8, 12) === "WEBP",
+  },
+  pdf: {
+    label: "PDF",
+    mime: "application/pdf",
+    extensions: ["pdf"],
+    signature: (bytes) => bytes.toString("latin1", 0, 5) === "%PDF-",
+  },
+};
+
+const SNIFF_BYTES = 12;
+
+// Upload fields that are verified; supported caps what the setting may allow (photos go
+// through the image pipeline, so they can never be PDF)
+const FIELD_GROUPS = {
+  foto: {
+    label: "foto",
+    supported: ["jpeg", "png", "webp"],
+  },
+  sertifikat: {
+    label: "sertifikat",
+    supported: ["pdf", "jpeg", "png", "webp"],
+  },
+};
+
+const DEFAULT_ALLOWED_TYPES = "foto=jpeg,png,webp;sertifikat=pdf,jpeg,png,webp";
+
+// "jpg" and "JPEG" both name the jpeg type; unknown names give null
+function typeFromName(name) {
+  const value = String(name || "").trim().toLowerCase().replace(/^\./, "");
+  return (
+    Object.keys(FILE_TYPES).find(
+      (type) => type === value || FILE_TYPES[type].extensions.includes(value)
+    ) || null
+  );
+}
+
+class FileTypeVerifier {
+  // Which group an upload field belongs to; other fields are not verified
+  fieldGroup(fieldname) {
+    if (fieldname === "foto") return "foto";
+    if (fieldname.includes("sertifikat")) return "sertifikat";
+    return null;
+  }
+
+  // "foto=jpeg,png;sertifikat=pdf" -> { foto: ["jpeg", "png"], sertifikat: ["pdf"] }.
+  // A list without "field=" applies to every field. Types a field cannot hold are dropped,
+  // and a field left with nothing falls back to its supported types.
+  parseAllowedTypes(value) {
+    const lists = {};
+    for (const part of String(value || "").split(";")) {
+      if (!part.trim()) continue;
+      const [field, types] = part.includes("=") ? part.split("=") : [null, part];
+      const groups = field ? [field.trim().toLowerCase()] : Object.keys(FIELD_GROUPS);
+      const parsed = types.split(",").map(typeFromName).filter(Boolean);
+      for (const group of groups) {
+        if (FIELD_GROUPS[group]) lists[group] = [...(lists[group] || []), ...parsed];
+      }
+    }
+
+    const allowed = {};
+    for (const [group, config] of Object.entries(FIELD_GROUPS)) {
+      const types = config.supported.filter((type) => (lists[group] || []).includes(type));
+      allowed[group] = types.length > 0 ? types : [...config.supported];
+    }
+    return allowed;
+  }
+
+  // Whether a file name could be accepted for the field at all, before any content is seen
+  supportsName(fieldname, originalname) {
+    const group = this.fieldGroup(fieldname);
+    const claimed = typeFromName(path.extname(originalname || ""));
+    return !!group && !!claimed && FIELD_GROUPS[group].supported.includes(claimed);
+  }
+
+  async getAllowedTypes() {
+    return this.parseAllowedTypes(
+      await dbManager.getSetting("allowed_file_types", DEFAULT_ALLOWED_TYPES)
+    );
+  }
+
+  // Type key read from the file content, null when it is none of FILE_TYPES
+  async sniff(filePath) {
+    const handle = await fs.open(filePath, "r");
+    try {
+      const bytes = Buffer.alloc(SNIFF_BYTES);
+      const { bytesRead } = await fs.read(handle, bytes, 0, SNIFF_BYTES, 0);
+      const header = bytes.subarray(0, bytesRead);
+      return (
+        Object.keys(FILE_TYPES).find(
+          (type) => header.length >= 4 && FILE_TYPES[type].signature(header)
+        ) || null
+      );
+    } finally {
+      await fs.close(handle);
+    }
+  }
+
+  describeTypes(types) {
+    return types.map((type) => FILE_TYPES[type].label).join(", ");
+  }
+
+  // Check every photo and certificate of a request. A verified file's mimetype is replaced
+  // by the detected one, which is what gets stored.
+  //
+  // Outcomes:
+  //   CONTENT_MISMATCH - the content is no known type or not the type its extension says
+  //   NOT_ALLOWED      - the content is fine but allowed_file_types does not permit it here
+  //   OK               - every verified file passed
+  async verify(files) {
+    const uploads = (files || []).filter((file) => this.fieldGroup(file.fieldname));
+    if (uploads.length === 0) return { outcome: "OK" };
+
+    const allowed = await this.getAllowedTypes();
+    for (const file of uploads) {
+      const group = this.fieldGroup(file.fieldname);
+      const detected = await this.sniff(file.path);
+      const claimed = typeFromName(path.extname(file.originalname));
+
+      if (!detected || detected !== claimed) {
+        return { outcome: "CONTENT_MISMATCH", file, detected, claimed };
+      }
+      if (!allowed[group].includes(detected)) {
+        return {
+          outcome: "NOT_ALLOWED",
+          file,
+          detected,
+          field: FIELD_GROUPS[group].label,
+          allowed: allowed[group],
+        };
+      }
+
+      console.log(`🔎 ${file.fieldname}: ${file.originalname} verified as ${FILE_TYPES[detected].mime}`);
+      file.mimetype = FILE_TYPES[detected].mime;
+    }
+
+    return { outcome: "OK" };
+  }
+}
+
+// Create singleton instance
+const fileTypeVerifier = new FileTypeVerifier();
+
+module.exports = {
+  fileTypeVerifier,
+  FILE_TYPES,
+};
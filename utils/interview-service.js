@@ -0,0 +1,412 @@
+// Interview scheduling - admin-defined slots that applicants in the interview stage book with their ticket
+const { getConnection, dbManager } = require("../database/mysql-database-refactored");
+const { registrationWindow } = require("./registration-window");
+const { registrationEditService } = require("./registration-edit-service");
+
+// Only applicants still waiting for a decision may book or change a slot
+const BOOKABLE_STATUSES = ["PENDING", "PENDING_TERIMA"];
+
+const WIB_OFFSET_MS = 7 * 60 * 60 * 1000;
+
+class InterviewService {
+  // Stage whose applicants can book a slot (they got there by passing screening)
+  async getInterviewStage() {
+    return dbManager.getSetting("interview_stage", "interview");
+  }
+
+  async isEligible(user) {
+    return (
+      BOOKABLE_STATUSES.includes(user.status) &&
+      user.current_stage === (await this.getInterviewStage())
+    );
+  }
+
+  // "YYYY-MM-DD" of the current day in WIB
+  today() {
+    return new Date(Date.now() + WIB_OFFSET_MS).toISOString().slice(0, 10);
+  }
+
+  // Start and end of a WIB calendar day, or null for an invalid date
+  getDayRange(date) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || "")) return null;
+    const start = registrationWindow.parseLocalDate(date);
+    if (!start) return null;
+    return { start, end: new Date(start.getTime() + 24 * 60 * 60 * 1000) };
+  }
+
+  // Slots with their booked count; pass a day range to limit the list
+  async listSlots({ start = null, end = null, withBookings = false } = {}) {
+    const connection = await getConnection();
+    try {
+      const where = [];
+      const params = [];
+      if (start) {
+        where.push("s.starts_at >= ?");
+        params.push(start);
+      }
+      if (end) {
+        where.push("s.starts_at < ?");
+        params.push(end);
+      }
+
+      const [slots] = await connection.execute(
+        `SELECT s.*, COUNT(b.id) as booked
+         FROM interview_slots s
+         LEFT JOIN interview_bookings b ON b.slot_id = s.id
+         ${where.length > 0 ? `WHERE ${where.join(" AND ")}` : ""}
+         GROUP BY s.id
+         ORDER BY s.starts_at, s.id`,
+        params
+      );
+
+      const result = slots.map((slot) => ({
+        ...slot,
+        booked: Number(slot.booked),
+        is_active: Boolean(slot.is_active),
+      }));
+      if (!withBookings || result.length === 0) return result;
+
+      const [bookings] = await connection.execute(
+        `SELECT b.slot_id, b.user_id, b.booked_at, u.ticket, u.nama_lengkap, u.kelas, u.jurusan
+         FROM interview_bookings b
+         JOIN users u ON u.id = b.user_id
+         WHERE b.slot_id IN (${result.map(() => "?").join(", ")})
+         ORDER BY b.booked_at`,
+        result.map((slot) => slot.id)
+      );
+
+      return result.map((slot) => ({
+        ...slot,
+        bookings: bookings.filter((booking) => booking.slot_id === slot.id),
+      }));
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Every slot of one WIB day with the applicants booked into it, for /jadwal and the daily post
+  async getDaySchedule(date) {
+    const range = this.getDayRange(date);
+    if (!range) return null;
+    return this.listSlots({ ...range, withBookings: true });
+  }
+
+  async getBooking(connection, userId) {
+    const [rows] = await connection.execute(
+      `SELECT b.slot_id, b.booked_at, s.starts_at, s.duration_minutes, s.location, s.interviewer
+       FROM interview_bookings b
+       JOIN interview_slots s ON s.id = b.slot_id
+       WHERE b.user_id = ?`,
+      [userId]
+    );
+    return rows[0] || null;
+  }
+
+  // What hasil.html needs: eligibility, the current booking and slots still open for booking
+  async getApplicantView(ticket) {
+    const connection = await getConnection();
+    try {
+      const [users] = await connection.execute(
+        "SELECT id, ticket, status, current_stage FROM users WHERE ticket = ? AND deleted_at IS NULL",
+        [ticket]
+      );
+      const user = users[0];
+      if (!user) return { outcome: "NOT_FOUND" };
+
+      const eligible = await this.isEligible(user);
+      const booking = await this.getBooking(connection, user.id);
+
+      let slots = [];
+      if (eligible) {
+        const [rows] = await connection.execute(
+          `SELECT s.id, s.starts_at, s.duration_minutes, s.location, s.interviewer, s.capacity,
+                  COUNT(b.id) as booked
+           FROM interview_slots s
+           LEFT JOIN interview_bookings b ON b.slot_id = s.id
+           WHERE s.is_active = TRUE AND s.starts_at > NOW()
+           GROUP BY s.id
+           HAVING booked < s.capacity
+           ORDER BY s.starts_at, s.id`
+        );
+        slots = rows.map((slot) => ({ ...slot, booked: Number(slot.booked) }));
+      }
+
+      return { outcome: "OK", eligible, booking, slots };
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Book (or move to) a slot. Tickets are easy to enumerate, so every booking needs the
+  // applicant's edit token; otherwise anyone could book for them or fill a slot.
+  //
+  // Outcomes:
+  //   NOT_FOUND      - ticket does not exist
+  //   INVALID_TOKEN  - the edit token does not match
+  //   NOT_ELIGIBLE   - applicant is not in the interview stage or already decided
+  //   SLOT_NOT_FOUND - slot does not exist
+  //   SLOT_CLOSED    - slot is inactive or has already started
+  //   SLOT_FULL      - every seat of the slot is taken
+  //   ALREADY_BOOKED - applicant already holds this slot
+  //   BOOKED         - booking stored; previousSlotId is set when it replaced another slot
+  async bookSlot(ticket, slotId, token = null) {
+    const connection = await getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      // Lock the applicant first, then the slot, so concurrent requests queue up in the same order
+      const [users] = await connection.execute(
+        "SELECT id, ticket, nama_lengkap, status, current_stage, edit_token_hash FROM users WHERE ticket = ? AND deleted_at IS NULL FOR UPDATE",
+        [ticket]
+      );
+      const user = users[0];
+      if (!user) {
+        await connection.rollback();
+        return { outcome: "NOT_FOUND" };
+      }
+      if (!registrationEditService.matchesToken(user, token)) {
+        await connection.rollback();
+        return { outcome: "INVALID_TOKEN", user };
+      }
+      if (!(await this.isEligible(user))) {
+        await connection.rollback();
+        return { outcome: "NOT_ELIGIBLE", user };
+      }
+
+      const [slots] = await connection.execute(
+        "SELECT *, starts_at > NOW() as is_upcoming FROM interview_slots WHERE id = ? FOR UPDATE",
+        [slotId]
+      );
+      const slot = slots[0];
+      if (!slot) {
+        await connection.rollback();
+        return { outcome: "SLOT_NOT_FOUND", user };
+      }
+      if (!slot.is_active || !slot.is_upcoming) {
+        await connection.rollback();
+        return { outcome: "SLOT_CLOSED", user, slot };
+      }
+
+      const existing = await this.getBooking(connection, user.id);
+      if (existing && existing.slot_id === slot.id) {
+        await connection.rollback();
+        return { outcome: "ALREADY_BOOKED", user, slot };
+      }
+
+      const [[{ booked }]] = await connection.execute(
+        "SELECT COUNT(*) as booked FROM interview_bookings WHERE slot_id = ?",
+        [slot.id]
+      );
+      if (Number(booked) >= slot.capacity) {
+        await connection.rollback();
+        return { outcome: "SLOT_FULL", user, slot };
+      }
+
+      if (existing) {
+        await connection.execute("DELETE FROM interview_bookings WHERE user_id = ?", [
+          user.id,
+        ]);
+      }
+      await connection.execute(
+        "INSERT INTO interview_bookings (slot_id, user_id) VALUES (?, ?)",
+        [slot.id, user.id]
+      );
+
+      await connection.commit();
+      console.log(`📅 Interview slot ${slot.id} booked by ${ticket}`);
+
+      return {
+        outcome: "BOOKED",
+        user,
+        slot,
+        previousSlotId: existing ? existing.slot_id : null,
+      };
+    } catch (error) {
+      await connection.rollback();
+      // The unique user_id key is the last line of defence against double booking
+      if (error.code === "ER_DUP_ENTRY") return { outcome: "ALREADY_BOOKED" };
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Release the applicant's slot; needs the edit token and is not possible once the
+  // interview has started.
+  // Outcomes: NOT_FOUND, INVALID_TOKEN, NO_BOOKING, SLOT_CLOSED, CANCELLED
+  async cancelBooking(ticket, token) {
+    const connection = await getConnection();
+    try {
+      const [users] = await connection.execute(
+        "SELECT id, edit_token_hash FROM users WHERE ticket = ? AND deleted_at IS NULL",
+        [ticket]
+      );
+      if (users.length === 0) return { outcome: "NOT_FOUND" };
+      if (!registrationEditService.matchesToken(users[0], token)) {
+        return { outcome: "INVALID_TOKEN" };
+      }
+
+      const booking = await this.getBooking(connection, users[0].id);
+      if (!booking) return { outcome: "NO_BOOKING" };
+      if (new Date(booking.starts_at) <= new Date()) {
+        return { outcome: "SLOT_CLOSED", booking };
+      }
+
+      await connection.execute("DELETE FROM interview_bookings WHERE user_id = ?", [
+        users[0].id,
+      ]);
+      console.log(`📅 Interview booking for ${ticket} cancelled`);
+      return { outcome: "CANCELLED", booking };
+    } finally {
+      connection.release();
+    }
+  }
+
+  validateInput(input, isUpdate = false) {
+    const errors = [];
+
+    if (!isUpdate || input.starts_at !== undefined) {
+      if (!registrationWindow.parseLocalDate(String(input.starts_at || ""))) {
+        errors.push("Waktu mulai tidak valid (contoh: 2025-07-20T09:00)");
+      }
+    }
+    if (input.duration_minutes !== undefined) {
+      const duration = parseInt(input.duration_minutes);
+      if (!Number.isInteger(duration) || duration < 5 || duration > 480) {
+        errors.push("Durasi harus 5-480 menit");
+      }
+    }
+    if (!isUpdate || input.capacity !== undefined) {
+      const capacity = parseInt(input.capacity);
+      if (!Number.isInteger(capacity) || capacity < 1 || capacity > 100) {
+        errors.push("Kapasitas harus 1-100 pendaftar");
+      }
+    }
+    for (const [field, label] of [
+      ["location", "Ruangan"],
+      ["interviewer", "Pewawancara"],
+    ]) {
+      if (input[field] && String(input[field]).length > 100) {
+        errors.push(`${label} maksimal 100 karakter`);
+      }
+    }
+
+    return errors;
+  }
+
+  async createSlot(input, actorName) {
+    const connection = await getConnection();
+    try {
+      const [result] = await connection.execute(
+        `INSERT INTO interview_slots (starts_at, duration_minutes, location, interviewer, capacity, notes, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          registrationWindow.parseLocalDate(String(input.starts_at)),
+          parseInt(input.duration_minutes) || 30,
+          input.location ? String(input.location).trim() : null,
+          input.interviewer ? String(input.interviewer).trim() : null,
+          parseInt(input.capacity),
+          input.notes || null,
+          actorName || null,
+        ]
+      );
+      return result.insertId;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Partial update; capacity may not drop below the seats already booked
+  async updateSlot(id, input) {
+    const fields = [];
+    const params = [];
+    const assign = (column, value) => {
+      fields.push(`${column} = ?`);
+      params.push(value);
+    };
+
+    if (input.starts_at !== undefined) {
+      assign("starts_at", registrationWindow.parseLocalDate(String(input.starts_at)));
+    }
+    if (input.duration_minutes !== undefined) {
+      assign("duration_minutes", parseInt(input.duration_minutes));
+    }
+    if (input.location !== undefined) assign("location", input.location || null);
+    if (input.interviewer !== undefined) assign("interviewer", input.interviewer || null);
+    if (input.capacity !== undefined) assign("capacity", parseInt(input.capacity));
+    if (input.notes !== undefined) assign("notes", input.notes || null);
+    if (input.is_active !== undefined) assign("is_active", Boolean(input.is_active));
+
+    const connection = await getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [slots] = await connection.execute(
+        "SELECT id FROM interview_slots WHERE id = ? FOR UPDATE",
+        [id]
+      );
+      if (slots.length === 0) {
+        await connection.rollback();
+        return { outcome: "NOT_FOUND" };
+      }
+
+      if (input.capacity !== undefined) {
+        const [[{ booked }]] = await connection.execute(
+          "SELECT COUNT(*) as booked FROM interview_bookings WHERE slot_id = ?",
+          [id]
+        );
+        if (parseInt(input.capacity) < Number(booked)) {
+          await connection.rollback();
+          return { outcome: "CAPACITY_BELOW_BOOKED", booked: Number(booked) };
+        }
+      }
+
+      if (fields.length > 0) {
+        await connection.execute(
+          `UPDATE interview_slots SET ${fields.join(", ")} WHERE id = ?`,
+          [...params, id]
+        );
+      }
+
+      await connection.commit();
+      return { outcome: "UPDATED" };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Booked slots are deactivated instead so applicants keep their appointment record
+  async deleteSlot(id) {
+    const connection = await getConnection();
+    try {
+      const [slots] = await connection.execute(
+        "SELECT id FROM interview_slots WHERE id = ?",
+        [id]
+      );
+      if (slots.length === 0) return { outcome: "NOT_FOUND" };
+
+      const [[{ booked }]] = await connection.execute(
+        "SELECT COUNT(*) as booked FROM interview_bookings WHERE slot_id = ?",
+        [id]
+      );
+      if (Number(booked) > 0) return { outcome: "HAS_BOOKINGS", booked: Number(booked) };
+
+      await connection.execute("DELETE FROM interview_slots WHERE id = ?", [id]);
+      return { outcome: "DELETED" };
+    } finally {
+      connection.release();
+    }
+  }
+}
+
+// Create singleton instance
+const interviewService = new InterviewService();
+
+module.exports = {
+  interviewService,
+  BOOKABLE_STATUSES,
+};
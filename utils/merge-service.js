@@ -0,0 +1,297 @@
+// Merging duplicate registrations - the same student registered twice. Everything the dropped
+// registration has (division choices, organisasi/prestasi rows, files, edit history,
+// quarantined uploads) moves into the kept one; the dropped ticket is retired and redirects
+// to the kept ticket.
+const { getConnection } = require("../database/mysql-database-refactored");
+const { approvalWorkflow, SEAT_STATUSES } = require("./approval-workflow");
+const { deletionService } = require("./deletion-service");
+const { periodService } = require("./period-service");
+const { EDITABLE_FIELDS } = require("./registration-edit-service");
+
+// Profile fields resolved one by one; "foto" is accepted as the name of foto_path
+const MERGE_FIELDS = { ...EDITABLE_FIELDS, foto_path: "Foto 3x4" };
+const FIELD_ALIASES = { foto: "foto_path" };
+// Columns that go along with a field taken from the dropped registration
+const COMPANION_COLUMNS = { foto_path: ["foto_mime"] };
+
+// Experience rows are the same entry when these columns match
+const EXPERIENCE_TABLES = {
+  organisasi: ["nama_organisasi", "jabatan", "tahun"],
+  prestasi: ["nama_prestasi", "tingkat", "tahun"],
+};
+
+const isEmpty = (value) =>
+  value === undefined || value === null || String(value).trim() === "";
+
+const sameValue = (a, b) => {
+  const key = (value) =>
+    value instanceof Date ? String(value.getTime()) : String(value).trim().toLowerCase();
+  return key(a) === key(b);
+};
+
+class MergeService {
+  // Field names a caller may take from the dropped registration ("foto" or "foto_path", ...)
+  resolveFields(names) {
+    const fields = [];
+    const invalid = [];
+    for (const name of names || []) {
+      const field = FIELD_ALIASES[name] || name;
+      if (MERGE_FIELDS[field]) {
+        if (!fields.includes(field)) fields.push(field);
+      } else {
+        invalid.push(name);
+      }
+    }
+    return { fields, invalid };
+  }
+
+  // Kept value wins unless the field is listed in takeFromDrop; an empty kept value is filled
+  // from the dropped registration. Only fields that change or conflict are returned.
+  resolveConflicts(keep, drop, takeFromDrop) {
+    const resolved = [];
+    for (const [field, label] of Object.entries(MERGE_FIELDS)) {
+      if (isEmpty(drop[field]) || sameValue(keep[field], drop[field])) continue;
+
+      const conflict = !isEmpty(keep[field]);
+      const source = !conflict || takeFromDrop.includes(field) ? "drop" : "keep";
+      resolved.push({
+        field,
+        label,
+        conflict,
+        source,
+        keep: keep[field],
+        drop: drop[field],
+        value: source === "drop" ? drop[field] : keep[field],
+      });
+    }
+    return resolved;
+  }
+
+  // Division choices the kept registration does not have yet go to the end of its preference
+  // list; for a division both chose, an empty reason is filled from the dropped one
+  async mergeDivisions(connection, keep, drop) {
+    const [keptRows] = await connection.execute(
+      "SELECT id, nama_divisi, alasan, priority FROM divisi WHERE user_id = ?",
+      [keep.id]
+    );
+    const [droppedRows] = await connection.execute(
+      "SELECT id, nama_divisi, alasan FROM divisi WHERE user_id = ? ORDER BY priority, id",
+      [drop.id]
+    );
+
+    let nextPriority = keptRows.reduce((max, row) => Math.max(max, row.priority || 0), 0) + 1;
+    const moved = [];
+    for (const row of droppedRows) {
+      const existing = keptRows.find((kept) => kept.nama_divisi === row.nama_divisi);
+      if (existing) {
+        if (isEmpty(existing.alasan) && !isEmpty(row.alasan)) {
+          await connection.execute("UPDATE divisi SET alasan = ? WHERE id = ?", [
+            row.alasan,
+            existing.id,
+          ]);
+        }
+        continue;
+      }
+      await connection.execute("UPDATE divisi SET user_id = ?, priority = ? WHERE id = ?", [
+        keep.id,
+        nextPriority++,
+        row.id,
+      ]);
+      moved.push(row.nama_divisi);
+    }
+    return moved;
+  }
+
+  // Rows the kept registration already has stay once, taking over the certificate if only the
+  // dropped copy had one; the rest move over with their certificate
+  async mergeExperience(connection, table, keep, drop) {
+    const columns = EXPERIENCE_TABLES[table];
+    const key = (row) =>
+      columns.map((column) => String(row[column] || "").trim().toLowerCase()).join("|");
+
+    const [keptRows] = await connection.execute(
+      `SELECT id, ${columns.join(", ")}, sertifikat_path, sertifikat_mime FROM ${table} WHERE user_id = ?`,
+      [keep.id]
+    );
+    const [droppedRows] = await connection.execute(
+      `SELECT id, ${columns.join(", ")}, sertifikat_path, sertifikat_mime FROM ${table} WHERE user_id = ?`,
+      [drop.id]
+    );
+
+    let moved = 0;
+    for (const row of droppedRows) {
+      const existing = keptRows.find((kept) => key(kept) === key(row));
+      if (existing) {
+        if (!existing.sertifikat_path && row.sertifikat_path) {
+          await connection.execute(
+            `UPDATE ${table} SET sertifikat_path = ?, sertifikat_mime = ? WHERE id = ?`,
+            [row.sertifikat_path, row.sertifikat_mime, existing.id]
+          );
+        }
+        continue;
+      }
+      await connection.execute(`UPDATE ${table} SET user_id = ? WHERE id = ?`, [keep.id, row.id]);
+      moved++;
+    }
+    return moved;
+  }
+
+  // Merge dropTicket into keepTicket. The kept registration keeps its status, selection stage,
+  // interview booking and scores; the dropped one's are discarded with it, and a seat it held
+  // goes to the waitlist.
+  //
+  // Outcomes:
+  //   SAME_TICKET      - both tickets are the same registration
+  //   INVALID_FIELDS   - takeFromDrop names fields that cannot be merged
+  //   NOT_FOUND        - one of the tickets does not exist or is deleted (ticket says which)
+  //   DIFFERENT_PERIOD - the registrations belong to different recruitment periods
+  //   PREVIEW          - dryRun: what a merge would do, everything rolled back
+  //   MERGED           - done, with the resolved fields and what was moved
+  // A merge cannot be undone, so callers show the dryRun result before merging.
+  async merge(keepTicket, dropTicket, actor, { takeFromDrop = [], dryRun = false } = {}) {
+    if (keepTicket === dropTicket) return { outcome: "SAME_TICKET" };
+
+    const { fields, invalid } = this.resolveFields(takeFromDrop);
+    if (invalid.length > 0) return { outcome: "INVALID_FIELDS", invalid };
+
+    const admin = approvalWorkflow.resolveActor(actor);
+    const connection = await getConnection();
+    let unusedFiles = [];
+    let result;
+
+    try {
+      await connection.beginTransaction();
+
+      // Same lock order as push, in case the dropped registration's seat is handed on
+      await connection.execute("SELECT id FROM divisions FOR UPDATE");
+
+      const users = {};
+      for (const ticket of [keepTicket, dropTicket]) {
+        const [rows] = await connection.execute(
+          "SELECT * FROM users WHERE ticket = ? AND deleted_at IS NULL FOR UPDATE",
+          [ticket]
+        );
+        if (rows.length === 0) {
+          await connection.rollback();
+          return { outcome: "NOT_FOUND", ticket };
+        }
+        users[ticket] = rows[0];
+      }
+      const keep = users[keepTicket];
+      const drop = users[dropTicket];
+
+      if (keep.period_id !== drop.period_id) {
+        await connection.rollback();
+        return { outcome: "DIFFERENT_PERIOD", keep, drop };
+      }
+
+      const filesBefore = [
+        ...(await deletionService.collectFiles(connection, keep)),
+        ...(await deletionService.collectFiles(connection, drop)),
+      ];
+
+      const divisions = await this.mergeDivisions(connection, keep, drop);
+      const organisasi = await this.mergeExperience(connection, "organisasi", keep, drop);
+      const prestasi = await this.mergeExperience(connection, "prestasi", keep, drop);
+      for (const table of ["registration_revisions", "quarantined_files"]) {
+        await connection.execute(`UPDATE ${table} SET user_id = ? WHERE user_id = ?`, [
+          keep.id,
+          drop.id,
+        ]);
+      }
+
+      // Retire the dropped ticket; tickets merged into it earlier now point at the kept one
+      await connection.execute("UPDATE ticket_redirects SET new_ticket = ? WHERE new_ticket = ?", [
+        keep.ticket,
+        drop.ticket,
+      ]);
+      await connection.execute(
+        "INSERT INTO ticket_redirects (old_ticket, new_ticket, merged_by) VALUES (?, ?, ?)",
+        [drop.ticket, keep.ticket, admin.name]
+      );
+
+      // Deleted before the kept row takes its values, the phone number is unique per period
+      await connection.execute("DELETE FROM users WHERE id = ?", [drop.id]);
+
+      const resolved = this.resolveConflicts(keep, drop, fields);
+      const taken = resolved.filter((change) => change.source === "drop");
+      const merged = { ...keep };
+      if (taken.length > 0) {
+        const columns = [];
+        taken.forEach((change) => {
+          columns.push(change.field, ...(COMPANION_COLUMNS[change.field] || []));
+        });
+        columns.forEach((column) => (merged[column] = drop[column]));
+        await connection.execute(
+          `UPDATE users SET ${columns.map((column) => `${column} = ?`).join(", ")},
+             updated_by = ?, updated_at = NOW()
+           WHERE id = ?`,
+          [...columns.map((column) => merged[column]), admin.name, keep.id]
+        );
+      }
+      // Files nothing references any more: the photo that was not kept, certificates of
+      // rows both registrations had
+      const keptFiles = await deletionService.collectFiles(connection, merged);
+      unusedFiles = [...new Set(filesBefore)].filter((file) => !keptFiles.includes(file));
+
+      await approvalWorkflow.writeLog(connection, {
+        userId: keep.id,
+        ticket: keep.ticket,
+        action: "MERGE",
+        previousStatus: drop.status,
+        newStatus: keep.status,
+        reason:
+          `Merged ${drop.ticket} into ${keep.ticket}` +
+          (taken.length > 0
+            ? `; from ${drop.ticket}: ${taken.map((change) => change.field).join(", ")}`
+            : ""),
+        actor: admin,
+      });
+
+      let promoted = [];
+      const heldSeat =
+        SEAT_STATUSES.includes(drop.status) &&
+        drop.placed_division &&
+        drop.period_id === (await periodService.getActivePeriodId());
+      if (heldSeat) {
+        const seats = await approvalWorkflow.getSeatUsage(connection);
+        promoted = await approvalWorkflow.fillOpenSeats(connection, seats, admin);
+      }
+
+      result = {
+        outcome: dryRun ? "PREVIEW" : "MERGED",
+        keep: merged,
+        drop,
+        fields: resolved,
+        moved: { divisions, organisasi, prestasi },
+        promoted,
+      };
+
+      if (dryRun) {
+        await connection.rollback();
+        return { ...result, removedFiles: unusedFiles.length };
+      }
+
+      await connection.commit();
+      console.log(`🔀 ${drop.ticket} merged into ${keep.ticket} by ${admin.name}`);
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    // Removed after the commit like the purge does, so a failed merge never loses a file
+    const removedFiles = await deletionService.removeFiles(unusedFiles);
+
+    return { ...result, removedFiles };
+  }
+}
+
+// Create singleton instance
+const mergeService = new MergeService();
+
+module.exports = {
+  mergeService,
+  MERGE_FIELDS,
+};
@@ -0,0 +1,160 @@
+// Recruitment periods - one row per intake (cohort) so several years share one database.
+// Exactly one period is active: new registrations, stats, exports and listings use it.
+const { getConnection } = require("../database/mysql-database-refactored");
+
+const CACHE_TTL_MS = 60 * 1000;
+
+class PeriodService {
+  constructor() {
+    this.activeCache = null;
+    this.activeLoadedAt = 0;
+  }
+
+  invalidateCache() {
+    this.activeCache = null;
+  }
+
+  // Every period, newest first, with its applicant count (withdrawn and deleted not counted)
+  async getPeriods() {
+    const connection = await getConnection();
+    try {
+      const [rows] = await connection.execute(
+        `SELECT rp.*, COUNT(u.id) as applicants
+         FROM recruitment_periods rp
+         LEFT JOIN users u ON u.period_id = rp.id AND u.status <> 'WITHDRAWN' AND u.deleted_at IS NULL
+         GROUP BY rp.id
+         ORDER BY rp.year DESC, rp.id DESC`
+      );
+      return rows.map((row) => ({
+        ...row,
+        is_active: Boolean(row.is_active),
+        applicants: Number(row.applicants),
+      }));
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Cached briefly since every registration and listing reads it
+  async getActivePeriod() {
+    if (!this.activeCache || Date.now() - this.activeLoadedAt > CACHE_TTL_MS) {
+      const connection = await getConnection();
+      try {
+        const [rows] = await connection.execute(
+          "SELECT * FROM recruitment_periods WHERE is_active = TRUE ORDER BY id DESC LIMIT 1"
+        );
+        this.activeCache = rows[0] || null;
+        this.activeLoadedAt = Date.now();
+      } finally {
+        connection.release();
+      }
+    }
+    return this.activeCache;
+  }
+
+  async getActivePeriodId() {
+    const period = await this.getActivePeriod();
+    return period ? period.id : null;
+  }
+
+  // Find a period by slug, year or id; empty or "aktif" means the active period.
+  // A year shared by several periods resolves to the newest one.
+  async resolve(value) {
+    const needle = String(value === undefined || value === null ? "" : value)
+      .trim()
+      .toLowerCase();
+    if (!needle || needle === "aktif" || needle === "active") {
+      return this.getActivePeriod();
+    }
+
+    const periods = await this.getPeriods();
+    return (
+      periods.find((period) => period.slug === needle) ||
+      periods.find((period) => String(period.year) === needle) ||
+      periods.find((period) => String(period.id) === needle) ||
+      null
+    );
+  }
+
+  validateInput(input) {
+    const errors = [];
+    const year = Number(input.year);
+
+    if (!Number.isInteger(year) || year < 2000 || year > 2100) {
+      errors.push("Tahun harus berupa angka 4 digit (contoh: 2026)");
+    }
+    if (input.slug !== undefined && input.slug !== "" && !/^[a-z0-9_-]{2,50}$/.test(input.slug)) {
+      errors.push("Slug harus 2-50 karakter (huruf kecil, angka, _ atau -)");
+    }
+    if (input.name !== undefined && String(input.name).length > 100) {
+      errors.push("Nama periode maksimal 100 karakter");
+    }
+
+    return errors;
+  }
+
+  // New periods start inactive; switching is an explicit activate()
+  async createPeriod(input) {
+    const year = Number(input.year);
+    const connection = await getConnection();
+    try {
+      const [result] = await connection.execute(
+        "INSERT INTO recruitment_periods (slug, name, year) VALUES (?, ?, ?)",
+        [
+          input.slug || String(year),
+          (input.name && String(input.name).trim()) || `Rekrutmen OSIS ${year}/${year + 1}`,
+          year,
+        ]
+      );
+      return result.insertId;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Outcomes:
+  //   NOT_FOUND      - no period with this id
+  //   ALREADY_ACTIVE - nothing changed
+  //   ACTIVATED      - this period is now the only active one
+  async activate(id) {
+    const connection = await getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [rows] = await connection.execute(
+        "SELECT * FROM recruitment_periods WHERE id = ? FOR UPDATE",
+        [id]
+      );
+      if (rows.length === 0) {
+        await connection.rollback();
+        return { outcome: "NOT_FOUND" };
+      }
+      if (rows[0].is_active) {
+        await connection.rollback();
+        return { outcome: "ALREADY_ACTIVE", period: rows[0] };
+      }
+
+      await connection.execute(
+        `UPDATE recruitment_periods
+         SET is_active = (id = ?), activated_at = IF(id = ?, NOW(), activated_at)
+         WHERE id = ? OR is_active = TRUE`,
+        [id, id, id]
+      );
+      await connection.commit();
+      return { outcome: "ACTIVATED", period: { ...rows[0], is_active: true } };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      this.invalidateCache();
+      connection.release();
+    }
+  }
+}
+
+// Create singleton instance
+const periodService = new PeriodService();
+
+module.exports = {
+  periodService,
+};
@@ -0,0 +1,90 @@
+// Applicant photo pipeline - phone photos arrive as multi-megabyte JPEG/PNG/WebP files with
+// EXIF rotation and GPS data. Every uploaded photo is re-encoded as a 3x4 JPEG without
+// metadata, next to a small thumbnail that the ticket page, the bot and the Excel export use.
+const path = require("path");
+const fs = require("fs-extra");
+const sharp = require("sharp");
+const { storage } = require("./storage");
+
+const PHOTO_SIZE = { width: 600, height: 800 };
+const THUMBNAIL_SIZE = { width: 150, height: 200 };
+const JPEG_OPTIONS = { quality: 85, mozjpeg: true };
+const THUMBNAIL_SUFFIX = "-thumb.jpg";
+
+class PhotoProcessor {
+  // photo-123-456.png -> photo-123-456-thumb.jpg
+  thumbnailName(filename) {
+    const name = path.basename(filename);
+    return name.slice(0, name.length - path.extname(name).length) + THUMBNAIL_SUFFIX;
+  }
+
+  // rotate() without arguments applies the EXIF orientation; sharp writes no metadata unless
+  // asked to, so EXIF and GPS data are gone from the output. The crop keeps the most salient
+  // part of the picture, usually the face.
+  render(input, size) {
+    return sharp(input)
+      .rotate()
+      .resize({ ...size, fit: "cover", position: sharp.strategy.attention })
+      .jpeg(JPEG_OPTIONS)
+      .toBuffer();
+  }
+
+  // Replace an uploaded photo with its normalized JPEG and write the thumbnail next to it.
+  // The original is removed; its name changes when it was not a .jpg.
+  // Throws when the file is not a readable image.
+  async normalize(filePath) {
+    const dir = path.dirname(filePath);
+    const base = path.basename(filePath, path.extname(filePath));
+    const filename = `${base}.jpg`;
+    const thumbnail = this.thumbnailName(filename);
+
+    const original = await fs.readFile(filePath);
+    const photo = await this.render(original, PHOTO_SIZE);
+    const thumb = await this.render(photo, THUMBNAIL_SIZE);
+
+    await fs.writeFile(path.join(dir, filename), photo);
+    await fs.writeFile(path.join(dir, thumbnail), thumb);
+    if (path.basename(filePath) !== filename) await fs.remove(filePath);
+
+    return {
+      filename,
+      path: path.join(dir, filename),
+      size: photo.length,
+      thumbnail,
+      thumbnailPath: path.join(dir, thumbnail),
+      thumbnailSize: thumb.length,
+    };
+  }
+
+  // Thumbnail of a stored photo (storage key), created on first use for photos uploaded before
+  // the pipeline. Returns the thumbnail's key; falls back to the photo itself when no thumbnail
+  // can be made, null when the photo is gone.
+  async ensureThumbnail(photoKey) {
+    if (!photoKey) return null;
+    const thumbnailKey = path.posix.join(path.posix.dirname(photoKey), this.thumbnailName(photoKey));
+    if (await storage.exists(thumbnailKey)) return thumbnailKey;
+
+    const photo = await storage.get(photoKey);
+    if (!photo) return null;
+
+    try {
+      await storage.put(thumbnailKey, await this.render(photo, THUMBNAIL_SIZE), {
+        contentType: "image/jpeg",
+      });
+      console.log(`🖼️ Thumbnail created for ${path.basename(photoKey)}`);
+      return thumbnailKey;
+    } catch (error) {
+      console.error(`❌ Could not create thumbnail for ${photoKey}:`, error.message);
+      return photoKey;
+    }
+  }
+}
+
+// Create singleton instance
+const photoProcessor = new PhotoProcessor();
+
+module.exports = {
+  photoProcessor,
+  PHOTO_SIZE,
+  THUMBNAIL_SIZE,
+};
@@ -0,0 +1,465 @@
+// Applicant self-service edits - applicants fix their own registration with ticket + edit token
+// while it is still PENDING; every saved edit is kept as a revision for the reviewers
+const crypto = require("crypto");
+const { getConnection } = require("../database/mysql-database-refactored");
+const { uploadScanner } = require("./upload-scanner");
+
+// Only applicants nobody has decided on yet may change their data
+const EDITABLE_STATUSES = ["PENDING"];
+
+// The token also books interviews and withdraws, so it can be reissued until a final decision;
+// editing stays limited to EDITABLE_STATUSES
+const FINAL_STATUSES = ["DITOLAK", "WITHDRAWN"];
+
+// No 0/O or 1/I so tokens survive being copied by hand
+const TOKEN_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const TOKEN_LENGTH = 8;
+const TOKEN_HASH_LENGTH = 32;
+
+// Profile fields applicants may change, with the label used in notifications and revisions
+const EDITABLE_FIELDS = {
+  nama_lengkap: "Nama Lengkap",
+  nama_panggilan: "Nama Panggilan",
+  kelas: "Kelas",
+  jurusan: "Jurusan",
+  tempat_lahir: "Tempat Lahir",
+  tanggal_lahir: "Tanggal Lahir",
+  jenis_kelamin: "Jenis Kelamin",
+  agama: "Agama",
+  nomor_telepon: "Nomor Telepon",
+  email: "Email",
+  alamat: "Alamat",
+  hobi: "Hobi",
+  motto: "Motto",
+  motivasi: "Motivasi",
+};
+
+const CHANGE_LABELS = {
+  ...EDITABLE_FIELDS,
+  foto: "Foto 3x4",
+  organisasi: "Pengalaman Organisasi",
+  prestasi: "Prestasi",
+  quarantined: "Sertifikat dikarantina",
+};
+
+const GENDERS = ["Laki-laki", "Perempuan"];
+
+// Experience tables share the same shape; only the column names differ
+const EXPERIENCE = {
+  organisasi: {
+    table: "organisasi",
+    name: "nama_organisasi",
+    detail: "jabatan",
+    formName: "organisasi_nama",
+    formDetail: "organisasi_jabatan",
+    formYear: "organisasi_tahun",
+    formId: "organisasi_id",
+    files: "organisasi_sertifikat",
+  },
+  prestasi: {
+    table: "prestasi",
+    name: "nama_prestasi",
+    detail: "tingkat",
+    formName: "prestasi_nama",
+    formDetail: "prestasi_tingkat",
+    formYear: "prestasi_tahun",
+    formId: "prestasi_id",
+    files: "prestasi_sertifikat",
+  },
+};
+
+const toArray = (value) => {
+  if (Array.isArray(value)) return value;
+  if (value === undefined || value === null || value === "") return [];
+  return [value];
+};
+
+const clean = (value) => {
+  const text = String(value === undefined || value === null ? "" : value).trim();
+  return text === "" ? null : text;
+};
+
+class RegistrationEditService {
+  // XXXX-XXXX, shown once to the applicant after registering
+  generateToken() {
+    let token = "";
+    for (let i = 0; i < TOKEN_LENGTH; i++) {
+      token += TOKEN_ALPHABET[crypto.randomInt(TOKEN_ALPHABET.length)];
+    }
+    return `${token.slice(0, 4)}-${token.slice(4)}`;
+  }
+
+  // Case, spaces and dashes are ignored when comparing. Tokens stored before they were
+  // hashed with scrypt hold this digest, which is why scrypt is taken over it.
+  digestToken(token) {
+    const normalized = String(token || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+    return crypto.createHash("sha256").update(normalized).digest("hex");
+  }
+
+  // "scrypt$<salt>$<hash>" like admin passwords: a token has only 40 bits, so a fast unsalted
+  // hash could be brute-forced offline by anyone who gets to see it
+  hashToken(token) {
+    const salt = crypto.randomBytes(16).toString("hex");
+    const hash = crypto
+      .scryptSync(this.digestToken(token), salt, TOKEN_HASH_LENGTH)
+      .toString("hex");
+    return `scrypt$${salt}$${hash}`;
+  }
+
+  // Re-hash plain SHA-256 digests left from before scrypt; the tokens themselves keep working
+  async upgradeTokenHashes() {
+    const connection = await getConnection();
+    try {
+      const [users] = await connection.execute(
+        "SELECT id, edit_token_hash FROM users WHERE edit_token_hash IS NOT NULL AND edit_token_hash NOT LIKE 'scrypt$%'"
+      );
+      for (const user of users) {
+        const salt = crypto.randomBytes(16).toString("hex");
+        const hash = crypto
+          .scryptSync(user.edit_token_hash, salt, TOKEN_HASH_LENGTH)
+          .toString("hex");
+        await connection.execute("UPDATE users SET edit_token_hash = ? WHERE id = ?", [
+          `scrypt$${salt}$${hash}`,
+          user.id,
+        ]);
+      }
+      if (users.length > 0) {
+        console.log(`🔑 Edit token hashes upgraded to scrypt: ${users.length}`);
+      }
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Store a fresh token for the applicant (replacing any earlier one) and return it
+  async issueToken(connection, userId) {
+    const token = this.generateToken();
+    await connection.execute("UPDATE users SET edit_token_hash = ? WHERE id = ?", [
+      this.hashToken(token),
+      userId,
+    ]);
+    return token;
+  }
+
+  // Admin-side reissue for applicants who lost their token or registered before tokens existed
+  // Outcomes: NOT_FOUND, FINAL (rejected or withdrawn) or ISSUED (with the new token)
+  async reissueToken(ticket) {
+    const connection = await getConnection();
+    try {
+      const [users] = await connection.execute(
+        "SELECT id, ticket, nama_lengkap, status FROM users WHERE ticket = ? AND deleted_at IS NULL",
+        [ticket]
+      );
+      const user = users[0];
+      if (!user) return { outcome: "NOT_FOUND" };
+      if (FINAL_STATUSES.includes(user.status)) return { outcome: "FINAL", user };
+
+      const token = await this.issueToken(connection, user.id);
+      console.log(`🔑 Edit token reissued for ${ticket}`);
+      return { outcome: "ISSUED", user, token };
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Constant-time comparison against the stored hash; applicants without a token never match
+  matchesToken(user, token) {
+    const [scheme, salt, hash] = String(user.edit_token_hash || "").split("$");
+    if (!token || scheme !== "scrypt" || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, "hex");
+    const given = crypto.scryptSync(this.digestToken(token), salt, expected.length);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+
+  // Outcomes: NOT_FOUND, INVALID_TOKEN, NOT_EDITABLE or OK (with the user row)
+  async authenticate(connection, ticket, token, { lock = false } = {}) {
+    const [users] = await connection.execute(
+      `SELECT *, DATE_FORMAT(tanggal_lahir, '%Y-%m-%d') as birth_date
+       FROM users WHERE ticket = ? AND deleted_at IS NULL${lock ? " FOR UPDATE" : ""}`,
+      [ticket]
+    );
+    if (users.length === 0) return { outcome: "NOT_FOUND" };
+
+    // Compare and show the birth date as the YYYY-MM-DD the form submits
+    const { birth_date: birthDate, ...user } = users[0];
+    user.tanggal_lahir = birthDate;
+
+    if (!this.matchesToken(user, token)) return { outcome: "INVALID_TOKEN" };
+
+    if (!EDITABLE_STATUSES.includes(user.status)) return { outcome: "NOT_EDITABLE", user };
+    return { outcome: "OK", user };
+  }
+
+  async getExperience(connection, kind, userId) {
+    const config = EXPERIENCE[kind];
+    const [rows] = await connection.execute(
+      `SELECT id, ${config.name} as nama, ${config.detail} as detail, tahun, sertifikat_path,
+              sertifikat_mime
+       FROM ${config.table} WHERE user_id = ? ORDER BY id`,
+      [userId]
+    );
+    return rows;
+  }
+
+  // Current data for pre-filling the edit form
+  // Outcomes: same as authenticate(), OK comes with the editable data
+  async getEditable(ticket, token) {
+    const connection = await getConnection();
+    try {
+      const auth = await this.authenticate(connection, ticket, token);
+      if (auth.outcome !== "OK") return auth;
+
+      const fields = {};
+      for (const field of Object.keys(EDITABLE_FIELDS)) {
+        fields[field] = auth.user[field];
+      }
+
+      return {
+        outcome: "OK",
+        data: {
+          ticket: auth.user.ticket,
+          fields,
+          foto_path: auth.user.foto_path,
+          organisasi: await this.getExperience(connection, "organisasi", auth.user.id),
+          prestasi: await this.getExperience(connection, "prestasi", auth.user.id),
+        },
+      };
+    } finally {
+      connection.release();
+    }
+  }
+
+  validateInput(input) {
+    const errors = [];
+
+    if (input.nama_lengkap !== undefined && !clean(input.nama_lengkap)) {
+      errors.push("Nama lengkap tidak boleh kosong");
+    }
+    if (
+      input.tanggal_lahir !== undefined &&
+      clean(input.tanggal_lahir) &&
+      !/^\d{4}-\d{2}-\d{2}$/.test(clean(input.tanggal_lahir))
+    ) {
+      errors.push("Tanggal lahir harus berformat YYYY-MM-DD");
+    }
+    if (
+      input.jenis_kelamin !== undefined &&
+      clean(input.jenis_kelamin) &&
+      !GENDERS.includes(clean(input.jenis_kelamin))
+    ) {
+      errors.push(`Jenis kelamin harus salah satu dari: ${GENDERS.join(", ")}`);
+    }
+    if (
+      input.email !== undefined &&
+      clean(input.email) &&
+      !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(clean(input.email))
+    ) {
+      errors.push("Format email tidak valid");
+    }
+
+    return errors;
+  }
+
+  describeExperience(rows) {
+    return rows.map(
+      (row) =>
+        `${row.nama}${row.detail ? ` - ${row.detail}` : ""}${row.tahun ? ` (${row.tahun})` : ""}${
+          row.sertifikat_path ? " 📎" : ""
+        }`
+    );
+  }
+
+  // Rebuild organisasi/prestasi from the submitted rows. A row that sends back the id of an
+  // existing row keeps its certificate unless a new file is uploaded for the same index.
+  async replaceExperience(connection, kind, userId, input, uploadedFiles) {
+    const config = EXPERIENCE[kind];
+    const current = await this.getExperience(connection, kind, userId);
+    const names = toArray(input[config.formName]);
+    const details = toArray(input[config.formDetail]);
+    const years = toArray(input[config.formYear]);
+    const ids = toArray(input[config.formId]);
+    const files = uploadedFiles[config.files] || {};
+    const mimetypes = uploadedFiles.mimetypes || {};
+
+    const next = [];
+    names.forEach((name, index) => {
+      if (!clean(name)) return;
+      const previous = current.find((row) => String(row.id) === String(ids[index]));
+      const certificate = files[index]
+        ? { path: files[index], mime: mimetypes[files[index]] || null }
+        : previous
+        ? { path: previous.sertifikat_path, mime: previous.sertifikat_mime }
+        : { path: null, mime: null };
+      next.push({
+        nama: clean(name),
+        detail: clean(details[index]),
+        tahun: clean(years[index]),
+        sertifikat_path: certificate.path,
+        sertifikat_mime: certificate.mime,
+      });
+    });
+
+    const before = this.describeExperience(current);
+    const after = this.describeExperience(next);
+    const certificatesChanged = next.some((row, index) => {
+      const old = current[index];
+      return !old || old.sertifikat_path !== row.sertifikat_path;
+    });
+    if (JSON.stringify(before) === JSON.stringify(after) && !certificatesChanged) return null;
+
+    await connection.execute(`DELETE FROM ${config.table} WHERE user_id = ?`, [userId]);
+    for (const row of next) {
+      await connection.execute(
+        `INSERT INTO ${config.table} (user_id, ${config.name}, ${config.detail}, tahun, sertifikat_path, sertifikat_mime)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [userId, row.nama, row.detail, row.tahun, row.sertifikat_path, row.sertifikat_mime]
+      );
+    }
+
+    return { from: before, to: after };
+  }
+
+  // Apply a submitted edit. Fields left out of the input stay as they are; the experience lists
+  // are only touched when their name field is submitted.
+  // Outcomes:
+  //   NOT_FOUND / INVALID_TOKEN / NOT_EDITABLE - see authenticate()
+  //   DUPLICATE_PHONE - the new phone number is already registered in this period
+  //   NO_CHANGES      - nothing differs from the stored registration
+  //   UPDATED         - saved, with the changes and the revision id
+  // beforeCommit runs last inside the transaction (the route moves staged uploads there).
+  async applyEdit(ticket, token, input, uploadedFiles, { ip = null, beforeCommit = null } = {}) {
+    const connection = await getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const auth = await this.authenticate(connection, ticket, token, { lock: true });
+      if (auth.outcome !== "OK") {
+        await connection.rollback();
+        return auth;
+      }
+      const user = auth.user;
+
+      const changes = {};
+      const updates = {};
+      for (const field of Object.keys(EDITABLE_FIELDS)) {
+        if (input[field] === undefined) continue;
+        const value = clean(input[field]);
+        if (value !== clean(user[field])) {
+          updates[field] = value;
+          changes[field] = { from: user[field], to: value };
+        }
+      }
+
+      if (uploadedFiles.foto) {
+        updates.foto_path = uploadedFiles.foto;
+        updates.foto_mime = (uploadedFiles.mimetypes || {})[uploadedFiles.foto] || null;
+        changes.foto = { from: user.foto_path, to: uploadedFiles.foto };
+      }
+
+      for (const kind of Object.keys(EXPERIENCE)) {
+        if (input[EXPERIENCE[kind].formName] === undefined) continue;
+        const change = await this.replaceExperience(
+          connection,
+          kind,
+          user.id,
+          input,
+          uploadedFiles
+        );
+        if (change) changes[kind] = change;
+      }
+
+      // A certificate the scanner held back is not saved, but the upload is recorded and the
+      // registration marked for review
+      const quarantined = uploadedFiles.quarantined || [];
+      if (quarantined.length > 0) {
+        changes.quarantined = {
+          from: null,
+          to: quarantined.map(
+            (file) => `${file.originalname} (${uploadScanner.describeReason(file)})`
+          ),
+        };
+      }
+
+      if (Object.keys(changes).length === 0) {
+        await connection.rollback();
+        return { outcome: "NO_CHANGES", user };
+      }
+
+      const columns = Object.keys(updates);
+      if (columns.length > 0) {
+        try {
+          await connection.execute(
+            `UPDATE users SET ${columns.map((column) => `${column} = ?`).join(", ")},
+             updated_by = 'APPLICANT' WHERE id = ?`,
+            [...columns.map((column) => updates[column]), user.id]
+          );
+        } catch (error) {
+          if (error.code === "ER_DUP_ENTRY" && /phone/i.test(error.message)) {
+            await connection.rollback();
+            return { outcome: "DUPLICATE_PHONE", user };
+          }
+          throw error;
+        }
+      }
+
+      // Replaced photos stay on disk (referenced here) so reviewers can compare revisions
+      const [result] = await connection.execute(
+        "INSERT INTO registration_revisions (user_id, ticket, changes, ip_address) VALUES (?, ?, ?, ?)",
+        [user.id, user.ticket, JSON.stringify(changes), ip]
+      );
+
+      await uploadScanner.recordQuarantine(connection, user.id, quarantined);
+
+      if (beforeCommit) await beforeCommit();
+      await connection.commit();
+      console.log(
+        `✏️ Registration ${ticket} edited by applicant: ${Object.keys(changes).join(", ")}`
+      );
+
+      return {
+        outcome: "UPDATED",
+        user: { ...user, ...updates },
+        changes,
+        revisionId: result.insertId,
+      };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Newest first, for the admin detail view
+  async getRevisions(connection, userId) {
+    const [rows] = await connection.execute(
+      `SELECT id, changes, ip_address, created_at
+       FROM registration_revisions WHERE user_id = ? ORDER BY created_at DESC, id DESC`,
+      [userId]
+    );
+    return rows.map((row) => ({
+      ...row,
+      changes: JSON.parse(row.changes),
+    }));
+  }
+
+  // Label and before/after text per changed field, for notifications
+  describeChanges(changes) {
+    return Object.entries(changes).map(([field, change]) => ({
+      field,
+      label: CHANGE_LABELS[field] || field,
+      from: Array.isArray(change.from) ? change.from.join("; ") : change.from,
+      to: Array.isArray(change.to) ? change.to.join("; ") : change.to,
+    }));
+  }
+}
+
+// Create singleton instance
+const registrationEditService = new RegistrationEditService();
+
+module.exports = {
+  registrationEditService,
+  EDITABLE_FIELDS,
+};
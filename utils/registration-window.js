@@ -0,0 +1,129 @@
+// Registration window - open/close schedule and manual override stored in system_settings
+const { dbManager } = require("../database/mysql-database-refactored");
+
+const OVERRIDE_MODES = {
+  AUTO: "auto", // follow registration_open_at / registration_close_at
+  OPEN: "open", // force open regardless of schedule
+  CLOSED: "closed", // force closed regardless of schedule
+};
+
+const REGISTRATION_STATES = {
+  OPEN: "OPEN",
+  NOT_YET_OPEN: "NOT_YET_OPEN",
+  CLOSED: "CLOSED",
+  CLOSED_MANUALLY: "CLOSED_MANUALLY",
+};
+
+class RegistrationWindow {
+  parseDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  // Parse admin input such as "2025-07-01 07:00"; times without an offset are WIB
+  parseLocalDate(value) {
+    if (!value) return null;
+    const normalized = value.trim().replace(" ", "T");
+    const hasOffset = /([zZ]|[+-]\d{2}:?\d{2})$/.test(normalized);
+    const withTime = /T\d{2}:\d{2}/.test(normalized) ? normalized : `${normalized}T00:00`;
+    return this.parseDate(hasOffset ? withTime : `${withTime}+07:00`);
+  }
+
+  async getSettings() {
+    const [openAt, closeAt, override, legacyOpen] = await Promise.all([
+      dbManager.getSetting("registration_open_at", ""),
+      dbManager.getSetting("registration_close_at", ""),
+      dbManager.getSetting("registration_override", OVERRIDE_MODES.AUTO),
+      dbManager.getSetting("registration_open", "true"),
+    ]);
+
+    return {
+      openAt: this.parseDate(openAt),
+      closeAt: this.parseDate(closeAt),
+      override: Object.values(OVERRIDE_MODES).includes(override)
+        ? override
+        : OVERRIDE_MODES.AUTO,
+      legacyOpen: legacyOpen !== "false",
+    };
+  }
+
+  // Current registration state, shaped for GET /api/registration-status
+  async getStatus(now = new Date()) {
+    const { openAt, closeAt, override, legacyOpen } = await this.getSettings();
+
+    let state;
+    if (override === OVERRIDE_MODES.OPEN) {
+      state = REGISTRATION_STATES.OPEN;
+    } else if (override === OVERRIDE_MODES.CLOSED || !legacyOpen) {
+      // registration_open=false predates the override and is still honoured
+      state = REGISTRATION_STATES.CLOSED_MANUALLY;
+    } else if (openAt && now < openAt) {
+      state = REGISTRATION_STATES.NOT_YET_OPEN;
+    } else if (closeAt && now >= closeAt) {
+      state = REGISTRATION_STATES.CLOSED;
+    } else {
+      state = REGISTRATION_STATES.OPEN;
+    }
+
+    const secondsUntil = (date) =>
+      date && date > now ? Math.floor((date - now) / 1000) : null;
+
+    return {
+      open: state === REGISTRATION_STATES.OPEN,
+      state,
+      override,
+      open_at: openAt ? openAt.toISOString() : null,
+      close_at: closeAt ? closeAt.toISOString() : null,
+      server_time: now.toISOString(),
+      opens_in_seconds:
+        state === REGISTRATION_STATES.NOT_YET_OPEN ? secondsUntil(openAt) : null,
+      closes_in_seconds:
+        state === REGISTRATION_STATES.OPEN && override === OVERRIDE_MODES.AUTO
+          ? secondsUntil(closeAt)
+          : null,
+    };
+  }
+
+  async setOverride(mode) {
+    if (!Object.values(OVERRIDE_MODES).includes(mode)) {
+      throw new Error(`Mode tidak valid: ${mode}`);
+    }
+    await dbManager.setSetting(
+      "registration_override",
+      mode,
+      "Manual registration override: auto, open or closed"
+    );
+    // Keep the legacy flag consistent so it never contradicts the override
+    await dbManager.setSetting(
+      "registration_open",
+      mode === OVERRIDE_MODES.CLOSED ? "false" : "true"
+    );
+  }
+
+  // Set the schedule; pass null to clear either bound
+  async setWindow(openAt, closeAt) {
+    if (openAt && closeAt && openAt >= closeAt) {
+      throw new Error("Waktu tutup harus setelah waktu buka");
+    }
+    await dbManager.setSetting(
+      "registration_open_at",
+      openAt ? openAt.toISOString() : "",
+      "Registration opens at (ISO 8601, empty = no lower bound)"
+    );
+    await dbManager.setSetting(
+      "registration_close_at",
+      closeAt ? closeAt.toISOString() : "",
+      "Registration closes at (ISO 8601, empty = no upper bound)"
+    );
+  }
+}
+
+// Create singleton instance
+const registrationWindow = new RegistrationWindow();
+
+module.exports = {
+  registrationWindow,
+  OVERRIDE_MODES,
+  REGISTRATION_STATES,
+};
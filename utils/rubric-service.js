@@ -0,0 +1,389 @@
+// Interview rubric - weighted scoring criteria per division and interviewer scores per applicant
+const { getConnection } = require("../database/mysql-database-refactored");
+const { adminService, ADMIN_ROLES } = require("./admin-service");
+const { divisionService } = require("./division-service");
+const { periodService } = require("./period-service");
+
+class RubricService {
+  async getCriteria(connection, { divisionId = null, activeOnly = false } = {}) {
+    const where = [];
+    const params = [];
+    if (divisionId) {
+      where.push("c.division_id = ?");
+      params.push(divisionId);
+    }
+    if (activeOnly) where.push("c.is_active = TRUE");
+
+    const [rows] = await connection.execute(
+      `SELECT c.*, d.display_name as division
+       FROM rubric_criteria c
+       JOIN divisions d ON d.id = c.division_id
+       ${where.length > 0 ? `WHERE ${where.join(" AND ")}` : ""}
+       ORDER BY d.sort_order, d.id, c.sort_order, c.id`,
+      params
+    );
+    return rows.map((row) => ({
+      ...row,
+      weight: Number(row.weight),
+      is_active: Boolean(row.is_active),
+    }));
+  }
+
+  // Every division with its criteria, for GET /api/admin/rubrics and /rubrik
+  async listRubrics() {
+    const connection = await getConnection();
+    try {
+      const [divisions, criteria] = await Promise.all([
+        divisionService.getDivisions(),
+        this.getCriteria(connection),
+      ]);
+      return divisions.map((division) => ({
+        division_id: division.id,
+        division: division.display_name,
+        slug: division.slug,
+        criteria: criteria.filter((criterion) => criterion.division_id === division.id),
+      }));
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Weighted score per applicant per division on a 0-100 scale. Each criterion uses the
+  // average of all interviewers; unscored criteria count as zero so partial scores rank lower.
+  async getWeightedScores(connection, userIds = null) {
+    if (userIds && userIds.length === 0) return [];
+
+    const criteria = await this.getCriteria(connection, { activeOnly: true });
+    const [averages] = await connection.execute(
+      `SELECT user_id, criterion_id, AVG(score) as average, COUNT(DISTINCT interviewer_id) as interviewers
+       FROM applicant_scores
+       ${userIds ? `WHERE user_id IN (${userIds.map(() => "?").join(", ")})` : ""}
+       GROUP BY user_id, criterion_id`,
+      userIds || []
+    );
+
+    const totals = new Map();
+    for (const row of averages) {
+      const criterion = criteria.find((c) => c.id === row.criterion_id);
+      if (!criterion || criterion.max_score <= 0) continue;
+
+      const key = `${row.user_id}:${criterion.division_id}`;
+      if (!totals.has(key)) {
+        totals.set(key, {
+          user_id: row.user_id,
+          division_id: criterion.division_id,
+          division: criterion.division,
+          weighted: 0,
+          criteria_scored: 0,
+          interviewers: 0,
+        });
+      }
+      const total = totals.get(key);
+      total.weighted += (Number(row.average) / criterion.max_score) * criterion.weight;
+      total.criteria_scored++;
+      total.interviewers = Math.max(total.interviewers, Number(row.interviewers));
+    }
+
+    return [...totals.values()].map((total) => {
+      const divisionCriteria = criteria.filter((c) => c.division_id === total.division_id);
+      const totalWeight = divisionCriteria.reduce((sum, c) => sum + c.weight, 0);
+      return {
+        user_id: total.user_id,
+        division_id: total.division_id,
+        division: total.division,
+        score: totalWeight > 0 ? Math.round((total.weighted / totalWeight) * 10000) / 100 : 0,
+        criteria_scored: total.criteria_scored,
+        criteria_total: divisionCriteria.length,
+        interviewers: total.interviewers,
+      };
+    });
+  }
+
+  // Highest weighted score of each applicant across their divisions, used to order push
+  async getBestScores(connection, userIds) {
+    const best = new Map();
+    for (const row of await this.getWeightedScores(connection, userIds)) {
+      if (!best.has(row.user_id) || row.score > best.get(row.user_id)) {
+        best.set(row.user_id, row.score);
+      }
+    }
+    return best;
+  }
+
+  // Per-division breakdown for the dashboard detail and the bot
+  async getApplicantScores(connection, userId) {
+    const criteria = await this.getCriteria(connection, { activeOnly: true });
+    const [scores] = await connection.execute(
+      `SELECT criterion_id, score, notes, interviewer_name, updated_at
+       FROM applicant_scores WHERE user_id = ? ORDER BY updated_at`,
+      [userId]
+    );
+    const weighted = await this.getWeightedScores(connection, [userId]);
+
+    return weighted.map((total) => ({
+      ...total,
+      criteria: criteria
+        .filter((criterion) => criterion.division_id === total.division_id)
+        .map((criterion) => {
+          const entries = scores.filter((score) => score.criterion_id === criterion.id);
+          return {
+            slug: criterion.slug,
+            name: criterion.name,
+            weight: criterion.weight,
+            max_score: criterion.max_score,
+            average:
+              entries.length > 0
+                ? Math.round(
+                    (entries.reduce((sum, entry) => sum + Number(entry.score), 0) /
+                      entries.length) *
+                      100
+                  ) / 100
+                : null,
+            scores: entries.map((entry) => ({
+              interviewer: entry.interviewer_name,
+              score: Number(entry.score),
+              notes: entry.notes,
+            })),
+          };
+        }),
+    }));
+  }
+
+  // Applicants of one recruitment period (default: the active one) who chose the division,
+  // ordered by weighted score (unscored last)
+  async getRanking(divisionValue, periodId = null) {
+    const division = await divisionService.resolve(divisionValue);
+    if (!division) return null;
+
+    const period = periodId || (await periodService.getActivePeriodId());
+    const connection = await getConnection();
+    try {
+      const [applicants] = await connection.execute(
+        `SELECT u.id, u.ticket, u.nama_lengkap, u.kelas, u.jurusan, u.status, u.placed_division, d.priority
+         FROM users u
+         JOIN divisi d ON d.user_id = u.id
+         WHERE d.nama_divisi = ? AND u.period_id = ? AND u.status <> 'WITHDRAWN' AND u.deleted_at IS NULL`,
+        [division.display_name, period]
+      );
+      const scores = await this.getWeightedScores(
+        connection,
+        applicants.map((applicant) => applicant.id)
+      );
+
+      const ranked = applicants
+        .map((applicant) => {
+          const total = scores.find(
+            (row) => row.user_id === applicant.id && row.division_id === division.id
+          );
+          return {
+            ...applicant,
+            score: total ? total.score : null,
+            criteria_scored: total ? total.criteria_scored : 0,
+            criteria_total: total ? total.criteria_total : 0,
+            interviewers: total ? total.interviewers : 0,
+          };
+        })
+        .sort((a, b) => (b.score ?? -1) - (a.score ?? -1) || a.priority - b.priority || a.id - b.id);
+
+      ranked.forEach((applicant, index) => {
+        applicant.rank = applicant.score === null ? null : index + 1;
+      });
+
+      return { division, applicants: ranked };
+    } finally {
+      connection.release();
+    }
+  }
+
+  validateCriterionInput(input, isUpdate = false) {
+    const errors = [];
+
+    if (!isUpdate || input.slug !== undefined) {
+      if (!input.slug || !/^[a-z0-9_]{2,50}$/.test(input.slug)) {
+        errors.push("Slug harus 2-50 karakter (huruf kecil, angka, _)");
+      }
+    }
+    if (!isUpdate || input.name !== undefined) {
+      if (!input.name || !String(input.name).trim()) {
+        errors.push("Nama kriteria wajib diisi");
+      } else if (String(input.name).length > 100) {
+        errors.push("Nama kriteria maksimal 100 karakter");
+      }
+    }
+    if (input.weight !== undefined) {
+      const weight = Number(input.weight);
+      if (!Number.isFinite(weight) || weight <= 0 || weight > 100) {
+        errors.push("Bobot harus lebih dari 0 dan maksimal 100");
+      }
+    }
+    if (input.max_score !== undefined) {
+      const maxScore = parseInt(input.max_score);
+      if (!Number.isInteger(maxScore) || maxScore < 1 || maxScore > 1000) {
+        errors.push("Skor maksimal harus 1-1000");
+      }
+    }
+
+    return errors;
+  }
+
+  async createCriterion(divisionId, input) {
+    const connection = await getConnection();
+    try {
+      const [divisions] = await connection.execute(
+        "SELECT id FROM divisions WHERE id = ?",
+        [divisionId]
+      );
+      if (divisions.length === 0) return null;
+
+      const [result] = await connection.execute(
+        `INSERT INTO rubric_criteria (division_id, slug, name, description, weight, max_score, sort_order)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          divisionId,
+          input.slug,
+          String(input.name).trim(),
+          input.description || null,
+          input.weight === undefined ? 1 : Number(input.weight),
+          input.max_score === undefined ? 10 : parseInt(input.max_score),
+          parseInt(input.sort_order) || 0,
+        ]
+      );
+      return result.insertId;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Partial update; the slug is what interviewers type in /nilai and never changes
+  async updateCriterion(id, input) {
+    const fields = [];
+    const params = [];
+    const assign = (column, value) => {
+      fields.push(`${column} = ?`);
+      params.push(value);
+    };
+
+    if (input.name !== undefined) assign("name", String(input.name).trim());
+    if (input.description !== undefined) assign("description", input.description || null);
+    if (input.weight !== undefined) assign("weight", Number(input.weight));
+    if (input.max_score !== undefined) assign("max_score", parseInt(input.max_score));
+    if (input.sort_order !== undefined) assign("sort_order", parseInt(input.sort_order) || 0);
+    if (input.is_active !== undefined) assign("is_active", Boolean(input.is_active));
+
+    const connection = await getConnection();
+    try {
+      const [rows] = await connection.execute(
+        "SELECT id FROM rubric_criteria WHERE id = ?",
+        [id]
+      );
+      if (rows.length === 0) return false;
+      if (fields.length === 0) return true;
+
+      await connection.execute(
+        `UPDATE rubric_criteria SET ${fields.join(", ")} WHERE id = ?`,
+        [...params, id]
+      );
+      return true;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Record one interviewer's scores for an applicant in one division; resubmitting overwrites
+  //
+  // Outcomes:
+  //   NOT_FOUND        - ticket does not exist
+  //   UNKNOWN_DIVISION - division does not exist
+  //   NOT_CHOSEN       - applicant did not choose this division
+  //   FORBIDDEN        - actor may not review this applicant or this division
+  //   NO_RUBRIC        - the division has no active criteria
+  //   INVALID_SCORES   - unknown criterion or score out of range (see errors)
+  //   SAVED            - scores stored; total is the applicant's new weighted score
+  async submitScores(ticket, divisionValue, scores, notes, actor) {
+    const division = await divisionService.resolve(divisionValue);
+    const connection = await getConnection();
+
+    try {
+      const [users] = await connection.execute(
+        "SELECT id, ticket, nama_lengkap FROM users WHERE ticket = ? AND deleted_at IS NULL",
+        [ticket]
+      );
+      const user = users[0];
+      if (!user) return { outcome: "NOT_FOUND", ticket };
+      if (!division) return { outcome: "UNKNOWN_DIVISION", user };
+
+      const [choices] = await connection.execute(
+        "SELECT id FROM divisi WHERE user_id = ? AND nama_divisi = ?",
+        [user.id, division.display_name]
+      );
+      if (choices.length === 0) return { outcome: "NOT_CHOSEN", user, division };
+
+      // Division reviewers only score for their own divisions
+      if (
+        !(await adminService.canReviewUser(connection, actor, user.id)) ||
+        (actor &&
+          actor.role === ADMIN_ROLES.DIVISION_REVIEWER &&
+          !actor.divisions.includes(division.display_name))
+      ) {
+        return { outcome: "FORBIDDEN", user, division };
+      }
+
+      const criteria = await this.getCriteria(connection, {
+        divisionId: division.id,
+        activeOnly: true,
+      });
+      if (criteria.length === 0) return { outcome: "NO_RUBRIC", user, division };
+
+      const errors = [];
+      const entries = Object.entries(scores || {});
+      if (entries.length === 0) errors.push("Isi minimal satu skor kriteria");
+      for (const [slug, value] of entries) {
+        const criterion = criteria.find((c) => c.slug === slug);
+        const score = Number(value);
+        if (!criterion) {
+          errors.push(`Kriteria tidak dikenal: ${slug}`);
+        } else if (!Number.isFinite(score) || score < 0 || score > criterion.max_score) {
+          errors.push(`Skor ${criterion.name} harus 0-${criterion.max_score}`);
+        }
+      }
+      if (errors.length > 0) {
+        return { outcome: "INVALID_SCORES", user, division, errors, criteria };
+      }
+
+      const interviewerName = (actor && actor.name) || "TELEGRAM_ADMIN";
+      const interviewerId = String((actor && (actor.id || actor.name)) || "TELEGRAM_ADMIN");
+
+      await connection.beginTransaction();
+      for (const [slug, value] of entries) {
+        const criterion = criteria.find((c) => c.slug === slug);
+        await connection.execute(
+          `INSERT INTO applicant_scores (user_id, criterion_id, score, notes, interviewer_id, interviewer_name)
+           VALUES (?, ?, ?, ?, ?, ?)
+           ON DUPLICATE KEY UPDATE
+             score = VALUES(score),
+             notes = VALUES(notes),
+             interviewer_name = VALUES(interviewer_name)`,
+          [user.id, criterion.id, Number(value), notes || null, interviewerId, interviewerName]
+        );
+      }
+      await connection.commit();
+
+      const [total] = (await this.getWeightedScores(connection, [user.id])).filter(
+        (row) => row.division_id === division.id
+      );
+      return { outcome: "SAVED", user, division, total };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+}
+
+// Create singleton instance
+const rubricService = new RubricService();
+
+module.exports = {
+  rubricService,
+};
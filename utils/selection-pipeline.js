@@ -0,0 +1,378 @@
+// Selection pipeline - ordered recruitment stages (screening, interview, final) and per-stage outcomes
+const { getConnection } = require("../database/mysql-database-refactored");
+const { adminService } = require("./admin-service");
+const { periodService } = require("./period-service");
+
+const STAGE_OUTCOMES = {
+  PENDING: "PENDING",
+  PASSED: "PASSED",
+  FAILED: "FAILED",
+};
+
+// Once an applicant is finally accepted, rejected or has withdrawn the pipeline no longer moves
+const FINAL_STATUSES = ["LOLOS", "DITOLAK", "WITHDRAWN"];
+
+class SelectionPipeline {
+  async getStages(connection, { activeOnly = false } = {}) {
+    const [rows] = await connection.execute(
+      `SELECT * FROM selection_stages
+       ${activeOnly ? "WHERE is_active = TRUE" : ""}
+       ORDER BY sort_order, id`
+    );
+    return rows.map((row) => ({ ...row, is_active: Boolean(row.is_active) }));
+  }
+
+  async listStages() {
+    const connection = await getConnection();
+    try {
+      return await this.getStages(connection);
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Match a stage by slug or name (case-insensitive)
+  findStage(stages, value) {
+    if (!value) return null;
+    const needle = String(value).trim().toLowerCase();
+    return (
+      stages.find(
+        (stage) => stage.slug === needle || stage.name.toLowerCase() === needle
+      ) || null
+    );
+  }
+
+  // Applicants registered before stages existed are treated as being in the first stage
+  getCurrentStage(stages, user) {
+    return (
+      stages.find((stage) => stage.slug === user.current_stage) ||
+      stages.find((stage) => stage.is_active) ||
+      null
+    );
+  }
+
+  // Next active stage after the given one, or null when it is the last
+  getNextStage(stages, current) {
+    const index = stages.indexOf(current);
+    return stages.slice(index + 1).find((stage) => stage.is_active) || null;
+  }
+
+  isLastStage(stages, stage) {
+    return !this.getNextStage(stages, stage);
+  }
+
+  async recordOutcome(connection, userId, stageSlug, outcome, notes, actorName) {
+    const decided = outcome !== STAGE_OUTCOMES.PENDING;
+    await connection.execute(
+      `INSERT INTO applicant_stage_results (user_id, stage_slug, outcome, notes, decided_by, decided_at)
+       VALUES (?, ?, ?, ?, ?, ${decided ? "NOW()" : "NULL"})
+       ON DUPLICATE KEY UPDATE
+         outcome = VALUES(outcome),
+         notes = VALUES(notes),
+         decided_by = VALUES(decided_by),
+         decided_at = VALUES(decided_at)`,
+      [userId, stageSlug, outcome, notes || null, decided ? actorName : null]
+    );
+  }
+
+  // Put a newly registered applicant into the first active stage
+  async enterFirstStage(connection, userId) {
+    const stages = await this.getStages(connection, { activeOnly: true });
+    if (stages.length === 0) return null;
+
+    await connection.execute("UPDATE users SET current_stage = ? WHERE id = ?", [
+      stages[0].slug,
+      userId,
+    ]);
+    await this.recordOutcome(connection, userId, stages[0].slug, STAGE_OUTCOMES.PENDING);
+    return stages[0];
+  }
+
+  // Record the final decision made by push on the applicant's current stage
+  async recordDecision(connection, user, outcome, notes, actorName) {
+    const stages = await this.getStages(connection);
+    const current = this.getCurrentStage(stages, user);
+    if (!current) return;
+
+    await this.recordOutcome(connection, user.id, current.slug, outcome, notes, actorName);
+    if (!user.current_stage) {
+      await connection.execute("UPDATE users SET current_stage = ? WHERE id = ?", [
+        current.slug,
+        user.id,
+      ]);
+    }
+  }
+
+  // Move an applicant to another stage
+  //
+  // Outcomes:
+  //   NOT_FOUND     - ticket does not exist
+  //   FORBIDDEN     - actor's role/divisions do not cover this applicant
+  //   ALREADY_FINAL - applicant is already LOLOS/DITOLAK
+  //   LAST_STAGE    - advance requested but the applicant is in the last stage
+  //   UNKNOWN_STAGE - the requested stage does not exist or is inactive
+  //   SAME_STAGE    - applicant is already in the requested stage
+  //   MOVED         - stage changed; moving forward marks the previous stage PASSED
+  async transition(ticket, pickTarget, notes, actor) {
+    const adminName = (actor && actor.name) || "TELEGRAM_ADMIN";
+    const adminId = String((actor && (actor.id || actor.name)) || "TELEGRAM_ADMIN");
+    const connection = await getConnection();
+
+    try {
+      const [users] = await connection.execute(
+        "SELECT * FROM users WHERE ticket = ? AND deleted_at IS NULL",
+        [ticket]
+      );
+      const user = users[0];
+      if (!user) return { outcome: "NOT_FOUND", ticket };
+
+      if (!(await adminService.canReviewUser(connection, actor, user.id))) {
+        return { outcome: "FORBIDDEN", user };
+      }
+      if (FINAL_STATUSES.includes(user.status)) {
+        return { outcome: "ALREADY_FINAL", user };
+      }
+
+      const stages = await this.getStages(connection);
+      const current = this.getCurrentStage(stages, user);
+      const { target, outcome } = pickTarget(stages, current);
+      if (!target) return { outcome, user, from: current };
+      if (current && target.slug === current.slug) {
+        return { outcome: "SAME_STAGE", user, from: current };
+      }
+
+      const forward = !current || stages.indexOf(target) > stages.indexOf(current);
+
+      await connection.beginTransaction();
+
+      if (current && forward) {
+        await this.recordOutcome(
+          connection,
+          user.id,
+          current.slug,
+          STAGE_OUTCOMES.PASSED,
+          notes,
+          adminName
+        );
+      }
+      // Entering (or returning to) a stage always starts it undecided
+      await this.recordOutcome(connection, user.id, target.slug, STAGE_OUTCOMES.PENDING);
+
+      await connection.execute(
+        "UPDATE users SET current_stage = ?, updated_by = ?, updated_at = NOW() WHERE id = ?",
+        [target.slug, adminName, user.id]
+      );
+
+      await connection.execute(
+        "INSERT INTO admin_logs (user_id, ticket, action, previous_status, new_status, reason, admin_name, admin_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+        [
+          user.id,
+          ticket,
+          "STAGE_CHANGE",
+          current ? current.slug : null,
+          target.slug,
+          `Stage ${current ? current.name : "-"} → ${target.name} by ${adminName}${
+            notes ? `. Notes: ${notes}` : ""
+          }`,
+          adminName,
+          adminId,
+        ]
+      );
+
+      await connection.commit();
+
+      return {
+        outcome: "MOVED",
+        user,
+        from: current,
+        to: target,
+        forward,
+        isLastStage: this.isLastStage(stages, target),
+      };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Move to the next active stage
+  async advance(ticket, notes, actor) {
+    return this.transition(
+      ticket,
+      (stages, current) => ({
+        target: current ? this.getNextStage(stages, current) : null,
+        outcome: "LAST_STAGE",
+      }),
+      notes,
+      actor
+    );
+  }
+
+  // Move to a specific stage (forward or back)
+  async moveTo(ticket, stageValue, notes, actor) {
+    return this.transition(
+      ticket,
+      (stages) => {
+        const stage = this.findStage(stages, stageValue);
+        return {
+          target: stage && stage.is_active ? stage : null,
+          outcome: "UNKNOWN_STAGE",
+        };
+      },
+      notes,
+      actor
+    );
+  }
+
+  // Where the applicant is in the pipeline, for the ticket check endpoint and the bot
+  async getProgress(connection, user) {
+    const stages = await this.getStages(connection);
+    const current = this.getCurrentStage(stages, user);
+    const activeStages = stages.filter((stage) => stage.is_active);
+
+    const [results] = await connection.execute(
+      `SELECT r.stage_slug, r.outcome, r.decided_at, s.name
+       FROM applicant_stage_results r
+       LEFT JOIN selection_stages s ON s.slug = r.stage_slug
+       WHERE r.user_id = ?
+       ORDER BY s.sort_order, r.id`,
+      [user.id]
+    );
+
+    const currentResult = current
+      ? results.find((result) => result.stage_slug === current.slug)
+      : null;
+
+    return {
+      current: current
+        ? {
+            slug: current.slug,
+            name: current.name,
+            position: activeStages.indexOf(current) + 1,
+            total: activeStages.length,
+            outcome: currentResult ? currentResult.outcome : STAGE_OUTCOMES.PENDING,
+          }
+        : null,
+      history: results.map((result) => ({
+        slug: result.stage_slug,
+        name: result.name || result.stage_slug,
+        outcome: result.outcome,
+        decided_at: result.decided_at,
+      })),
+    };
+  }
+
+  // Applicants of the active period still in progress per stage, for /tahap and the dashboard
+  async getStageSummary() {
+    const periodId = await periodService.getActivePeriodId();
+    const connection = await getConnection();
+    try {
+      const stages = await this.getStages(connection);
+      const [rows] = await connection.execute(
+        `SELECT COALESCE(current_stage, '') as current_stage, COUNT(*) as total
+         FROM users
+         WHERE status NOT IN ('LOLOS', 'DITOLAK', 'WITHDRAWN') AND period_id = ? AND deleted_at IS NULL
+         GROUP BY current_stage`,
+        [periodId]
+      );
+
+      const firstActive = stages.find((stage) => stage.is_active);
+      return stages.map((stage) => ({
+        ...stage,
+        applicants: rows
+          .filter(
+            (row) =>
+              row.current_stage === stage.slug ||
+              // Rows without a stage are counted in the first active stage
+              ((!row.current_stage || !stages.some((s) => s.slug === row.current_stage)) &&
+                stage === firstActive)
+          )
+          .reduce((sum, row) => sum + Number(row.total), 0),
+      }));
+    } finally {
+      connection.release();
+    }
+  }
+
+  validateInput(input, isUpdate = false) {
+    const errors = [];
+
+    if (!isUpdate || input.slug !== undefined) {
+      if (!input.slug || !/^[a-z0-9_]{2,50}$/.test(input.slug)) {
+        errors.push("Slug harus 2-50 karakter (huruf kecil, angka, _)");
+      }
+    }
+    if (!isUpdate || input.name !== undefined) {
+      if (!input.name || !String(input.name).trim()) {
+        errors.push("Nama tahap wajib diisi");
+      } else if (String(input.name).length > 100) {
+        errors.push("Nama tahap maksimal 100 karakter");
+      }
+    }
+
+    return errors;
+  }
+
+  async createStage(input) {
+    const connection = await getConnection();
+    try {
+      const [result] = await connection.execute(
+        `INSERT INTO selection_stages (slug, name, description, sort_order, is_active)
+         VALUES (?, ?, ?, ?, ?)`,
+        [
+          input.slug,
+          String(input.name).trim(),
+          input.description || null,
+          parseInt(input.sort_order) || 0,
+          input.is_active === undefined ? true : Boolean(input.is_active),
+        ]
+      );
+      return result.insertId;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Partial update; the slug is referenced by users.current_stage and never changes
+  async updateStage(id, input) {
+    const fields = [];
+    const params = [];
+    const assign = (column, value) => {
+      fields.push(`${column} = ?`);
+      params.push(value);
+    };
+
+    if (input.name !== undefined) assign("name", String(input.name).trim());
+    if (input.description !== undefined) assign("description", input.description || null);
+    if (input.sort_order !== undefined) assign("sort_order", parseInt(input.sort_order) || 0);
+    if (input.is_active !== undefined) assign("is_active", Boolean(input.is_active));
+
+    const connection = await getConnection();
+    try {
+      const [rows] = await connection.execute(
+        "SELECT id FROM selection_stages WHERE id = ?",
+        [id]
+      );
+      if (rows.length === 0) return false;
+      if (fields.length === 0) return true;
+
+      await connection.execute(
+        `UPDATE selection_stages SET ${fields.join(", ")} WHERE id = ?`,
+        [...params, id]
+      );
+      return true;
+    } finally {
+      connection.release();
+    }
+  }
+}
+
+// Create singleton instance
+const selectionPipeline = new SelectionPipeline();
+
+module.exports = {
+  selectionPipeline,
+  STAGE_OUTCOMES,
+};
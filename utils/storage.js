@@ -0,0 +1,443 @@
+// Storage backends - uploads, backups and generated exports go through one adapter, so several
+// app instances behind a load balancer share the same files. Keys are relative paths
+// ("uploads/photos/photo-1.jpg", "backups/x.zip"): the local driver keeps them below the project
+// directory, exactly where the files always lived; the S3 driver stores them as objects in a
+// bucket (AWS S3 or an S3-compatible server such as MinIO).
+//
+// Local temporary files (multer staging, backup and Excel scratch work) stay on the instance
+// that handles the request; only finished files are written to storage.
+const path = require("path");
+const fs = require("fs-extra");
+const express = require("express");
+
+const CONTENT_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp",
+  ".pdf": "application/pdf",
+  ".zip": "application/zip",
+  ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ".sql": "application/sql",
+  ".txt": "text/plain; charset=utf-8",
+};
+
+function contentTypeOf(key) {
+  return CONTENT_TYPES[path.extname(key).toLowerCase()] || "application/octet-stream";
+}
+
+// Keys are always "/"-separated and may not climb out of the storage root
+function normalizeKey(key) {
+  const normalized = path.posix.normalize(String(key).replace(/\\/g, "/")).replace(/^\/+/, "");
+  if (!normalized || normalized === "." || normalized.startsWith("..")) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return normalized;
+}
+
+// Files below the project directory, where uploads/, backups/ and exports/ always were
+class LocalStorage {
+  constructor(root) {
+    this.name = "local";
+    this.root = root;
+  }
+
+  resolve(key) {
+    return path.join(this.root, ...normalizeKey(key).split("/"));
+  }
+
+  async put(key, body) {
+    const target = this.resolve(key);
+    await fs.ensureDir(path.dirname(target));
+    await fs.writeFile(target, body);
+  }
+
+  // Store a local file; move = the local file is not needed afterwards
+  async upload(key, filePath, { move = false } = {}) {
+    const target = this.resolve(key);
+    if (path.resolve(filePath) === target) return;
+    await fs.ensureDir(path.dirname(target));
+    if (move) await fs.move(filePath, target, { overwrite: true });
+    else await fs.copy(filePath, target);
+  }
+
+  async get(key) {
+    try {
+      return await fs.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  async createReadStream(key) {
+    const file = this.resolve(key);
+    if (!(await fs.pathExists(file))) return null;
+    return fs.createReadStream(file);
+  }
+
+  async download(key, filePath) {
+    const source = this.resolve(key);
+    if (!(await fs.pathExists(source))) return false;
+    await fs.ensureDir(path.dirname(filePath));
+    await fs.copy(source, filePath);
+    return true;
+  }
+
+  // A path the file can be read from; here that is the stored file itself
+  async toLocalFile(key) {
+    const file = this.resolve(key);
+    return (await fs.pathExists(file)) ? { path: file, temporary: false } : null;
+  }
+
+  async stat(key) {
+    try {
+      const stats = await fs.stat(this.resolve(key));
+      return stats.isFile() ? { size: stats.size, modifiedAt: stats.mtime } : null;
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  async exists(key) {
+    return (await this.stat(key)) !== null;
+  }
+
+  async remove(key) {
+    const file = this.resolve(key);
+    if (!(await fs.pathExists(file))) return false;
+    await fs.remove(file);
+    return true;
+  }
+
+  // Everything below prefix, subdirectories included
+  async removeAll(prefix) {
+    await fs.remove(this.resolve(prefix));
+  }
+
+  // Files directly below prefix (no subdirectories), dotfiles skipped
+  async list(prefix) {
+    const dir = this.resolve(prefix);
+    if (!(await fs.pathExists(dir))) return [];
+
+    const entries = [];
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      if (!entry.isFile() || entry.name.startsWith(".")) continue;
+      const stats = await fs.stat(path.join(dir, entry.name));
+      entries.push({
+        key: `${normalizeKey(prefix)}/${entry.name}`,
+        name: entry.name,
+        size: stats.size,
+        modifiedAt: stats.mtime,
+      });
+    }
+    return entries;
+  }
+
+  staticHandler(prefix, options) {
+    return express.static(this.resolve(prefix), options);
+  }
+}
+
+// Objects in an S3 bucket. S3_ENDPOINT points at an S3-compatible server (MinIO), which
+// needs path-style addressing.
+class S3Storage {
+  constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, prefix }) {
+    // Only loaded when the driver is used
+    const s3 = require("@aws-sdk/client-s3");
+    this.commands = s3;
+    this.name = "s3";
+    this.bucket = bucket;
+    this.prefix = prefix ? `${normalizeKey(prefix)}/` : "";
+    this.client = new s3.S3Client({
+      region,
+      endpoint: endpoint || undefined,
+      forcePathStyle,
+      // Default CRC checksums make streamed uploads aws-chunked, which not every
+      // S3-compatible server accepts
+      requestChecksumCalculation: "WHEN_REQUIRED",
+      responseChecksumValidation: "WHEN_REQUIRED",
+      credentials:
+        accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined,
+    });
+  }
+
+  objectKey(key) {
+    return this.prefix + normalizeKey(key);
+  }
+
+  isNotFound(error) {
+    return (
+      error.name === "NoSuchKey" ||
+      error.name === "NotFound" ||
+      (error.$metadata && error.$metadata.httpStatusCode === 404)
+    );
+  }
+
+  async send(Command, input) {
+    return this.client.send(new this.commands[Command]({ Bucket: this.bucket, ...input }));
+  }
+
+  async put(key, body, { contentType } = {}) {
+    await this.send("PutObjectCommand", {
+      Key: this.objectKey(key),
+      Body: body,
+      ContentType: contentType || contentTypeOf(key),
+    });
+  }
+
+  async upload(key, filePath, { move = false, contentType } = {}) {
+    const { size } = await fs.stat(filePath);
+    await this.send("PutObjectCommand", {
+      Key: this.objectKey(key),
+      Body: fs.createReadStream(filePath),
+      ContentLength: size,
+      ContentType: contentType || contentTypeOf(key),
+    });
+    if (move) await fs.remove(filePath);
+  }
+
+  async getObject(key) {
+    try {
+      return await this.send("GetObjectCommand", { Key: this.objectKey(key) });
+    } catch (error) {
+      if (this.isNotFound(error)) return null;
+      throw error;
+    }
+  }
+
+  async get(key) {
+    const object = await this.getObject(key);
+    return object ? Buffer.from(await object.Body.transformToByteArray()) : null;
+  }
+
+  async createReadStream(key) {
+    const object = await this.getObject(key);
+    return object ? object.Body : null;
+  }
+
+  async download(key, filePath) {
+    const body = await this.createReadStream(key);
+    if (!body) return false;
+    await fs.ensureDir(path.dirname(filePath));
+    await new Promise((resolve, reject) => {
+      const output = fs.createWriteStream(filePath);
+      body.on("error", reject);
+      output.on("error", reject);
+      output.on("finish", resolve);
+      body.pipe(output);
+    });
+    return true;
+  }
+
+  // Downloaded into tempDir; the caller removes it when done
+  async toLocalFile(key, tempDir) {
+    const file = path.join(tempDir, `${Date.now()}-${path.posix.basename(normalizeKey(key))}`);
+    return (await this.download(key, file)) ? { path: file, temporary: true } : null;
+  }
+
+  async stat(key) {
+    try {
+      const head = await this.send("HeadObjectCommand", { Key: this.objectKey(key) });
+      return { size: head.ContentLength, modifiedAt: head.LastModified };
+    } catch (error) {
+      if (this.isNotFound(error)) return null;
+      throw error;
+    }
+  }
+
+  async exists(key) {
+    return (await this.stat(key)) !== null;
+  }
+
+  // S3 does not report whether the object existed
+  async remove(key) {
+    await this.send("DeleteObjectCommand", { Key: this.objectKey(key) });
+    return true;
+  }
+
+  async removeAll(prefix) {
+    const listPrefix = `${this.objectKey(prefix)}/`;
+    let token;
+    do {
+      const page = await this.send("ListObjectsV2Command", {
+        Prefix: listPrefix,
+        ContinuationToken: token,
+      });
+      for (const object of page.Contents || []) {
+        await this.send("DeleteObjectCommand", { Key: object.Key });
+      }
+      token = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (token);
+  }
+
+  async list(prefix) {
+    const listPrefix = `${this.objectKey(prefix)}/`;
+    const entries = [];
+    let token;
+    do {
+      const page = await this.send("ListObjectsV2Command", {
+        Prefix: listPrefix,
+        Delimiter: "/",
+        ContinuationToken: token,
+      });
+      for (const object of page.Contents || []) {
+        const name = object.Key.slice(listPrefix.length);
+        if (!name || name.startsWith(".")) continue;
+        entries.push({
+          key: `${normalizeKey(prefix)}/${name}`,
+          name,
+          size: object.Size,
+          modifiedAt: object.LastModified,
+        });
+      }
+      token = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (token);
+    return entries;
+  }
+
+  // Streams objects for GET /<prefix>/... the way express.static serves local files
+  staticHandler(prefix, { maxAge, immutable } = {}) {
+    return async (req, res, next) => {
+      if (req.method !== "GET" && req.method !== "HEAD") return next();
+      let key;
+      try {
+        key = normalizeKey(`${prefix}/${decodeURIComponent(req.path)}`);
+      } catch (error) {
+        return next();
+      }
+      if (!key.startsWith(`${normalizeKey(prefix)}/`)) return next();
+
+      try {
+        const object = await this.getObject(key);
+        if (!object) return next();
+        res.set("Content-Type", object.ContentType || contentTypeOf(key));
+        if (object.ContentLength !== undefined) res.set("Content-Length", String(object.ContentLength));
+        if (object.ETag) res.set("ETag", object.ETag);
+        if (maxAge) {
+          const seconds = Math.floor(toMilliseconds(maxAge) / 1000);
+          res.set("Cache-Control", `public, max-age=${seconds}${immutable ? ", immutable" : ""}`);
+        }
+        if (req.method === "HEAD") {
+          object.Body.destroy();
+          return res.end();
+        }
+        object.Body.on("error", next);
+        object.Body.pipe(res);
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+}
+
+// "30d", "12h" or milliseconds, like express.static's maxAge
+function toMilliseconds(value) {
+  const match = String(value).match(/^(\d+)\s*(ms|s|m|h|d)?$/);
+  if (!match) return 0;
+  const units = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+  return parseInt(match[1]) * units[match[2] || "ms"];
+}
+
+// STORAGE_DRIVER: local (default) or s3
+function createStorage(driver) {
+  switch (String(driver || "local").trim().toLowerCase()) {
+    case "s3":
+      if (!process.env.S3_BUCKET) {
+        throw new Error("STORAGE_DRIVER=s3 needs S3_BUCKET");
+      }
+      return new S3Storage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION || "us-east-1",
+        endpoint: process.env.S3_ENDPOINT || null,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        // MinIO and most S3-compatible servers only support path-style URLs
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+          ? process.env.S3_FORCE_PATH_STYLE === "true"
+          : !!process.env.S3_ENDPOINT,
+        prefix: process.env.S3_PREFIX || "",
+      });
+    case "local":
+      return new LocalStorage(path.join(__dirname, ".."));
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}" (use local or s3)`);
+  }
+}
+
+// Delegates to the configured driver, created on first use so .env has been loaded by then
+class StorageManager {
+  constructor() {
+    this.driver = null;
+  }
+
+  getDriver() {
+    if (!this.driver) {
+      this.driver = createStorage(process.env.STORAGE_DRIVER);
+      console.log(`🗄️ Storage driver: ${this.driver.name}`);
+    }
+    return this.driver;
+  }
+
+  get name() {
+    return this.getDriver().name;
+  }
+
+  put(key, body, options) {
+    return this.getDriver().put(key, body, options);
+  }
+
+  upload(key, filePath, options) {
+    return this.getDriver().upload(key, filePath, options);
+  }
+
+  get(key) {
+    return this.getDriver().get(key);
+  }
+
+  createReadStream(key) {
+    return this.getDriver().createReadStream(key);
+  }
+
+  download(key, filePath) {
+    return this.getDriver().download(key, filePath);
+  }
+
+  toLocalFile(key, tempDir) {
+    return this.getDriver().toLocalFile(key, tempDir);
+  }
+
+  stat(key) {
+    return this.getDriver().stat(key);
+  }
+
+  exists(key) {
+    return this.getDriver().exists(key);
+  }
+
+  remove(key) {
+    return this.getDriver().remove(key);
+  }
+
+  removeAll(prefix) {
+    return this.getDriver().removeAll(prefix);
+  }
+
+  list(prefix) {
+    return this.getDriver().list(prefix);
+  }
+
+  staticHandler(prefix, options) {
+    return this.getDriver().staticHandler(prefix, options);
+  }
+}
+
+// Create singleton instance
+const storage = new StorageManager();
+
+module.exports = {
+  storage,
+  createStorage,
+  contentTypeOf,
+};
@@ -0,0 +1,114 @@
+// Telegram command authorization - whitelist by Telegram user ID with per-command levels
+const { getConnection, dbManager } = require("../database/mysql-database-refactored");
+const { adminService, ADMIN_ROLES } = require("./admin-service");
+
+// Every bot command is registered with one of these levels
+const COMMAND_LEVELS = {
+  PUBLIC: "public", // /start, /help, /myid
+  READ: "read", // read-only lookups (/status, /stats, /daftar, ...)
+  REVIEW: "review", // /terima, /tolak, /adddivisi
+  SUPERADMIN: "superadmin", // destructive or bulk data commands
+};
+
+const LEVEL_ROLES = {
+  [COMMAND_LEVELS.REVIEW]: [ADMIN_ROLES.SUPERADMIN, ADMIN_ROLES.DIVISION_REVIEWER],
+  [COMMAND_LEVELS.SUPERADMIN]: [ADMIN_ROLES.SUPERADMIN],
+};
+
+class TelegramAccessControl {
+  // Identity of an unregistered sender, used for audit entries
+  describeSender(msg) {
+    const from = msg.from || {};
+    return {
+      id: `telegram:${from.id}`,
+      name: from.username ? `@${from.username}` : from.first_name || "UNKNOWN",
+    };
+  }
+
+  async getReadonlyUserIds() {
+    const value = await dbManager.getSetting("telegram_readonly_user_ids", "");
+    return value
+      .split(",")
+      .map((id) => id.trim())
+      .filter(Boolean);
+  }
+
+  // Decide whether the sender of msg may run a command of the given level.
+  // Returns { allowed, actor, reason } - actor is the linked admin account when there is one.
+  async authorize(msg, level) {
+    if (level === COMMAND_LEVELS.PUBLIC) {
+      return { allowed: true, actor: null };
+    }
+
+    const from = msg.from || {};
+    const admin = from.id ? await adminService.findByTelegramId(from.id) : null;
+
+    if (level === COMMAND_LEVELS.READ) {
+      if (admin) return { allowed: true, actor: admin };
+
+      // Members of the official admin group may use read-only commands there
+      const officialChatId = process.env.TELEGRAM_CHAT_ID;
+      if (officialChatId && String(msg.chat.id) === String(officialChatId)) {
+        return { allowed: true, actor: this.describeSender(msg) };
+      }
+
+      const readonlyIds = await this.getReadonlyUserIds();
+      if (readonlyIds.includes(String(from.id))) {
+        return { allowed: true, actor: this.describeSender(msg) };
+      }
+
+      return {
+        allowed: false,
+        actor: this.describeSender(msg),
+        reason: "NOT_WHITELISTED",
+      };
+    }
+
+    if (!admin) {
+      return {
+        allowed: false,
+        actor: this.describeSender(msg),
+        reason: "NOT_ADMIN",
+      };
+    }
+
+    if (!LEVEL_ROLES[level].includes(admin.role)) {
+      return { allowed: false, actor: admin, reason: "INSUFFICIENT_ROLE" };
+    }
+
+    return { allowed: true, actor: admin };
+  }
+
+  // Audit a denied command attempt in admin_logs
+  async recordDenied(msg, command, access) {
+    const actor = access.actor || this.describeSender(msg);
+    const from = msg.from || {};
+
+    console.warn(
+      `🚫 Telegram command denied: ${command} from ${actor.name} (${from.id}) in chat ${msg.chat.id} - ${access.reason}`
+    );
+
+    const connection = await getConnection();
+    try {
+      await connection.execute(
+        "INSERT INTO admin_logs (action, reason, admin_name, admin_id) VALUES (?, ?, ?, ?)",
+        [
+          "ACCESS_DENIED",
+          `Telegram command ${command.substring(0, 200)} denied (${access.reason}). User ID: ${from.id}, chat ID: ${msg.chat.id}`,
+          actor.name,
+          String(actor.id),
+        ]
+      );
+    } finally {
+      connection.release();
+    }
+  }
+}
+
+// Create singleton instance
+const telegramAccess = new TelegramAccessControl();
+
+module.exports = {
+  telegramAccess,
+  COMMAND_LEVELS,
+};
@@ -3,7 +3,38 @@ const TelegramBot = require("node-telegram-bot-api");
 const path = require("path");
 const fs = require("fs-extra");
 const { v4: uuidv4 } = require("uuid"); // Added for unique filenames
-const { getConnection } = require("../database/mysql-database-refactored");
+const { getConnection, dbManager } = require("../database/mysql-database-refactored");
+const {
+  approvalWorkflow,
+  DEFAULT_REJECTION_REASON,
+} = require("./approval-workflow");
+const { adminService } = require("./admin-service");
+const { telegramAccess, COMMAND_LEVELS } = require("./telegram-access");
+const {
+  registrationWindow,
+  OVERRIDE_MODES,
+} = require("./registration-window");
+const { divisionService } = require("./division-service");
+const { selectionPipeline } = require("./selection-pipeline");
+const { interviewService } = require("./interview-service");
+const { rubricService } = require("./rubric-service");
+const { ticketService } = require("./ticket-service");
+const { periodService } = require("./period-service");
+const { registrationEditService } = require("./registration-edit-service");
+const { deletionService } = require("./deletion-service");
+const { duplicateDetector } = require("./duplicate-detector");
+const { mergeService, MERGE_FIELDS } = require("./merge-service");
+const { photoProcessor } = require("./photo-processor");
+const { uploadScanner } = require("./upload-scanner");
+const { uploadKey } = require("./upload-gc");
+const { storage, contentTypeOf } = require("./storage");
+
+// Applicant-typed text goes into HTML messages
+const escapeHtml = (value) =>
+  String(value === undefined || value === null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
 
 // Bot configuration
 class TelegramBotManager {
@@ -54,6 +85,9 @@ class TelegramBotManager {
       // Setup command handlers
       this.setupCommands();
 
+      // Post the day's interview schedule to the group every morning
+      this.scheduleInterviewDigest();
+
       this.isInitialized = true;
       console.log("🤖 Telegram bot initialized successfully");
     } catch (error) {
@@ -127,33 +161,180 @@ class TelegramBotManager {
     }
   }
 
-  // Improved file collection with proper path resolution
+  // Tell the group an applicant edited their registration, with the new photo if it was replaced
+  async sendRegistrationEditNotification(data) {
+    if (!this.isInitialized || !this.bot || !process.env.TELEGRAM_CHAT_ID) {
+      console.log("⚠️ Telegram bot or chat ID not configured");
+      return { success: false, error: "Bot not configured" };
+    }
+
+    const shorten = (value) => {
+      const text = value === undefined || value === null || value === "" ? "-" : String(value);
+      return escapeHtml(text.length > 150 ? `${text.slice(0, 150)}…` : text);
+    };
+
+    try {
+      const lines = data.changes.map(
+        (change) =>
+          `• <b>${escapeHtml(change.label)}</b>\n   ${shorten(change.from)}\n   → ${shorten(change.to)}`
+      );
+      const message = `
+✏️ <b>DATA PENDAFTAR DIUBAH</b>
+
+👤 <b>Nama:</b> ${escapeHtml(data.nama_lengkap)}
+🎫 <b>Tiket:</b> <code>${data.ticket}</code>
+📅 <b>Waktu:</b> ${this.formatDate(new Date())}
+
+${lines.join("\n")}
+
+💡 Gunakan <code>/detail ${data.ticket}</code> untuk melihat data terbaru.
+      `.trim();
+
+      for (const part of this.splitMessage(message)) {
+        await this.sendTextMessage(part);
+      }
+
+      const photoKey = data.foto_path
+        ? await photoProcessor.ensureThumbnail(uploadKey("photos", data.foto_path))
+        : null;
+      const photo = photoKey ? await storage.get(photoKey) : null;
+      if (photo) {
+        await this.bot.sendPhoto(
+          process.env.TELEGRAM_CHAT_ID,
+          photo,
+          {
+            caption: `📷 <b>Foto 3x4 baru</b> - ${escapeHtml(data.nama_lengkap)}`,
+            parse_mode: "HTML",
+          },
+          { filename: path.basename(photoKey), contentType: "image/jpeg" }
+        );
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error("❌ Error sending edit notification:", error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Tell the group an applicant withdrew, and who took over a seat it freed
+  async sendWithdrawalNotification(result) {
+    if (!this.isInitialized || !this.bot || !process.env.TELEGRAM_CHAT_ID) {
+      console.log("⚠️ Telegram bot or chat ID not configured");
+      return { success: false, error: "Bot not configured" };
+    }
+
+    try {
+      let message = `
+↩️ <b>PENDAFTAR MENGUNDURKAN DIRI</b>
+
+👤 <b>Nama:</b> ${escapeHtml(result.user.nama_lengkap)}
+🎫 <b>Tiket:</b> <code>${result.user.ticket}</code>
+🏫 <b>Kelas:</b> ${escapeHtml(result.user.kelas)} - ${escapeHtml(result.user.jurusan)}
+📊 <b>Status sebelumnya:</b> ${this.getStatusIcon(result.previousStatus)} ${this.formatStatus(result.previousStatus)}
+📅 <b>Waktu:</b> ${this.formatDate(new Date())}
+      `.trim();
+
+      if (result.reason) {
+        message += `\n💭 <b>Alasan:</b> ${escapeHtml(result.reason)}`;
+      }
+      if (result.releasedSeat) {
+        message += `\n\n🎯 Kursi <b>${escapeHtml(result.releasedSeat)}</b> dilepas.`;
+      }
+      if (result.promoted.length > 0) {
+        message += `\n⬆️ <b>Naik dari waitlist:</b>\n`;
+        message += result.promoted
+          .map(
+            (user) =>
+              `• ${escapeHtml(user.nama_lengkap)} (<code>${user.ticket}</code>) → ${escapeHtml(user.placed_division)}`
+          )
+          .join("\n");
+      }
+
+      await this.sendTextMessage(message);
+      return { success: true };
+    } catch (error) {
+      console.error("❌ Error sending withdrawal notification:", error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Summary of a scheduled purge of deleted registrations
+  async sendPurgeNotification(purged) {
+    if (!this.isInitialized || !this.bot || !process.env.TELEGRAM_CHAT_ID) {
+      console.log("⚠️ Telegram bot or chat ID not configured");
+      return { success: false, error: "Bot not configured" };
+    }
+
+    try {
+      let message = `🧹 <b>PENDAFTAR DIHAPUS PERMANEN</b> (${purged.length})\n`;
+      message += `Masa simpan setelah /hapus sudah lewat, data & file tidak dapat dipulihkan lagi.\n\n`;
+      message += purged
+        .map(
+          (entry) =>
+            `• ${escapeHtml(entry.nama_lengkap)} (<code>${entry.ticket}</code>) - ${entry.removedFiles} file`
+        )
+        .join("\n");
+
+      const promoted = purged.flatMap((entry) => entry.promoted);
+      if (promoted.length > 0) {
+        message += `\n\n⬆️ <b>Naik dari waitlist:</b>\n`;
+        message += promoted
+          .map(
+            (user) =>
+              `• ${escapeHtml(user.nama_lengkap)} (<code>${user.ticket}</code>) → ${escapeHtml(user.placed_division)}`
+          )
+          .join("\n");
+      }
+
+      for (const part of this.splitMessage(message)) {
+        await this.sendTextMessage(part);
+      }
+      return { success: true };
+    } catch (error) {
+      console.error("❌ Error sending purge notification:", error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // A stored file as a local file the bot can send. With remote storage this is a temporary
+  // copy in uploads/temp, which cleanupTemporaryFiles() removes once it has been sent.
+  async fetchStoredFile(key) {
+    const tempDir = path.join(__dirname, "..", "uploads", "temp");
+    await fs.ensureDir(tempDir);
+    const file = await storage.toLocalFile(key, tempDir);
+    if (!file) return null;
+    return { path: file.path, size: (await fs.stat(file.path)).size, isTemporary: file.temporary };
+  }
+
+  // Improved file collection with proper key resolution
   async collectAndValidateFiles(data) {
     const mediaFiles = [];
-    const baseUploadPath = path.join(__dirname, "..", "uploads");
 
     try {
-      // Main photo handling with multiple fallback paths
+      // Main photo handling with multiple fallback keys
       if (data.foto_path) {
-        const photoPaths = [
-          path.join(baseUploadPath, "photos", data.foto_path),
-          path.join(baseUploadPath, data.foto_path), // fallback
-          path.join(__dirname, "..", data.foto_path), // another fallback
+        const photoKeys = [
+          uploadKey("photos", data.foto_path),
+          `uploads/${data.foto_path}`, // fallback
+          data.foto_path, // another fallback
         ];
 
-        for (const photoPath of photoPaths) {
-          if (await fs.pathExists(photoPath)) {
-            const stats = await fs.stat(photoPath);
+        for (const storedKey of photoKeys) {
+          if (await storage.exists(storedKey)) {
+            // The thumbnail is enough for the group, the full photo stays on the server
+            const photoKey = await photoProcessor.ensureThumbnail(storedKey);
+            const file = await this.fetchStoredFile(photoKey);
+            if (!file) continue;
             mediaFiles.push({
               type: "photo",
-              path: photoPath,
+              ...file,
               caption: `📷 <b>Foto 3x4</b> - ${data.nama_lengkap}`,
-              size: stats.size,
               isMain: true,
             });
             console.log(
-              `✅ Found photo: ${photoPath} (${this.formatFileSize(
-                stats.size
+              `✅ Found photo: ${photoKey} (${this.formatFileSize(
+                file.size
               )})`
             );
             break;
@@ -173,7 +354,6 @@ class TelegramBotManager {
       await this.collectCertificates(
         data,
         "organisasi",
-        baseUploadPath,
         mediaFiles,
         (org, index) =>
           `📜 <b>Sertifikat Organisasi ${index + 1}</b> - ${
@@ -185,7 +365,6 @@ class TelegramBotManager {
       await this.collectCertificates(
         data,
         "prestasi",
-        baseUploadPath,
         mediaFiles,
         (prestasi, index) =>
           `🏆 <b>Sertifikat Prestasi ${index + 1}</b> - ${
@@ -205,7 +384,6 @@ class TelegramBotManager {
   async collectCertificates(
     data,
     type,
-    baseUploadPath,
     mediaFiles,
     getCaptionFn
   ) {
@@ -221,7 +399,6 @@ class TelegramBotManager {
         if (filename) {
           await this.addCertificateFile(
             filename,
-            baseUploadPath,
             mediaFiles,
             getCaptionFn(item, i)
           );
@@ -239,7 +416,6 @@ class TelegramBotManager {
           };
           await this.addCertificateFile(
             filename,
-            baseUploadPath,
             mediaFiles,
             getCaptionFn(item, i)
           );
@@ -249,34 +425,31 @@ class TelegramBotManager {
   }
 
   // Add certificate file with validation
-  async addCertificateFile(filename, baseUploadPath, mediaFiles, caption) {
-    const certPaths = [
-      path.join(baseUploadPath, "certificates", filename),
-      path.join(baseUploadPath, filename), // fallback
-      path.join(__dirname, "..", filename), // another fallback
+  async addCertificateFile(filename, mediaFiles, caption) {
+    const certKeys = [
+      uploadKey("certificates", filename),
+      `uploads/${filename}`, // fallback
+      filename, // another fallback
     ];
 
-    for (const certPath of certPaths) {
-      if (await fs.pathExists(certPath)) {
-        const stats = await fs.stat(certPath);
+    for (const certKey of certKeys) {
+      const file = await this.fetchStoredFile(certKey);
+      if (file) {
         mediaFiles.push({
           type: "document",
-          path: certPath,
+          ...file,
           caption: caption,
-          size: stats.size,
         });
         console.log(
-          `✅ Found certificate: ${certPath} (${this.formatFileSize(
-            stats.size
+          `✅ Found certificate: ${certKey} (${this.formatFileSize(
+            file.size
           )})`
         );
         return;
       }
     }
 
-    console.warn(
-      `⚠️ Certificate not found for ticket ${data.ticket}: ${filename}`
-    );
+    console.warn(`⚠️ Certificate not found: ${filename}`);
   }
 
   // Enhanced message formatting
@@ -328,27 +501,10 @@ class TelegramBotManager {
     if (data.divisi && Array.isArray(data.divisi) && data.divisi.length > 0) {
       message += `🎯 <b>BIDANG PILIHAN & ALASAN</b>\n`;
       
-      // Create reverse mapping to find original form field names
-      const reverseDivisionMapping = {
-        'Keagamaan': 'keagamaan',
-        'Kedisiplinan': 'kedisiplinan', 
-        'Kebersihan': 'kebersihan',
-        'Kewirausahaan': 'kewirausahaan',
-        'Olahraga': 'olahraga',
-        'Kesenian': 'kesenian',
-        'Sosial': 'sosial',
-        'Lingkungan Hidup': 'lingkungan_hidup',
-        'Kesehatan': 'kesehatan',
-        'Bakat Minat': 'bakat_minat',
-        'Media Jaringan': 'media_jaringan',
-        'Sekretaris': 'sekretaris'
-      };
-      
+      const alasanByDivision = data.divisi_alasan || {};
+
       for (const [index, div] of data.divisi.entries()) {
-        // Use original form field name for reason field
-        const originalFieldName = reverseDivisionMapping[div] || div.toLowerCase().replace(/\s+/g, '_');
-        const alasanField = `alasan_${originalFieldName}`;
-        const alasanText = data[alasanField] || "N/A";
+        const alasanText = alasanByDivision[div] || "N/A";
         const formattedAlasan = await this._handleLongTextAsFile(
           alasanText,
           `Alasan-${div}-${data.ticket}`,
@@ -378,6 +534,18 @@ class TelegramBotManager {
       data.created_at || new Date()
     )}\n\n`;
 
+    // Registrations matched by "flag" duplicate rules (block rules never get this far)
+    if (data.suspected_duplicates && data.suspected_duplicates.length > 0) {
+      message += `⚠️ <b>KEMUNGKINAN DUPLIKAT</b>\n`;
+      data.suspected_duplicates.forEach((match) => {
+        const reasons = match.rules.map((rule) => duplicateDetector.describeRule(rule)).join(", ");
+        message += `┣ <code>${match.ticket}</code> ${escapeHtml(match.nama_lengkap)}\n┃   ${reasons}\n`;
+      });
+      message += `┗ 💡 Cek semua dengan /duplikat\n\n`;
+    }
+
+    message += this.formatQuarantine(data.quarantined_files);
+
     // Quick actions
     message += `⚡ <b>AKSI CEPAT</b>\n`;
     message += `┣ ✅ <code>/terima ${data.ticket}</code>\n`;
@@ -387,6 +555,19 @@ class TelegramBotManager {
     return message;
   }
 
+  // Certificates the upload scanner held back; they are never attached, only named here
+  formatQuarantine(files) {
+    if (!files || files.length === 0) return "";
+    let result = `🛡️ <b>PERLU DITINJAU - SERTIFIKAT DIKARANTINA</b>\n`;
+    files.forEach((file, index) => {
+      const prefix = index === files.length - 1 ? "┗" : "┣";
+      result += `${prefix} ${escapeHtml(file.original_name || file.originalname || file.filename)} - ${escapeHtml(
+        uploadScanner.describeReason(file)
+      )}\n`;
+    });
+    return `${result}\n`;
+  }
+
   // Format experience (organization/achievement) with optional certificates
   formatExperience(data, type, title) {
     let result = "";
@@ -661,6 +842,8 @@ class TelegramBotManager {
       LOLOS: "✅",
       DITOLAK: "❌",
       PENDING_BOT_APPROVAL: "🔄",
+      WAITLIST: "⏸",
+      WITHDRAWN: "↩️",
     };
     return icons[status] || "❓";
   }
@@ -673,6 +856,8 @@ class TelegramBotManager {
       LOLOS: "Diterima",
       DITOLAK: "Ditolak",
       PENDING_BOT_APPROVAL: "Menunggu Persetujuan Bot",
+      WAITLIST: "Waitlist (Kuota Penuh)",
+      WITHDRAWN: "Mengundurkan Diri",
     };
     return statuses[status] || status;
   }
@@ -733,17 +918,44 @@ class TelegramBotManager {
   }
 
   // Enhanced command setup
+  // Register a command guarded by telegramAccess. Denied attempts are answered and audited;
+  // allowed handlers receive the resolved actor (admin account or sender identity).
+  onCommand(pattern, level, handler) {
+    this.bot.onText(pattern, async (msg, match) => {
+      try {
+        const access = await telegramAccess.authorize(msg, level);
+
+        if (!access.allowed) {
+          await this.bot.sendMessage(
+            msg.chat.id,
+            access.reason === "INSUFFICIENT_ROLE"
+              ? `🚫 <b>Akses ditolak</b>\n\nRole <b>${access.actor.role}</b> tidak dapat menjalankan perintah ini.`
+              : `🚫 <b>Akses ditolak</b>\n\nAkun Telegram Anda belum terdaftar sebagai admin.\nGunakan <code>/myid</code> untuk melihat ID Anda dan minta superadmin mendaftarkannya.`,
+            { parse_mode: "HTML" }
+          );
+          await telegramAccess.recordDenied(msg, match[0], access);
+          return;
+        }
+
+        await handler(msg, match, access.actor);
+      } catch (error) {
+        console.error(`❌ Error handling command ${match[0]}:`, error);
+      }
+    });
+  }
+
   setupCommands() {
     if (!this.bot) return;
 
     console.log("🛠️ Setting up enhanced bot commands...");
 
+    const { PUBLIC, READ, REVIEW, SUPERADMIN } = COMMAND_LEVELS;
+
     // Welcome command
-    this.bot.onText(/\/start/, (msg) => {
+    this.onCommand(/\/start/, PUBLIC, async (msg) => {
+      const period = await periodService.getActivePeriod();
       const welcomeMessage = `
-🎭 <b>BOT OSIS RECRUITMENT ${new Date().getFullYear()}/${
-        new Date().getFullYear() + 1
-      }</b>
+🎭 <b>BOT ${(period ? period.name : "OSIS RECRUITMENT").toUpperCase()}</b>
 
 👋 Halo ${
         msg.from.first_name
@@ -752,127 +964,238 @@ class TelegramBotManager {
 <b>🔧 PERINTAH UMUM:</b>
 ┣ 📋 /help - Panduan lengkap
 ┣ 🔍 /status [tiket] - Cek status pendaftar
-┣ 📊 /stats - Statistik pendaftaran
-┣ 📝 /daftar - Lihat semua pendaftar
+┣ 📊 /stats [periode] - Statistik pendaftaran
+┣ 📝 /daftar [periode] - Lihat semua pendaftar
 ┣ 🔍 /search [kata kunci] - Cari pendaftar
-┗ � /detail [tiket] - Info lengkap & foto
+┣ 📄 /detail [tiket] - Info lengkap & foto
+┣ 🎯 /divisi - Daftar divisi, kuota & jumlah pendaftar
+┣ 🪜 /tahap - Daftar tahap seleksi & jumlah pendaftar
+┣ 📅 /jadwal [tanggal] - Jadwal wawancara hari ini / tanggal tertentu
+┣ 📐 /rubrik [divisi] - Kriteria penilaian wawancara
+┣ 🏅 /ranking [divisi] - Ranking pendaftar berdasarkan nilai
+┣ 📆 /periode - Daftar periode rekrutmen
+┣ 👯 /duplikat [periode] - Pendaftar yang diduga duplikat
+┗ 🆔 /myid - Lihat Telegram user ID Anda
 
 <b>⚙️ PERINTAH ADMIN:</b>
 ┣ ✅ /terima [tiket] - Terima pendaftar
 ┣ ❌ /tolak [tiket] [alasan] - Tolak pendaftar
 ┣ ➕ /adddivisi [tiket] [divisi] [alasan] - Tambah divisi ke pendaftar
-┣ 📊 /excel - Export data ke Excel
-┣ 💾 /backup - Backup database
-┗ 🗑 /hapus [tiket] - Hapus pendaftar
+┣ ⏭ /lanjut [tiket] [catatan] - Lanjutkan ke tahap seleksi berikutnya
+┣ 🪜 /tahap [tiket] [tahap] - Pindahkan pendaftar ke tahap tertentu
+┣ 🕘 /slot tambah|hapus - Kelola jadwal wawancara
+┣ 📝 /nilai [tiket] [divisi] kriteria=skor - Input nilai wawancara
+┣ 📊 /excel [periode] - Export data ke Excel
+┣ 💾 /backup [periode] - Backup database
+┣ 📆 /periode baru|aktif - Kelola periode rekrutmen
+┣ 🔑 /tokenedit [tiket] - Buat ulang kode edit pendaftar
+┣ 🚪 /pendaftaran [buka|tutup|auto] - Status & kontrol pendaftaran
+┣ 🔀 /merge [tiket] [tiket ganda] - Gabungkan pendaftar ganda
+┣ 🗑 /hapus [tiket] - Hapus pendaftar
+┗ ♻️ /restore [tiket] - Pulihkan pendaftar yang dihapus
 
 Ketik /help untuk panduan lengkap penggunaan.
       `.trim();
 
-      this.bot.sendMessage(msg.chat.id, welcomeMessage, { parse_mode: "HTML" });
+      await this.bot.sendMessage(msg.chat.id, welcomeMessage, {
+        parse_mode: "HTML",
+      });
     });
 
     // Help command
-    this.bot.onText(/\/help/, (msg) => {
-      this.sendHelpMessage(msg.chat.id);
+    this.onCommand(/\/help/, PUBLIC, async (msg) => {
+      await this.sendHelpMessage(msg.chat.id);
+    });
+
+    // Show the sender's Telegram user ID (needed to link an admin account)
+    this.onCommand(/\/myid/, PUBLIC, async (msg) => {
+      await this.bot.sendMessage(
+        msg.chat.id,
+        `🆔 <b>Telegram user ID Anda:</b> <code>${msg.from.id}</code>\n💬 <b>Chat ID:</b> <code>${msg.chat.id}</code>`,
+        { parse_mode: "HTML" }
+      );
     });
 
     // Status check command
-    this.bot.onText(/\/status (.+)/, async (msg, match) => {
-      await this.handleStatusCommand(msg.chat.id, match[1]);
+    this.onCommand(/\/status (.+)/, READ, async (msg, match) => {
+      const parsed = await this.takeTicket(msg.chat.id, match[1], "/status [tiket]");
+      if (parsed) await this.handleStatusCommand(msg.chat.id, parsed.ticket);
     });
 
     // Stats command
-    this.bot.onText(/\/stats/, async (msg) => {
-      await this.handleStatsCommand(msg.chat.id);
+    this.onCommand(/^\/stats(?:@\w+)?(?:\s+(\S+))?\s*$/, READ, async (msg, match) => {
+      const period = await this.takePeriod(msg.chat.id, match[1]);
+      if (period) await this.handleStatsCommand(msg.chat.id, period);
     });
 
     // Accept command with ticket extraction
-    this.bot.onText(/\/terima (.+)/, async (msg, match) => {
-      // Extract only ticket format OSIS25-XXXXXX-X from input
-      const input = match[1].trim();
-      const ticketMatch = input.match(/OSIS25-\d{6}-[A-Z]/);
-
-      if (ticketMatch) {
-        await this.handleAcceptCommand(msg.chat.id, ticketMatch[0]);
-      } else {
-        await this.bot.sendMessage(
-          msg.chat.id,
-          "❌ Format tiket tidak valid!\n\nGunakan format: <code>/terima OSIS25-123456-A</code>",
-          { parse_mode: "HTML" }
-        );
-      }
+    this.onCommand(/\/terima (.+)/, REVIEW, async (msg, match, actor) => {
+      const parsed = await this.takeTicket(msg.chat.id, match[1], "/terima [tiket]");
+      if (parsed) await this.handleAcceptCommand(msg.chat.id, parsed.ticket, actor);
     });
 
     // Reject command with ticket extraction
-    this.bot.onText(/\/tolak (.+)/, async (msg, match) => {
-      const input = match[1].trim();
-      const ticketMatch = input.match(/OSIS25-\d{6}-[A-Z]/);
-
-      if (ticketMatch) {
-        // Extract reason (everything after ticket)
-        const reason = input.replace(ticketMatch[0], "").trim();
+    this.onCommand(/\/tolak (.+)/, REVIEW, async (msg, match, actor) => {
+      const parsed = await this.takeTicket(msg.chat.id, match[1], "/tolak [tiket] [alasan]");
+      if (parsed) {
+        // Reason is everything around the ticket
         await this.handleRejectCommand(
           msg.chat.id,
-          ticketMatch[0] + (reason ? " " + reason : "")
-        );
-      } else {
-        await this.bot.sendMessage(
-          msg.chat.id,
-          "❌ Format tiket tidak valid!\n\nGunakan format: <code>/tolak OSIS25-123456-A [alasan]</code>",
-          { parse_mode: "HTML" }
+          parsed.ticket + (parsed.rest ? " " + parsed.rest : ""),
+          actor
         );
       }
     });
 
     // Search command
-    this.bot.onText(/\/search (.+)/, async (msg, match) => {
+    this.onCommand(/\/search (.+)/, READ, async (msg, match) => {
       await this.handleSearchCommand(msg.chat.id, match[1]);
     });
 
     // List all registrants
-    this.bot.onText(/\/daftar/, async (msg) => {
-      await this.handleListCommand(msg.chat.id);
+    this.onCommand(/^\/daftar(?:@\w+)?(?:\s+(\S+))?\s*$/, READ, async (msg, match) => {
+      const period = await this.takePeriod(msg.chat.id, match[1]);
+      if (period) await this.handleListCommand(msg.chat.id, period);
     });
 
     // Detail command
-    this.bot.onText(/\/detail (.+)/, async (msg, match) => {
-      await this.handleDetailCommand(msg.chat.id, match[1]);
+    this.onCommand(/\/detail (.+)/, READ, async (msg, match) => {
+      const parsed = await this.takeTicket(msg.chat.id, match[1], "/detail [tiket]");
+      if (parsed) await this.handleDetailCommand(msg.chat.id, parsed.ticket);
     });
 
-    // Excel export command
-    this.bot.onText(/\/excel/, async (msg) => {
-      await this.handleExcelCommand(msg.chat.id);
+    // Suspected duplicate registrations for manual merge
+    this.onCommand(/^\/duplikat(?:@\w+)?(?:\s+(\S+))?\s*$/, READ, async (msg, match) => {
+      const period = await this.takePeriod(msg.chat.id, match[1]);
+      if (period) await this.handleDuplicateReportCommand(msg.chat.id, period);
+    });
+
+    // Excel export command - full personal data, superadmin only
+    this.onCommand(/^\/excel(?:@\w+)?(?:\s+(\S+))?\s*$/, SUPERADMIN, async (msg, match) => {
+      const period = await this.takePeriod(msg.chat.id, match[1]);
+      if (period) await this.handleExcelCommand(msg.chat.id, period);
     });
 
     // Delete command
-    this.bot.onText(/\/hapus (.+)/, async (msg, match) => {
-      await this.handleDeleteCommand(msg.chat.id, match[1]);
+    this.onCommand(/\/hapus (.+)/, SUPERADMIN, async (msg, match, actor) => {
+      const parsed = await this.takeTicket(msg.chat.id, match[1], "/hapus [tiket]");
+      if (parsed) await this.handleDeleteCommand(msg.chat.id, parsed.ticket, actor);
+    });
+
+    // Undo /hapus within the retention window: /restore lists deleted registrations, /restore [tiket] restores one
+    this.onCommand(/^\/restore(?:@\w+)?(?:\s+(.+))?$/, SUPERADMIN, async (msg, match, actor) => {
+      if (!match[1] || !match[1].trim()) {
+        await this.handleDeletedListCommand(msg.chat.id);
+        return;
+      }
+      const parsed = await this.takeTicket(msg.chat.id, match[1], "/restore [tiket]");
+      if (parsed) await this.handleRestoreCommand(msg.chat.id, parsed.ticket, actor);
+    });
+
+    // Merge a duplicate registration: /merge [tiket dipertahankan] [tiket digabung] [field...] [ya]
+    this.onCommand(/^\/merge(?:@\w+)?(?:\s+(.+))?$/, SUPERADMIN, async (msg, match, actor) => {
+      await this.handleMergeCommand(msg.chat.id, match[1] || "", actor);
     });
 
     // Backup command
-    this.bot.onText(/\/backup/, async (msg) => {
-      await this.handleBackupCommand(msg.chat.id);
+    this.onCommand(/^\/backup(?:db)?(?:@\w+)?(?:\s+(\S+))?\s*$/, SUPERADMIN, async (msg, match) => {
+      const period = await this.takePeriod(msg.chat.id, match[1]);
+      if (period) await this.handleBackupCommand(msg.chat.id, period);
     });
 
     // List backups command
-    this.bot.onText(/\/listbackup/, async (msg) => {
+    this.onCommand(/\/listbackup/, SUPERADMIN, async (msg) => {
       await this.handleListBackupCommand(msg.chat.id);
     });
 
     // Delete backup command
-    this.bot.onText(/\/deletebackup (.+)/, async (msg, match) => {
+    this.onCommand(/\/deletebackup (.+)/, SUPERADMIN, async (msg, match) => {
       await this.handleDeleteBackupCommand(msg.chat.id, match[1]);
     });
 
     // Push command - Process all pending approvals
-    this.bot.onText(/\/push/, async (msg) => {
-      await this.handlePushCommand(msg.chat.id);
+    this.onCommand(/\/push/, SUPERADMIN, async (msg, match, actor) => {
+      await this.handlePushCommand(msg.chat.id, actor);
     });
 
     // Add Division command
-    this.bot.onText(/\/adddivisi (.+)/, async (msg, match) => {
-      await this.handleAddDivisionCommand(msg.chat.id, match[1]);
+    this.onCommand(/\/adddivisi (.+)/, REVIEW, async (msg, match, actor) => {
+      await this.handleAddDivisionCommand(msg.chat.id, match[1], actor);
+    });
+
+    // Division list with quota and applicant counts
+    this.onCommand(/^\/divisi(?:@\w+)?\s*$/, READ, async (msg) => {
+      await this.handleDivisionListCommand(msg.chat.id);
+    });
+
+    // Selection stages with the number of applicants in each
+    this.onCommand(/^\/tahap(?:@\w+)?\s*$/, READ, async (msg) => {
+      await this.handleStageListCommand(msg.chat.id);
+    });
+
+    // Move an applicant to a specific stage: /tahap [tiket] [tahap] [catatan]
+    this.onCommand(/^\/tahap(?:@\w+)? (.+)/, REVIEW, async (msg, match, actor) => {
+      await this.handleStageMoveCommand(msg.chat.id, match[1], actor);
+    });
+
+    // Advance an applicant to the next stage: /lanjut [tiket] [catatan]
+    this.onCommand(/\/lanjut (.+)/, REVIEW, async (msg, match, actor) => {
+      await this.handleAdvanceCommand(msg.chat.id, match[1], actor);
+    });
+
+    // Rubric criteria of every division, or of one: /rubrik [divisi]
+    this.onCommand(/^\/rubrik(?:@\w+)?(?:\s+(.+))?$/, READ, async (msg, match) => {
+      await this.handleRubricCommand(msg.chat.id, match[1]);
+    });
+
+    // Interview scores: /nilai [tiket] [divisi] [kriteria=skor ...] [catatan]
+    this.onCommand(/\/nilai (.+)/, REVIEW, async (msg, match, actor) => {
+      await this.handleScoreCommand(msg.chat.id, match[1], actor);
     });
+
+    // Applicants of a division ranked by weighted score: /ranking [divisi]
+    this.onCommand(/\/ranking (.+)/, READ, async (msg, match) => {
+      await this.handleRankingCommand(msg.chat.id, match[1]);
+    });
+
+    // Interview schedule of a day (default today, WIB): /jadwal [YYYY-MM-DD]
+    this.onCommand(/^\/jadwal(?:@\w+)?(?:\s+(\S+))?\s*$/, READ, async (msg, match) => {
+      await this.handleInterviewScheduleCommand(msg.chat.id, match[1]);
+    });
+
+    // Interview slots: /slot tambah [waktu] [durasi] [kapasitas] [ruangan] | [pewawancara] or /slot hapus [id]
+    this.onCommand(/^\/slot(?:@\w+)? (.+)/, SUPERADMIN, async (msg, match, actor) => {
+      await this.handleSlotCommand(msg.chat.id, match[1], actor);
+    });
+
+    // New self-service edit token for an applicant who lost theirs: /tokenedit [tiket]
+    this.onCommand(/\/tokenedit (.+)/, SUPERADMIN, async (msg, match) => {
+      const parsed = await this.takeTicket(msg.chat.id, match[1], "/tokenedit [tiket]");
+      if (parsed) await this.handleEditTokenCommand(msg.chat.id, parsed.ticket);
+    });
+
+    // Recruitment periods: list, or superadmin management (baru | aktif)
+    this.onCommand(/^\/periode(?:@\w+)?\s*$/, READ, async (msg) => {
+      await this.handlePeriodListCommand(msg.chat.id);
+    });
+
+    this.onCommand(/^\/periode(?:@\w+)? (.+)/, SUPERADMIN, async (msg, match, actor) => {
+      await this.handlePeriodCommand(msg.chat.id, match[1], actor);
+    });
+
+    // Registration window status
+    this.onCommand(/^\/pendaftaran(?:@\w+)?\s*$/, READ, async (msg) => {
+      await this.handleRegistrationStatusCommand(msg.chat.id);
+    });
+
+    // Registration window control: buka | tutup | auto | jadwal [buka] [tutup]
+    this.onCommand(
+      /^\/pendaftaran(?:@\w+)? (.+)/,
+      SUPERADMIN,
+      async (msg, match, actor) => {
+        await this.handleRegistrationControlCommand(msg.chat.id, match[1], actor);
+      }
+    );
   }
 
   // Command handlers
@@ -883,7 +1206,7 @@ Ketik /help untuk panduan lengkap penggunaan.
 <b>🎯 CARA MENGGUNAKAN:</b>
 
 <b>1. CEK STATUS PENDAFTAR</b>
-<code>/status OSIS25-782753-E</code>
+<code>/status OSIS25-782753-Z</code>
 → Menampilkan status dan detail pendaftar
 
 <b>2. CARI PENDAFTAR</b>
@@ -892,24 +1215,24 @@ Ketik /help untuk panduan lengkap penggunaan.
 
 <b>3. LIHAT SEMUA PENDAFTAR</b>
 <code>/daftar</code>
-→ Menampilkan semua pendaftar terdaftar
+→ Menampilkan semua pendaftar periode aktif (<code>/daftar 2025</code> untuk periode lain)
 
 <b>4. LIHAT DETAIL LENGKAP + FOTO</b>
-<code>/detail OSIS25-782753-E</code>
+<code>/detail OSIS25-782753-Z</code>
 → Info lengkap dengan foto dan sertifikat
 
 <b>5. LIHAT STATISTIK</b>
 <code>/stats</code>
-→ Menampilkan ringkasan pendaftaran
+→ Menampilkan ringkasan pendaftaran periode aktif (<code>/stats 2025</code> untuk periode lain)
 
 <b>🔧 SISTEM APPROVAL QUEUE:</b>
 
 <b>6. TANDAI UNTUK DITERIMA</b>
-<code>/terima OSIS25-782753-E</code>
+<code>/terima OSIS25-782753-Z</code>
 → Status: PENDING_TERIMA (menunggu push)
 
 <b>7. TANDAI UNTUK DITOLAK</b>
-<code>/tolak OSIS25-782753-E Tidak memenuhi syarat</code>
+<code>/tolak OSIS25-782753-Z Tidak memenuhi syarat</code>
 → Status: PENDING_TOLAK (menunggu push)
 
 <b>8. PROSES BATCH APPROVAL</b>
@@ -921,11 +1244,11 @@ Ketik /help untuk panduan lengkap penggunaan.
 
 <b>9. EXPORT KE EXCEL</b>
 <code>/excel</code>
-→ Download data dalam format Excel
+→ Download data periode aktif dalam format Excel (<code>/excel 2025</code> untuk periode lain)
 
 <b>10. BACKUP DATABASE</b>
 <code>/backup</code>
-→ Buat backup database lengkap
+→ Buat backup data pendaftar periode aktif (<code>/backup 2025</code> untuk periode lain)
 
 <b>11. LIHAT BACKUP</b>
 <code>/listbackup</code>
@@ -935,13 +1258,18 @@ Ketik /help untuk panduan lengkap penggunaan.
 <code>/deletebackup [nama_folder]</code>
 → Menghapus folder backup tertentu (HATI-HATI!)
 
-<b>13. HAPUS PENDAFTAR</b>
-<code>/hapus OSIS25-782753-E</code>
-→ Hapus data pendaftar (HATI-HATI!)
+<b>13. HAPUS & PULIHKAN PENDAFTAR</b>
+<code>/hapus OSIS25-782753-Z</code>
+→ Sembunyikan pendaftar dari semua daftar, statistik & antrian (jadwal wawancaranya dilepas)
+<code>/restore</code> → Daftar pendaftar yang dihapus & kapan dihapus permanen
+<code>/restore OSIS25-782753-Z</code> → Pulihkan pendaftar dengan status semula
+→ Setelah masa simpan (setting <code>deletion_retention_days</code>, default 30 hari) data & file foto/sertifikat dihapus permanen
 
 <b>14. TAMBAH DIVISI KE PENDAFTAR</b>
-<code>/adddivisi OSIS25-782753-E Kedisiplinan Saya akan memberikan contoh baik...</code>
-→ Menambahkan pilihan divisi baru ke pendaftar
+<code>/adddivisi OSIS25-782753-Z Kedisiplinan Saya akan memberikan contoh baik...</code>
+<code>/adddivisi OSIS25-782753-Z Bakat Minat Saya ingin...</code>
+→ Menambahkan pilihan divisi baru ke pendaftar (nama atau slug divisi)
+→ Lihat pilihan divisi dengan <code>/divisi</code>
 
 <b>📝 WORKFLOW ADMIN:</b>
 1. Cek pendaftar: /daftar atau /stats
@@ -950,6 +1278,66 @@ Ketik /help untuk panduan lengkap penggunaan.
 4. Proses batch: /push
 5. Monitor hasil: /stats
 
+<b>15. STATUS & KONTROL PENDAFTARAN</b>
+<code>/pendaftaran</code> → Status jendela pendaftaran
+<code>/pendaftaran buka</code> / <code>tutup</code> → Paksa buka/tutup
+<code>/pendaftaran auto</code> → Ikuti jadwal
+<code>/pendaftaran jadwal 2025-07-01T07:00 2025-07-14T23:59</code>
+→ Atur jadwal (WIB, gunakan <code>-</code> untuk mengosongkan)
+
+<b>16. TAHAP SELEKSI</b>
+<code>/tahap</code> → Daftar tahap & jumlah pendaftar di tiap tahap
+<code>/lanjut OSIS25-782753-Z Berkas lengkap</code> → Lulus tahap ini, lanjut ke tahap berikutnya
+<code>/tahap OSIS25-782753-Z interview</code> → Pindahkan ke tahap tertentu (slug tahap)
+→ Tahap terakhir diputuskan dengan /terima atau /tolak lalu /push
+
+<b>17. JADWAL WAWANCARA</b>
+<code>/jadwal</code> → Jadwal wawancara hari ini (<code>/jadwal 2025-07-20</code> untuk tanggal lain)
+<code>/slot tambah 2025-07-20T09:00 30 3 Ruang OSIS | Pak Budi</code>
+→ Waktu (WIB), durasi (menit), kapasitas, ruangan | pewawancara
+<code>/slot hapus 12</code> → Hapus jadwal yang belum dipesan
+→ Pendaftar di tahap wawancara memesan jadwal sendiri di halaman cek tiket
+
+<b>18. PENILAIAN WAWANCARA</b>
+<code>/rubrik Kedisiplinan</code> → Kriteria, bobot & skor maksimal divisi
+<code>/nilai OSIS25-782753-Z Kedisiplinan komunikasi=8 kepemimpinan=7 Percaya diri</code>
+→ Simpan nilai Anda (kirim ulang untuk mengubah), teks setelah skor = catatan
+<code>/ranking Kedisiplinan</code> → Urutan pendaftar berdasarkan skor tertimbang (0-100)
+→ Saat /push, pendaftar dengan skor lebih tinggi mendapat kursi lebih dulu
+
+<b>19. PERIODE REKRUTMEN</b>
+<code>/periode</code> → Daftar periode & jumlah pendaftar (✅ = aktif)
+<code>/periode baru 2026 Rekrutmen OSIS 2026/2027</code> → Buat periode baru (nama opsional)
+<code>/periode aktif 2026</code> → Aktifkan periode: pendaftaran baru, tiket, statistik, kuota & daftar mengikuti periode aktif
+→ Data periode lama tetap tersimpan dan bisa dilihat dengan /stats, /daftar, /excel [periode]
+
+<b>20. UBAH DATA OLEH PENDAFTAR</b>
+→ Selama status masih PENDING, pendaftar bisa mengubah datanya sendiri di halaman cek tiket dengan kode edit yang didapat saat mendaftar
+→ Setiap perubahan dikirim ke grup ini dan tercatat di riwayat perubahan
+→ Dengan kode yang sama pendaftar bisa mengundurkan diri (↩️ WITHDRAWN): data tetap tersimpan, tidak dihitung di statistik & antrian /push, kursinya langsung diberikan ke waitlist
+<code>/tokenedit OSIS25-782753-Z</code> → Buat kode edit baru (kode lama tidak berlaku lagi), lalu kirimkan ke pendaftar
+
+<b>21. DUGAAN PENDAFTARAN GANDA</b>
+<code>/duplikat</code> → Pasangan pendaftar periode aktif yang diduga orang yang sama (<code>/duplikat 2025</code> untuk periode lain)
+→ Aturan: nomor telepon sama, nama & tanggal lahir sama, nama mirip di kelas yang sama
+→ Tiap aturan diatur di setting (<code>block</code> = pendaftaran ditolak, <code>flag</code> = tetap disimpan tapi ditandai, <code>off</code>); default telepon & nama+tanggal lahir block, nama mirip flag
+→ Pendaftar yang ditolak melihat tiket lama dalam bentuk tersamar, mis. <code>OSIS25-78****-Z</code>
+
+<b>22. GABUNGKAN PENDAFTAR GANDA</b>
+<code>/merge OSIS25-782753-Z OSIS25-114520-K</code>
+→ Pratinjau: tiket pertama dipertahankan, tiket kedua digabung ke dalamnya (belum ada yang diubah)
+<code>/merge OSIS25-782753-Z OSIS25-114520-K foto nomor_telepon ya</code>
+→ Jalankan; nama field sebelum <code>ya</code> diambil dari tiket kedua bila keduanya terisi
+→ Divisi, organisasi, prestasi, sertifikat & riwayat perubahan pindah ke tiket pertama; field kosong diisi dari tiket kedua
+→ Status, tahap, jadwal & nilai wawancara mengikuti tiket pertama; kursi tiket kedua diberikan ke waitlist
+→ Tiket kedua dialihkan: cek tiket, QR & perintah bot dengan tiket lama membuka tiket pertama
+
+<b>🔐 HAK AKSES:</b>
+• Perintah baca (/status, /stats, /daftar, /search, /detail, /divisi, /tahap, /jadwal, /rubrik, /ranking, /periode, /duplikat): admin terdaftar & anggota grup resmi
+• /terima, /tolak, /adddivisi, /lanjut, /tahap [tiket], /nilai: superadmin & division reviewer
+• /push, /hapus, /restore, /merge, /excel, /backup, /listbackup, /deletebackup, /pendaftaran [aksi], /periode [aksi], /slot, /tokenedit: superadmin
+• Gunakan /myid untuk melihat Telegram user ID Anda
+
 <b>⚠️ CATATAN PENTING:</b>
 • Sertifikat bersifat OPTIONAL (tidak wajib)
 • Sistem queue memberikan kontrol lebih baik
@@ -970,7 +1358,7 @@ Butuh bantuan? Hubungi administrator.
       const connection = await getConnection();
       try {
         const [users] = await connection.execute(
-          "SELECT * FROM users WHERE ticket = ?",
+          "SELECT * FROM users WHERE ticket = ? AND deleted_at IS NULL",
           [ticket.trim()]
         );
 
@@ -984,7 +1372,9 @@ Butuh bantuan? Hubungi administrator.
         }
 
         const user = users[0];
-        const statusMessage = this.formatUserStatus(user);
+        const progress = await selectionPipeline.getProgress(connection, user);
+        const interview = await interviewService.getBooking(connection, user.id);
+        const statusMessage = this.formatUserStatus(user, progress.current, interview);
         await this.bot.sendMessage(chatId, statusMessage, {
           parse_mode: "HTML",
         });
@@ -1000,29 +1390,35 @@ Butuh bantuan? Hubungi administrator.
     }
   }
 
-  async handleStatsCommand(chatId) {
+  async handleStatsCommand(chatId, period) {
     try {
-      console.log("📊 Generating stats...");
+      console.log(`📊 Generating stats for period ${period.slug}...`);
 
       const connection = await getConnection();
       try {
         // Get various statistics
+        // Withdrawn applicants are kept for audit but left out of every count; deleted ones are hidden
         const [totalCount] = await connection.execute(
-          "SELECT COUNT(*) as total FROM users"
+          "SELECT COUNT(*) as total FROM users WHERE period_id = ? AND status <> 'WITHDRAWN' AND deleted_at IS NULL",
+          [period.id]
         );
         const [statusCounts] = await connection.execute(
-          "SELECT status, COUNT(*) as count FROM users GROUP BY status"
+          "SELECT status, COUNT(*) as count FROM users WHERE period_id = ? AND deleted_at IS NULL GROUP BY status",
+          [period.id]
         );
         const [todayCount] = await connection.execute(
-          "SELECT COUNT(*) as today FROM users WHERE DATE(created_at) = CURDATE()"
+          "SELECT COUNT(*) as today FROM users WHERE period_id = ? AND status <> 'WITHDRAWN' AND deleted_at IS NULL AND DATE(created_at) = CURDATE()",
+          [period.id]
         );
 
-        let statsMessage = `📊 <b>STATISTIK REKRUTMEN OSIS</b>\n\n`;
+        let statsMessage = `📊 <b>STATISTIK REKRUTMEN OSIS</b>\n`;
+        statsMessage += `📆 ${period.name}${period.is_active ? "" : " (periode lalu)"}\n\n`;
         statsMessage += `📈 <b>TOTAL PENDAFTAR:</b> ${totalCount[0].total}\n`;
         statsMessage += `📅 <b>HARI INI:</b> ${todayCount[0].today}\n\n`;
 
         statsMessage += `📋 <b>BERDASARKAN STATUS:</b>\n`;
-        statusCounts.forEach((stat) => {
+        const withdrawn = statusCounts.find((s) => s.status === "WITHDRAWN")?.count || 0;
+        statusCounts.filter((stat) => stat.status !== "WITHDRAWN").forEach((stat) => {
           const icon = this.getStatusIcon(stat.status);
           statsMessage += `${icon} ${this.formatStatus(stat.status)}: ${
             stat.count
@@ -1041,6 +1437,10 @@ Butuh bantuan? Hubungi administrator.
           statsMessage += `\n💯 <b>TINGKAT PENERIMAAN:</b> ${rate}%`;
         }
 
+        if (withdrawn > 0) {
+          statsMessage += `\n↩️ <b>MENGUNDURKAN DIRI:</b> ${withdrawn} (tidak dihitung)`;
+        }
+
         await this.bot.sendMessage(chatId, statsMessage, {
           parse_mode: "HTML",
         });
@@ -1056,7 +1456,7 @@ Butuh bantuan? Hubungi administrator.
     }
   }
 
-  formatUserStatus(user) {
+  formatUserStatus(user, stage = null, interview = null) {
     const statusIcon = this.getStatusIcon(user.status);
     const statusText = this.formatStatus(user.status);
 
@@ -1064,6 +1464,12 @@ Butuh bantuan? Hubungi administrator.
     message += `👤 <b>Nama:</b> ${user.nama_lengkap}\n`;
     message += `🎫 <b>Tiket:</b> <code>${user.ticket}</code>\n`;
     message += `📊 <b>Status:</b> ${statusIcon} ${statusText}\n`;
+    if (stage) {
+      message += `🪜 <b>Tahap:</b> ${stage.position}/${stage.total} ${stage.name} (${this.formatStageOutcome(stage.outcome)})\n`;
+    }
+    if (interview) {
+      message += `🎙 <b>Wawancara:</b> ${this.formatSlotDay(interview.starts_at)}, ${this.formatSlotRange(interview)} WIB · ${interview.location || "-"}\n`;
+    }
 
     // Show queue status explanation
     if (user.status === "PENDING_TERIMA") {
@@ -1075,6 +1481,13 @@ Butuh bantuan? Hubungi administrator.
       }
     } else if (user.status === "LOLOS") {
       message += `🎉 <b>Selamat!</b> Anda diterima dalam seleksi OSIS\n`;
+      if (user.placed_division) {
+        message += `🎯 <b>Divisi:</b> ${user.placed_division}\n`;
+      }
+    } else if (user.status === "WAITLIST") {
+      message += `⏸ <b>Info:</b> Kuota divisi pilihan penuh. Otomatis naik menjadi LOLOS saat ada kursi kosong\n`;
+    } else if (user.status === "WITHDRAWN") {
+      message += `↩️ <b>Info:</b> Pendaftar mengundurkan diri. Data disimpan untuk arsip dan tidak dihitung di statistik\n`;
     } else if (user.status === "DITOLAK") {
       message += `😔 <b>Maaf,</b> Anda belum berhasil dalam seleksi ini\n`;
       if (user.catatan) {
@@ -1093,49 +1506,37 @@ Butuh bantuan? Hubungi administrator.
   }
 
   // ADD DIVISION COMMAND - Add a new division to a user
-  async handleAddDivisionCommand(chatId, input) {
+  async handleAddDivisionCommand(chatId, input, actor) {
     try {
-      const parts = input.trim().split(/\s+/); // Split by one or more spaces
-      const ticket = parts[0];
-      const divisionName = parts[1];
-      const reason = parts.slice(2).join(" ");
+      const parsed = await this.takeTicket(
+        chatId,
+        input,
+        "/adddivisi [tiket] [nama_divisi] [alasan]"
+      );
+      if (!parsed) return;
 
-      // Basic validation
-      if (!ticket || !divisionName || !reason) {
-        await this.bot.sendMessage(
-          chatId,
-          "❌ Format perintah tidak valid.\n\nGunakan format: <code>/adddivisi [tiket] [nama_divisi] [alasan]</code>\n\nContoh: <code>/adddivisi OSIS25-123456-A Kedisiplinan Saya akan memberikan contoh baik...</code>",
-          { parse_mode: "HTML" }
-        );
-        return;
-      }
+      const { ticket } = parsed;
+      const { division, rest: reason } = await divisionService.resolvePrefix(parsed.rest);
+      const divisionName = division ? division.display_name : parsed.rest.split(" ")[0];
 
-      // Validate ticket format
-      const ticketMatch = ticket.match(/OSIS25-\d{6}-[A-Z]/);
-      if (!ticketMatch) {
+      // Basic validation
+      if (!divisionName || !reason) {
         await this.bot.sendMessage(
           chatId,
-          "❌ Format tiket tidak valid!\n\nGunakan format: <code>OSIS25-123456-A</code>",
+          "❌ Format perintah tidak valid.\n\nGunakan format: <code>/adddivisi [tiket] [nama_divisi] [alasan]</code>\n\nContoh: <code>/adddivisi OSIS25-123456-T Kedisiplinan Saya akan memberikan contoh baik...</code>",
           { parse_mode: "HTML" }
         );
         return;
       }
 
-      // Validate division name against ENUM values in database/mysql-database-refactored.js
-      const allowedDivisions = [
-        "Keagamaan",
-        "Kedisiplinan",
-        "Bakat Minat",
-        "Jurnalistik",
-        "Media Jaringan",
-        "Sekretaris",
-      ];
-      if (!allowedDivisions.includes(divisionName)) {
+      // Validate division name against the divisions table
+      if (!division) {
+        const available = await divisionService.getDivisions();
         await this.bot.sendMessage(
           chatId,
-          `❌ Nama divisi tidak valid. Pilihan yang tersedia: ${allowedDivisions.join(
-            ", "
-          )}`,
+          `❌ Nama divisi tidak valid. Pilihan yang tersedia: ${available
+            .map((div) => div.display_name)
+            .join(", ")}`,
           { parse_mode: "HTML" }
         );
         return;
@@ -1149,10 +1550,13 @@ Butuh bantuan? Hubungi administrator.
       const result = await dbManager.addDivisionToUser(
         ticket,
         divisionName,
-        reason
+        reason,
+        actor
       );
 
-      if (result.success) {
+      if (result.error === "FORBIDDEN") {
+        await this.sendDecisionForbidden(chatId, actor);
+      } else if (result.success) {
         await this.bot.sendMessage(
           chatId,
           `✅ <b>Divisi berhasil ditambahkan!</b>\n\n` +
@@ -1181,244 +1585,931 @@ Butuh bantuan? Hubungi administrator.
     }
   }
 
-  // ACCEPT COMMAND - Approve a registrant (now pending approval)
-  async handleAcceptCommand(chatId, input) {
+  // DIVISION LIST COMMAND - Divisions from the divisions table with quota and counts
+  async handleDivisionListCommand(chatId) {
     try {
-      const ticket = input.trim();
-      console.log(`✅ Marking for acceptance: ${ticket}`);
-
-      const connection = await getConnection();
-      try {
-        // Check if user exists
-        const [users] = await connection.execute(
-          "SELECT * FROM users WHERE ticket = ?",
-          [ticket]
-        );
-
-        if (users.length === 0) {
-          await this.bot.sendMessage(
-            chatId,
-            `❌ <b>Tiket tidak ditemukan</b>\n\nTiket: <code>${ticket}</code>\n\nPastikan nomor tiket benar.`,
-            { parse_mode: "HTML" }
-          );
-          return;
-        }
-
-        const user = users[0];
-        const adminName = "TELEGRAM_ADMIN";
-        let statusMessage = "";
-        let actionType = "";
-
-        // Enhanced logic based on current status
-        switch (user.status) {
-          case "PENDING":
-          case "PENDING_TOLAK":
-            // Mark for acceptance (add to queue)
-            await connection.execute(
-              "UPDATE users SET status = ?, updated_by = ?, updated_at = NOW() WHERE ticket = ?",
-              ["PENDING_TERIMA", adminName, ticket]
-            );
-            statusMessage = "🟡 Menunggu Push (Diterima)";
-            actionType = "DITANDAI UNTUK DITERIMA";
-            break;
-
-          case "PENDING_TERIMA":
-            // Already marked for acceptance
-            await this.bot.sendMessage(
-              chatId,
-              `ℹ️ <b>Pendaftar sudah ditandai untuk diterima</b>\n\nNama: ${user.nama_lengkap}\nTiket: <code>${ticket}</code>\n\n💡 Gunakan <code>/push</code> untuk memproses atau <code>/tolak</code> untuk mengubah keputusan.`,
-              { parse_mode: "HTML" }
-            );
-            return;
-
-          case "LOLOS":
-            // Already accepted - offer to update or confirm
-            await this.bot.sendMessage(
-              chatId,
-              `✅ <b>Pendaftar sudah LOLOS sebelumnya</b>\n\nNama: ${user.nama_lengkap}\nTiket: <code>${ticket}</code>\n\n💡 Status tidak berubah. Gunakan <code>/tolak</code> jika ingin mengubah keputusan.`,
-              { parse_mode: "HTML" }
-            );
-            return;
-
-          case "DITOLAK":
-            // Previously rejected, now mark for acceptance (can be changed after push)
-            await connection.execute(
-              "UPDATE users SET status = ?, updated_by = ?, updated_at = NOW() WHERE ticket = ?",
-              ["PENDING_TERIMA", adminName, ticket]
-            );
-            statusMessage =
-              "🟡 Menunggu Push (Diterima) - ⚠️ Perubahan dari DITOLAK";
-            actionType = "DIUBAH KE DITERIMA";
-            break;
-
-          default:
-            await connection.execute(
-              "UPDATE users SET status = ?, updated_by = ?, updated_at = NOW() WHERE ticket = ?",
-              ["PENDING_TERIMA", adminName, ticket]
-            );
-            statusMessage = "🟡 Menunggu Push (Diterima)";
-            actionType = "DITANDAI UNTUK DITERIMA";
-        }
+      const divisions = await divisionService.getDivisionSummary();
+
+      let message = `🎯 <b>DAFTAR DIVISI</b>\n\n`;
+      for (const div of divisions) {
+        message += `${div.is_active ? "🟢" : "⚪"} <b>${div.display_name}</b> (<code>${div.slug}</code>)\n`;
+        message += `┣ 👥 Pendaftar: ${div.total} (✅ ${div.lolos} / ❌ ${div.ditolak} / ⏳ ${div.pending})\n`;
+        message += `┣ 🎟 Kursi terisi: ${div.seats_used}/${div.quota === null ? "∞" : div.quota}\n`;
+        message += `┗ ⏸ Waitlist: ${div.waitlist}\n\n`;
+      }
+      message += `⚪ = tidak aktif (tidak tampil di formulir)`;
 
-        const acceptMessage = `
-✅ <b>PENDAFTAR ${actionType}</b>
+      await this.bot.sendMessage(chatId, message, { parse_mode: "HTML" });
+    } catch (error) {
+      console.error("Error listing divisions:", error);
+      await this.bot.sendMessage(
+        chatId,
+        "❌ Terjadi kesalahan saat mengambil daftar divisi."
+      );
+    }
+  }
 
-👤 <b>Nama:</b> ${user.nama_lengkap}
-🎫 <b>Tiket:</b> <code>${ticket}</code>
-🏫 <b>Kelas:</b> ${user.kelas} - ${user.jurusan}
-📊 <b>Status:</b> ${statusMessage}
-📅 <b>Diproses:</b> ${this.formatDate(new Date())}
+  formatStageOutcome(outcome) {
+    const outcomes = {
+      PENDING: "⏳ sedang berjalan",
+      PASSED: "✅ lulus",
+      FAILED: "❌ tidak lulus",
+    };
+    return outcomes[outcome] || outcome;
+  }
 
-💡 <b>Langkah selanjutnya:</b> Gunakan <code>/push</code> untuk memfinalisasi semua keputusan.
-        `.trim();
+  // STAGE LIST COMMAND - Selection stages with applicants still in progress
+  async handleStageListCommand(chatId) {
+    try {
+      const stages = await selectionPipeline.getStageSummary();
 
-        await this.bot.sendMessage(chatId, acceptMessage, {
-          parse_mode: "HTML",
-        });
+      let message = `🪜 <b>TAHAP SELEKSI</b>\n\n`;
+      stages.forEach((stage, index) => {
+        message += `${stage.is_active ? "🟢" : "⚪"} ${index + 1}. <b>${stage.name}</b> (<code>${stage.slug}</code>)\n`;
+        message += `┗ 👥 Pendaftar di tahap ini: ${stage.applicants}\n\n`;
+      });
+      message += `💡 <code>/lanjut [tiket]</code> untuk meluluskan tahap saat ini`;
 
-        // Log the action
-        const logParams = [
-          user.id,
-          ticket,
-          "UPDATE",
-          user.status,
-          "PENDING_TERIMA",
-          `Marked for acceptance by ${adminName}. Previous status: ${user.status}`,
-          adminName,
-          adminName,
-        ];
-        await connection.execute(
-          "INSERT INTO admin_logs (user_id, ticket, action, previous_status, new_status, reason, admin_name, admin_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
-          logParams
-        );
-      } finally {
-        connection.release();
-      }
+      await this.bot.sendMessage(chatId, message, { parse_mode: "HTML" });
     } catch (error) {
-      console.error("Error accepting registrant:", error);
+      console.error("Error listing stages:", error);
       await this.bot.sendMessage(
         chatId,
-        "❌ Terjadi kesalahan saat memproses penerimaan."
+        "❌ Terjadi kesalahan saat mengambil daftar tahap seleksi."
       );
     }
   }
 
-  // REJECT COMMAND - Reject a registrant (now pending approval)
-  async handleRejectCommand(chatId, input) {
-    try {
-      const parts = input.trim().split(" ");
-      const ticket = parts[0];
-      const reason = parts.slice(1).join(" ") || "Tidak memenuhi syarat";
-
-      console.log(`❌ Marking for rejection: ${ticket}, reason: ${reason}`);
+  // Shared reply for /lanjut and /tahap [tiket]
+  async sendStageTransitionResult(chatId, ticket, result, actor) {
+    const user = result.user;
 
-      const connection = await getConnection();
-      try {
-        // Check if user exists
-        const [users] = await connection.execute(
-          "SELECT * FROM users WHERE ticket = ?",
-          [ticket]
+    switch (result.outcome) {
+      case "NOT_FOUND":
+        await this.bot.sendMessage(
+          chatId,
+          `❌ <b>Tiket tidak ditemukan</b>\n\nTiket: <code>${ticket}</code>`,
+          { parse_mode: "HTML" }
         );
+        return;
 
-        if (users.length === 0) {
-          await this.bot.sendMessage(
-            chatId,
-            `❌ <b>Tiket tidak ditemukan</b>\n\nTiket: <code>${ticket}</code>\n\nPastikan nomor tiket benar.`,
-            { parse_mode: "HTML" }
-          );
-          return;
-        }
-
-        const user = users[0];
-        const adminName = "TELEGRAM_ADMIN";
-        let statusMessage = "";
-        let actionType = "";
-
-        // Enhanced logic based on current status
-        switch (user.status) {
-          case "PENDING":
-          case "PENDING_TERIMA":
-            // Mark for rejection (add to queue)
-            await connection.execute(
-              "UPDATE users SET status = ?, updated_by = ?, updated_at = NOW() WHERE ticket = ?",
-              ["PENDING_TOLAK", adminName, ticket]
-            );
-            statusMessage = "🟠 Menunggu Push (Ditolak)";
-            actionType = "DITANDAI UNTUK DITOLAK";
-            break;
-
-          case "PENDING_TOLAK":
-            // Already marked for rejection
-            await this.bot.sendMessage(
-              chatId,
-              `ℹ️ <b>Pendaftar sudah ditandai untuk ditolak</b>\n\nNama: ${user.nama_lengkap}\nTiket: <code>${ticket}</code>\n\n💡 Gunakan <code>/push</code> untuk memproses atau <code>/terima</code> untuk mengubah keputusan.`,
-              { parse_mode: "HTML" }
-            );
-            return;
-
-          case "DITOLAK":
-            // Already rejected - offer to update or confirm
-            await this.bot.sendMessage(
-              chatId,
-              `❌ <b>Pendaftar sudah DITOLAK sebelumnya</b>\n\nNama: ${user.nama_lengkap}\nTiket: <code>${ticket}</code>\n\n💡 Status tidak berubah. Gunakan <code>/terima</code> jika ingin mengubah keputusan.`,
-              { parse_mode: "HTML" }
-            );
-            return;
+      case "FORBIDDEN":
+        await this.sendDecisionForbidden(chatId, actor);
+        return;
 
-          case "LOLOS":
-            // Previously accepted, now mark for rejection (can be changed after push)
-            await connection.execute(
-              "UPDATE users SET status = ?, updated_by = ?, updated_at = NOW() WHERE ticket = ?",
-              ["PENDING_TOLAK", adminName, ticket]
-            );
-            statusMessage =
-              "🟠 Menunggu Push (Ditolak) - ⚠️ Perubahan dari LOLOS";
-            actionType = "DIUBAH KE DITOLAK";
-            break;
+      case "ALREADY_FINAL":
+        await this.bot.sendMessage(
+          chatId,
+          `ℹ️ <b>Seleksi pendaftar sudah selesai</b>\n\nNama: ${user.nama_lengkap}\nStatus: ${this.formatStatus(user.status)}`,
+          { parse_mode: "HTML" }
+        );
+        return;
 
-          default:
-            await connection.execute(
-              "UPDATE users SET status = ?, updated_by = ?, updated_at = NOW() WHERE ticket = ?",
-              ["PENDING_TOLAK", adminName, ticket]
-            );
-            statusMessage = "🟠 Menunggu Push (Ditolak)";
-            actionType = "DITANDAI UNTUK DITOLAK";
+      case "LAST_STAGE":
+        await this.bot.sendMessage(
+          chatId,
+          `ℹ️ <b>${user.nama_lengkap}</b> sudah berada di tahap terakhir (<b>${
+            result.from ? result.from.name : "-"
+          }</b>).\n\n💡 Gunakan <code>/terima ${ticket}</code> atau <code>/tolak ${ticket} [alasan]</code> lalu <code>/push</code>.`,
+          { parse_mode: "HTML" }
+        );
+        return;
+
+      case "UNKNOWN_STAGE": {
+        const stages = await selectionPipeline.listStages();
+        await this.bot.sendMessage(
+          chatId,
+          `❌ Tahap tidak valid. Pilihan: ${stages
+            .filter((stage) => stage.is_active)
+            .map((stage) => `<code>${stage.slug}</code>`)
+            .join(", ")}`,
+          { parse_mode: "HTML" }
+        );
+        return;
+      }
+
+      case "SAME_STAGE":
+        await this.bot.sendMessage(
+          chatId,
+          `ℹ️ <b>${user.nama_lengkap}</b> sudah berada di tahap <b>${result.from.name}</b>.`,
+          { parse_mode: "HTML" }
+        );
+        return;
+    }
+
+    let message = `🪜 <b>TAHAP SELEKSI DIPERBARUI</b>\n\n`;
+    message += `👤 <b>Nama:</b> ${user.nama_lengkap}\n`;
+    message += `🎫 <b>Tiket:</b> <code>${ticket}</code>\n`;
+    message += `${result.forward ? "⏭" : "⏮"} <b>Tahap:</b> ${
+      result.from ? result.from.name : "-"
+    } → <b>${result.to.name}</b>\n`;
+    message += `👮 <b>Oleh:</b> ${actor ? actor.name : "-"}\n`;
+    if (result.isLastStage) {
+      message += `\n💡 Ini tahap terakhir. Putuskan dengan <code>/terima</code> atau <code>/tolak</code> lalu <code>/push</code>.`;
+    }
+
+    await this.bot.sendMessage(chatId, message, { parse_mode: "HTML" });
+  }
+
+  // Pull the ticket out of a command argument; replies with the problem and returns null
+  // when there is no ticket or its check character does not match
+  async takeTicket(chatId, input, usage) {
+    const found = ticketService.extract(input);
+    const result = found ? await ticketService.check(found.ticket) : { outcome: "INVALID_FORMAT" };
+
+    if (result.outcome === "OK") {
+      // A ticket retired by a merge stands for the registration it was merged into
+      const redirect = await ticketService.findRedirect(result.ticket);
+      if (redirect) {
+        await this.bot.sendMessage(
+          chatId,
+          `ℹ️ Tiket <code>${result.ticket}</code> sudah digabung ke <code>${redirect}</code>, perintah dijalankan untuk tiket tersebut.`,
+          { parse_mode: "HTML" }
+        );
+        return { ticket: redirect, rest: found.rest };
+      }
+      return { ticket: result.ticket, rest: found.rest };
+    }
+
+    const example = await ticketService.example();
+    await this.bot.sendMessage(
+      chatId,
+      result.outcome === "BAD_CHECKSUM"
+        ? `❌ <b>Nomor tiket tidak valid</b>\n\nTiket <code>${result.ticket}</code> tidak cocok dengan huruf pengecekannya. Periksa kembali penulisannya.`
+        : `❌ Format tiket tidak valid!\n\nGunakan format: <code>${usage}</code>\n\nContoh tiket: <code>${example}</code>`,
+      { parse_mode: "HTML" }
+    );
+    return null;
+  }
+
+  // Resolve an optional period argument (slug, year or id; empty = active period);
+  // replies and returns null when it does not exist
+  async takePeriod(chatId, value) {
+    const period = await periodService.resolve(value);
+    if (!period) {
+      await this.bot.sendMessage(
+        chatId,
+        `❌ Periode <b>${value}</b> tidak ditemukan.\n\nLihat daftar periode dengan /periode`,
+        { parse_mode: "HTML" }
+      );
+    }
+    return period;
+  }
+
+  // PERIOD LIST COMMAND - Recruitment periods with applicant counts
+  async handlePeriodListCommand(chatId) {
+    try {
+      const periods = await periodService.getPeriods();
+
+      let message = `📆 <b>PERIODE REKRUTMEN</b>\n\n`;
+      periods.forEach((period) => {
+        message += `${period.is_active ? "✅" : "▫️"} <b>${period.name}</b>\n`;
+        message += `   🔖 <code>${period.slug}</code> · 👥 ${period.applicants} pendaftar\n`;
+      });
+      message += `\n💡 Lihat periode lain dengan <code>/stats [periode]</code>, <code>/daftar [periode]</code> atau <code>/excel [periode]</code>`;
+
+      await this.bot.sendMessage(chatId, message, { parse_mode: "HTML" });
+    } catch (error) {
+      console.error("Error listing periods:", error);
+      await this.bot.sendMessage(
+        chatId,
+        "❌ Terjadi kesalahan saat mengambil daftar periode."
+      );
+    }
+  }
+
+  // PERIOD COMMAND - baru [tahun] [nama] | aktif [periode]
+  async handlePeriodCommand(chatId, input, actor) {
+    const usage =
+      "❌ Format perintah tidak valid.\n\nGunakan:\n" +
+      "<code>/periode baru 2026 Rekrutmen OSIS 2026/2027</code>\n" +
+      "<code>/periode aktif 2026</code>";
+
+    try {
+      const [action, value, ...nameParts] = input.trim().split(/\s+/);
+
+      if (action === "baru" && value) {
+        const periodInput = { year: value, name: nameParts.join(" ") || undefined };
+        const errors = periodService.validateInput(periodInput);
+        if (errors.length > 0) {
+          await this.bot.sendMessage(chatId, `❌ ${errors.join(". ")}`);
+          return;
+        }
+
+        try {
+          await periodService.createPeriod(periodInput);
+        } catch (error) {
+          if (error.code !== "ER_DUP_ENTRY") throw error;
+          await this.bot.sendMessage(
+            chatId,
+            `❌ Periode <code>${value}</code> sudah ada. Lihat /periode`,
+            { parse_mode: "HTML" }
+          );
+          return;
+        }
+
+        console.log(`📆 Recruitment period ${value} created by ${actor ? actor.name : "-"}`);
+        await this.bot.sendMessage(
+          chatId,
+          `✅ <b>Periode ${value} dibuat.</b>\n\nAktifkan dengan <code>/periode aktif ${value}</code> untuk mulai menerima pendaftar.`,
+          { parse_mode: "HTML" }
+        );
+        return;
+      }
+
+      if (action === "aktif" && value) {
+        const period = await this.takePeriod(chatId, value);
+        if (!period) return;
+
+        const result = await periodService.activate(period.id);
+        if (result.outcome === "ALREADY_ACTIVE") {
+          await this.bot.sendMessage(chatId, `ℹ️ ${period.name} sudah aktif.`);
+          return;
+        }
+
+        console.log(`📆 Recruitment period ${period.slug} activated by ${actor ? actor.name : "-"}`);
+        await this.bot.sendMessage(
+          chatId,
+          `✅ <b>${period.name} sekarang aktif.</b>\n\n` +
+            `Pendaftaran baru, nomor tiket, statistik, kuota dan daftar pendaftar mengikuti periode ini.\n` +
+            `👮 <b>Oleh:</b> ${actor ? actor.name : "-"}`,
+          { parse_mode: "HTML" }
+        );
+        return;
+      }
+
+      await this.bot.sendMessage(chatId, usage, { parse_mode: "HTML" });
+    } catch (error) {
+      console.error("Error managing periods:", error);
+      await this.bot.sendMessage(
+        chatId,
+        "❌ Terjadi kesalahan saat mengelola periode rekrutmen."
+      );
+    }
+  }
+
+  // ADVANCE COMMAND - Pass the current stage and move to the next one
+  async handleAdvanceCommand(chatId, input, actor) {
+    try {
+      const parsed = await this.takeTicket(chatId, input, "/lanjut [tiket] [catatan]");
+      if (!parsed) return;
+
+      const result = await selectionPipeline.advance(parsed.ticket, parsed.rest, actor);
+      await this.sendStageTransitionResult(chatId, parsed.ticket, result, actor);
+    } catch (error) {
+      console.error("Error advancing stage:", error);
+      await this.bot.sendMessage(
+        chatId,
+        "❌ Terjadi kesalahan saat memindahkan tahap seleksi."
+      );
+    }
+  }
+
+  // STAGE MOVE COMMAND - Move an applicant to a specific stage (forward or back)
+  async handleStageMoveCommand(chatId, input, actor) {
+    try {
+      const parsed = await this.takeTicket(chatId, input, "/tahap [tiket] [tahap] [catatan]");
+      if (!parsed) return;
+
+      const { ticket } = parsed;
+      const [stage, ...noteParts] = parsed.rest.split(" ").filter(Boolean);
+      if (!stage) {
+        await this.bot.sendMessage(
+          chatId,
+          "❌ Format perintah tidak valid.\n\nGunakan format: <code>/tahap [tiket] [tahap] [catatan]</code>\n\nContoh: <code>/tahap OSIS25-123456-T interview</code>",
+          { parse_mode: "HTML" }
+        );
+        return;
+      }
+
+      const result = await selectionPipeline.moveTo(
+        ticket,
+        stage,
+        noteParts.join(" "),
+        actor
+      );
+      await this.sendStageTransitionResult(chatId, ticket, result, actor);
+    } catch (error) {
+      console.error("Error moving stage:", error);
+      await this.bot.sendMessage(
+        chatId,
+        "❌ Terjadi kesalahan saat memindahkan tahap seleksi."
+      );
+    }
+  }
+
+  formatRegistrationStatus(status) {
+    const stateLabels = {
+      OPEN: "🟢 DIBUKA",
+      NOT_YET_OPEN: "⏳ BELUM DIBUKA",
+      CLOSED: "🔴 DITUTUP (jadwal berakhir)",
+      CLOSED_MANUALLY: "🔴 DITUTUP (manual)",
+    };
+    const modeLabels = {
+      auto: "Otomatis (ikuti jadwal)",
+      open: "Dipaksa buka",
+      closed: "Dipaksa tutup",
+    };
+
+    return (
+      `🚪 <b>STATUS PENDAFTARAN</b>\n\n` +
+      `📊 <b>Status:</b> ${stateLabels[status.state] || status.state}\n` +
+      `⚙️ <b>Mode:</b> ${modeLabels[status.override] || status.override}\n` +
+      `🕐 <b>Buka:</b> ${status.open_at ? this.formatDate(status.open_at) : "-"}\n` +
+      `🕔 <b>Tutup:</b> ${status.close_at ? this.formatDate(status.close_at) : "-"}`
+    );
+  }
+
+  async handleRegistrationStatusCommand(chatId) {
+    try {
+      const status = await registrationWindow.getStatus();
+      await this.bot.sendMessage(chatId, this.formatRegistrationStatus(status), {
+        parse_mode: "HTML",
+      });
+    } catch (error) {
+      console.error("Error getting registration status:", error);
+      await this.bot.sendMessage(
+        chatId,
+        "❌ Terjadi kesalahan saat mengambil status pendaftaran."
+      );
+    }
+  }
+
+  async handleRegistrationControlCommand(chatId, input, actor) {
+    try {
+      const [action, ...args] = input.trim().split(/\s+/);
+      const modes = {
+        buka: OVERRIDE_MODES.OPEN,
+        tutup: OVERRIDE_MODES.CLOSED,
+        auto: OVERRIDE_MODES.AUTO,
+      };
+
+      if (modes[action.toLowerCase()]) {
+        await registrationWindow.setOverride(modes[action.toLowerCase()]);
+        console.log(`🚪 Registration override set to ${action} by ${actor.name}`);
+      } else if (action.toLowerCase() === "jadwal" && args.length === 2) {
+        const parseBound = (value) => {
+          if (value === "-") return null;
+          const date = registrationWindow.parseLocalDate(value);
+          if (!date) throw new Error(`Format waktu tidak valid: ${value}`);
+          return date;
+        };
+
+        try {
+          await registrationWindow.setWindow(parseBound(args[0]), parseBound(args[1]));
+        } catch (validationError) {
+          await this.bot.sendMessage(chatId, `❌ ${validationError.message}`);
+          return;
+        }
+        console.log(`🚪 Registration window set to ${args.join(" - ")} by ${actor.name}`);
+      } else {
+        await this.bot.sendMessage(
+          chatId,
+          "❌ Format perintah tidak valid.\n\nGunakan:\n<code>/pendaftaran buka</code>\n<code>/pendaftaran tutup</code>\n<code>/pendaftaran auto</code>\n<code>/pendaftaran jadwal 2025-07-01T07:00 2025-07-14T23:59</code>",
+          { parse_mode: "HTML" }
+        );
+        return;
+      }
+
+      const status = await registrationWindow.getStatus();
+      await this.bot.sendMessage(
+        chatId,
+        `✅ <b>Pengaturan pendaftaran diperbarui</b>\n\n${this.formatRegistrationStatus(status)}`,
+        { parse_mode: "HTML" }
+      );
+    } catch (error) {
+      console.error("Error updating registration window:", error);
+      await this.bot.sendMessage(
+        chatId,
+        "❌ Terjadi kesalahan saat memperbarui pengaturan pendaftaran."
+      );
+    }
+  }
+
+  // RUBRIC COMMAND - Scoring criteria per division
+  async handleRubricCommand(chatId, divisionValue) {
+    try {
+      let rubrics = await rubricService.listRubrics();
+      if (divisionValue) {
+        const division = await divisionService.resolve(divisionValue.trim());
+        if (!division) {
+          await this.bot.sendMessage(
+            chatId,
+            `❌ Divisi <b>${divisionValue.trim()}</b> tidak ditemukan. Lihat /divisi.`,
+            { parse_mode: "HTML" }
+          );
+          return;
+        }
+        rubrics = rubrics.filter((rubric) => rubric.division_id === division.id);
+      }
+
+      let message = `📐 <b>RUBRIK PENILAIAN WAWANCARA</b>\n\n`;
+      for (const rubric of rubrics) {
+        const criteria = rubric.criteria.filter((criterion) => criterion.is_active);
+        message += `🏢 <b>${rubric.division}</b>\n`;
+        if (criteria.length === 0) {
+          message += `┗ <i>Belum ada kriteria</i>\n\n`;
+          continue;
+        }
+        criteria.forEach((criterion, index) => {
+          const branch = index === criteria.length - 1 ? "┗" : "┣";
+          message += `${branch} <code>${criterion.slug}</code> ${criterion.name} · bobot ${criterion.weight} · maks ${criterion.max_score}\n`;
+        });
+        message += `\n`;
+      }
+      message += `💡 <code>/nilai [tiket] [divisi] kriteria=skor ... [catatan]</code>`;
+
+      for (const part of this.splitMessage(message)) {
+        await this.bot.sendMessage(chatId, part, { parse_mode: "HTML" });
+      }
+    } catch (error) {
+      console.error("Error listing rubrics:", error);
+      await this.bot.sendMessage(
+        chatId,
+        "❌ Terjadi kesalahan saat mengambil rubrik penilaian."
+      );
+    }
+  }
+
+  // SCORE COMMAND - Submit this interviewer's scores for an applicant
+  async handleScoreCommand(chatId, input, actor) {
+    const usage =
+      "❌ Format perintah tidak valid.\n\nGunakan:\n" +
+      "<code>/nilai OSIS25-782753-Z Kedisiplinan komunikasi=8 kepemimpinan=7 Percaya diri</code>\n" +
+      "→ Lihat slug kriteria dengan /rubrik [divisi]";
+
+    try {
+      const parsed = await this.takeTicket(chatId, input, "/nilai [tiket] [divisi] [kriteria=skor]");
+      if (!parsed) return;
+
+      const { ticket } = parsed;
+      const { division, rest: scoreText } = await divisionService.resolvePrefix(parsed.rest);
+      if (!division) {
+        await this.bot.sendMessage(chatId, usage, { parse_mode: "HTML" });
+        return;
+      }
+
+      // Leading kriteria=skor pairs are scores, anything after them is the note
+      const tokens = scoreText.split(/\s+/).filter(Boolean);
+      const scores = {};
+      while (tokens.length > 0 && /^[a-z0-9_]+=[\d.,]+$/i.test(tokens[0])) {
+        const [slug, value] = tokens.shift().split("=");
+        scores[slug.toLowerCase()] = value.replace(",", ".");
+      }
+      const notes = tokens.join(" ");
+
+      const result = await rubricService.submitScores(ticket, division.slug, scores, notes, actor);
+
+      switch (result.outcome) {
+        case "NOT_FOUND":
+          await this.bot.sendMessage(
+            chatId,
+            `❌ <b>Tiket tidak ditemukan</b>\n\nTiket: <code>${ticket}</code>`,
+            { parse_mode: "HTML" }
+          );
+          return;
+        case "NOT_CHOSEN":
+          await this.bot.sendMessage(
+            chatId,
+            `⚠️ ${result.user.nama_lengkap} tidak memilih divisi <b>${division.display_name}</b>.`,
+            { parse_mode: "HTML" }
+          );
+          return;
+        case "FORBIDDEN":
+          await this.sendDecisionForbidden(chatId, actor);
+          return;
+        case "NO_RUBRIC":
+          await this.bot.sendMessage(
+            chatId,
+            `⚠️ Divisi <b>${division.display_name}</b> belum memiliki kriteria penilaian.`,
+            { parse_mode: "HTML" }
+          );
+          return;
+        case "INVALID_SCORES":
+          await this.bot.sendMessage(
+            chatId,
+            `❌ ${result.errors.join("\n❌ ")}\n\n📐 Kriteria: ${result.criteria
+              .map((criterion) => `<code>${criterion.slug}</code> (0-${criterion.max_score})`)
+              .join(", ")}`,
+            { parse_mode: "HTML" }
+          );
+          return;
+      }
+
+      console.log(`🏅 Scores for ${ticket} (${division.display_name}) submitted by ${actor.name}`);
+      await this.bot.sendMessage(
+        chatId,
+        `✅ <b>Nilai tersimpan</b>\n\n` +
+          `👤 ${result.user.nama_lengkap} (<code>${ticket}</code>)\n` +
+          `🏢 ${division.display_name}\n` +
+          `🏅 Skor tertimbang: <b>${result.total.score}</b>/100 ` +
+          `(${result.total.criteria_scored}/${result.total.criteria_total} kriteria, ${result.total.interviewers} pewawancara)`,
+        { parse_mode: "HTML" }
+      );
+    } catch (error) {
+      console.error("Error submitting scores:", error);
+      await this.bot.sendMessage(chatId, "❌ Terjadi kesalahan saat menyimpan nilai.");
+    }
+  }
+
+  // RANKING COMMAND - Applicants of a division ordered by weighted score
+  async handleRankingCommand(chatId, divisionValue) {
+    try {
+      const ranking = await rubricService.getRanking(divisionValue.trim());
+      if (!ranking) {
+        await this.bot.sendMessage(
+          chatId,
+          `❌ Divisi <b>${divisionValue.trim()}</b> tidak ditemukan. Lihat /divisi.`,
+          { parse_mode: "HTML" }
+        );
+        return;
+      }
+
+      let message = `🏅 <b>RANKING ${ranking.division.display_name.toUpperCase()}</b>\n`;
+      message += `🎟 Kuota: ${ranking.division.quota === null ? "∞" : ranking.division.quota}\n\n`;
+      if (ranking.applicants.length === 0) {
+        message += `Belum ada pendaftar di divisi ini.`;
+      }
+      ranking.applicants.forEach((applicant) => {
+        message += `${applicant.rank ? `${applicant.rank}.` : "–"} ${this.getStatusIcon(applicant.status)} ${applicant.nama_lengkap} (<code>${applicant.ticket}</code>)\n`;
+        message += `   ${
+          applicant.score === null
+            ? "Belum dinilai"
+            : `🏅 ${applicant.score} · ${applicant.criteria_scored}/${applicant.criteria_total} kriteria · ${applicant.interviewers} pewawancara`
+        } · pilihan ke-${applicant.priority}\n`;
+      });
+
+      for (const part of this.splitMessage(message)) {
+        await this.bot.sendMessage(chatId, part, { parse_mode: "HTML" });
+      }
+    } catch (error) {
+      console.error("Error getting ranking:", error);
+      await this.bot.sendMessage(chatId, "❌ Terjadi kesalahan saat mengambil ranking.");
+    }
+  }
+
+  // Slot times are entered in WIB, so always show them in WIB regardless of the server zone
+  formatSlotTime(date) {
+    return new Date(date).toLocaleTimeString("id-ID", {
+      hour: "2-digit",
+      minute: "2-digit",
+      timeZone: "Asia/Jakarta",
+    });
+  }
+
+  formatSlotDay(date) {
+    return new Date(date).toLocaleDateString("id-ID", {
+      weekday: "long",
+      day: "numeric",
+      month: "long",
+      year: "numeric",
+      timeZone: "Asia/Jakarta",
+    });
+  }
+
+  formatSlotRange(slot) {
+    const end = new Date(new Date(slot.starts_at).getTime() + slot.duration_minutes * 60000);
+    return `${this.formatSlotTime(slot.starts_at)}-${this.formatSlotTime(end)}`;
+  }
+
+  formatInterviewSchedule(date, slots) {
+    let message = `📅 <b>JADWAL WAWANCARA</b>\n`;
+    message += `🗓 ${this.formatSlotDay(interviewService.getDayRange(date).start)}\n\n`;
+
+    if (slots.length === 0) {
+      return message + `Tidak ada jadwal wawancara pada tanggal ini.`;
+    }
+
+    for (const slot of slots) {
+      message += `${slot.is_active ? "🕘" : "⚪"} <b>${this.formatSlotRange(slot)}</b> [#${slot.id}]\n`;
+      message += `┣ 🚪 ${slot.location || "-"} · 🎙 ${slot.interviewer || "-"}\n`;
+      message += `┣ 👥 Terisi: ${slot.booked}/${slot.capacity}\n`;
+      if (slot.bookings.length === 0) {
+        message += `┗ <i>Belum ada pendaftar</i>\n\n`;
+        continue;
+      }
+      slot.bookings.forEach((booking, index) => {
+        const branch = index === slot.bookings.length - 1 ? "┗" : "┣";
+        message += `${branch} ${booking.nama_lengkap} (${booking.kelas} ${booking.jurusan}) <code>${booking.ticket}</code>\n`;
+      });
+      message += `\n`;
+    }
+
+    return message.trim();
+  }
+
+  // INTERVIEW SCHEDULE COMMAND - Slots and booked applicants of one day
+  async handleInterviewScheduleCommand(chatId, date) {
+    try {
+      const day = date || interviewService.today();
+      const slots = await interviewService.getDaySchedule(day);
+      if (!slots) {
+        await this.bot.sendMessage(
+          chatId,
+          "❌ Format tanggal tidak valid.\n\nGunakan: <code>/jadwal 2025-07-20</code>",
+          { parse_mode: "HTML" }
+        );
+        return;
+      }
+
+      const messages = this.splitMessage(this.formatInterviewSchedule(day, slots));
+      for (const part of messages) {
+        await this.bot.sendMessage(chatId, part, { parse_mode: "HTML" });
+      }
+    } catch (error) {
+      console.error("Error getting interview schedule:", error);
+      await this.bot.sendMessage(
+        chatId,
+        "❌ Terjadi kesalahan saat mengambil jadwal wawancara."
+      );
+    }
+  }
+
+  // SLOT COMMAND - Create or delete interview slots
+  async handleSlotCommand(chatId, input, actor) {
+    const usage =
+      "❌ Format perintah tidak valid.\n\nGunakan:\n" +
+      "<code>/slot tambah 2025-07-20T09:00 30 3 Ruang OSIS | Pak Budi</code>\n" +
+      "→ waktu (WIB), durasi (menit), kapasitas, ruangan | pewawancara\n" +
+      "<code>/slot hapus 12</code>";
+
+    try {
+      const [action, ...args] = input.trim().split(/\s+/);
+
+      if (action.toLowerCase() === "tambah" && args.length >= 3) {
+        const [startsAt, duration, capacity, ...rest] = args;
+        const [location, interviewer] = rest.join(" ").split("|").map((part) => part.trim());
+        const slotInput = {
+          starts_at: startsAt,
+          duration_minutes: duration,
+          capacity,
+          location,
+          interviewer,
+        };
+
+        const errors = interviewService.validateInput(slotInput);
+        if (errors.length > 0) {
+          await this.bot.sendMessage(chatId, `❌ ${errors.join("\n❌ ")}`);
+          return;
         }
 
-        const rejectMessage = `
+        const id = await interviewService.createSlot(slotInput, actor.name);
+        const start = registrationWindow.parseLocalDate(startsAt);
+        console.log(`📅 Interview slot ${id} created (${startsAt}) by ${actor.name}`);
+        await this.bot.sendMessage(
+          chatId,
+          `✅ <b>Jadwal wawancara dibuat</b> [#${id}]\n\n` +
+            `🕘 ${this.formatSlotDay(start)}, ${this.formatSlotTime(start)} WIB\n` +
+            `⏱ ${parseInt(duration)} menit · 👥 ${parseInt(capacity)} pendaftar\n` +
+            `🚪 ${location || "-"} · 🎙 ${interviewer || "-"}`,
+          { parse_mode: "HTML" }
+        );
+        return;
+      }
+
+      if (action.toLowerCase() === "hapus" && args.length === 1) {
+        const result = await interviewService.deleteSlot(parseInt(args[0]));
+        const replies = {
+          NOT_FOUND: `❌ Jadwal <code>#${args[0]}</code> tidak ditemukan.`,
+          HAS_BOOKINGS: `⚠️ Jadwal <code>#${args[0]}</code> sudah dipesan ${result.booked} pendaftar dan tidak dapat dihapus.\nNonaktifkan melalui dashboard admin.`,
+          DELETED: `🗑 Jadwal <code>#${args[0]}</code> dihapus.`,
+        };
+        if (result.outcome === "DELETED") {
+          console.log(`📅 Interview slot ${args[0]} deleted by ${actor.name}`);
+        }
+        await this.bot.sendMessage(chatId, replies[result.outcome], { parse_mode: "HTML" });
+        return;
+      }
+
+      await this.bot.sendMessage(chatId, usage, { parse_mode: "HTML" });
+    } catch (error) {
+      console.error("Error managing interview slot:", error);
+      await this.bot.sendMessage(
+        chatId,
+        "❌ Terjadi kesalahan saat mengelola jadwal wawancara."
+      );
+    }
+  }
+
+  // Send today's interview schedule to the group at interview_digest_time (WIB), then re-arm for tomorrow
+  async scheduleInterviewDigest() {
+    if (!process.env.TELEGRAM_CHAT_ID) return;
+
+    try {
+      const time = await dbManager.getSetting("interview_digest_time", "06:00");
+      const match = /^(\d{2}):(\d{2})$/.exec(time || "");
+      if (!match) {
+        console.log("📅 Interview schedule digest disabled");
+        return;
+      }
+
+      let next = interviewService.getDayRange(interviewService.today()).start;
+      next = new Date(next.getTime() + (Number(match[1]) * 60 + Number(match[2])) * 60000);
+      if (next <= new Date()) next = new Date(next.getTime() + 24 * 60 * 60 * 1000);
+
+      clearTimeout(this.interviewDigestTimer);
+      this.interviewDigestTimer = setTimeout(async () => {
+        await this.postInterviewDigest();
+        this.scheduleInterviewDigest();
+      }, next.getTime() - Date.now());
+      this.interviewDigestTimer.unref();
+    } catch (error) {
+      console.error("❌ Could not schedule interview digest:", error.message);
+    }
+  }
+
+  // Only posts on days that actually have interviews
+  async postInterviewDigest() {
+    try {
+      const day = interviewService.today();
+      const slots = await interviewService.getDaySchedule(day);
+      if (!slots || slots.length === 0) return;
+
+      for (const part of this.splitMessage(this.formatInterviewSchedule(day, slots))) {
+        await this.bot.sendMessage(process.env.TELEGRAM_CHAT_ID, part, {
+          parse_mode: "HTML",
+        });
+      }
+      console.log(`📅 Interview schedule for ${day} posted to group`);
+    } catch (error) {
+      console.error("❌ Interview digest error:", error.message);
+    }
+  }
+
+  // Explain why a role-restricted admin cannot decide on a registrant
+  async sendDecisionForbidden(chatId, actor) {
+    const scope =
+      actor.role === "division_reviewer"
+        ? `Anda hanya dapat memutuskan pendaftar di divisi: <b>${
+            actor.divisions.length ? actor.divisions.join(", ") : "-"
+          }</b>`
+        : `Role <b>${actor.role}</b> hanya dapat melihat data pendaftar.`;
+
+    await this.bot.sendMessage(chatId, `🚫 <b>Akses ditolak</b>\n\n${scope}`, {
+      parse_mode: "HTML",
+    });
+  }
+
+  // Decisions on an applicant who withdrew are refused
+  async sendWithdrawnNotice(chatId, user) {
+    await this.bot.sendMessage(
+      chatId,
+      `↩️ <b>Pendaftar sudah mengundurkan diri</b>\n\nNama: ${user.nama_lengkap}\nTiket: <code>${user.ticket}</code>\n\n💡 Status tidak berubah. Data tetap disimpan untuk arsip.`,
+      { parse_mode: "HTML" }
+    );
+  }
+
+  // ACCEPT COMMAND - Approve a registrant (now pending approval)
+  async handleAcceptCommand(chatId, input, actor) {
+    try {
+      const ticket = input.trim();
+      console.log(`✅ Marking for acceptance: ${ticket}`);
+
+      const result = await approvalWorkflow.markForAcceptance(ticket, actor);
+      const user = result.user;
+
+      switch (result.outcome) {
+        case "NOT_FOUND":
+          await this.bot.sendMessage(
+            chatId,
+            `❌ <b>Tiket tidak ditemukan</b>\n\nTiket: <code>${ticket}</code>\n\nPastikan nomor tiket benar.`,
+            { parse_mode: "HTML" }
+          );
+          return;
+
+        case "FORBIDDEN":
+          await this.sendDecisionForbidden(chatId, actor);
+          return;
+
+        case "WITHDRAWN":
+          await this.sendWithdrawnNotice(chatId, user);
+          return;
+
+        case "ALREADY_QUEUED":
+          await this.bot.sendMessage(
+            chatId,
+            `ℹ️ <b>Pendaftar sudah ditandai untuk diterima</b>\n\nNama: ${user.nama_lengkap}\nTiket: <code>${ticket}</code>\n\n💡 Gunakan <code>/push</code> untuk memproses atau <code>/tolak</code> untuk mengubah keputusan.`,
+            { parse_mode: "HTML" }
+          );
+          return;
+
+        case "ALREADY_FINAL":
+          await this.bot.sendMessage(
+            chatId,
+            `✅ <b>Pendaftar sudah LOLOS sebelumnya</b>\n\nNama: ${user.nama_lengkap}\nTiket: <code>${ticket}</code>\n\n💡 Status tidak berubah. Gunakan <code>/tolak</code> jika ingin mengubah keputusan.`,
+            { parse_mode: "HTML" }
+          );
+          return;
+      }
+
+      const statusMessage = result.changedFromFinal
+        ? "🟡 Menunggu Push (Diterima) - ⚠️ Perubahan dari DITOLAK"
+        : "🟡 Menunggu Push (Diterima)";
+      const actionType = result.changedFromFinal
+        ? "DIUBAH KE DITERIMA"
+        : "DITANDAI UNTUK DITERIMA";
+
+      const acceptMessage = `
+✅ <b>PENDAFTAR ${actionType}</b>
+
+👤 <b>Nama:</b> ${user.nama_lengkap}
+🎫 <b>Tiket:</b> <code>${ticket}</code>
+🏫 <b>Kelas:</b> ${user.kelas} - ${user.jurusan}
+📊 <b>Status:</b> ${statusMessage}
+📅 <b>Diproses:</b> ${this.formatDate(new Date())}
+${
+  result.quotaFull
+    ? "\n⚠️ <b>Kuota penuh:</b> semua divisi pilihan pendaftar ini sudah penuh. Saat <code>/push</code> pendaftar akan masuk WAITLIST kecuali ada kursi yang kosong.\n"
+    : ""
+}
+💡 <b>Langkah selanjutnya:</b> Gunakan <code>/push</code> untuk memfinalisasi semua keputusan.
+      `.trim();
+
+      await this.bot.sendMessage(chatId, acceptMessage, {
+        parse_mode: "HTML",
+      });
+    } catch (error) {
+      console.error("Error accepting registrant:", error);
+      await this.bot.sendMessage(
+        chatId,
+        "❌ Terjadi kesalahan saat memproses penerimaan."
+      );
+    }
+  }
+
+  // REJECT COMMAND - Reject a registrant (now pending approval)
+  async handleRejectCommand(chatId, input, actor) {
+    try {
+      const parts = input.trim().split(" ");
+      const ticket = parts[0];
+      const reason = parts.slice(1).join(" ") || DEFAULT_REJECTION_REASON;
+
+      console.log(`❌ Marking for rejection: ${ticket}, reason: ${reason}`);
+
+      const result = await approvalWorkflow.markForRejection(
+        ticket,
+        reason,
+        actor
+      );
+      const user = result.user;
+
+      switch (result.outcome) {
+        case "NOT_FOUND":
+          await this.bot.sendMessage(
+            chatId,
+            `❌ <b>Tiket tidak ditemukan</b>\n\nTiket: <code>${ticket}</code>\n\nPastikan nomor tiket benar.`,
+            { parse_mode: "HTML" }
+          );
+          return;
+
+        case "FORBIDDEN":
+          await this.sendDecisionForbidden(chatId, actor);
+          return;
+
+        case "WITHDRAWN":
+          await this.sendWithdrawnNotice(chatId, user);
+          return;
+
+        case "ALREADY_QUEUED":
+          await this.bot.sendMessage(
+            chatId,
+            `ℹ️ <b>Pendaftar sudah ditandai untuk ditolak</b>\n\nNama: ${user.nama_lengkap}\nTiket: <code>${ticket}</code>\n\n💡 Gunakan <code>/push</code> untuk memproses atau <code>/terima</code> untuk mengubah keputusan.`,
+            { parse_mode: "HTML" }
+          );
+          return;
+
+        case "ALREADY_FINAL":
+          await this.bot.sendMessage(
+            chatId,
+            `❌ <b>Pendaftar sudah DITOLAK sebelumnya</b>\n\nNama: ${user.nama_lengkap}\nTiket: <code>${ticket}</code>\n\n💡 Status tidak berubah. Gunakan <code>/terima</code> jika ingin mengubah keputusan.`,
+            { parse_mode: "HTML" }
+          );
+          return;
+      }
+
+      const statusMessage = result.changedFromFinal
+        ? "🟠 Menunggu Push (Ditolak) - ⚠️ Perubahan dari LOLOS"
+        : "🟠 Menunggu Push (Ditolak)";
+      const actionType = result.changedFromFinal
+        ? "DIUBAH KE DITOLAK"
+        : "DITANDAI UNTUK DITOLAK";
+
+      const rejectMessage = `
 ❌ <b>PENDAFTAR ${actionType}</b>
 
 👤 <b>Nama:</b> ${user.nama_lengkap}
 🎫 <b>Tiket:</b> <code>${ticket}</code>
 🏫 <b>Kelas:</b> ${user.kelas} - ${user.jurusan}
 📊 <b>Status:</b> ${statusMessage}
-💬 <b>Alasan:</b> ${reason}
+💬 <b>Alasan:</b> ${result.reason}
 📅 <b>Diproses:</b> ${this.formatDate(new Date())}
 
 💡 <b>Langkah selanjutnya:</b> Gunakan <code>/push</code> untuk memfinalisasi semua keputusan.
-        `.trim();
-
-        await this.bot.sendMessage(chatId, rejectMessage, {
-          parse_mode: "HTML",
-        });
+      `.trim();
 
-        // Log the rejection reason
-        await connection.execute(
-          "INSERT INTO admin_logs (user_id, ticket, action, previous_status, new_status, reason, admin_name, admin_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
-          [
-            user.id,
-            ticket,
-            "UPDATE",
-            user.status,
-            "PENDING_TOLAK",
-            `Marked for rejection by ${adminName}. Reason: ${reason}. Previous status: ${user.status}`,
-            adminName,
-            adminName,
-          ]
-        );
-      } finally {
-        connection.release();
-      }
+      await this.bot.sendMessage(chatId, rejectMessage, {
+        parse_mode: "HTML",
+      });
     } catch (error) {
       console.error("Error rejecting registrant:", error);
       await this.bot.sendMessage(
@@ -1429,172 +2520,131 @@ Butuh bantuan? Hubungi administrator.
   }
 
   // ENHANCED PUSH COMMAND - Process all pending approvals with detailed logging
-  async handlePushCommand(chatId) {
+  async handlePushCommand(chatId, actor) {
     try {
-      console.log("🚀 Processing all pending approvals...");
-
-      const connection = await getConnection();
-      try {
-        // Get all pending approvals with detailed info
-        const [pendingAccepts] = await connection.execute(
-          "SELECT * FROM users WHERE status = ? ORDER BY updated_at ASC",
-          ["PENDING_TERIMA"]
-        );
-
-        const [pendingRejects] = await connection.execute(
-          `SELECT u.*, 
-                  COALESCE(al.reason, 'Tidak memenuhi syarat') as rejection_reason
-           FROM users u 
-           LEFT JOIN admin_logs al ON u.ticket = al.ticket 
-               AND al.action = 'UPDATE' 
-               AND al.new_status = 'PENDING_TOLAK'
-               AND al.created_at = (
-                   SELECT MAX(created_at) 
-                   FROM admin_logs 
-                   WHERE ticket = u.ticket AND action = 'UPDATE' AND new_status = 'PENDING_TOLAK'
-               )
-           WHERE u.status = ?
-           ORDER BY u.updated_at ASC`,
-          ["PENDING_TOLAK"]
+      if (!adminService.canPush(actor)) {
+        await this.bot.sendMessage(
+          chatId,
+          "🚫 <b>Akses ditolak</b>\n\nHanya superadmin yang dapat menjalankan <code>/push</code>.",
+          { parse_mode: "HTML" }
         );
+        return;
+      }
 
-        const totalPending = pendingAccepts.length + pendingRejects.length;
+      console.log("🚀 Processing all pending approvals...");
 
-        if (totalPending === 0) {
-          await this.bot.sendMessage(
-            chatId,
-            `ℹ️ <b>Tidak ada antrian untuk diproses</b>\n\n` +
-              `📋 Semua pendaftar sudah diproses atau belum ada yang menunggu approval.\n\n` +
-              `💡 Gunakan <code>/terima TIKET</code> atau <code>/tolak TIKET alasan</code> untuk menandai pendaftar.`,
-            { parse_mode: "HTML" }
-          );
-          return;
-        }
+      const { pendingAccepts, pendingRejects } =
+        await approvalWorkflow.getQueue();
+      const totalPending = pendingAccepts.length + pendingRejects.length;
 
-        // Show processing confirmation
+      if (totalPending === 0) {
         await this.bot.sendMessage(
           chatId,
-          `🚀 <b>MEMPROSES PUSH APPROVAL</b>\n\n` +
-            `📊 <b>Ringkasan:</b>\n` +
-            `┣ ✅ Akan diterima: <b>${pendingAccepts.length}</b> pendaftar\n` +
-            `┣ ❌ Akan ditolak: <b>${pendingRejects.length}</b> pendaftar\n` +
-            `┗ 📈 Total diproses: <b>${totalPending}</b>\n\n` +
-            `⏳ <b>Sedang memproses...</b>`,
+          `ℹ️ <b>Tidak ada antrian untuk diproses</b>\n\n` +
+            `📋 Semua pendaftar sudah diproses atau belum ada yang menunggu approval.\n\n` +
+            `💡 Gunakan <code>/terima TIKET</code> atau <code>/tolak TIKET alasan</code> untuk menandai pendaftar.`,
           { parse_mode: "HTML" }
         );
+        return;
+      }
 
-        const adminName = "TELEGRAM_ADMIN";
+      // Show processing confirmation
+      await this.bot.sendMessage(
+        chatId,
+        `🚀 <b>MEMPROSES PUSH APPROVAL</b>\n\n` +
+          `📊 <b>Ringkasan:</b>\n` +
+          `┣ ✅ Akan diterima: <b>${pendingAccepts.length}</b> pendaftar\n` +
+          `┣ ❌ Akan ditolak: <b>${pendingRejects.length}</b> pendaftar\n` +
+          `┗ 📈 Total diproses: <b>${totalPending}</b>\n\n` +
+          `⏳ <b>Sedang memproses...</b>`,
+        { parse_mode: "HTML" }
+      );
 
-        // Process acceptances
-        let acceptedCount = 0;
-        for (const user of pendingAccepts) {
-          await connection.execute(
-            "UPDATE users SET status = ?, updated_by = ?, updated_at = NOW() WHERE id = ?",
-            ["LOLOS", adminName, user.id]
-          );
+      const result = await approvalWorkflow.processPush(actor);
 
-          // Log final acceptance
-          await connection.execute(
-            "INSERT INTO admin_logs (user_id, ticket, action, previous_status, new_status, reason, admin_name, admin_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
-            [
-              user.id,
-              user.ticket,
-              "APPROVE",
-              "PENDING_TERIMA",
-              "LOLOS",
-              `Final acceptance via push by ${adminName}`,
-              adminName,
-              adminName,
-            ]
-          );
-          acceptedCount++;
-        }
+      await this.sendPushSummary(chatId, result);
+    } catch (error) {
+      console.error("Error processing push:", error);
+      await this.bot.sendMessage(
+        chatId,
+        "❌ Terjadi kesalahan saat memproses push approval."
+      );
+    }
+  }
 
-        // Process rejections
-        let rejectedCount = 0;
-        for (const user of pendingRejects) {
-          await connection.execute(
-            "UPDATE users SET status = ?, updated_by = ?, updated_at = NOW() WHERE id = ?",
-            ["DITOLAK", adminName, user.id]
-          );
+  // Detailed push summary, shared by /push and pushes from the web dashboard
+  async sendPushSummary(chatId, result) {
+    const acceptedCount = result.accepted.length;
+    const rejectedCount = result.rejected.length;
+    const waitlisted = result.waitlisted || [];
+    const promoted = result.promoted || [];
+
+    let summaryMessage = `🎉 <b>PUSH APPROVAL SELESAI</b>\n\n`;
+    summaryMessage += `📊 <b>RINGKASAN PEMROSESAN</b>\n`;
+    summaryMessage += `┣ ✅ Diterima: <b>${acceptedCount}</b> pendaftar\n`;
+    summaryMessage += `┣ ❌ Ditolak: <b>${rejectedCount}</b> pendaftar\n`;
+    summaryMessage += `┣ ⏸ Waitlist (kuota penuh): <b>${waitlisted.length}</b> pendaftar\n`;
+    summaryMessage += `┣ ⬆️ Naik dari waitlist: <b>${promoted.length}</b> pendaftar\n`;
+    summaryMessage += `┗ 📈 Total diproses: <b>${result.total}</b>\n\n`;
+
+    if (acceptedCount > 0) {
+      summaryMessage += `✅ <b>DITERIMA (${acceptedCount}):</b>\n`;
+      result.accepted.forEach((user, index) => {
+        summaryMessage += `${index + 1}. ${user.nama_lengkap} (<code>${
+          user.ticket
+        }</code>)${user.placed_division ? ` → ${user.placed_division}` : ""}${
+          user.score !== null && user.score !== undefined ? ` · 🏅 ${user.score}` : ""
+        }\n`;
+      });
+      summaryMessage += "\n";
+    }
 
-          // Log final rejection
-          await connection.execute(
-            "INSERT INTO admin_logs (user_id, ticket, action, previous_status, new_status, reason, admin_name, admin_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
-            [
-              user.id,
-              user.ticket,
-              "REJECT",
-              "PENDING_TOLAK",
-              "DITOLAK",
-              `Final rejection via push by ${adminName}. Reason: ${
-                user.rejection_reason || "Tidak memenuhi syarat"
-              }`,
-              adminName,
-              adminName,
-            ]
-          );
-          rejectedCount++;
-        }
+    if (waitlisted.length > 0) {
+      summaryMessage += `⚠️ <b>WAITLIST - KUOTA PENUH (${waitlisted.length}):</b>\n`;
+      waitlisted.forEach((user, index) => {
+        summaryMessage += `${index + 1}. ${user.nama_lengkap} (<code>${
+          user.ticket
+        }</code>)${user.score !== null && user.score !== undefined ? ` · 🏅 ${user.score}` : ""}\n`;
+        summaryMessage += `   🎯 ${user.divisions.join(", ")}\n`;
+      });
+      summaryMessage += "\n";
+    }
 
-        // Create detailed summary message
-        let summaryMessage = `🎉 <b>PUSH APPROVAL SELESAI</b>\n\n`;
-        summaryMessage += `📊 <b>RINGKASAN PEMROSESAN</b>\n`;
-        summaryMessage += `┣ ✅ Diterima: <b>${acceptedCount}</b> pendaftar\n`;
-        summaryMessage += `┣ ❌ Ditolak: <b>${rejectedCount}</b> pendaftar\n`;
-        summaryMessage += `┗ 📈 Total diproses: <b>${totalPending}</b>\n\n`;
-
-        if (acceptedCount > 0) {
-          summaryMessage += `✅ <b>DITERIMA (${acceptedCount}):</b>\n`;
-          pendingAccepts.forEach((user, index) => {
-            summaryMessage += `${index + 1}. ${user.nama_lengkap} (<code>${
-              user.ticket
-            }</code>)\n`;
-          });
-          summaryMessage += "\n";
-        }
+    if (promoted.length > 0) {
+      summaryMessage += `⬆️ <b>NAIK DARI WAITLIST (${promoted.length}):</b>\n`;
+      promoted.forEach((user, index) => {
+        summaryMessage += `${index + 1}. ${user.nama_lengkap} (<code>${
+          user.ticket
+        }</code>) → ${user.placed_division}\n`;
+      });
+      summaryMessage += "\n";
+    }
 
-        if (rejectedCount > 0) {
-          summaryMessage += `❌ <b>DITOLAK (${rejectedCount}):</b>\n`;
-          pendingRejects.forEach((user, index) => {
-            summaryMessage += `${index + 1}. ${user.nama_lengkap} (<code>${
-              user.ticket
-            }</code>)\n`;
-            const reason = user.rejection_reason || "Tidak memenuhi syarat";
-            summaryMessage += `   💬 ${reason.replace(
-              "Marked for rejection by TELEGRAM_ADMIN. Reason: ",
-              ""
-            )}\n`;
-          });
-          summaryMessage += "\n";
-        }
+    if (rejectedCount > 0) {
+      summaryMessage += `❌ <b>DITOLAK (${rejectedCount}):</b>\n`;
+      result.rejected.forEach((user, index) => {
+        summaryMessage += `${index + 1}. ${user.nama_lengkap} (<code>${
+          user.ticket
+        }</code>)\n`;
+        summaryMessage += `   💬 ${user.rejection_reason}\n`;
+      });
+      summaryMessage += "\n";
+    }
 
-        summaryMessage += `📅 <b>Diproses:</b> ${this.formatDate(
-          new Date()
-        )}\n`;
-        summaryMessage += `💡 <b>Catatan:</b> Status dapat diubah dengan menggunakan <code>/terima</code> atau <code>/tolak</code> kemudian <code>/push</code> lagi.`;
+    summaryMessage += `📅 <b>Diproses:</b> ${this.formatDate(new Date())}\n`;
+    summaryMessage += `💡 <b>Catatan:</b> Status dapat diubah dengan menggunakan <code>/terima</code> atau <code>/tolak</code> kemudian <code>/push</code> lagi.`;
 
-        // Split message if too long
-        if (summaryMessage.length > 4000) {
-          const messages = this.splitMessage(summaryMessage, 4000);
-          for (const msg of messages) {
-            await this.bot.sendMessage(chatId, msg, { parse_mode: "HTML" });
-            await this.delay(500);
-          }
-        } else {
-          await this.bot.sendMessage(chatId, summaryMessage, {
-            parse_mode: "HTML",
-          });
-        }
-      } finally {
-        connection.release();
+    // Split message if too long
+    if (summaryMessage.length > 4000) {
+      const messages = this.splitMessage(summaryMessage, 4000);
+      for (const msg of messages) {
+        await this.bot.sendMessage(chatId, msg, { parse_mode: "HTML" });
+        await this.delay(500);
       }
-    } catch (error) {
-      console.error("Error processing push:", error);
-      await this.bot.sendMessage(
-        chatId,
-        "❌ Terjadi kesalahan saat memproses push approval."
-      );
+    } else {
+      await this.bot.sendMessage(chatId, summaryMessage, {
+        parse_mode: "HTML",
+      });
     }
   }
 
@@ -1608,14 +2658,23 @@ Butuh bantuan? Hubungi administrator.
         const searchQuery = `%${keyword.trim()}%`;
         const [users] = await connection.execute(
           `SELECT * FROM users 
-           WHERE nama_lengkap LIKE ? 
+           WHERE period_id = ?
+             AND deleted_at IS NULL
+             AND (nama_lengkap LIKE ? 
               OR nama_panggilan LIKE ? 
               OR kelas LIKE ? 
               OR jurusan LIKE ? 
-              OR ticket LIKE ?
+              OR ticket LIKE ?)
            ORDER BY created_at DESC 
            LIMIT 10`,
-          [searchQuery, searchQuery, searchQuery, searchQuery, searchQuery]
+          [
+            await periodService.getActivePeriodId(),
+            searchQuery,
+            searchQuery,
+            searchQuery,
+            searchQuery,
+            searchQuery,
+          ]
         );
 
         if (users.length === 0) {
@@ -1657,27 +2716,28 @@ Butuh bantuan? Hubungi administrator.
     }
   }
 
-  // LIST COMMAND - List all registrants
-  async handleListCommand(chatId) {
+  // LIST COMMAND - List all registrants of one recruitment period
+  async handleListCommand(chatId, period) {
     try {
-      console.log("📋 Generating registrant list...");
+      console.log(`📋 Generating registrant list for period ${period.slug}...`);
 
       const connection = await getConnection();
       try {
         const [users] = await connection.execute(
-          "SELECT * FROM users ORDER BY created_at DESC"
+          "SELECT * FROM users WHERE period_id = ? AND deleted_at IS NULL ORDER BY created_at DESC",
+          [period.id]
         );
 
         if (users.length === 0) {
           await this.bot.sendMessage(
             chatId,
-            "📋 <b>Belum ada pendaftar terdaftar.</b>",
+            `📋 <b>Belum ada pendaftar terdaftar.</b>\n📆 ${period.name}`,
             { parse_mode: "HTML" }
           );
           return;
         }
 
-        let listMessage = `📋 <b>DAFTAR PENDAFTAR OSIS</b>\n\n📊 Total: <b>${users.length}</b> pendaftar\n\n`;
+        let listMessage = `📋 <b>DAFTAR PENDAFTAR OSIS</b>\n📆 ${period.name}\n\n📊 Total: <b>${users.length}</b> pendaftar\n\n`;
 
         users.forEach((user, index) => {
           const statusIcon = this.getStatusIcon(user.status);
@@ -1735,7 +2795,7 @@ Butuh bantuan? Hubungi administrator.
       connection = await getConnection();
       // Get user data
       const [users] = await connection.execute(
-        "SELECT * FROM users WHERE ticket = ?",
+        "SELECT * FROM users WHERE ticket = ? AND deleted_at IS NULL",
         [ticket.trim()]
       );
 
@@ -1766,6 +2826,8 @@ Butuh bantuan? Hubungi administrator.
         [user.id]
       );
 
+      user.quarantined_files = await uploadScanner.getQuarantined(connection, user.id);
+
       // Create DETAIL-specific message (different from registration notification)
       const detailMessage = await this.createDetailMessage(
         // Made async
@@ -1914,6 +2976,8 @@ Butuh bantuan? Hubungi administrator.
     }
     message += `┗ 🖼 Foto & sertifikat dikirim terpisah\n\n`;
 
+    message += this.formatQuarantine(user.quarantined_files);
+
     // Admin actions (if needed)
     if (user.status === "PENDING") {
       message += `⚡ <b>AKSI ADMIN</b>\n`;
@@ -1925,31 +2989,37 @@ Butuh bantuan? Hubungi administrator.
   }
 
   // EXCEL COMMAND - Export to Excel using excel-simple.js
-  async handleExcelCommand(chatId) {
+  async handleExcelCommand(chatId, period) {
     try {
-      console.log("📊 Generating Excel export...");
+      console.log(`📊 Generating Excel export for period ${period.slug}...`);
 
       // Import excel-simple module
       const { exportToExcel } = require("./excel-simple");
 
-      const result = await exportToExcel();
+      const result = await exportToExcel(period);
       console.log("📊 Excel export result:", result);
 
-      if (result && result.filePath && (await fs.pathExists(result.filePath))) {
-        await this.bot.sendDocument(chatId, result.filePath, {
-          caption: `📊 <b>EXPORT DATA OSIS</b>\n\n📅 Generated: ${this.formatDate(
-            new Date()
-          )}\n📁 File: ${result.fileName}\n📊 Records: ${
-            result.totalRecords
-          }\n💾 Size: ${result.fileSize}`,
-          parse_mode: "HTML",
-        });
+      const workbook = result && result.storageKey ? await storage.get(result.storageKey) : null;
+      if (workbook) {
+        await this.bot.sendDocument(
+          chatId,
+          workbook,
+          {
+            caption: `📊 <b>EXPORT DATA OSIS</b>\n📆 ${result.period}\n\n📅 Generated: ${this.formatDate(
+              new Date()
+            )}\n📁 File: ${result.fileName}\n📊 Records: ${
+              result.totalRecords
+            }\n💾 Size: ${result.fileSize}`,
+            parse_mode: "HTML",
+          },
+          { filename: result.fileName, contentType: contentTypeOf(result.fileName) }
+        );
 
         // Clean up file after sending
         setTimeout(async () => {
           try {
-            await fs.remove(result.filePath);
-            console.log(`🗑️ Cleaned up Excel file: ${result.filePath}`);
+            await storage.remove(result.storageKey);
+            console.log(`🗑️ Cleaned up Excel file: ${result.storageKey}`);
           } catch (error) {
             console.warn(
               `Warning: Could not clean up Excel file: ${error.message}`
@@ -1972,62 +3042,82 @@ Butuh bantuan? Hubungi administrator.
   }
 
   // DELETE COMMAND - Delete a registrant
-  async handleDeleteCommand(chatId, ticket) {
+  async handleEditTokenCommand(chatId, ticket) {
     try {
-      console.log(`🗑️ Deleting ticket: ${ticket}`);
+      const result = await registrationEditService.reissueToken(ticket);
 
-      const connection = await getConnection();
-      try {
-        // Check if user exists
-        const [users] = await connection.execute(
-          "SELECT * FROM users WHERE ticket = ?",
-          [ticket.trim()]
+      if (result.outcome === "NOT_FOUND") {
+        await this.bot.sendMessage(
+          chatId,
+          `❌ <b>Tiket tidak ditemukan</b>\n\nTiket: <code>${ticket}</code>`,
+          { parse_mode: "HTML" }
         );
+        return;
+      }
+      if (result.outcome === "FINAL") {
+        await this.bot.sendMessage(
+          chatId,
+          `⚠️ Pendaftaran <b>${escapeHtml(result.user.nama_lengkap)}</b> sudah final (status: ${result.user.status}). Kode edit tidak diperlukan lagi.`,
+          { parse_mode: "HTML" }
+        );
+        return;
+      }
 
-        if (users.length === 0) {
+      const message = `
+🔑 <b>KODE EDIT BARU</b>
+
+👤 <b>Nama:</b> ${escapeHtml(result.user.nama_lengkap)}
+🎫 <b>Tiket:</b> <code>${ticket}</code>
+🔐 <b>Kode edit:</b> <code>${result.token}</code>
+
+Kirimkan kode ini hanya kepada pendaftar yang bersangkutan. Kode sebelumnya tidak berlaku lagi.
+      `.trim();
+
+      await this.bot.sendMessage(chatId, message, { parse_mode: "HTML" });
+    } catch (error) {
+      console.error("Error reissuing edit token:", error);
+      await this.bot.sendMessage(chatId, "❌ Terjadi kesalahan saat membuat kode edit.");
+    }
+  }
+
+  async handleDeleteCommand(chatId, ticket, actor) {
+    try {
+      const result = await deletionService.softDelete(ticket, actor);
+
+      switch (result.outcome) {
+        case "NOT_FOUND":
           await this.bot.sendMessage(
             chatId,
             `❌ <b>Tiket tidak ditemukan</b>\n\nTiket: <code>${ticket}</code>`,
             { parse_mode: "HTML" }
           );
           return;
-        }
-
-        const user = users[0];
+        case "ALREADY_DELETED":
+          await this.bot.sendMessage(
+            chatId,
+            `ℹ️ Pendaftar <code>${ticket}</code> sudah dihapus sebelumnya.\n\n💡 Gunakan <code>/restore ${ticket}</code> untuk memulihkan.`,
+            { parse_mode: "HTML" }
+          );
+          return;
+      }
 
-        // Delete related records first
-        await connection.execute("DELETE FROM organisasi WHERE user_id = ?", [
-          user.id,
-        ]);
-        await connection.execute("DELETE FROM prestasi WHERE user_id = ?", [
-          user.id,
-        ]);
-        await connection.execute("DELETE FROM divisi WHERE user_id = ?", [
-          user.id,
-        ]);
-
-        // Delete main user record
-        await connection.execute("DELETE FROM users WHERE ticket = ?", [
-          ticket.trim(),
-        ]);
-
-        const deleteMessage = `
+      const { user } = result;
+      const deleteMessage = `
 🗑️ <b>PENDAFTAR DIHAPUS</b>
 
-👤 <b>Nama:</b> ${user.nama_lengkap}
+👤 <b>Nama:</b> ${escapeHtml(user.nama_lengkap)}
 🎫 <b>Tiket:</b> <code>${ticket}</code>
-🏫 <b>Kelas:</b> ${user.kelas} - ${user.jurusan}
+🏫 <b>Kelas:</b> ${escapeHtml(user.kelas)} - ${escapeHtml(user.jurusan)}
+📊 <b>Status:</b> ${this.getStatusIcon(user.status)} ${this.formatStatus(user.status)}
 📅 <b>Dihapus:</b> ${this.formatDate(new Date())}
 
-⚠️ Data pendaftar dan semua file terkait telah dihapus permanen.
-        `.trim();
+⚠️ Pendaftar disembunyikan dari semua daftar, statistik & antrian. Data dan file dihapus permanen setelah ${this.formatDate(result.purgeAfter)} (${result.retentionDays} hari).
+💡 Batalkan dengan <code>/restore ${ticket}</code>
+      `.trim();
 
-        await this.bot.sendMessage(chatId, deleteMessage, {
-          parse_mode: "HTML",
-        });
-      } finally {
-        connection.release();
-      }
+      await this.bot.sendMessage(chatId, deleteMessage, {
+        parse_mode: "HTML",
+      });
     } catch (error) {
       console.error("Error deleting registrant:", error);
       await this.bot.sendMessage(
@@ -2037,6 +3127,216 @@ Butuh bantuan? Hubungi administrator.
     }
   }
 
+  async handleRestoreCommand(chatId, ticket, actor) {
+    try {
+      const result = await deletionService.restore(ticket, actor);
+
+      switch (result.outcome) {
+        case "NOT_FOUND":
+          await this.bot.sendMessage(
+            chatId,
+            `❌ <b>Tiket tidak ditemukan</b>\n\nTiket: <code>${ticket}</code>\n\nData yang sudah dihapus permanen tidak dapat dipulihkan.`,
+            { parse_mode: "HTML" }
+          );
+          return;
+        case "NOT_DELETED":
+          await this.bot.sendMessage(
+            chatId,
+            `ℹ️ Pendaftar <code>${ticket}</code> tidak dalam keadaan terhapus.`,
+            { parse_mode: "HTML" }
+          );
+          return;
+      }
+
+      const { user } = result;
+      await this.bot.sendMessage(
+        chatId,
+        `♻️ <b>PENDAFTAR DIPULIHKAN</b>\n\n👤 <b>Nama:</b> ${escapeHtml(user.nama_lengkap)}\n🎫 <b>Tiket:</b> <code>${ticket}</code>\n📊 <b>Status:</b> ${this.getStatusIcon(user.status)} ${this.formatStatus(user.status)}\n🗑️ <b>Dihapus oleh:</b> ${escapeHtml(user.deleted_by || "-")}\n\n💡 Jadwal wawancara yang dilepas saat penghapusan perlu dipesan ulang.`,
+        { parse_mode: "HTML" }
+      );
+    } catch (error) {
+      console.error("Error restoring registrant:", error);
+      await this.bot.sendMessage(chatId, "❌ Terjadi kesalahan saat memulihkan pendaftar.");
+    }
+  }
+
+  // MERGE COMMAND - merge a duplicate registration into the one to keep; without "ya" at the
+  // end only a preview is shown, since a merge cannot be undone
+  async handleMergeCommand(chatId, input, actor) {
+    const usage = "/merge [tiket dipertahankan] [tiket digabung] [field...] [ya]";
+    const keep = await this.takeTicket(chatId, input, usage);
+    if (!keep) return;
+
+    // The dropped ticket is never redirected: a retired ticket has nothing left to merge
+    const dropFound = ticketService.extract(keep.rest);
+    const dropCheck = dropFound
+      ? await ticketService.check(dropFound.ticket)
+      : { outcome: "INVALID_FORMAT" };
+    if (dropCheck.outcome !== "OK") {
+      await this.bot.sendMessage(
+        chatId,
+        `❌ Tiket yang digabung tidak valid!\n\nGunakan format: <code>${usage}</code>`,
+        { parse_mode: "HTML" }
+      );
+      return;
+    }
+
+    const words = dropFound.rest.split(/[\s,]+/).filter(Boolean);
+    const confirmed = words.length > 0 && words[words.length - 1].toLowerCase() === "ya";
+    const takeFromDrop = confirmed ? words.slice(0, -1) : words;
+
+    try {
+      const result = await mergeService.merge(keep.ticket, dropCheck.ticket, actor, {
+        takeFromDrop,
+        dryRun: !confirmed,
+      });
+
+      const fieldName = (field) => (field === "foto_path" ? "foto" : field);
+      const failures = {
+        SAME_TICKET: () => "❌ Tiket yang dipertahankan dan yang digabung tidak boleh sama.",
+        INVALID_FIELDS: () =>
+          `❌ Field tidak dikenal: ${escapeHtml(result.invalid.join(", "))}\n\n` +
+          `Pilihan: ${Object.keys(MERGE_FIELDS).map(fieldName).join(", ")}`,
+        NOT_FOUND: () => `❌ Pendaftar dengan tiket <code>${result.ticket}</code> tidak ditemukan.`,
+        DIFFERENT_PERIOD: () => "❌ Kedua pendaftar berasal dari periode rekrutmen yang berbeda.",
+      };
+      if (failures[result.outcome]) {
+        await this.bot.sendMessage(chatId, failures[result.outcome](), { parse_mode: "HTML" });
+        return;
+      }
+
+      const show = (value) => {
+        if (value instanceof Date) return value.toLocaleDateString("id-ID");
+        const text = String(value);
+        return escapeHtml(text.length > 60 ? `${text.slice(0, 60)}…` : text);
+      };
+      const { keep: kept, drop } = result;
+
+      let message =
+        result.outcome === "PREVIEW"
+          ? `🔀 <b>PRATINJAU PENGGABUNGAN</b>\n<i>Belum ada yang diubah</i>\n\n`
+          : `🔀 <b>PENDAFTAR DIGABUNG</b>\n\n`;
+      message += `✅ Dipertahankan: <code>${kept.ticket}</code> ${escapeHtml(kept.nama_lengkap)} (${this.getStatusIcon(kept.status)} ${this.formatStatus(kept.status)})\n`;
+      message += `🗃 Digabung: <code>${drop.ticket}</code> ${escapeHtml(drop.nama_lengkap)} (${this.getStatusIcon(drop.status)} ${this.formatStatus(drop.status)})\n`;
+      message += `↪️ Tiket <code>${drop.ticket}</code> dialihkan ke <code>${kept.ticket}</code>\n\n`;
+
+      message += `<b>📋 DATA DIRI</b>\n`;
+      if (result.fields.length === 0) {
+        message += `• Tidak ada perbedaan\n`;
+      }
+      result.fields.forEach((change) => {
+        const label = `${escapeHtml(change.label)} (<code>${fieldName(change.field)}</code>)`;
+        if (!change.conflict) {
+          message += `• ${label}: ${show(change.drop)} ← diisi dari tiket digabung\n`;
+        } else if (change.source === "drop") {
+          message += `• ⚠️ ${label}: ${show(change.drop)} ← dari tiket digabung (sebelumnya ${show(change.keep)})\n`;
+        } else {
+          message += `• ⚠️ ${label}: tetap ${show(change.keep)} (tiket digabung: ${show(change.drop)})\n`;
+        }
+      });
+
+      message += `\n<b>📦 DIPINDAHKAN</b>\n`;
+      message += `• Divisi: ${result.moved.divisions.length > 0 ? escapeHtml(result.moved.divisions.join(", ")) : "-"}\n`;
+      message += `• Organisasi: ${result.moved.organisasi} · Prestasi: ${result.moved.prestasi}\n`;
+      message += `• File tidak terpakai ${result.outcome === "PREVIEW" ? "akan dihapus" : "dihapus"}: ${result.removedFiles}\n`;
+
+      if (result.promoted.length > 0) {
+        message += `\n⬆️ <b>Naik dari waitlist:</b>\n`;
+        message += result.promoted
+          .map(
+            (user) =>
+              `• ${escapeHtml(user.nama_lengkap)} (<code>${user.ticket}</code>) → ${escapeHtml(user.placed_division)}`
+          )
+          .join("\n");
+        message += "\n";
+      }
+
+      if (result.outcome === "PREVIEW") {
+        const fields = takeFromDrop.length > 0 ? ` ${takeFromDrop.join(" ")}` : "";
+        message += `\n💡 Ambil nilai ⚠️ dari tiket digabung dengan menambahkan nama field, mis. <code>/merge ${kept.ticket} ${drop.ticket} foto</code>`;
+        message += `\n✅ Jalankan: <code>/merge ${kept.ticket} ${drop.ticket}${escapeHtml(fields)} ya</code>`;
+      }
+
+      for (const part of this.splitMessage(message)) {
+        await this.bot.sendMessage(chatId, part, { parse_mode: "HTML" });
+      }
+    } catch (error) {
+      console.error("Error merging registrations:", error);
+      await this.bot.sendMessage(chatId, "❌ Terjadi kesalahan saat menggabungkan pendaftar.");
+    }
+  }
+
+  // DUPLICATE REPORT COMMAND - pairs of registrations the duplicate rules match, for manual merge
+  async handleDuplicateReportCommand(chatId, period) {
+    try {
+      const report = await duplicateDetector.findSuspected(period.id);
+      const modes = Object.entries(report.rules)
+        .map(([rule, mode]) => `${duplicateDetector.describeRule(rule)}: <code>${mode}</code>`)
+        .join("\n");
+
+      let message = `👯 <b>DUGAAN PENDAFTARAN GANDA</b>\n📆 ${escapeHtml(period.name)}\n\n`;
+      message += `${modes}\n\n`;
+
+      if (report.pairs.length === 0) {
+        message += `✅ Tidak ada dugaan duplikat di ${report.checked} pendaftar.`;
+        await this.bot.sendMessage(chatId, message, { parse_mode: "HTML" });
+        return;
+      }
+
+      message += `⚠️ ${report.pairs.length} pasangan dari ${report.checked} pendaftar:\n\n`;
+      message += report.pairs
+        .map((pair, index) => {
+          const reasons = pair.rules
+            .map((rule) =>
+              rule === "fuzzy_name"
+                ? `${duplicateDetector.describeRule(rule)} (${Math.round(pair.similarity * 100)}%)`
+                : duplicateDetector.describeRule(rule)
+            )
+            .join(", ");
+          const line = (user) =>
+            `<code>${user.ticket}</code> ${escapeHtml(user.nama_lengkap)} · ${escapeHtml(user.kelas || "-")} ${escapeHtml(user.jurusan || "")} · ${this.getStatusIcon(user.status)} ${this.formatStatus(user.status)}`;
+          return `${index + 1}. ${reasons}\n┣ ${line(pair.original)}\n┗ ${line(pair.duplicate)}`;
+        })
+        .join("\n\n");
+      message += `\n\n💡 Pendaftar pertama di tiap pasangan adalah yang mendaftar lebih dulu`;
+
+      for (const part of this.splitMessage(message)) {
+        await this.bot.sendMessage(chatId, part, { parse_mode: "HTML" });
+      }
+    } catch (error) {
+      console.error("Error building duplicate report:", error);
+      await this.bot.sendMessage(chatId, "❌ Terjadi kesalahan saat mencari pendaftar ganda.");
+    }
+  }
+
+  async handleDeletedListCommand(chatId) {
+    try {
+      const deleted = await deletionService.getDeleted();
+      if (deleted.length === 0) {
+        await this.bot.sendMessage(chatId, "🗑️ Tidak ada pendaftar yang dihapus.");
+        return;
+      }
+
+      let message = `🗑️ <b>PENDAFTAR DIHAPUS</b> (${deleted.length})\n\n`;
+      message += deleted
+        .map(
+          (user) =>
+            `• <b>${escapeHtml(user.nama_lengkap)}</b> - <code>${user.ticket}</code>\n` +
+            `  ${this.getStatusIcon(user.status)} ${this.formatStatus(user.status)} | oleh ${escapeHtml(user.deleted_by || "-")}\n` +
+            `  Dihapus ${this.formatDate(user.deleted_at)}, permanen ${this.formatDate(user.purge_after)}`
+        )
+        .join("\n\n");
+      message += `\n\n💡 Pulihkan dengan <code>/restore [tiket]</code>`;
+
+      for (const part of this.splitMessage(message)) {
+        await this.bot.sendMessage(chatId, part, { parse_mode: "HTML" });
+      }
+    } catch (error) {
+      console.error("Error listing deleted registrants:", error);
+      await this.bot.sendMessage(chatId, "❌ Terjadi kesalahan saat mengambil daftar pendaftar yang dihapus.");
+    }
+  }
+
   // LIST BACKUP COMMAND - List available backup files
   async handleListBackupCommand(chatId) {
     try {
@@ -2119,7 +3419,7 @@ Butuh bantuan? Hubungi administrator.
       }
 
       const deleteResult = await backupManager.deleteBackupFile(
-        targetBackup.path
+        targetBackup.key
       );
 
       if (deleteResult.success) {
@@ -2145,24 +3445,30 @@ Butuh bantuan? Hubungi administrator.
   }
 
   // BACKUP COMMAND - Create database backup
-  async handleBackupCommand(chatId) {
+  async handleBackupCommand(chatId, period) {
     try {
-      console.log("💾 Creating database backup...");
+      console.log(`💾 Creating database backup for period ${period.slug}...`);
 
       await this.bot.sendMessage(
         chatId,
-        "💾 <b>Memulai backup database...</b>\n⏳ Harap tunggu...",
+        `💾 <b>Memulai backup database...</b>\n📆 ${period.name}\n⏳ Harap tunggu...`,
         { parse_mode: "HTML" }
       );
 
       // Import backup utility
       const { createDatabaseBackup } = require("./db-backup-fixed");
 
-      const backupResult = await createDatabaseBackup();
+      const backupResult = await createDatabaseBackup(period);
 
-      if (backupResult && backupResult.success) {
+      if (backupResult && backupResult.success && !backupResult.storageKey) {
+        await this.bot.sendMessage(
+          chatId,
+          `ℹ️ <b>Tidak ada pendaftar untuk dibackup.</b>\n📆 ${period.name}`,
+          { parse_mode: "HTML" }
+        );
+      } else if (backupResult && backupResult.success) {
         // Check if a file path was actually generated (e.g., if there were users to backup)
-        // The createDatabaseBackup now always returns filePath and fileName if successful
+        // The createDatabaseBackup now always returns storageKey and fileName if successful
         const TELEGRAM_FILE_SIZE_LIMIT = 50 * 1024 * 1024; // 50 MB
 
         if (backupResult.size > TELEGRAM_FILE_SIZE_LIMIT) {
@@ -2172,7 +3478,7 @@ Butuh bantuan? Hubungi administrator.
               `📁 File backup (${this.formatFileSize(
                 backupResult.size
               )}) melebihi batas ukuran file Telegram (50 MB).\n` +
-              `Backup telah berhasil dibuat dan disimpan secara lokal di server.\n\n` +
+              `Backup telah berhasil dibuat dan disimpan di penyimpanan server.\n\n` +
               `<b>Detail Backup:</b>\n` +
               `┣ 📁 Nama File: <code>${backupResult.fileName}</code>\n` +
               `┣ 📊 Ukuran: ${this.formatFileSize(backupResult.size)}\n` +
@@ -2181,16 +3487,22 @@ Butuh bantuan? Hubungi administrator.
           );
         } else {
           // Send backup file (now a zip)
-          await this.bot.sendDocument(chatId, backupResult.filePath, {
-            caption: `💾 <b>FULL DATABASE & UPLOADS BACKUP BERHASIL</b>\n\n📁 File: ${
-              backupResult.fileName
-            }\n📊 Size: ${this.formatFileSize(
-              backupResult.size
-            )}\n📅 Created: ${this.formatDate(
-              backupResult.timestamp
-            )}\n\n⚠️ File backup berisi data sensitif (database dan semua unggahan). Simpan dengan aman!`,
-            parse_mode: "HTML",
-          });
+          const archive = await storage.createReadStream(backupResult.storageKey);
+          await this.bot.sendDocument(
+            chatId,
+            archive,
+            {
+              caption: `💾 <b>FULL DATABASE & UPLOADS BACKUP BERHASIL</b>\n\n📁 File: ${
+                backupResult.fileName
+              }\n📊 Size: ${this.formatFileSize(
+                backupResult.size
+              )}\n📅 Created: ${this.formatDate(
+                backupResult.timestamp
+              )}\n\n⚠️ File backup berisi data sensitif (database dan semua unggahan). Simpan dengan aman!`,
+              parse_mode: "HTML",
+            },
+            { filename: backupResult.fileName, contentType: "application/zip" }
+          );
         }
 
         // Clean up old backups
@@ -2249,23 +3561,6 @@ Butuh bantuan? Hubungi administrator.
     return messages;
   }
 
-  formatUserStatus(user) {
-    const statusIcon = this.getStatusIcon(user.status);
-    const statusText = this.formatStatus(user.status);
-
-    let message = `📊 <b>STATUS PENDAFTAR</b>\n\n`;
-    message += `👤 <b>Nama:</b> ${user.nama_lengkap}\n`;
-    message += `🎫 <b>Tiket:</b> <code>${user.ticket}</code>\n`;
-    message += `📊 <b>Status:</b> ${statusIcon} ${statusText}\n`;
-    message += `🏫 <b>Kelas:</b> ${user.kelas} - ${user.jurusan}\n`;
-    message += `📅 <b>Daftar:</b> ${this.formatDate(user.created_at)}\n`;
-
-    if (user.updated_at && user.updated_at !== user.created_at) {
-      message += `🔄 <b>Update:</b> ${this.formatDate(user.updated_at)}\n`;
-    }
-
-    return message;
-  }
 }
 
 // Create singleton instance
@@ -2280,8 +3575,23 @@ async function sendTelegramNotification(data) {
   return await botManager.sendRegistrationNotification(data);
 }
 
+async function sendEditNotification(data) {
+  return await botManager.sendRegistrationEditNotification(data);
+}
+
+async function sendWithdrawalNotification(result) {
+  return await botManager.sendWithdrawalNotification(result);
+}
+
+async function sendPurgeNotification(purged) {
+  return await botManager.sendPurgeNotification(purged);
+}
+
 module.exports = {
   initTelegramBot,
   sendTelegramNotification,
+  sendEditNotification,
+  sendWithdrawalNotification,
+  sendPurgeNotification,
   botManager,
 };
@@ -0,0 +1,173 @@
+// Ticket numbers - collision-safe generation with a check character, and the one parser
+// shared by the API validators and every bot command
+const crypto = require("crypto");
+const { getConnection, dbManager } = require("../database/mysql-database-refactored");
+const { periodService } = require("./period-service");
+
+// 23 symbols (a prime) so every single-character typo and every swap of two digits changes
+// the check character; I, O and Q are left out because they read like 1 and 0
+const CHECK_ALPHABET = "ABCDEFGHJKLMNPRSTUVWXYZ";
+
+// PREFIX-NNNNNN-C where PREFIX is letters plus a two-digit year, e.g. OSIS25-782753-Z
+const TICKET_BODY = "([A-Z]{2,10}\\d{2})-(\\d{6})-([A-Z])";
+const TICKET_PATTERN = new RegExp(`\\b${TICKET_BODY}\\b`, "i");
+const STRICT_TICKET_PATTERN = new RegExp(`^${TICKET_BODY}$`, "i");
+
+const MAX_GENERATE_ATTEMPTS = 10;
+
+const TICKET_ERRORS = {
+  INVALID_FORMAT: "INVALID_TICKET_FORMAT",
+  BAD_CHECKSUM: "INVALID_TICKET_CHECKSUM",
+};
+
+class TicketService {
+  constructor() {
+    // Tickets issued before check characters existed; loaded once, never grows
+    this.legacyTickets = null;
+  }
+
+  computeCheck(prefix, number) {
+    const body = `${prefix}${number}`.toUpperCase();
+    let sum = 0;
+    for (let i = 0; i < body.length; i++) {
+      sum += (i + 1) * body.charCodeAt(i);
+    }
+    return CHECK_ALPHABET[sum % CHECK_ALPHABET.length];
+  }
+
+  format(prefix, number) {
+    return `${prefix}-${number}-${this.computeCheck(prefix, number)}`;
+  }
+
+  // Prefix for new tickets: ticket_prefix setting plus the active period's year, e.g. OSIS26
+  async getPrefix() {
+    const [base, period] = await Promise.all([
+      dbManager.getSetting("ticket_prefix", "OSIS"),
+      periodService.getActivePeriod(),
+    ]);
+    const letters = /^[A-Za-z]{2,10}$/.test(base || "") ? base : "OSIS";
+    const year = String(period ? period.year : new Date().getFullYear());
+    return `${letters}${year.slice(-2)}`.toUpperCase();
+  }
+
+  // A valid ticket for usage hints, so examples follow the current prefix
+  async example() {
+    return this.format(await this.getPrefix(), "123456");
+  }
+
+  // Random (not sequential) because the ticket is what applicants use to open their result page
+  async generate(connection = null) {
+    const prefix = await this.getPrefix();
+    const conn = connection || (await getConnection());
+
+    try {
+      for (let attempt = 1; attempt <= MAX_GENERATE_ATTEMPTS; attempt++) {
+        const ticket = this.format(prefix, String(crypto.randomInt(100000, 1000000)));
+        // Tickets retired by a merge still redirect, so they are never handed out again
+        const [existing] = await conn.execute(
+          "SELECT ticket FROM users WHERE ticket = ? UNION SELECT old_ticket FROM ticket_redirects WHERE old_ticket = ?",
+          [ticket, ticket]
+        );
+        if (existing.length === 0) return ticket;
+        console.warn(`⚠️ Ticket collision on ${ticket} (attempt ${attempt})`);
+      }
+      throw new Error(`Could not generate a unique ticket after ${MAX_GENERATE_ATTEMPTS} attempts`);
+    } finally {
+      if (!connection) conn.release();
+    }
+  }
+
+  // Two registrations may still race between generate() and the INSERT; the UNIQUE key decides
+  isTicketCollision(error) {
+    return error && error.code === "ER_DUP_ENTRY" && /ticket/i.test(error.message);
+  }
+
+  // The ticket a retired (merged) ticket now points at, or null
+  async findRedirect(ticket) {
+    const connection = await getConnection();
+    try {
+      const [rows] = await connection.execute(
+        "SELECT new_ticket FROM ticket_redirects WHERE old_ticket = ?",
+        [ticket]
+      );
+      return rows.length > 0 ? rows[0].new_ticket : null;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Parse a complete ticket (case-insensitive, surrounding whitespace ignored)
+  parse(value) {
+    const match = STRICT_TICKET_PATTERN.exec(String(value || "").trim());
+    if (!match) return null;
+
+    const [prefix, number, check] = [match[1].toUpperCase(), match[2], match[3].toUpperCase()];
+    return {
+      ticket: `${prefix}-${number}-${check}`,
+      prefix,
+      number,
+      check,
+      checksumValid: this.computeCheck(prefix, number) === check,
+    };
+  }
+
+  // Ticket with only the prefix left, for telling an applicant that a registration already
+  // exists without handing its result page to whoever typed their name. Any digit or the check
+  // character shown would narrow the ticket down to a few hundred lookups.
+  mask(ticket) {
+    const match = /^([A-Z]+\d*)-\d+-[A-Z]$/i.exec(String(ticket || ""));
+    return match ? `${match[1].toUpperCase()}-******-*` : "******";
+  }
+
+  // Find the first ticket inside free text such as a bot command argument
+  extract(text) {
+    const source = String(text || "");
+    const match = TICKET_PATTERN.exec(source);
+    if (!match) return null;
+
+    return {
+      ticket: match[0].toUpperCase(),
+      rest: (source.slice(0, match.index) + source.slice(match.index + match[0].length))
+        .replace(/\s+/g, " ")
+        .trim(),
+    };
+  }
+
+  async getLegacyTickets() {
+    if (!this.legacyTickets) {
+      const connection = await getConnection();
+      try {
+        const [rows] = await connection.execute("SELECT ticket FROM users");
+        this.legacyTickets = new Set(
+          rows
+            .map((row) => this.parse(row.ticket))
+            .filter((parsed) => parsed && !parsed.checksumValid)
+            .map((parsed) => parsed.ticket)
+        );
+        console.log(`🎫 ${this.legacyTickets.size} legacy ticket(s) without check character`);
+      } finally {
+        connection.release();
+      }
+    }
+    return this.legacyTickets;
+  }
+
+  // Outcomes: INVALID_FORMAT, BAD_CHECKSUM or OK (with the normalized ticket)
+  async check(value) {
+    const parsed = this.parse(value);
+    if (!parsed) return { outcome: "INVALID_FORMAT" };
+    if (!parsed.checksumValid && !(await this.getLegacyTickets()).has(parsed.ticket)) {
+      return { outcome: "BAD_CHECKSUM", ticket: parsed.ticket };
+    }
+    return { outcome: "OK", ticket: parsed.ticket };
+  }
+}
+
+// Create singleton instance
+const ticketService = new TicketService();
+
+module.exports = {
+  ticketService,
+  TICKET_PATTERN,
+  TICKET_ERRORS,
+};
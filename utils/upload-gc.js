@@ -0,0 +1,181 @@
+// Upload garbage collector - files in uploads/ that no registration references any more.
+// Failed registrations and edits can leave files behind; they are removed after a grace
+// period so an upload whose registration is still being saved is never touched.
+const path = require("path");
+const fs = require("fs-extra");
+const { getConnection, dbManager } = require("../database/mysql-database-refactored");
+const { photoProcessor } = require("./photo-processor");
+const { storage } = require("./storage");
+
+const DEFAULT_GRACE_HOURS = 24;
+
+// Storage prefixes FileUploadManager commits to. Quarantined certificates (upload-scanner)
+// live outside uploads/, which is served publicly.
+const UPLOAD_PREFIXES = {
+  photos: "uploads/photos",
+  certificates: "uploads/certificates",
+  others: "uploads/others",
+  quarantine: "quarantine",
+};
+
+// Local directory multer writes to; it holds uploads whose request has not committed yet, so
+// anything left there past the grace period was abandoned. It stays on the instance that
+// received the request, whatever the storage driver. It sits outside uploads/, which is served
+// publicly, so files are never reachable before they pass the type check and scan.
+const STAGING_DIR = path.join(__dirname, "..", "staging");
+
+// Storage key of an upload; the database stores bare filenames or "uploads/photos/x" paths
+const uploadKey = (dir, filename) => `${UPLOAD_PREFIXES[dir]}/${path.basename(filename)}`;
+
+class UploadGarbageCollector {
+  async getGraceHours() {
+    const hours = parseFloat(
+      await dbManager.getSetting("upload_gc_grace_hours", String(DEFAULT_GRACE_HOURS))
+    );
+    return Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_GRACE_HOURS;
+  }
+
+  // Every filename a registration still points at. Deleted-but-not-purged registrations
+  // count, and so do photos kept for comparison in the applicant edit history and
+  // quarantined certificates.
+  // Upload names are unique (timestamp + random), so names are matched across directories.
+  // A referenced photo keeps its thumbnail.
+  async getReferencedFiles() {
+    const connection = await getConnection();
+    try {
+      const referenced = new Set();
+      const add = (value) => {
+        if (value) referenced.add(path.basename(value));
+      };
+      const addPhoto = (value) => {
+        if (value) {
+          add(value);
+          add(photoProcessor.thumbnailName(value));
+        }
+      };
+
+      const [photos] = await connection.execute(
+        "SELECT foto_path FROM users WHERE foto_path IS NOT NULL"
+      );
+      photos.forEach((row) => addPhoto(row.foto_path));
+
+      for (const table of ["organisasi", "prestasi"]) {
+        const [rows] = await connection.execute(
+          `SELECT sertifikat_path FROM ${table} WHERE sertifikat_path IS NOT NULL`
+        );
+        rows.forEach((row) => add(row.sertifikat_path));
+      }
+
+      const [quarantined] = await connection.execute("SELECT filename FROM quarantined_files");
+      quarantined.forEach((row) => add(row.filename));
+
+      const [revisions] = await connection.execute(
+        "SELECT changes FROM registration_revisions WHERE changes LIKE '%\"foto\"%'"
+      );
+      revisions.forEach((revision) => {
+        const photo = JSON.parse(revision.changes).foto;
+        if (photo) {
+          addPhoto(photo.from);
+          addPhoto(photo.to);
+        }
+      });
+
+      return referenced;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Unreferenced files with their size; expired = older than the grace period
+  async findOrphans(graceHours) {
+    const referenced = await this.getReferencedFiles();
+    const cutoff = Date.now() - graceHours * 60 * 60 * 1000;
+    const orphans = [];
+    let scanned = 0;
+
+    const consider = (orphan) => {
+      scanned++;
+      if (referenced.has(orphan.name)) return;
+      orphans.push({ ...orphan, expired: orphan.modifiedAt.getTime() < cutoff });
+    };
+
+    for (const [dir, prefix] of Object.entries(UPLOAD_PREFIXES)) {
+      for (const entry of await storage.list(prefix)) {
+        consider({ dir, ...entry });
+      }
+    }
+
+    if (await fs.pathExists(STAGING_DIR)) {
+      for (const entry of await fs.readdir(STAGING_DIR, { withFileTypes: true })) {
+        if (!entry.isFile() || entry.name.startsWith(".")) continue;
+        const filePath = path.join(STAGING_DIR, entry.name);
+        const stats = await fs.stat(filePath);
+        consider({
+          dir: "staging",
+          name: entry.name,
+          path: filePath,
+          size: stats.size,
+          modifiedAt: stats.mtime,
+        });
+      }
+    }
+
+    return { scanned, referenced: referenced.size, orphans };
+  }
+
+  // Remove expired orphans; dryRun only reports what would be removed
+  async collect({ dryRun = false, graceHours } = {}) {
+    const grace = graceHours === undefined ? await this.getGraceHours() : graceHours;
+    const { scanned, referenced, orphans } = await this.findOrphans(grace);
+
+    const removed = [];
+    const failed = [];
+    for (const orphan of orphans.filter((file) => file.expired)) {
+      if (dryRun) {
+        removed.push(orphan);
+        continue;
+      }
+      try {
+        if (orphan.key) await storage.remove(orphan.key);
+        else await fs.remove(orphan.path);
+        removed.push(orphan);
+      } catch (error) {
+        console.error(`❌ Could not remove ${orphan.key || orphan.path}:`, error.message);
+        failed.push(orphan);
+      }
+    }
+
+    const result = {
+      dryRun,
+      graceHours: grace,
+      scanned,
+      referenced,
+      orphans,
+      removed,
+      failed,
+      freedBytes: removed.reduce((total, file) => total + file.size, 0),
+    };
+
+    console.log(
+      `🧹 Upload GC${dryRun ? " (dry run)" : ""}: ${scanned} file(s) scanned, ${orphans.length} orphan(s), ` +
+        `${removed.length} ${dryRun ? "would be removed" : "removed"} (${this.formatSize(result.freedBytes)})`
+    );
+    return result;
+  }
+
+  formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+}
+
+// Create singleton instance
+const uploadGarbageCollector = new UploadGarbageCollector();
+
+module.exports = {
+  uploadGarbageCollector,
+  UPLOAD_PREFIXES,
+  STAGING_DIR,
+  uploadKey,
+};
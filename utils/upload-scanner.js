@@ -0,0 +1,216 @@
+// Malware scanning of uploaded certificates - they are forwarded to the Telegram group and
+// opened by reviewers. Certificates are scanned once they are staged and type-checked; a file
+// the scanner flags, or cannot scan, is moved to quarantine/ (outside the public uploads/),
+// left out of the registration and the bot notification, and the registration is marked for
+// review instead of being refused.
+const net = require("net");
+const { once } = require("events");
+const fs = require("fs-extra");
+const { uploadKey } = require("./upload-gc");
+const { storage } = require("./storage");
+
+const EICAR_TEST_STRING =
+  "X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*";
+
+// Scanner adapters: scan(filePath) resolves to { clean: true } or { clean: false, signature }
+// and rejects when the file could not be scanned
+
+class NoopScanner {
+  constructor() {
+    this.name = "none";
+  }
+
+  async scan() {
+    return { clean: true };
+  }
+}
+
+// Flags files containing the EICAR test string, to try the quarantine flow without clamd
+class EicarScanner {
+  constructor() {
+    this.name = "eicar";
+  }
+
+  async scan(filePath) {
+    const content = await fs.readFile(filePath, "latin1");
+    return content.includes(EICAR_TEST_STRING)
+      ? { clean: false, signature: "Eicar-Test-Signature" }
+      : { clean: true };
+  }
+}
+
+// clamd over TCP or a Unix socket, streaming the file with INSTREAM. clamd refuses streams
+// above its StreamMaxLength (25 MB by default); such files count as not scanned.
+class ClamdScanner {
+  constructor({ host, port, socketPath, timeoutMs }) {
+    this.name = "clamav";
+    this.host = host;
+    this.port = port;
+    this.socketPath = socketPath;
+    this.timeoutMs = timeoutMs;
+  }
+
+  scan(filePath) {
+    return new Promise((resolve, reject) => {
+      const socket = this.socketPath
+        ? net.createConnection(this.socketPath)
+        : net.createConnection(this.port, this.host);
+      let reply = "";
+      let settled = false;
+
+      const finish = (error, result) => {
+        if (settled) return;
+        settled = true;
+        socket.destroy();
+        if (error) reject(error);
+        else resolve(result);
+      };
+
+      socket.setTimeout(this.timeoutMs, () =>
+        finish(new Error(`clamd did not answer within ${this.timeoutMs} ms`))
+      );
+      socket.on("error", (error) => finish(error));
+      socket.on("data", (chunk) => (reply += chunk.toString("utf8")));
+
+      // "stream: OK", "stream: <signature> FOUND" or "<message> ERROR"
+      socket.on("end", () => {
+        const answer = reply.replace(/\0/g, "").trim();
+        const found = answer.match(/^stream: (.+) FOUND$/);
+        if (answer === "stream: OK") finish(null, { clean: true });
+        else if (found) finish(null, { clean: false, signature: found[1] });
+        else finish(new Error(`clamd: ${answer || "no answer"}`));
+      });
+
+      socket.on("connect", async () => {
+        try {
+          socket.write("zINSTREAM\0");
+          for await (const chunk of fs.createReadStream(filePath)) {
+            const size = Buffer.alloc(4);
+            size.writeUInt32BE(chunk.length);
+            socket.write(size);
+            if (!socket.write(chunk)) await once(socket, "drain");
+          }
+          // A zero-length chunk ends the stream
+          socket.write(Buffer.alloc(4));
+        } catch (error) {
+          finish(error);
+        }
+      });
+    });
+  }
+}
+
+// UPLOAD_SCANNER: none (default), clamav or eicar
+function createScanner(type) {
+  switch (String(type || "none").trim().toLowerCase()) {
+    case "clamav":
+      return new ClamdScanner({
+        host: process.env.CLAMAV_HOST || "127.0.0.1",
+        port: parseInt(process.env.CLAMAV_PORT || "3310"),
+        socketPath: process.env.CLAMAV_SOCKET || null,
+        timeoutMs: parseInt(process.env.CLAMAV_TIMEOUT_MS || "30000"),
+      });
+    case "eicar":
+      return new EicarScanner();
+    case "none":
+      return new NoopScanner();
+    default:
+      console.warn(`⚠️ Unknown UPLOAD_SCANNER "${type}", uploads are not scanned`);
+      return new NoopScanner();
+  }
+}
+
+class UploadScanner {
+  constructor() {
+    this.scanner = null;
+  }
+
+  getScanner() {
+    if (!this.scanner) this.scanner = createScanner(process.env.UPLOAD_SCANNER);
+    return this.scanner;
+  }
+
+  isScanned(file) {
+    return file.fieldname.includes("sertifikat");
+  }
+
+  // Scan the certificates of a request. Flagged and unscannable files are moved to quarantine
+  // in storage and get file.quarantine and file.storageKey, so discardUploads() still removes
+  // them when the request fails. Returns the quarantined files.
+  async scanFiles(files) {
+    const scanner = this.getScanner();
+    const quarantined = [];
+
+    for (const file of (files || []).filter((upload) => this.isScanned(upload))) {
+      let result;
+      try {
+        result = await scanner.scan(file.path);
+      } catch (error) {
+        console.error(`❌ Could not scan ${file.originalname} (${scanner.name}):`, error.message);
+        result = { clean: false, reason: "SCAN_ERROR", signature: null };
+      }
+      if (result.clean) continue;
+
+      file.storageKey = uploadKey("quarantine", file.filename);
+      await storage.upload(file.storageKey, file.path, {
+        move: true,
+        contentType: file.mimetype,
+      });
+      file.quarantine = {
+        reason: result.reason || "INFECTED",
+        signature: result.signature,
+        scanner: scanner.name,
+      };
+      quarantined.push(file);
+      console.warn(
+        `🛡️ Quarantined ${file.fieldname} ${file.originalname}: ${file.quarantine.reason}` +
+          (result.signature ? ` (${result.signature})` : "")
+      );
+    }
+
+    return quarantined;
+  }
+
+  // Store the quarantined uploads of a registration; rows here mark it for review
+  async recordQuarantine(connection, userId, quarantined) {
+    for (const file of quarantined || []) {
+      await connection.execute(
+        `INSERT INTO quarantined_files
+           (user_id, fieldname, filename, original_name, reason, signature, scanner)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          userId,
+          file.fieldname,
+          file.filename,
+          file.originalname || null,
+          file.reason,
+          file.signature || null,
+          file.scanner,
+        ]
+      );
+    }
+  }
+
+  async getQuarantined(connection, userId) {
+    const [rows] = await connection.execute(
+      `SELECT id, fieldname, filename, original_name, reason, signature, scanner, created_at
+       FROM quarantined_files WHERE user_id = ? ORDER BY id`,
+      [userId]
+    );
+    return rows;
+  }
+
+  describeReason(file) {
+    return file.reason === "SCAN_ERROR"
+      ? "gagal dipindai"
+      : `terdeteksi ${file.signature || "malware"}`;
+  }
+}
+
+// Create singleton instance
+const uploadScanner = new UploadScanner();
+
+module.exports = {
+  uploadScanner,
+  createScanner,
+};